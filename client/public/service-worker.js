@@ -0,0 +1,123 @@
+// Service worker: keeps the app shell (index.html and the built scripts and
+// styles) so the site opens without a connection. Books saved for offline
+// reading are not handled here - see src/utils/offlineLibrary.js.
+//
+// Registered from src/serviceWorkerRegistration.js in production builds only.
+
+const SHELL_CACHE = 'bookstore-shell-v1';
+const STATIC_CACHE = 'bookstore-static-v1';
+const CURRENT_CACHES = [SHELL_CACHE, STATIC_CACHE];
+
+// Built files have content hashes in their names, so older builds pile up in
+// the static cache; the oldest entries go once it holds more than this
+const MAX_STATIC_ENTRIES = 120;
+
+// The PDF.js worker is served from here (not a CDN) so saved books can be
+// read offline; scripts/copy-pdf-worker.js puts it in public/ on each build
+const SHELL_FILES = ['./', './index.html', './manifest.json', './logo3.png', './favicon.ico', './pdf.worker.min.js'];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+// Entry scripts and styles of the current build, from CRA's asset manifest
+const buildEntrypoints = async () => {
+  try {
+    const response = await fetch(scopeUrl('./asset-manifest.json'), { cache: 'no-store' });
+    if (!response.ok) return [];
+    const manifest = await response.json();
+    return (manifest.entrypoints || []).map((path) => `./${path}`);
+  } catch {
+    return [];
+  }
+};
+
+const trimCache = async (name, maxEntries) => {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  // keys() lists entries oldest first
+  await Promise.all(keys.slice(0, Math.max(keys.length - maxEntries, 0)).map((key) => cache.delete(key)));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      const shell = await caches.open(SHELL_CACHE);
+      await shell.addAll(SHELL_FILES.map(scopeUrl));
+      const entrypoints = await buildEntrypoints();
+      if (entrypoints.length > 0) {
+        const statics = await caches.open(STATIC_CACHE);
+        await statics.addAll(entrypoints.map(scopeUrl));
+      }
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(
+        names
+          .filter((name) => name.startsWith('bookstore-') && !CURRENT_CACHES.includes(name))
+          .map((name) => caches.delete(name))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// Pages: network first so a new build shows up at once, the cached shell
+// when offline (every route is served by index.html)
+const handleNavigation = async (request) => {
+  const shell = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await shell.put(scopeUrl('./index.html'), response.clone());
+    return response;
+  } catch (err) {
+    const cached = await shell.match(scopeUrl('./index.html'));
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+// Built files never change under the same name: cache first
+const handleStatic = async (request) => {
+  const statics = await caches.open(STATIC_CACHE);
+  const cached = await statics.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    await statics.put(request, response.clone());
+    trimCache(STATIC_CACHE, MAX_STATIC_ENTRIES).catch(() => {});
+  }
+  return response;
+};
+
+const handleShellFile = async (request) => {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE });
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  // API calls, covers and PDFs on other hosts are left to the browser
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    // Server routes opened directly (API responses, downloads) are not pages
+    if (url.pathname.startsWith('/api/')) return;
+    event.respondWith(handleNavigation(request));
+  } else if (url.pathname.startsWith(new URL(scopeUrl('./static/')).pathname)) {
+    event.respondWith(handleStatic(request));
+  } else if (SHELL_FILES.some((path) => scopeUrl(path) === url.href)) {
+    event.respondWith(handleShellFile(request));
+  }
+});
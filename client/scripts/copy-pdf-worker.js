@@ -0,0 +1,13 @@
+// Copies the PDF.js worker into public/ before `start` and `build`, so it is
+// served from the app's own origin (and kept with the service worker's app
+// shell). It is taken from the pdfjs-dist that react-pdf itself loads, as
+// PDF.js refuses a worker of another version.
+const fs = require('fs');
+const path = require('path');
+
+const reactPdfDir = path.dirname(require.resolve('react-pdf'));
+const source = require.resolve('pdfjs-dist/build/pdf.worker.min.js', { paths: [reactPdfDir] });
+const target = path.join(__dirname, '..', 'public', 'pdf.worker.min.js');
+
+fs.copyFileSync(source, target);
+console.log(`Copied the PDF.js worker from ${path.relative(process.cwd(), source)}`);
@@ -14,6 +14,7 @@ import Category from './pages/Category';
 import Search from './pages/Search';
 import AuthorList from './pages/AuthorList';
 import AuthorDetail from './pages/AuthorDetail';
+import OfflineLibrary from './pages/OfflineLibrary';
 import './App.css';
 
 function App() {
@@ -74,10 +75,10 @@ function App() {
       <div className="App">
         <Navbar user={user} />
         <Routes>
-          <Route path="/" element={<Home />} />
+          <Route path="/" element={<Home user={user} />} />
           <Route path="/book/:id" element={<BookDetail />} />
           <Route path="/blog/:id" element={<BlogDetail />} />
-          <Route path="/read/:id" element={<B2Reader />} />
+          <Route path="/read/:id" element={<B2Reader user={user} />} />
           <Route 
             path="/login" 
             element={user ? <Navigate to="/" /> : <Login />} 
@@ -87,6 +88,7 @@ function App() {
           <Route path="/search/:term" element={<Search />} />
           <Route path="/authors" element={<AuthorList />} />
           <Route path="/author/:name" element={<AuthorDetail />} />
+          <Route path="/offline" element={<OfflineLibrary />} />
         </Routes>
       </div>
     </Router>
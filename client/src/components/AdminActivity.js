@@ -0,0 +1,165 @@
+import React, { useEffect, useState } from 'react';
+import { Activity } from 'lucide-react';
+import { adminFetch } from '../utils/adminAuth';
+
+const PAGE_SIZE = 50;
+const ENTITY_TYPES = ['book', 'blog', 'section', 'user'];
+const ACTIONS = ['create', 'update', 'delete', 'trending', 'normalize', 'trash', 'restore', 'purge'];
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Admin audit trail: who created, edited or deleted what, newest first
+const AdminActivity = () => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const [filters, setFilters] = useState({ entityType: '', action: '', actor: '' });
+
+  const fetchPage = async (pageNumber, activeFilters) => {
+    const params = new URLSearchParams({ page: String(pageNumber), limit: String(PAGE_SIZE) });
+    for (const [key, value] of Object.entries(activeFilters)) {
+      if (value.trim()) params.set(key, value.trim());
+    }
+    return adminFetch(`/api/admin/audit?${params.toString()}`);
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const data = await fetchPage(1, filters);
+        if (cancelled) return;
+        setEntries(data.items || []);
+        setTotal(data.total || 0);
+        setPage(1);
+        setHasMore(Boolean(data.hasMore));
+      } catch (err) {
+        if (!cancelled) setError(err.message || 'Failed to load activity');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [filters]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(page + 1, filters);
+      setEntries((prev) => [...prev, ...(data.items || [])]);
+      setPage(page + 1);
+      setHasMore(Boolean(data.hasMore));
+    } catch (err) {
+      setError(err.message || 'Failed to load activity');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const setFilter = (name) => (e) => setFilters((prev) => ({ ...prev, [name]: e.target.value }));
+
+  return (
+    <>
+      <div className="admin-header">
+        <h1>
+          <Activity size={32} />
+          Activity
+        </h1>
+        <p>Every change made through the admin API, newest first.</p>
+      </div>
+
+      <div className="admin-user-form">
+        <select className="form-input" value={filters.entityType} onChange={setFilter('entityType')}>
+          <option value="">All items</option>
+          {ENTITY_TYPES.map((type) => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <select className="form-input" value={filters.action} onChange={setFilter('action')}>
+          <option value="">All actions</option>
+          {ACTIONS.map((action) => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <input
+          type="email"
+          className="form-input"
+          placeholder="Filter by email"
+          value={filters.actor}
+          onChange={setFilter('actor')}
+        />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div>Loading activity...</div>
+      ) : (
+        <div className="books-table activity-table">
+          <div className="books-table-header">
+            <div>When</div>
+            <div>Who</div>
+            <div>Action</div>
+            <div>Changes</div>
+          </div>
+          {entries.map((entry) => {
+            const fields = Object.entries(entry.changes || {});
+            return (
+              <div className="books-table-row" key={entry.id}>
+                <div className="cell">{new Date(entry.at).toLocaleString()}</div>
+                <div className="cell">
+                  {entry.actor?.email || (entry.actor?.via === 'password' ? 'Admin password' : 'System')}
+                  {entry.ip && <small className="activity-ip">{entry.ip}</small>}
+                </div>
+                <div className="cell">
+                  <strong>{entry.action}</strong> {entry.entityType}
+                  <small className="activity-ip">{entry.entityId}</small>
+                </div>
+                <div className="cell">
+                  {fields.length === 0 ? (
+                    '—'
+                  ) : (
+                    <details>
+                      <summary>{fields.map(([field]) => field).join(', ')}</summary>
+                      <ul className="activity-changes">
+                        {fields.map(([field, change]) => (
+                          <li key={field}>
+                            <strong>{field}:</strong> {formatValue(change.from)} → {formatValue(change.to)}
+                          </li>
+                        ))}
+                      </ul>
+                    </details>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          {entries.length === 0 && <div className="empty-row">No activity yet</div>}
+        </div>
+      )}
+
+      {!loading && hasMore && (
+        <div className="form-actions">
+          <button type="button" className="btn-secondary" onClick={loadMore} disabled={loadingMore}>
+            {loadingMore ? 'Loading...' : `Load more (${entries.length} of ${total})`}
+          </button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AdminActivity;
@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { Trash2 } from 'lucide-react';
+import { adminFetch, hasRole } from '../utils/adminAuth';
+
+// Deleted books and blogs. They stay restorable until purged by hand or by
+// the server once the retention period has passed.
+const AdminTrash = ({ profile, onRestored }) => {
+  const [trash, setTrash] = useState({ books: [], blogs: [], retentionDays: null });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const fetchTrash = async () => {
+    setLoading(true);
+    try {
+      const data = await adminFetch('/api/admin/trash');
+      setTrash({
+        books: Array.isArray(data?.books) ? data.books : [],
+        blogs: Array.isArray(data?.blogs) ? data.blogs : [],
+        retentionDays: data?.retentionDays ?? null
+      });
+    } catch (err) {
+      setError(err.message || 'Failed to load trash');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const handleRestore = async (type, item) => {
+    setError('');
+    setSuccess('');
+    try {
+      await adminFetch(`/api/admin/trash/${type}/${encodeURIComponent(item.id)}/restore`, { method: 'POST' });
+      setSuccess(`"${item.title}" restored`);
+      fetchTrash();
+      if (onRestored) onRestored(type);
+    } catch (err) {
+      setError(err.message || 'Restore failed');
+    }
+  };
+
+  const handlePurge = async (type, item) => {
+    if (!window.confirm(`Permanently delete "${item.title}" and its files? This cannot be undone.`)) return;
+    setError('');
+    setSuccess('');
+    try {
+      await adminFetch(`/api/admin/trash/${type}/${encodeURIComponent(item.id)}`, { method: 'DELETE' });
+      setSuccess(`"${item.title}" permanently deleted`);
+      fetchTrash();
+    } catch (err) {
+      setError(err.message || 'Delete failed');
+    }
+  };
+
+  const renderSection = (type, label, items, restoreRole) => (
+    <>
+      <div className="admin-header" style={{ marginTop: '2rem' }}>
+        <h2>{label}</h2>
+      </div>
+      <div className="books-table trash-table">
+        <div className="books-table-header">
+          <div>Title</div>
+          <div>Deleted</div>
+          <div>Purged on</div>
+          <div>Actions</div>
+        </div>
+        {items.map((item) => (
+          <div className="books-table-row" key={item.id}>
+            <div className="cell title">
+              {item.title || 'Untitled'}
+              {item.author && <small className="activity-ip">{item.author}</small>}
+              {item.partsCount > 0 && <small className="activity-ip">{item.partsCount} parts</small>}
+            </div>
+            <div className="cell">
+              {new Date(item.deletedAt).toLocaleString()}
+              {item.deletedBy && <small className="activity-ip">by {item.deletedBy}</small>}
+            </div>
+            <div className="cell">{item.purgeAt ? new Date(item.purgeAt).toLocaleDateString() : '—'}</div>
+            <div className="cell actions">
+              {hasRole(profile, restoreRole) && (
+                <button type="button" className="btn-secondary" onClick={() => handleRestore(type, item)}>
+                  Restore
+                </button>
+              )}
+              {hasRole(profile, 'admin') && (
+                <button type="button" className="btn-danger" onClick={() => handlePurge(type, item)}>
+                  Delete forever
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+        {items.length === 0 && <div className="empty-row">Nothing here</div>}
+      </div>
+    </>
+  );
+
+  return (
+    <>
+      <div className="admin-header">
+        <h1>
+          <Trash2 size={32} />
+          Trash
+        </h1>
+        <p>
+          Deleted items can be restored
+          {trash.retentionDays !== null ? ` for ${trash.retentionDays} days` : ''}; after that they and their files are removed for good.
+        </p>
+      </div>
+
+      {success && <div className="success-message">{success}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      {loading ? (
+        <div>Loading trash...</div>
+      ) : (
+        <>
+          {renderSection('books', 'Books', trash.books, 'admin')}
+          {renderSection('blogs', 'Blogs', trash.blogs, 'editor')}
+        </>
+      )}
+    </>
+  );
+};
+
+export default AdminTrash;
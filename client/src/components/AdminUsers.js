@@ -0,0 +1,154 @@
+import React, { useEffect, useState } from 'react';
+import { Users } from 'lucide-react';
+import { adminFetch, ROLES } from '../utils/adminAuth';
+
+// Admin accounts and their roles. Access is granted by email and takes effect
+// the next time that account signs in; disabling or removing it revokes access
+// on the account's next request.
+const AdminUsers = ({ currentEmail }) => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [newEmail, setNewEmail] = useState('');
+  const [newRole, setNewRole] = useState('editor');
+
+  const fetchUsers = async () => {
+    setLoading(true);
+    try {
+      const data = await adminFetch('/api/admin/users');
+      setUsers(Array.isArray(data) ? data : []);
+    } catch (err) {
+      setError(err.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const saveUser = async (email, changes, message) => {
+    setError('');
+    setSuccess('');
+    try {
+      await adminFetch(`/api/admin/users/${encodeURIComponent(email)}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      setSuccess(message);
+      fetchUsers();
+      return true;
+    } catch (err) {
+      setError(err.message || 'Failed to save user');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const email = newEmail.trim().toLowerCase();
+    if (!email) return;
+    if (await saveUser(email, { role: newRole }, `${email} added as ${newRole}`)) {
+      setNewEmail('');
+    }
+  };
+
+  const handleRemove = async (email) => {
+    if (!window.confirm(`Remove admin access for ${email}?`)) return;
+    setError('');
+    setSuccess('');
+    try {
+      await adminFetch(`/api/admin/users/${encodeURIComponent(email)}`, { method: 'DELETE' });
+      setSuccess(`${email} removed`);
+      fetchUsers();
+    } catch (err) {
+      setError(err.message || 'Failed to remove user');
+    }
+  };
+
+  return (
+    <>
+      <div className="admin-header">
+        <h1>
+          <Users size={32} />
+          Users
+        </h1>
+        <p>Uploaders can add books, editors can also edit books, blogs and sections, admins can do everything.</p>
+      </div>
+
+      {success && <div className="success-message">{success}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      <form onSubmit={handleAdd} className="admin-user-form">
+        <input
+          type="email"
+          className="form-input"
+          placeholder="Email address"
+          value={newEmail}
+          onChange={(e) => setNewEmail(e.target.value)}
+          required
+        />
+        <select className="form-input" value={newRole} onChange={(e) => setNewRole(e.target.value)}>
+          {ROLES.map((role) => (
+            <option key={role} value={role}>{role}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn-primary">Grant access</button>
+      </form>
+
+      {loading ? (
+        <div>Loading users...</div>
+      ) : (
+        <div className="books-table users-table">
+          <div className="books-table-header">
+            <div>Email</div>
+            <div>Role</div>
+            <div>Status</div>
+            <div>Actions</div>
+          </div>
+          {users.map((u) => (
+            <div className="books-table-row" key={u.id}>
+              <div className="cell title">{u.email}{u.email === currentEmail ? ' (you)' : ''}</div>
+              <div className="cell">
+                <select
+                  className="form-input"
+                  value={u.role}
+                  onChange={(e) => saveUser(u.email, { role: e.target.value }, `${u.email} is now ${e.target.value}`)}
+                >
+                  {ROLES.map((role) => (
+                    <option key={role} value={role}>{role}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="cell">
+                {u.disabled ? 'Revoked' : u.uid ? 'Active' : 'Not signed in yet'}
+              </div>
+              <div className="cell actions">
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => saveUser(
+                    u.email,
+                    { disabled: !u.disabled },
+                    `${u.email} ${u.disabled ? 'restored' : 'revoked'}`
+                  )}
+                >
+                  {u.disabled ? 'Restore' : 'Revoke'}
+                </button>
+                <button type="button" className="btn-danger" onClick={() => handleRemove(u.email)}>
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+          {users.length === 0 && <div className="empty-row">No users yet</div>}
+        </div>
+      )}
+    </>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,75 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Download, X } from 'lucide-react';
+import './AnnotationsPanel.css';
+
+const TYPE_LABELS = { bookmark: 'Bookmark', highlight: 'Highlight', note: 'Note' };
+
+// Side panel of the reader listing a book's bookmarks, highlights and notes
+// in page order. `pageLabel(annotation)` names the page an annotation is on.
+const AnnotationsPanel = ({
+  annotations,
+  signedIn,
+  loading,
+  pageLabel,
+  onGo,
+  onEditNote,
+  onDelete,
+  onAddNote,
+  onExport,
+  onClose
+}) => (
+  <aside className="annotations-panel" aria-label="Bookmarks and notes">
+    <div className="annotations-header">
+      <h3>Bookmarks &amp; notes</h3>
+      <button className="annotations-icon-btn" onClick={onClose} title="Close" aria-label="Close">
+        <X size={18} />
+      </button>
+    </div>
+
+    {!signedIn ? (
+      <p className="annotations-empty">
+        <Link to="/login">Sign in</Link> to bookmark pages, highlight text and keep notes on every device.
+      </p>
+    ) : (
+      <>
+        <div className="annotations-actions">
+          <button className="jump-btn" onClick={onAddNote}>
+            Add note to this page
+          </button>
+          <button className="jump-btn" onClick={onExport} disabled={annotations.length === 0} title="Download as Markdown">
+            <Download size={14} /> Export
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="annotations-empty">Loading…</p>
+        ) : annotations.length === 0 ? (
+          <p className="annotations-empty">
+            Bookmark a page from the top bar, or select text on a page to highlight it.
+          </p>
+        ) : (
+          <ul className="annotations-list">
+            {annotations.map((annotation) => (
+              <li key={annotation.id} className={`annotation-item annotation-${annotation.color || annotation.type}`}>
+                <button className="annotation-page" onClick={() => onGo(annotation)}>
+                  {pageLabel(annotation)} · {TYPE_LABELS[annotation.type]}
+                </button>
+                {annotation.text && <blockquote>{annotation.text}</blockquote>}
+                {annotation.note && <p className="annotation-note">{annotation.note}</p>}
+                <div className="annotation-item-actions">
+                  {annotation.type !== 'bookmark' && (
+                    <button onClick={() => onEditNote(annotation)}>{annotation.note ? 'Edit note' : 'Add note'}</button>
+                  )}
+                  <button onClick={() => onDelete(annotation)}>Delete</button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </>
+    )}
+  </aside>
+);
+
+export default AnnotationsPanel;
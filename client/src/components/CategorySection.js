@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { getCoverImageUrl } from '../utils/coverImage';
+import CoverImage from './CoverImage';
 import BookSkeleton from './BookSkeleton';
 import './CategorySection.css';
 
@@ -68,16 +68,7 @@ const CategorySection = ({ title, books, categoryRoute, loading, isNewSection =
                   <div className="deco-corner deco-bottom deco-left"></div>
                   <div className="deco-corner deco-bottom deco-right"></div>
                   <div className="trending-cover">
-                    {getCoverImageUrl(book) ? (
-                      <img
-                        src={getCoverImageUrl(book)}
-                        alt={book.title}
-                        onError={(e) => {
-                          e.target.onerror = null;
-                          e.target.style.display = 'none';
-                        }}
-                      />
-                    ) : null}
+                    <CoverImage book={book} alt={book.title} sizes="(max-width: 768px) 33vw, 200px" />
                   </div>
                   <p className="trending-book-title">{book.title || 'Untitled'}</p>
                   <p 
@@ -0,0 +1,81 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { motion } from 'framer-motion';
+import { getCoverImageUrl, getDefaultCoverImage } from '../utils/coverImage';
+import { listReadingProgress } from '../utils/readingProgress';
+import './ContinueReading.css';
+
+const SHELF_SIZE = 10;
+
+// Books the reader started and has not finished, most recently read first.
+// Reloads when `user` signs in or out, since positions then come from the server.
+const ContinueReading = ({ user }) => {
+  const navigate = useNavigate();
+  const [items, setItems] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    listReadingProgress(SHELF_SIZE * 2).then((positions) => {
+      if (cancelled) return;
+      setItems(positions.filter((p) => p.percent === null || p.percent === undefined || p.percent < 100).slice(0, SHELF_SIZE));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  if (items.length === 0) return null;
+
+  return (
+    <section className="section continue-reading">
+      <div className="container">
+        <div className="trending-header">
+          <div className="trending-title">
+            <span>ဆက်ဖတ်ရန်</span>
+          </div>
+        </div>
+        <div className="news-books-scroll">
+          <div className="news-books-container">
+            {items.map((item, index) => (
+              <motion.div
+                key={item.bookId}
+                className="news-book-card deco-card"
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: index * 0.05 }}
+                onClick={() => navigate(`/read/${item.bookId}`)}
+                style={{ cursor: 'pointer' }}
+              >
+                <div className="deco-corner deco-top deco-left"></div>
+                <div className="deco-corner deco-top deco-right"></div>
+                <div className="deco-corner deco-bottom deco-left"></div>
+                <div className="deco-corner deco-bottom deco-right"></div>
+                <div className="trending-cover">
+                  <img
+                    src={getCoverImageUrl(item.book)}
+                    alt={item.book.title}
+                    onError={(e) => {
+                      e.target.onerror = null;
+                      e.target.src = getDefaultCoverImage(item.book);
+                    }}
+                    loading="lazy"
+                  />
+                </div>
+                <div className="reading-progress-bar" aria-hidden="true">
+                  <div style={{ width: `${item.percent || 0}%` }}></div>
+                </div>
+                <p className="trending-book-title">{item.book.title || 'Untitled'}</p>
+                <p className="reading-progress-label">
+                  Page {item.globalPage || item.page}
+                  {item.totalPages ? ` of ${item.totalPages}` : ''}
+                </p>
+              </motion.div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default ContinueReading;
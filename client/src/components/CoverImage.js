@@ -0,0 +1,27 @@
+import React, { useState } from 'react';
+import { getCoverImageUrl } from '../utils/coverImage';
+import './CoverImage.css';
+
+// A book cover the browser can pick a size and format for: AVIF and WebP
+// srcsets from the book's `coverSrcSet` (see GET /api/books), with the whole
+// cover as the fallback. `sizes` is the width the cover is shown at. If the
+// image fails, `fallbackSrc` is shown instead, or nothing when it is not given.
+const CoverImage = ({ book, sizes, fallbackSrc, alt, ...imgProps }) => {
+  const src = getCoverImageUrl(book);
+  const [failedSrc, setFailedSrc] = useState(null);
+
+  if (!src || failedSrc === src) {
+    return fallbackSrc ? <img src={fallbackSrc} alt={alt} {...imgProps} /> : null;
+  }
+
+  const srcSet = book.coverSrcSet || {};
+  return (
+    <picture className="cover-picture">
+      {srcSet.avif && <source type="image/avif" srcSet={srcSet.avif} sizes={sizes} />}
+      {srcSet.webp && <source type="image/webp" srcSet={srcSet.webp} sizes={sizes} />}
+      <img src={src} alt={alt} onError={() => setFailedSrc(src)} {...imgProps} />
+    </picture>
+  );
+};
+
+export default CoverImage;
@@ -0,0 +1,230 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import ePub from 'epubjs';
+import { ArrowLeft, ChevronLeft, ChevronRight, ChevronsLeft, ChevronsRight, ListTree, SunMoon } from 'lucide-react';
+import ReaderDisplaySettings from './ReaderDisplaySettings';
+import ReaderOutline from './ReaderOutline';
+import {
+  applyEpubPreferences,
+  loadEpubLocation,
+  saveEpubLocation,
+  themeBackground,
+  tocToOutline
+} from '../utils/epubReader';
+import './EpubReader.css';
+
+// Reader for EPUB books: the text reflows to the screen with epub.js, in
+// pages turned with the arrows (or the arrow keys), and the chapters are
+// reached from the contents panel or the previous / next chapter buttons.
+// Theme, brightness, text size and line spacing are the reader preferences
+// B2Reader keeps; full screen is B2Reader's too, on `rootRef`.
+const EpubReader = ({
+  bookId,
+  url,
+  title,
+  preferences,
+  onChangePreferences,
+  fullscreen,
+  onToggleFullscreen,
+  rootRef
+}) => {
+  const navigate = useNavigate();
+  const viewerRef = useRef(null);
+  const bookRef = useRef(null);
+  const renditionRef = useRef(null);
+  const preferencesRef = useRef(preferences);
+  preferencesRef.current = preferences;
+
+  const [location, setLocation] = useState(null);
+  const [outline, setOutline] = useState(null);
+  const [outlineOpen, setOutlineOpen] = useState(false);
+  const [displayOpen, setDisplayOpen] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    setLocation(null);
+    setOutline(null);
+
+    // The URL has no .epub extension, so say what it is
+    const book = ePub(url, { openAs: 'epub' });
+    const rendition = book.renderTo(viewerRef.current, {
+      width: '100%',
+      height: '100%',
+      flow: 'paginated',
+      spread: 'auto'
+    });
+    bookRef.current = book;
+    renditionRef.current = rendition;
+    applyEpubPreferences(rendition, preferencesRef.current);
+
+    book.on('openFailed', () => {
+      if (!cancelled) setError('This book could not be opened.');
+    });
+    rendition.on('relocated', (relocated) => {
+      if (cancelled) return;
+      setLocation(relocated);
+      saveEpubLocation(bookId, relocated.start.cfi);
+    });
+    // Key presses inside the book's pages do not reach the window
+    rendition.on('keyup', (e) => {
+      if (e.key === 'ArrowLeft') rendition.prev();
+      if (e.key === 'ArrowRight') rendition.next();
+    });
+
+    book.loaded.navigation
+      .then((navigation) => {
+        if (!cancelled) setOutline(tocToOutline(navigation.toc, book.spine));
+      })
+      .catch((err) => {
+        console.warn('Could not read the EPUB contents:', err);
+        if (!cancelled) setOutline([]);
+      });
+
+    // A location saved for an older copy of the book may no longer exist
+    const saved = loadEpubLocation(bookId);
+    rendition
+      .display(saved || undefined)
+      .catch((err) => {
+        if (!saved) throw err;
+        return rendition.display();
+      })
+      .catch((err) => {
+        console.error('Error displaying EPUB:', err);
+        if (!cancelled) setError('This book could not be opened.');
+      });
+
+    return () => {
+      cancelled = true;
+      bookRef.current = null;
+      renditionRef.current = null;
+      book.destroy();
+    };
+  }, [bookId, url]);
+
+  useEffect(() => {
+    if (renditionRef.current) applyEpubPreferences(renditionRef.current, preferences);
+  }, [preferences]);
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.target.closest && e.target.closest('input, select, textarea')) return;
+      if (e.key === 'ArrowLeft') renditionRef.current?.prev();
+      if (e.key === 'ArrowRight') renditionRef.current?.next();
+    };
+    window.addEventListener('keyup', handleKey);
+    return () => window.removeEventListener('keyup', handleKey);
+  }, []);
+
+  // The chapter being read, as a spine section
+  const section = location && bookRef.current ? bookRef.current.spine.get(location.start.href) : null;
+  const previousChapter = section ? section.prev() : null;
+  const nextChapter = section ? section.next() : null;
+
+  function goTo(target) {
+    renditionRef.current?.display(target).catch((err) => console.warn('Could not open that chapter:', err));
+  }
+
+  return (
+    <div
+      className={`b2reader-root epub-reader theme-${preferences.theme}`}
+      ref={rootRef}
+      style={{ '--page-brightness': preferences.brightness / 100, '--epub-page': themeBackground(preferences.theme) }}
+    >
+      <div className="b2reader-topbar">
+        <button className="back-btn" onClick={() => navigate(-1)}>
+          <ArrowLeft size={18} />
+          <span>Back</span>
+        </button>
+        <div className="topbar-title" title={title}>
+          {title}
+          <span className="offline-badge">EPUB</span>
+        </div>
+        <div className="topbar-actions">
+          <button
+            className="jump-btn icon-btn"
+            onClick={() => goTo(previousChapter.href)}
+            disabled={!previousChapter}
+            title="Previous chapter"
+          >
+            <ChevronsLeft size={16} />
+          </button>
+          <button
+            className="jump-btn icon-btn"
+            onClick={() => goTo(nextChapter.href)}
+            disabled={!nextChapter}
+            title="Next chapter"
+          >
+            <ChevronsRight size={16} />
+          </button>
+          <button
+            className={`jump-btn icon-btn ${displayOpen ? 'active' : ''}`}
+            onClick={() => setDisplayOpen((open) => !open)}
+            title="Display"
+            aria-expanded={displayOpen}
+          >
+            <SunMoon size={16} />
+          </button>
+          <button
+            className={`jump-btn icon-btn ${outlineOpen ? 'active' : ''}`}
+            onClick={() => setOutlineOpen((open) => !open)}
+            title="Contents"
+            aria-expanded={outlineOpen}
+          >
+            <ListTree size={16} />
+          </button>
+        </div>
+        {displayOpen && (
+          <ReaderDisplaySettings
+            preferences={preferences}
+            onChange={onChangePreferences}
+            fullscreen={fullscreen}
+            onToggleFullscreen={onToggleFullscreen}
+            onClose={() => setDisplayOpen(false)}
+            reflowable
+          />
+        )}
+      </div>
+
+      <div className="epub-stage">
+        <button
+          className="epub-turn"
+          onClick={() => renditionRef.current?.prev()}
+          disabled={!location || location.atStart}
+          title="Previous page"
+          aria-label="Previous page"
+        >
+          <ChevronLeft size={28} />
+        </button>
+        <div className="epub-viewer" ref={viewerRef} />
+        <button
+          className="epub-turn"
+          onClick={() => renditionRef.current?.next()}
+          disabled={!location || location.atEnd}
+          title="Next page"
+          aria-label="Next page"
+        >
+          <ChevronRight size={28} />
+        </button>
+        {error && <div className="epub-error">{error}</div>}
+      </div>
+
+      {outlineOpen && (
+        <ReaderOutline
+          outline={outline}
+          loading={outline === null}
+          currentPage={section ? section.index + 1 : 0}
+          pageLabel={() => ''}
+          onGo={(entry) => {
+            goTo(entry.href);
+            setOutlineOpen(false);
+          }}
+          onClose={() => setOutlineOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default EpubReader;
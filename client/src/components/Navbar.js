@@ -39,6 +39,9 @@ const Navbar = ({ user }) => {
           <Link to="/authors" className="navbar-link" onClick={() => setMobileMenuOpen(false)}>
             Authors
           </Link>
+          <Link to="/offline" className="navbar-link" onClick={() => setMobileMenuOpen(false)}>
+            Offline
+          </Link>
           <Link to="/admin" className="navbar-link" onClick={() => setMobileMenuOpen(false)}>
             Admin
           </Link>
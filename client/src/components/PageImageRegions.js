@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from 'react';
+import { pdfjs, usePageContext } from 'react-pdf';
+
+// Boxes over the pictures of a page, for the night theme: the page canvas is
+// inverted and these boxes invert what is behind them back (backdrop-filter
+// in B2Reader.css), so photos and artwork keep their colors. Must be rendered
+// inside react-pdf's <Page>.
+
+// Pictures smaller than this fraction of the page (bullets, rules) stay inverted
+const MIN_AREA = 0.005;
+
+const { OPS, Util } = pdfjs;
+const IMAGE_OPS = new Set([OPS.paintImageXObject, OPS.paintInlineImageXObject]);
+
+// PDFPageProxy -> Promise of its picture boxes, found once per page
+const regionCache = new WeakMap();
+
+// Picture boxes as fractions of the page ({ x, y, width, height }), found by
+// following the transform matrix through the page's drawing operators; an
+// image is drawn into the unit square of the matrix current at the time
+const findImageRegions = async (page) => {
+  const { fnArray, argsArray } = await page.getOperatorList();
+  const viewport = page.getViewport({ scale: 1 });
+  const stack = [];
+  let matrix = [1, 0, 0, 1, 0, 0];
+  const regions = [];
+
+  fnArray.forEach((fn, i) => {
+    const args = argsArray[i];
+    if (fn === OPS.save) {
+      stack.push(matrix);
+    } else if (fn === OPS.restore) {
+      matrix = stack.pop() || matrix;
+    } else if (fn === OPS.transform) {
+      matrix = Util.transform(matrix, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(matrix);
+      if (Array.isArray(args[0]) && args[0].length === 6) matrix = Util.transform(matrix, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      matrix = stack.pop() || matrix;
+    } else if (IMAGE_OPS.has(fn)) {
+      const corners = [
+        [0, 0],
+        [1, 0],
+        [0, 1],
+        [1, 1]
+      ].map((corner) => viewport.convertToViewportPoint(...Util.applyTransform(corner, matrix)));
+      const xs = corners.map(([x]) => x);
+      const ys = corners.map(([, y]) => y);
+      const left = Math.max(Math.min(...xs), 0);
+      const top = Math.max(Math.min(...ys), 0);
+      const right = Math.min(Math.max(...xs), viewport.width);
+      const bottom = Math.min(Math.max(...ys), viewport.height);
+      const region = {
+        x: left / viewport.width,
+        y: top / viewport.height,
+        width: (right - left) / viewport.width,
+        height: (bottom - top) / viewport.height
+      };
+      if (region.width > 0 && region.height > 0 && region.width * region.height >= MIN_AREA) regions.push(region);
+    }
+  });
+  return regions;
+};
+
+const PageImageRegions = () => {
+  const { page } = usePageContext();
+  const [regions, setRegions] = useState([]);
+
+  useEffect(() => {
+    if (!page) return undefined;
+    let cancelled = false;
+    if (!regionCache.has(page)) regionCache.set(page, findImageRegions(page).catch(() => []));
+    regionCache.get(page).then((found) => {
+      if (!cancelled) setRegions(found);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [page]);
+
+  return (
+    <div className="image-regions">
+      {regions.map((region, index) => (
+        <div
+          key={index}
+          className="image-region"
+          style={{
+            left: `${region.x * 100}%`,
+            top: `${region.y * 100}%`,
+            width: `${region.width * 100}%`,
+            height: `${region.height * 100}%`
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default PageImageRegions;
@@ -0,0 +1,106 @@
+import React from 'react';
+import { Maximize, Minimize, X } from 'lucide-react';
+import {
+  MAX_BRIGHTNESS,
+  MAX_FONT_SIZE,
+  MAX_LINE_HEIGHT,
+  MIN_BRIGHTNESS,
+  MIN_FONT_SIZE,
+  MIN_LINE_HEIGHT,
+  READER_THEMES
+} from '../utils/readerPreferences';
+import './ReaderDisplaySettings.css';
+
+// Drop-down of the reader's display preferences (see utils/readerPreferences).
+// onChange(changes) receives the preferences that changed. `reflowable` books
+// (EPUBs) get text size and line spacing instead of the picture colors option.
+const ReaderDisplaySettings = ({ preferences, onChange, fullscreen, onToggleFullscreen, onClose, reflowable = false }) => (
+  <div className="display-settings" role="dialog" aria-label="Display settings">
+    <div className="display-settings-header">
+      <h3>Display</h3>
+      <button className="display-settings-close" onClick={onClose} title="Close" aria-label="Close">
+        <X size={18} />
+      </button>
+    </div>
+
+    <div className="display-themes" role="radiogroup" aria-label="Theme">
+      {READER_THEMES.map((theme) => (
+        <button
+          key={theme.id}
+          className={`display-theme display-theme-${theme.id} ${preferences.theme === theme.id ? 'active' : ''}`}
+          onClick={() => onChange({ theme: theme.id })}
+          role="radio"
+          aria-checked={preferences.theme === theme.id}
+        >
+          <span className="display-theme-swatch">Aa</span>
+          {theme.label}
+        </button>
+      ))}
+    </div>
+
+    {reflowable ? (
+      <>
+        <label className="display-text">
+          <span>Text size {preferences.fontSize}%</span>
+          <input
+            type="range"
+            min={MIN_FONT_SIZE}
+            max={MAX_FONT_SIZE}
+            step={10}
+            value={preferences.fontSize}
+            onChange={(e) => onChange({ fontSize: Number(e.target.value) })}
+          />
+        </label>
+        <label className="display-text">
+          <span>Line spacing {preferences.lineHeight.toFixed(1)}</span>
+          <input
+            type="range"
+            min={MIN_LINE_HEIGHT}
+            max={MAX_LINE_HEIGHT}
+            step={0.1}
+            value={preferences.lineHeight}
+            onChange={(e) => onChange({ lineHeight: Number(e.target.value) })}
+          />
+        </label>
+      </>
+    ) : (
+      <label className="display-option">
+        <input
+          type="checkbox"
+          checked={preferences.keepImageColors}
+          disabled={preferences.theme !== 'night'}
+          onChange={(e) => onChange({ keepImageColors: e.target.checked })}
+        />
+        Keep pictures in color at night
+      </label>
+    )}
+
+    <label className="display-brightness">
+      <span>Brightness {preferences.brightness}%</span>
+      <input
+        type="range"
+        min={MIN_BRIGHTNESS}
+        max={MAX_BRIGHTNESS}
+        step={5}
+        value={preferences.brightness}
+        onChange={(e) => onChange({ brightness: Number(e.target.value) })}
+      />
+    </label>
+
+    <button className="jump-btn display-fullscreen" onClick={onToggleFullscreen}>
+      {fullscreen ? <Minimize size={16} /> : <Maximize size={16} />}
+      {fullscreen ? 'Exit full screen' : 'Full screen'}
+    </button>
+
+    <label className="display-option">
+      <input
+        type="checkbox"
+        checked={preferences.autoHideToolbar}
+        onChange={(e) => onChange({ autoHideToolbar: e.target.checked })}
+      />
+      Hide the top bar in full screen until needed
+    </label>
+  </div>
+);
+
+export default ReaderDisplaySettings;
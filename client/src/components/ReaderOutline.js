@@ -0,0 +1,50 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { currentOutlineEntry } from '../utils/bookOutline';
+import './ReaderOutline.css';
+
+// Side panel of the reader with the book's table of contents (see
+// utils/bookOutline). `currentPage` is numbered like the outline's pages, to
+// mark the chapter being read; `pageLabel(entry)` names an entry's page.
+const ReaderOutline = ({ outline, loading, currentPage, pageLabel, onGo, onClose }) => {
+  const current = currentOutlineEntry(outline, currentPage);
+
+  const renderEntries = (entries) => (
+    <ul className="outline-list">
+      {entries.map((entry, index) => (
+        <li key={index}>
+          <button
+            className={`outline-entry ${entry === current ? 'current' : ''}`}
+            onClick={() => onGo(entry)}
+            disabled={entry.page === null}
+            aria-current={entry === current ? 'location' : undefined}
+          >
+            <span className="outline-title">{entry.title || 'Untitled'}</span>
+            {entry.page !== null && <span className="outline-page">{pageLabel(entry)}</span>}
+          </button>
+          {entry.children && entry.children.length > 0 && renderEntries(entry.children)}
+        </li>
+      ))}
+    </ul>
+  );
+
+  return (
+    <aside className="reader-outline" aria-label="Table of contents">
+      <div className="reader-outline-header">
+        <h3>Contents</h3>
+        <button className="reader-outline-close" onClick={onClose} title="Close" aria-label="Close">
+          <X size={18} />
+        </button>
+      </div>
+      {loading ? (
+        <p className="reader-outline-empty">Loading…</p>
+      ) : !outline || outline.length === 0 ? (
+        <p className="reader-outline-empty">This book has no table of contents.</p>
+      ) : (
+        renderEntries(outline)
+      )}
+    </aside>
+  );
+};
+
+export default ReaderOutline;
@@ -0,0 +1,148 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { spreadPages } from '../utils/readerLayout';
+
+const SPREAD_GAP = 16;
+const SCROLL_GAP = 16;
+// Pages rendered above and below the ones on screen while scrolling
+const SCROLL_OVERSCAN = 2;
+// Assumed shape of pages until the first one has loaded (A4 portrait)
+const DEFAULT_ASPECT = 1 / Math.SQRT2;
+
+// The pages of the open part laid out for `layout` (see utils/readerLayout);
+// `spread` is whether facing pages fit on this screen. `renderPage(pageNumber,
+// { width } | { height })` renders one page at a size.
+//
+// Pages are sized by `fitMode` within `contentWidth` x `heightBudget`, the
+// space a page may take on screen: 'page' shows the whole page, 'width' fills
+// the width and 'actual' draws it at its own size (`pageSize`, in PDF points).
+// `zoom` scales the fitted size. In scroll mode `scrollContainerRef` is the
+// element that scrolls, and onVisiblePageChange(page) reports the page being
+// read as it scrolls.
+const ReaderPages = ({
+  layout,
+  spread,
+  numPages,
+  currentPage,
+  pageSize,
+  fitMode,
+  zoom,
+  contentWidth,
+  heightBudget,
+  renderPage,
+  scrollContainerRef,
+  onVisiblePageChange
+}) => {
+  const aspect = pageSize ? pageSize.width / pageSize.height : DEFAULT_ASPECT;
+  const fittedWidth = (available) => {
+    if (fitMode === 'width' || !pageSize) return available;
+    if (fitMode === 'actual') return pageSize.width;
+    return Math.min(available, heightBudget * aspect);
+  };
+
+  if (layout === 'scroll') {
+    return (
+      <ScrollPages
+        numPages={numPages}
+        currentPage={currentPage}
+        width={fittedWidth(contentWidth) * zoom}
+        aspect={aspect}
+        renderPage={renderPage}
+        scrollContainerRef={scrollContainerRef}
+        onVisiblePageChange={onVisiblePageChange}
+      />
+    );
+  }
+
+  if (spread) {
+    const width = fittedWidth((contentWidth - SPREAD_GAP) / 2) * zoom;
+    return (
+      <div className={`reader-spread ${layout === 'rtl' ? 'rtl' : ''}`} style={{ gap: SPREAD_GAP }}>
+        {spreadPages(currentPage, numPages || currentPage).map((page) => renderPage(page, { width }))}
+      </div>
+    );
+  }
+
+  return renderPage(currentPage, { width: fittedWidth(contentWidth) * zoom });
+};
+
+// Continuous vertical strip. Every page gets a slot of the same height so the
+// strip has its full length up front, but only the pages on screen (and a few
+// around them) are rendered.
+const ScrollPages = ({ numPages, currentPage, width, aspect, renderPage, scrollContainerRef, onVisiblePageChange }) => {
+  const listRef = useRef(null);
+  const [visible, setVisible] = useState({ first: 1, last: 1 });
+  // Last page reported while scrolling, so it is not scrolled to again, and
+  // the slot height it was placed with
+  const reportedPageRef = useRef(null);
+  const placedSlotRef = useRef(null);
+  const pageHeight = Math.round(width / aspect);
+  const slot = pageHeight + SCROLL_GAP;
+  const count = numPages || 0;
+
+  // Scroll offset of the strip's top inside the scroll container
+  const listOffset = () => {
+    const scroller = scrollContainerRef.current;
+    const list = listRef.current;
+    if (!scroller || !list) return 0;
+    return list.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+  };
+
+  // Pages chosen elsewhere (jump, search, bookmarks) are scrolled into view,
+  // and so is the page being read when the slots change size
+  useEffect(() => {
+    const scroller = scrollContainerRef.current;
+    if (!scroller || count === 0) return;
+    if (currentPage === reportedPageRef.current && slot === placedSlotRef.current) return;
+    reportedPageRef.current = currentPage;
+    placedSlotRef.current = slot;
+    scroller.scrollTo({ top: listOffset() + (currentPage - 1) * slot, behavior: 'instant' });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [currentPage, count, slot]);
+
+  useEffect(() => {
+    const scroller = scrollContainerRef.current;
+    if (!scroller || count === 0) return undefined;
+    let frame = null;
+    const update = (report = true) => {
+      frame = null;
+      const top = scroller.scrollTop - listOffset();
+      const first = Math.max(Math.floor(top / slot) + 1 - SCROLL_OVERSCAN, 1);
+      const last = Math.min(Math.ceil((top + scroller.clientHeight) / slot) + SCROLL_OVERSCAN, count);
+      setVisible((prev) => (prev.first === first && prev.last === last ? prev : { first, last }));
+      // The page reaching the upper third of the screen is the one being read
+      const page = Math.min(Math.max(Math.floor((top + scroller.clientHeight / 3) / slot) + 1, 1), count);
+      if (report && page !== reportedPageRef.current) {
+        reportedPageRef.current = page;
+        onVisiblePageChange(page);
+      }
+    };
+    const onScroll = () => {
+      if (frame === null) frame = requestAnimationFrame(update);
+    };
+    update(false);
+    scroller.addEventListener('scroll', onScroll, { passive: true });
+    return () => {
+      scroller.removeEventListener('scroll', onScroll);
+      if (frame !== null) cancelAnimationFrame(frame);
+    };
+    // listOffset and onVisiblePageChange only read refs and props that change with these
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [scrollContainerRef, slot, count]);
+
+  const pages = [];
+  for (let page = visible.first; page <= Math.min(visible.last, count); page += 1) {
+    pages.push(
+      <div key={page} className="reader-scroll-slot" style={{ top: (page - 1) * slot, height: pageHeight }}>
+        {renderPage(page, { height: pageHeight })}
+      </div>
+    );
+  }
+
+  return (
+    <div className="reader-scroll-list" ref={listRef} style={{ height: count * slot, minWidth: width }}>
+      {pages}
+    </div>
+  );
+};
+
+export default ReaderPages;
@@ -0,0 +1,77 @@
+import React from 'react';
+import { ChevronDown, ChevronUp, X } from 'lucide-react';
+import './ReaderSearch.css';
+
+// Search bar of the reader: the query, the hit count with previous/next, and
+// the list of hits with their context. `hitLabel(hit)` names a hit's page.
+const ReaderSearch = ({
+  query,
+  onQueryChange,
+  onSearch,
+  hits,
+  activeIndex,
+  onSelect,
+  onPrev,
+  onNext,
+  onClose,
+  searching,
+  progressLabel,
+  searched,
+  hitLabel
+}) => (
+  <div className="reader-search" role="search">
+    <form
+      className="reader-search-bar"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSearch();
+      }}
+    >
+      <input
+        type="search"
+        className="reader-search-input"
+        placeholder="Search in this book…"
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') onClose();
+        }}
+        autoFocus
+        aria-label="Search in this book"
+      />
+      <span className="reader-search-count" aria-live="polite">
+        {hits.length > 0 ? `${activeIndex + 1} / ${hits.length}${searching ? '+' : ''}` : searched && !searching ? 'No matches' : ''}
+      </span>
+      <button type="button" className="jump-btn icon-btn" onClick={onPrev} disabled={hits.length === 0} title="Previous match">
+        <ChevronUp size={16} />
+      </button>
+      <button type="button" className="jump-btn icon-btn" onClick={onNext} disabled={hits.length === 0} title="Next match">
+        <ChevronDown size={16} />
+      </button>
+      <button type="button" className="jump-btn icon-btn" onClick={onClose} title="Close search">
+        <X size={16} />
+      </button>
+    </form>
+
+    {searching && <div className="reader-search-progress">{progressLabel}</div>}
+
+    {hits.length > 0 && (
+      <ul className="reader-search-results">
+        {hits.map((hit, index) => (
+          <li key={`${hit.partIndex}-${hit.page}-${hit.start}`}>
+            <button className={index === activeIndex ? 'active' : ''} onClick={() => onSelect(index)}>
+              <span className="reader-search-page">{hitLabel(hit)}</span>
+              <span className="reader-search-snippet">
+                {hit.snippet.before}
+                <mark>{hit.snippet.match}</mark>
+                {hit.snippet.after}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    )}
+  </div>
+);
+
+export default ReaderSearch;
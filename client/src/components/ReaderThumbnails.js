@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Page } from 'react-pdf';
+import './ReaderThumbnails.css';
+
+const THUMBNAIL_WIDTH = 96;
+// Assumed shape of pages until the first one has loaded (A4 portrait)
+const DEFAULT_ASPECT = 1 / Math.SQRT2;
+
+// Strip of small page images of the open part, for jumping around. Must be
+// rendered inside react-pdf's <Document>. A thumbnail is only drawn once it
+// has scrolled into the strip. `pageLabel(page)` is the number shown under it.
+const ReaderThumbnails = ({ numPages, currentPage, pageSize, onSelect, pageLabel }) => {
+  const listRef = useRef(null);
+  const [drawn, setDrawn] = useState(() => new Set());
+  const height = Math.round(THUMBNAIL_WIDTH / (pageSize ? pageSize.width / pageSize.height : DEFAULT_ASPECT));
+
+  useEffect(() => {
+    setDrawn(new Set());
+  }, [numPages]);
+
+  useEffect(() => {
+    const list = listRef.current;
+    if (!list || !numPages) return undefined;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        const seen = entries.filter((entry) => entry.isIntersecting).map((entry) => Number(entry.target.dataset.page));
+        if (seen.length === 0) return;
+        setDrawn((prev) => {
+          if (seen.every((page) => prev.has(page))) return prev;
+          return new Set([...prev, ...seen]);
+        });
+      },
+      { root: list, rootMargin: '200px' }
+    );
+    list.querySelectorAll('[data-page]').forEach((item) => observer.observe(item));
+    return () => observer.disconnect();
+  }, [numPages]);
+
+  // Keep the page being read in view
+  useEffect(() => {
+    const item = listRef.current && listRef.current.querySelector(`[data-page="${currentPage}"]`);
+    if (item) item.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }, [currentPage]);
+
+  const items = [];
+  for (let page = 1; page <= (numPages || 0); page += 1) {
+    items.push(
+      <button
+        key={page}
+        data-page={page}
+        className={`reader-thumbnail ${page === currentPage ? 'active' : ''}`}
+        onClick={() => onSelect(page)}
+        aria-label={`Page ${pageLabel(page)}`}
+        aria-current={page === currentPage ? 'page' : undefined}
+      >
+        <div className="reader-thumbnail-image" style={{ width: THUMBNAIL_WIDTH, height }}>
+          {drawn.has(page) && (
+            <Page
+              pageNumber={page}
+              width={THUMBNAIL_WIDTH}
+              renderTextLayer={false}
+              renderAnnotationLayer={false}
+              loading=""
+            />
+          )}
+        </div>
+        <span>{pageLabel(page)}</span>
+      </button>
+    );
+  }
+
+  return (
+    <nav className="reader-thumbnails" ref={listRef} aria-label="Pages">
+      {items}
+    </nav>
+  );
+};
+
+export default ReaderThumbnails;
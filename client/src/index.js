@@ -3,6 +3,7 @@ import ReactDOM from 'react-dom/client';
 import { HelmetProvider } from 'react-helmet-async';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -12,3 +13,6 @@ root.render(
     </HelmetProvider>
   </React.StrictMode>
 );
+
+// Keeps the app shell so the offline library opens without a connection
+serviceWorkerRegistration.register();
@@ -1,15 +1,33 @@
 import React, { useState } from 'react';
-import { Upload, BookOpen, Lock } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { signOut } from 'firebase/auth';
+import { Upload, BookOpen, Lock, Users, Activity, Trash2 } from 'lucide-react';
+import { auth } from '../firebase/config';
 import { API_URL } from '../utils/apiConfig';
+import { fetchAdminProfile, getAuthHeaders, hasRole } from '../utils/adminAuth';
+import { readPdfMetadata } from '../utils/pdfMetadata';
+import { isEpubFile, readEpubMetadata } from '../utils/epubMetadata';
+import { forgetUploads, uploadFileResumable } from '../utils/resumableUpload';
+import AdminActivity from '../components/AdminActivity';
+import AdminTrash from '../components/AdminTrash';
+import AdminUsers from '../components/AdminUsers';
 import './Admin.css';
 
-const Admin = () => {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
-  const [adminPassword, setAdminPassword] = useState('');
+const Admin = ({ user }) => {
+  const navigate = useNavigate();
+  // Role of the signed-in account ({ email, role, ... }), checked with the server
+  const [profile, setProfile] = useState(null);
+  const [checkingAccess, setCheckingAccess] = useState(true);
+  const isAuthenticated = Boolean(profile);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [fieldErrors, setFieldErrors] = useState({});
+  // { label, sent, total } while PDFs are being uploaded
+  const [uploadProgress, setUploadProgress] = useState(null);
+  // Page count, size and reading estimate of the chosen PDF (or Part 1), or
+  // the chapter count and size of an EPUB
+  const [pdfDetails, setPdfDetails] = useState(null);
   // Sections management state (currently not rendered in UI)
   // Keeping state minimal to avoid unused variables during build
   const [sections, setSections] = useState([]);
@@ -24,6 +42,9 @@ const Admin = () => {
     rating: '',
     pdf: null,
     pdfParts: [], // Array of { partNumber, file }
+    // Split the single PDF into parts on the server: '' | 'pages' | 'size'
+    splitMode: '',
+    splitValue: '',
     isTrending: false
   });
   const [books, setBooks] = useState([]);
@@ -31,21 +52,41 @@ const Admin = () => {
   const [listLoading, setListLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('books');
 
-  const handleLogin = (e) => {
-    e.preventDefault();
-    if (adminPassword.trim()) {
-      setIsAuthenticated(true);
-      setError('');
-    } else {
-      setError('Please enter the admin password');
+  React.useEffect(() => {
+    let cancelled = false;
+    setProfile(null);
+    if (!user) {
+      setCheckingAccess(false);
+      return undefined;
     }
+    setCheckingAccess(true);
+    fetchAdminProfile()
+      .then((data) => {
+        if (!cancelled) {
+          setProfile(data);
+          setError('');
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Could not check admin access');
+      })
+      .finally(() => {
+        if (!cancelled) setCheckingAccess(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const handleLogout = async () => {
+    try {
+      await signOut(auth);
+    } catch (err) {
+      console.error('Sign out error:', err);
+    }
+    navigate('/login');
   };
 
-  
-  
-  
-  
-  
   React.useEffect(() => {
     if (isAuthenticated) {
       fetchBooks();
@@ -117,20 +158,23 @@ const Admin = () => {
       rating: book.rating || '',
       pdf: null,
       pdfParts: book.pdfParts ? book.pdfParts.map((p, i) => ({ partNumber: p.partNumber || i + 1, file: null })) : [],
+      splitMode: '',
+      splitValue: '',
       isTrending: !!book.isTrending
     });
+    setPdfDetails(null);
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
   const handleDelete = async (id) => {
-    if (!window.confirm('Delete this book?')) return;
+    if (!window.confirm('Move this book to the trash? It can be restored from the Trash tab.')) return;
     try {
       setLoading(true);
       const response = await fetch(`${API_URL || ''}/api/admin/books/${id}`, {
         method: 'DELETE',
         headers: {
           'Accept': 'application/json',
-          'x-admin-password': adminPassword
+          ...(await getAuthHeaders())
         }
       });
       if (!response.ok) {
@@ -145,7 +189,7 @@ const Admin = () => {
         throw new Error(msg);
       }
       await response.json();
-      setSuccess('Book deleted');
+      setSuccess('Book moved to trash');
       fetchBooks();
     } catch (err) {
       console.error('Delete error:', err);
@@ -162,7 +206,7 @@ const Admin = () => {
         headers: {
           'Content-Type': 'application/json',
           'Accept': 'application/json',
-          'x-admin-password': adminPassword
+          ...(await getAuthHeaders())
         },
         body: JSON.stringify({ isTrending: !book.isTrending })
       });
@@ -186,12 +230,60 @@ const Admin = () => {
     }
   };
 
+  const handleSplit = async (book) => {
+    const pages = window.prompt(`Split "${book.title}" into parts of how many pages each?`, '50');
+    if (!pages) return;
+    try {
+      setLoading(true);
+      const response = await fetch(`${API_URL || ''}/api/admin/books/${book.id}/split`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          ...(await getAuthHeaders())
+        },
+        body: JSON.stringify({ pagesPerPart: Number(pages) })
+      });
+      const ct = (response.headers.get('content-type') || '').toLowerCase();
+      const body = ct.includes('application/json') ? await response.json() : null;
+      if (!response.ok) throw new Error((body && body.error) || `HTTP ${response.status}`);
+      setSuccess(`Split into ${body.pdfParts.length} parts`);
+      fetchBooks();
+    } catch (err) {
+      console.error('Split error:', err);
+      setError(err.message || 'Failed to split PDF');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Fill the fields still empty from the PDF's (or EPUB's) embedded metadata;
+  // a file that cannot be read here is left for the server to check
+  const prefillFromPdf = async (file) => {
+    setPdfDetails(null);
+    try {
+      const metadata = isEpubFile(file) ? await readEpubMetadata(file) : await readPdfMetadata(file);
+      setPdfDetails(metadata);
+      setFormData(prev => ({
+        ...prev,
+        title: prev.title.trim() ? prev.title : metadata.title,
+        author: prev.author.trim() ? prev.author : metadata.author,
+        description: prev.description.trim() ? prev.description : metadata.subject,
+        readingTime: prev.readingTime.trim() || !metadata.readingTime ? prev.readingTime : metadata.readingTime
+      }));
+    } catch (err) {
+      console.warn(`Could not read ${isEpubFile(file) ? 'EPUB' : 'PDF'} metadata:`, err);
+    }
+  };
+
   const handlePdfFileChange = (e) => {
     if (e.target.files && e.target.files[0]) {
+      const file = e.target.files[0];
       setFormData(prev => ({
         ...prev,
-        pdf: e.target.files[0]
+        pdf: file
       }));
+      prefillFromPdf(file);
     }
   };
 
@@ -206,11 +298,14 @@ const Admin = () => {
     const hasSinglePdf = formData.pdf;
     
     if (!hasSinglePdf && !hasParts && !editingId) {
-      errors.pdf = isComic ? 'Upload PDF parts or a single PDF file' : 'PDF file is required';
+      errors.pdf = isComic ? 'Upload PDF parts or a single PDF file' : 'A PDF or EPUB file is required';
     }
     if (isComic && hasParts && hasSinglePdf) {
       errors.pdf = 'Use either PDF parts OR a single PDF file, not both';
     }
+    if (hasSinglePdf && !isEpubFile(formData.pdf) && formData.splitMode && !(Number(formData.splitValue) >= 1)) {
+      errors.splitValue = formData.splitMode === 'pages' ? 'Enter the pages per part' : 'Enter the part size in MB';
+    }
     
     return errors;
   };
@@ -238,23 +333,49 @@ const Admin = () => {
     setSuccess('');
     setFieldErrors({});
 
+    const uploadIds = [];
+    let uploadStarted = false;
     try {
       const formDataToSend = new FormData();
-      
-      // Add single PDF if provided
-      if (formData.pdf) formDataToSend.append('pdf', formData.pdf);
-      
+
+      // PDFs go up first in resumable chunks; the form then refers to them by id
+      let bookId = editingId || undefined;
+      const uploadPdf = async (file, options, label) => {
+        uploadStarted = true;
+        const session = await uploadFileResumable(file, {
+          ...options,
+          bookId,
+          onProgress: (sent, total) => setUploadProgress({ label, sent, total })
+        });
+        bookId = session.bookId;
+        uploadIds.push(session.id);
+        return session.id;
+      };
+
+      // Add the EPUB, or the single PDF and how to split it
+      if (isEpubFile(formData.pdf)) {
+        formDataToSend.append('epubUploadId', await uploadPdf(formData.pdf, { kind: 'epub' }, formData.pdf.name));
+      } else if (formData.pdf) {
+        formDataToSend.append('pdfUploadId', await uploadPdf(formData.pdf, { kind: 'pdf' }, formData.pdf.name));
+        if (!editingId && formData.splitMode) {
+          formDataToSend.append(formData.splitMode === 'pages' ? 'pagesPerPart' : 'partSizeMb', formData.splitValue);
+        }
+      }
+
       // Add PDF parts if provided (for comics)
       if (hasParts) {
-        formData.pdfParts.forEach((part, index) => {
+        const partIds = [];
+        for (const part of formData.pdfParts) {
           if (part.file) {
-            formDataToSend.append(`pdfPart${part.partNumber}`, part.file);
+            partIds.push(await uploadPdf(part.file, { kind: 'part', partNumber: part.partNumber }, `Part ${part.partNumber}`));
           }
-        });
+        }
+        formDataToSend.append('pdfPartUploadIds', JSON.stringify(partIds));
         formDataToSend.append('hasParts', 'true');
-        formDataToSend.append('partsCount', formData.pdfParts.filter(p => p.file).length.toString());
+        formDataToSend.append('partsCount', partIds.length.toString());
       }
-      
+      setUploadProgress(null);
+
       if (formData.coverFile) formDataToSend.append('coverImage', formData.coverFile);
       formDataToSend.append('title', formData.title);
       formDataToSend.append('author', formData.author);
@@ -270,7 +391,7 @@ const Admin = () => {
       const response = await fetch(url, {
         method,
         headers: {
-          'x-admin-password': adminPassword
+          ...(await getAuthHeaders())
         },
         body: formDataToSend
       });
@@ -288,6 +409,7 @@ const Admin = () => {
       }
 
       await response.json();
+      forgetUploads(uploadIds);
 
       setSuccess(editingId ? 'Book updated successfully!' : 'Book uploaded successfully!');
       setFormData({
@@ -300,14 +422,20 @@ const Admin = () => {
         rating: '',
         pdf: null,
         pdfParts: [],
+        splitMode: '',
+        splitValue: '',
         isTrending: false
       });
+      setPdfDetails(null);
       setEditingId(null);
       fetchBooks();
     } catch (err) {
       console.error('Save error:', err);
-      setError(err.message || 'Save failed. Check server logs or Backblaze configuration.');
+      const message = err.message || 'Save failed. Check server logs or Backblaze configuration.';
+      // Chunks already on the server are kept; submitting the same files again resumes them
+      setError(uploadStarted ? `${message} - submit again to resume the upload.` : message);
     } finally {
+      setUploadProgress(null);
       setLoading(false);
     }
   };
@@ -319,24 +447,25 @@ const Admin = () => {
           <div className="login-icon">
             <Lock size={48} />
           </div>
-          <h2>Admin Login</h2>
-          <p>Enter the admin password to manage books</p>
-          <form onSubmit={handleLogin}>
-            <div className="form-group">
-              <input
-                type="password"
-                placeholder="Admin Password"
-                value={adminPassword}
-                onChange={(e) => setAdminPassword(e.target.value)}
-                className="form-input"
-                required
-              />
-            </div>
-            {error && <div className="error-message">{error}</div>}
-            <button type="submit" className="btn-primary">
-              Login
-            </button>
-          </form>
+          <h2>Admin</h2>
+          {checkingAccess ? (
+            <p>Checking access...</p>
+          ) : !user ? (
+            <>
+              <p>Sign in with an account that has admin access to manage books</p>
+              <button type="button" className="btn-primary" onClick={() => navigate('/login')}>
+                Sign in
+              </button>
+            </>
+          ) : (
+            <>
+              <p>Signed in as {user.email}</p>
+              {error && <div className="error-message">{error}</div>}
+              <button type="button" className="btn-secondary" onClick={handleLogout}>
+                Sign in with another account
+              </button>
+            </>
+          )}
         </div>
       </div>
     );
@@ -349,14 +478,48 @@ const Admin = () => {
         <div className="admin-tabs">
           <button
             type="button"
-            className={`admin-tab active`}
+            className={`admin-tab ${activeTab === 'books' ? 'active' : ''}`}
             onClick={() => setActiveTab('books')}
           >
             <BookOpen size={20} />
             Books
           </button>
+          {hasRole(profile, 'editor') && (
+            <button
+              type="button"
+              className={`admin-tab ${activeTab === 'trash' ? 'active' : ''}`}
+              onClick={() => setActiveTab('trash')}
+            >
+              <Trash2 size={20} />
+              Trash
+            </button>
+          )}
+          {hasRole(profile, 'admin') && (
+            <button
+              type="button"
+              className={`admin-tab ${activeTab === 'users' ? 'active' : ''}`}
+              onClick={() => setActiveTab('users')}
+            >
+              <Users size={20} />
+              Users
+            </button>
+          )}
+          {hasRole(profile, 'admin') && (
+            <button
+              type="button"
+              className={`admin-tab ${activeTab === 'activity' ? 'active' : ''}`}
+              onClick={() => setActiveTab('activity')}
+            >
+              <Activity size={20} />
+              Activity
+            </button>
+          )}
         </div>
 
+        {activeTab === 'trash' && <AdminTrash profile={profile} onRestored={fetchBooks} />}
+        {activeTab === 'users' && <AdminUsers currentEmail={profile.email} />}
+        {activeTab === 'activity' && <AdminActivity />}
+
         {activeTab === 'books' && (
           <>
             <div className="admin-header">
@@ -561,30 +724,72 @@ const Admin = () => {
             </div>
 
             <div className="form-group full-width">
-              <label htmlFor="pdf">PDF File {!(formData.category === 'ရုပ်ပြ' || formData.category === 'comic' || formData.category === 'graphic') ? '*' : ''}</label>
+              <label htmlFor="pdf">Book File (PDF or EPUB) {!(formData.category === 'ရုပ်ပြ' || formData.category === 'comic' || formData.category === 'graphic') ? '*' : ''}</label>
               <div className="file-upload-wrapper">
                 <input
                   type="file"
                   id="pdf"
                   name="pdf"
-                  accept=".pdf"
+                  accept=".pdf,.epub,application/pdf,application/epub+zip"
                   onChange={handlePdfFileChange}
                   className={`file-input ${fieldErrors.pdf ? 'error' : ''}`}
                   required={!editingId && !(formData.category === 'ရုပ်ပြ' || formData.category === 'comic' || formData.category === 'graphic')}
                 />
                 <label htmlFor="pdf" className="file-label">
                   <Upload size={20} />
-                  {formData.pdf ? formData.pdf.name : 'Choose PDF file (or use Parts below for comics)'}
+                  {formData.pdf ? formData.pdf.name : 'Choose a PDF or EPUB file (or use Parts below for comics)'}
                 </label>
               </div>
               {fieldErrors.pdf && <small className="field-error">{fieldErrors.pdf}</small>}
               <small className="form-hint">
                 {formData.category === 'ရုပ်ပြ' || formData.category === 'comic' || formData.category === 'graphic' 
                   ? 'Upload a single PDF file, OR use the Parts section below for comics/manga with multiple parts.'
-                  : 'Upload the book PDF file. Required for all books.'}
+                  : 'Upload the book as a PDF, or as an EPUB to read it as reflowable text. Required for all books.'}
               </small>
+              {pdfDetails && pdfDetails.chapterCount !== undefined && (
+                <small className="form-hint">
+                  EPUB · {pdfDetails.chapterCount} chapters · {(pdfDetails.fileSize / 1048576).toFixed(1)} MB
+                  {pdfDetails.language ? ` · ${pdfDetails.language}` : ''}.
+                  {' '}Empty title, author and description are filled from the EPUB.
+                </small>
+              )}
+              {pdfDetails && pdfDetails.chapterCount === undefined && (
+                <small className="form-hint">
+                  {pdfDetails.pageCount} pages · {(pdfDetails.fileSize / 1048576).toFixed(1)} MB
+                  {pdfDetails.language ? ` · ${pdfDetails.language}` : ''} · about {pdfDetails.readingTime} to read.
+                  {' '}Empty title, author, description and reading time are filled from the PDF.
+                </small>
+              )}
             </div>
 
+            {formData.pdf && !isEpubFile(formData.pdf) && !editingId && (
+              <div className="form-group full-width">
+                <label htmlFor="splitMode">Split into parts</label>
+                <div className="split-options">
+                  <select id="splitMode" name="splitMode" value={formData.splitMode} onChange={handleInputChange} className="form-input">
+                    <option value="">Don't split</option>
+                    <option value="pages">Every N pages</option>
+                    <option value="size">Parts of about N MB</option>
+                  </select>
+                  {formData.splitMode && (
+                    <input
+                      type="number"
+                      name="splitValue"
+                      min="1"
+                      value={formData.splitValue}
+                      onChange={handleInputChange}
+                      placeholder={formData.splitMode === 'pages' ? 'Pages per part' : 'MB per part'}
+                      className={`form-input ${fieldErrors.splitValue ? 'error' : ''}`}
+                    />
+                  )}
+                </div>
+                {fieldErrors.splitValue && <small className="field-error">{fieldErrors.splitValue}</small>}
+                <small className="form-hint">
+                  The server splits the PDF and stores each part separately, so readers load one part at a time.
+                </small>
+              </div>
+            )}
+
             {/* PDF Parts Upload for Comics */}
             {(formData.category === 'ရုပ်ပြ' || formData.category === 'comic' || formData.category === 'graphic') && (
               <div className="form-group full-width">
@@ -638,6 +843,7 @@ const Admin = () => {
                             const newParts = [...formData.pdfParts];
                             newParts[index].file = file;
                             setFormData(prev => ({ ...prev, pdfParts: newParts }));
+                            if (newParts[index].partNumber === 1 && !formData.pdf) prefillFromPdf(file);
                           }
                         }}
                         className="file-input"
@@ -652,10 +858,25 @@ const Admin = () => {
             )}
           </div>
 
+          {uploadProgress && (
+            <div className="upload-progress">
+              <div className="upload-progress-track">
+                <div
+                  className="upload-progress-bar"
+                  style={{ width: `${uploadProgress.total ? Math.round((uploadProgress.sent / uploadProgress.total) * 100) : 0}%` }}
+                />
+              </div>
+              <small>
+                Uploading {uploadProgress.label}: {Math.round((uploadProgress.sent / uploadProgress.total) * 100)}%
+                {' '}({(uploadProgress.sent / 1048576).toFixed(1)} of {(uploadProgress.total / 1048576).toFixed(1)} MB)
+              </small>
+            </div>
+          )}
+
           <div className="form-actions">
             <button
               type="button"
-              onClick={() => setIsAuthenticated(false)}
+              onClick={handleLogout}
               className="btn-secondary"
             >
               Logout
@@ -698,18 +919,31 @@ const Admin = () => {
                     <input
                       type="checkbox"
                       checked={!!book.isTrending}
+                      disabled={!hasRole(profile, 'editor')}
                       onChange={() => handleToggleTrending(book)}
                     />
                     <span className="slider" />
                   </label>
                 </div>
                 <div className="cell actions">
-                  <button type="button" className="btn-secondary" onClick={() => handleEdit(book)}>
-                    Edit
-                  </button>
-                  <button type="button" className="btn-danger" onClick={() => handleDelete(book.id)}>
-                    Delete
-                  </button>
+                  {hasRole(profile, 'editor') && (
+                    <button type="button" className="btn-secondary" onClick={() => handleEdit(book)}>
+                      Edit
+                    </button>
+                  )}
+                  {hasRole(profile, 'editor') &&
+                    book.b2FileName &&
+                    book.format !== 'epub' &&
+                    !(book.pdfParts && book.pdfParts.length > 0) && (
+                    <button type="button" className="btn-secondary" onClick={() => handleSplit(book)} disabled={loading}>
+                      Split
+                    </button>
+                  )}
+                  {hasRole(profile, 'admin') && (
+                    <button type="button" className="btn-danger" onClick={() => handleDelete(book.id)}>
+                      Delete
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
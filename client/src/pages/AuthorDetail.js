@@ -4,6 +4,7 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { BookOpen, ArrowLeft } from 'lucide-react';
 import { getCoverImageUrl, getDefaultCoverImage } from '../utils/coverImage';
 import { API_URL } from '../utils/apiConfig';
+import { normalizeMyanmar } from '../utils/myanmarText';
 import './Home.css';
 
 const AuthorDetail = () => {
@@ -16,15 +17,15 @@ const AuthorDetail = () => {
   useEffect(() => {
     const fetchBooks = async () => {
       try {
-        const response = await axios.get(`${API_URL}/api/books`);
-        const allBooks = Array.isArray(response.data) ? response.data : [];
-        
-        // Filter books by author (case-insensitive)
-        const filtered = allBooks.filter(
-          (b) => (b.author || '').trim().toLowerCase() === authorName.toLowerCase()
-        );
-        
-        setBooks(filtered);
+        // The server matches the author case-insensitively and Zawgyi/Unicode agnostic
+        const response = await axios.get(`${API_URL}/api/books`, {
+          params: {
+            author: normalizeMyanmar(authorName),
+            sort: 'recent',
+            fields: 'id,title,author,coverImage'
+          }
+        });
+        setBooks(Array.isArray(response.data) ? response.data : []);
       } catch (error) {
         console.error('Error fetching books:', error);
         setBooks([]);
@@ -3,6 +3,7 @@ import axios from 'axios';
 import { useNavigate } from 'react-router-dom';
 import { User, BookOpen } from 'lucide-react';
 import { API_URL } from '../utils/apiConfig';
+import { normalizeMyanmar, normalizeForMatch } from '../utils/myanmarText';
 import './Home.css';
 
 const AuthorList = () => {
@@ -16,22 +17,22 @@ const AuthorList = () => {
         const response = await axios.get(`${API_URL}/api/books`);
         const books = Array.isArray(response.data) ? response.data : [];
         
-        // Extract unique authors with book counts
+        // Extract unique authors with book counts (Zawgyi and Unicode spellings group together)
         const authorMap = new Map();
         books.forEach(book => {
           if (book.author && book.author.trim()) {
-            const authorName = book.author.trim();
-            if (authorMap.has(authorName)) {
-              authorMap.set(authorName, authorMap.get(authorName) + 1);
+            const key = normalizeForMatch(book.author);
+            const existing = authorMap.get(key);
+            if (existing) {
+              existing.count += 1;
             } else {
-              authorMap.set(authorName, 1);
+              authorMap.set(key, { name: normalizeMyanmar(book.author.trim()), count: 1 });
             }
           }
         });
         
         // Convert to array and sort by name
-        const authorsList = Array.from(authorMap.entries())
-          .map(([name, count]) => ({ name, count }))
+        const authorsList = Array.from(authorMap.values())
           .sort((a, b) => a.name.localeCompare(b.name));
         
         setAuthors(authorsList);
@@ -1,29 +1,201 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { Document, Page, pdfjs } from 'react-pdf';
-import { ArrowLeft } from 'lucide-react';
+import { ArrowLeft, Bookmark, ListTree, PanelLeft, Search, StickyNote, SunMoon, ZoomIn, ZoomOut } from 'lucide-react';
 import axios from 'axios';
 import { API_URL } from '../utils/apiConfig';
+import { PDF_WORKER_URL } from '../utils/pdfWorker';
+import { locatePage, partStartPages, toGlobalPage, totalPageCount } from '../utils/bookParts';
+import { getReadingProgress, saveReadingProgress } from '../utils/readingProgress';
+import {
+  HIGHLIGHT_COLORS,
+  createAnnotation,
+  deleteAnnotation,
+  exportAnnotations,
+  listAnnotations,
+  updateAnnotation
+} from '../utils/annotations';
+import { markTextItem, normalizeQuery, searchBook } from '../utils/bookSearch';
+import { readPdfOutline } from '../utils/bookOutline';
+import { DEFAULT_PREFERENCES, loadReaderPreferences, saveReaderPreferences } from '../utils/readerPreferences';
+import { getOfflineBook, openOfflineBook, updateOfflinePageCount } from '../utils/offlineLibrary';
+import AnnotationsPanel from '../components/AnnotationsPanel';
+import EpubReader from '../components/EpubReader';
+import PageImageRegions from '../components/PageImageRegions';
+import ReaderDisplaySettings from '../components/ReaderDisplaySettings';
+import ReaderOutline from '../components/ReaderOutline';
+import ReaderSearch from '../components/ReaderSearch';
+import ReaderPages from '../components/ReaderPages';
+import ReaderThumbnails from '../components/ReaderThumbnails';
+import {
+  FIT_MODES,
+  LAYOUTS,
+  ZOOM_STEP,
+  clampZoom,
+  loadLayout,
+  nextPageOf,
+  prevPageOf,
+  saveLayout,
+  showsSpread,
+  spreadPages
+} from '../utils/readerLayout';
+import 'react-pdf/dist/esm/Page/TextLayer.css';
 import './BookDetail.css';
 import './B2Reader.css';
 
 // Configure PDF.js worker
-pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
+pdfjs.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
 
-const B2Reader = () => {
+// Load PDFs a range at a time - the PDF endpoints answer Range requests - so
+// the first page shows without waiting for the whole part; later pages are
+// fetched as they are reached
+const PDF_OPTIONS = { disableAutoFetch: true, disableStream: true };
+
+// Start downloading the next part this many pages before the end of the current one
+const PREFETCH_PAGES_BEFORE_END = 3;
+
+// Save the reading position once the reader has stayed on a page this long
+const SAVE_PROGRESS_DELAY_MS = 1500;
+
+// Horizontal swipe distance (px) that turns the page
+const SWIPE_MIN_DISTANCE = 50;
+
+// Most a finger may move (px) for a touch to count as a tap
+const TAP_MAX_DISTANCE = 10;
+// Two taps closer together than this (ms) are a double tap, which zooms to
+// DOUBLE_TAP_ZOOM and back
+const DOUBLE_TAP_MS = 300;
+const DOUBLE_TAP_ZOOM = 2.5;
+
+// Space the thumbnail strip takes: a column on wide screens, a row on phones
+// (see ReaderThumbnails.css)
+const THUMBNAILS_WIDTH = 132;
+const THUMBNAILS_HEIGHT = 178;
+
+// Display preferences are saved once the reader stops changing them
+const SAVE_PREFERENCES_DELAY_MS = 800;
+
+// In full screen the top bar hides after this long without being used, and
+// comes back when the pointer moves into the top TOOLBAR_REVEAL_ZONE pixels
+const TOOLBAR_HIDE_DELAY_MS = 2500;
+const TOOLBAR_REVEAL_ZONE = 80;
+const TOPBAR_HEIGHT = 53;
+
+// Most boxes one highlight may cover (the server's limit)
+const MAX_HIGHLIGHT_RECTS = 200;
+
+const clamp01 = (value) => Math.min(Math.max(value, 0), 1);
+
+const touchDistance = (a, b) => Math.hypot(a.clientX - b.clientX, a.clientY - b.clientY);
+
+// Highlight boxes of the selected text as fractions of the page element
+const selectionRects = (range, pageElement) => {
+  const box = pageElement.getBoundingClientRect();
+  return Array.from(range.getClientRects())
+    .filter((rect) => rect.width > 1 && rect.height > 1)
+    .slice(0, MAX_HIGHLIGHT_RECTS)
+    .map((rect) => ({
+      x: clamp01((rect.left - box.left) / box.width),
+      y: clamp01((rect.top - box.top) / box.height),
+      width: clamp01(rect.width / box.width),
+      height: clamp01(rect.height / box.height)
+    }));
+};
+
+const B2Reader = ({ user }) => {
   const { id } = useParams();
   const navigate = useNavigate();
+  // ?page=N opens the book at global page N (chapter links on the book page)
+  const [searchParams] = useSearchParams();
+  const startPageParam = searchParams.get('page');
 
   const [numPages, setNumPages] = useState(null);
-  const [scale] = useState(1.0);
   const [, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [bookTitle, setBookTitle] = useState('Loading...');
-  const [pdfUrl, setPdfUrl] = useState('');
+  // { id, title, author, coverImage }, saved with the position for the Home shelf
+  const [bookInfo, setBookInfo] = useState(null);
+  // Every PDF of the book in reading order: [{ partNumber, viewUrl, pageCount }].
+  // Single-file books have one entry; split books are read as one document.
+  const [parts, setParts] = useState([]);
+  const [partIndex, setPartIndex] = useState(0);
+  // What <Document> loads: the part's URL, or its bytes when prefetched
+  const [pdfFile, setPdfFile] = useState(null);
+  // EPUB books are read in EpubReader instead, from this URL
+  const [epubUrl, setEpubUrl] = useState(null);
+  // Parts are read from the copy saved for offline reading (utils/offlineLibrary)
+  const [readingOffline, setReadingOffline] = useState(false);
   const [pageInput, setPageInput] = useState('');
   const [currentPage, setCurrentPage] = useState(1);
   const [containerWidth, setContainerWidth] = useState(window.innerWidth);
+  const [viewportHeight, setViewportHeight] = useState(window.innerHeight);
+  // Size of the current page in PDF points, to fit it on screen
+  const [pageSize, setPageSize] = useState(null);
+  // Page layout, remembered per book (see utils/readerLayout)
+  const [layout, setLayout] = useState(() => loadLayout(id));
+  // How pages are fitted on screen, and the zoom on top of that
+  const [fitMode, setFitMode] = useState('page');
+  const [zoom, setZoom] = useState(1);
+  const [thumbnailsOpen, setThumbnailsOpen] = useState(false);
+  // Touch in progress: { x, y } where one finger went down, or { pinch,
+  // distance, x, y, origin } for two
+  const touchStartRef = useRef(null);
+  // Time and place of the last tap, to spot double taps
+  const lastTapRef = useRef(null);
+  // Zoom factor of the pinch in progress, previewed with a CSS transform
+  const pinchScaleRef = useRef(1);
+  // Mouse drag panning the page: where it started and the scroll offsets then
+  const dragRef = useRef(null);
+  // Scroll offsets that keep the point zoomed at in place, applied once the
+  // pages have been resized
+  const zoomAnchorRef = useRef(null);
   const scrollerRef = useRef(null);
+  const pageAreaRef = useRef(null);
+  // Page to open once the part being switched to has loaded ('last' when paging back)
+  const pendingPageRef = useRef(null);
+  // partIndex -> Promise<Uint8Array> for parts downloaded ahead of time
+  const prefetchedRef = useRef({});
+  // 'loading' until the saved position is known; nothing is saved before then
+  const [progressStatus, setProgressStatus] = useState('loading');
+  // Saved position the reader is asked to continue from
+  const [resumeFrom, setResumeFrom] = useState(null);
+  // Save of the latest position that is still waiting for its delay
+  const pendingSaveRef = useRef(null);
+  // The reader's bookmarks, highlights and notes in this book (signed in only)
+  const [annotations, setAnnotations] = useState([]);
+  const [annotationsLoading, setAnnotationsLoading] = useState(false);
+  const [panelOpen, setPanelOpen] = useState(false);
+  // Selected text waiting for a highlight color: { page, text, rects }
+  const [pendingHighlight, setPendingHighlight] = useState(null);
+  // The loaded part's PDFDocumentProxy, reused by the in-book search
+  const pdfDocRef = useRef(null);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  // Normalized query the hits are for
+  const [searchedQuery, setSearchedQuery] = useState(null);
+  const [searchHits, setSearchHits] = useState([]);
+  const [activeHit, setActiveHit] = useState(0);
+  const [searching, setSearching] = useState(false);
+  const [searchProgress, setSearchProgress] = useState(null);
+  // Text extracted per part and page (see searchBook), kept between queries
+  const searchCacheRef = useRef({});
+  // Bumped to cancel the search in progress
+  const searchRunRef = useRef(0);
+  // Table of contents read by the server at upload, pages numbered across
+  // the book; otherwise the open part's own outline, read from the PDF
+  const [bookOutline, setBookOutline] = useState(null);
+  const [partOutline, setPartOutline] = useState(null);
+  const [outlineOpen, setOutlineOpen] = useState(false);
+  // Theme, brightness and full screen (see utils/readerPreferences)
+  const [preferences, setPreferences] = useState(DEFAULT_PREFERENCES);
+  const [displayOpen, setDisplayOpen] = useState(false);
+  // Preferences changed but not saved yet, and the timer saving them
+  const pendingPreferencesRef = useRef(null);
+  const preferencesTimerRef = useRef(null);
+  const [fullscreen, setFullscreen] = useState(false);
+  const [toolbarShown, setToolbarShown] = useState(true);
+  const toolbarTimerRef = useRef(null);
+  const rootRef = useRef(null);
 
   // Fetch book details for title
   useEffect(() => {
@@ -31,53 +203,807 @@ const B2Reader = () => {
       try {
         const response = await axios.get(`${API_URL}/api/books/${id}`);
         setBookTitle(response.data.title || 'Book Reader');
+        const entries = response.data.outline;
+        setBookOutline(Array.isArray(entries) && entries.length > 0 ? entries : null);
+        setBookInfo({
+          id,
+          title: response.data.title || '',
+          author: response.data.author || '',
+          coverImage: response.data.coverImage || ''
+        });
       } catch (err) {
+        // Offline: what was kept with the saved copy, if any
+        const saved = await getOfflineBook(id);
+        if (saved) {
+          setBookTitle(saved.title || 'Book Reader');
+          setBookOutline(saved.outline);
+          setBookInfo({ id, title: saved.title, author: saved.author, coverImage: saved.coverImage });
+          return;
+        }
         console.error('Error fetching book details:', err);
         setBookTitle('Book Reader');
+        setBookOutline(null);
       }
     };
     fetchBookDetails();
   }, [id]);
 
-  // Fetch view URL that handles parts or single PDF via proxy
+  // Fetch view URLs: one per part for split books, or the single PDF via proxy
+  // (EPUB books open in EpubReader). A copy saved for offline reading is used
+  // instead when there is one.
   useEffect(() => {
+    let cancelled = false;
+    let offlineUrls = [];
     const fetchView = async () => {
-      try {
-        const resp = await axios.get(`${API_URL}/api/books/${id}/view`);
-        if (resp.data && resp.data.viewUrl) {
-          setPdfUrl(resp.data.viewUrl);
-        } else {
-          setPdfUrl(`${API_URL}/api/books/${id}/pdf`);
+      setEpubUrl(null);
+      let viewParts = [{ partNumber: 1, viewUrl: `${API_URL}/api/books/${id}/pdf`, pageCount: null }];
+      const offline = await openOfflineBook(id);
+      if (offline) offlineUrls = offline.parts.map((p) => p.viewUrl);
+      if (cancelled) {
+        offlineUrls.forEach((url) => URL.revokeObjectURL(url));
+        return;
+      }
+      setReadingOffline(Boolean(offline));
+      if (offline) {
+        viewParts = offline.parts;
+      } else {
+        try {
+          const resp = await axios.get(`${API_URL}/api/books/${id}/view`);
+          if (resp.data && resp.data.format === 'epub') {
+            if (!cancelled) setEpubUrl(resp.data.viewUrl);
+            return;
+          }
+          if (resp.data && resp.data.isSplit && Array.isArray(resp.data.parts) && resp.data.parts.length > 0) {
+            viewParts = resp.data.parts.map((p) => ({
+              partNumber: p.partNumber,
+              viewUrl: p.viewUrl,
+              pageCount: p.pageCount || null
+            }));
+          } else if (resp.data && resp.data.viewUrl) {
+            viewParts = [{ partNumber: 1, viewUrl: resp.data.viewUrl, pageCount: null }];
+          }
+        } catch (e) {
+          console.error('Error fetching view URL:', e);
         }
-      } catch (e) {
-        console.error('Error fetching view URL:', e);
-        setPdfUrl(`${API_URL}/api/books/${id}/pdf`);
       }
+      // A page asked for in the URL is opened instead of offering to resume
+      const startPage = Number(startPageParam);
+      const start =
+        Number.isInteger(startPage) && startPage > 0
+          ? locatePage(viewParts, startPage) || { partIndex: 0, page: startPage }
+          : null;
+
+      prefetchedRef.current = {};
+      searchCacheRef.current = {};
+      searchRunRef.current += 1;
+      setSearchHits([]);
+      setSearchedQuery(null);
+      setSearching(false);
+      setParts(viewParts);
+      setPartIndex(start ? start.partIndex : 0);
+      setCurrentPage(1);
+      pendingPageRef.current = start ? start.page : null;
+      setPdfFile(viewParts[start ? start.partIndex : 0].viewUrl);
+
+      setProgressStatus('loading');
+      setResumeFrom(null);
+      const saved = start ? null : await getReadingProgress(id);
+      if (saved && (saved.page > 1 || saved.partNumber > 1)) setResumeFrom(saved);
+      setProgressStatus('ready');
     };
     fetchView();
+    return () => {
+      cancelled = true;
+      offlineUrls.forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [id, startPageParam]);
+
+  useEffect(() => {
+    setLayout(loadLayout(id));
   }, [id]);
 
-  function onDocumentLoadSuccess({ numPages }) {
+  function changeLayout(next) {
+    setLayout(next);
+    saveLayout(id, next);
+  }
+
+  useEffect(() => {
+    setAnnotations([]);
+    setPendingHighlight(null);
+    if (!user) return undefined;
+    let cancelled = false;
+    setAnnotationsLoading(true);
+    listAnnotations(id)
+      .then((items) => {
+        if (!cancelled) setAnnotations(items);
+      })
+      .catch((err) => console.error('Error loading annotations:', err))
+      .finally(() => {
+        if (!cancelled) setAnnotationsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id, user]);
+
+  // Preferences follow the account, so they are loaded again once sign-in settles
+  useEffect(() => {
+    let cancelled = false;
+    loadReaderPreferences().then((loaded) => {
+      if (!cancelled && !pendingPreferencesRef.current) setPreferences(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  function changePreferences(changes) {
+    const next = { ...preferences, ...changes };
+    setPreferences(next);
+    pendingPreferencesRef.current = next;
+    clearTimeout(preferencesTimerRef.current);
+    preferencesTimerRef.current = setTimeout(() => {
+      pendingPreferencesRef.current = null;
+      saveReaderPreferences(next);
+    }, SAVE_PREFERENCES_DELAY_MS);
+  }
+
+  // Save preferences still waiting for their delay when the reader leaves
+  useEffect(
+    () => () => {
+      clearTimeout(preferencesTimerRef.current);
+      if (pendingPreferencesRef.current) saveReaderPreferences(pendingPreferencesRef.current);
+    },
+    []
+  );
+
+  // Full screen uses the Fullscreen API where there is one; elsewhere (iPhone
+  // Safari) it only hides the top bar
+  function toggleFullscreen() {
+    if (fullscreen) {
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+      setFullscreen(false);
+    } else {
+      const root = rootRef.current;
+      if (root && root.requestFullscreen) root.requestFullscreen().catch(() => {});
+      setFullscreen(true);
+    }
+  }
+
+  // Leaving full screen with Esc or the browser's own controls
+  useEffect(() => {
+    const handleChange = () => {
+      if (!document.fullscreenElement) setFullscreen(false);
+    };
+    document.addEventListener('fullscreenchange', handleChange);
+    return () => document.removeEventListener('fullscreenchange', handleChange);
+  }, []);
+
+  // The top bar lies over the pages in full screen and hides until needed;
+  // it stays while a drop-down or the search is open
+  const toolbarOverlay = fullscreen && preferences.autoHideToolbar;
+  const autoHideToolbar = toolbarOverlay && !displayOpen && !searchOpen;
+
+  function revealToolbar() {
+    setToolbarShown(true);
+    clearTimeout(toolbarTimerRef.current);
+    if (autoHideToolbar) toolbarTimerRef.current = setTimeout(() => setToolbarShown(false), TOOLBAR_HIDE_DELAY_MS);
+  }
+
+  useEffect(() => {
+    revealToolbar();
+    return () => clearTimeout(toolbarTimerRef.current);
+    // revealToolbar only reads autoHideToolbar
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [autoHideToolbar]);
+
+  function handleRootMouseMove(e) {
+    if (autoHideToolbar && e.clientY < TOOLBAR_REVEAL_ZONE) revealToolbar();
+  }
+
+  const isSplit = parts.length > 1;
+  const spread = layout !== 'scroll' && showsSpread(layout, window.innerWidth);
+  const rtl = layout === 'rtl';
+  const totalPages = totalPageCount(parts);
+  const globalPage = toGlobalPage(parts, partIndex, currentPage);
+
+  function onDocumentLoadSuccess(pdf) {
+    const { numPages } = pdf;
+    pdfDocRef.current = pdf;
     setNumPages(numPages);
+    setPartOutline(null);
+    readPdfOutline(pdf)
+      .then((outline) => {
+        if (pdfDocRef.current === pdf) setPartOutline(outline);
+      })
+      .catch((err) => {
+        console.warn('Could not read the PDF outline:', err);
+        if (pdfDocRef.current === pdf) setPartOutline([]);
+      });
+    // Parts counted before the server knew their size get their count from here
+    setParts((prev) =>
+      prev.map((p, i) => (i === partIndex && p.pageCount !== numPages ? { ...p, pageCount: numPages } : p))
+    );
+    if (readingOffline && parts[partIndex]) updateOfflinePageCount(id, parts[partIndex].partNumber, numPages);
+    const pending = pendingPageRef.current;
+    pendingPageRef.current = null;
     setCurrentPage((p) => {
-      const next = Math.min(Math.max(p, 1), numPages);
-      return next;
+      const wanted = pending === 'last' ? numPages : pending || p;
+      return Math.min(Math.max(wanted, 1), numPages);
     });
     setLoading(false);
   }
 
+  // Download a part in the background so turning into it is instant
+  function prefetchPart(index) {
+    if (index >= parts.length || prefetchedRef.current[index]) return;
+    prefetchedRef.current[index] = fetch(parts[index].viewUrl)
+      .then((resp) => {
+        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+        return resp.arrayBuffer();
+      })
+      .then((buffer) => new Uint8Array(buffer))
+      .catch((err) => {
+        console.warn('Prefetching next part failed:', err);
+        delete prefetchedRef.current[index];
+        return null;
+      });
+  }
+
+  // Open part `index` at `page` (a number, or 'last')
+  async function openPart(index, page = 1) {
+    if (index < 0 || index >= parts.length) return;
+    if (index === partIndex) {
+      if (numPages) setCurrentPage(page === 'last' ? numPages : Math.min(Math.max(page, 1), numPages));
+      else pendingPageRef.current = page;
+      return;
+    }
+    pendingPageRef.current = page;
+    setNumPages(null);
+    setLoading(true);
+    setPartIndex(index);
+    setCurrentPage(page === 'last' ? 1 : page);
+
+    const prefetched = prefetchedRef.current[index] ? await prefetchedRef.current[index] : null;
+    // PDF.js takes ownership of the bytes, so a prefetch is only used once
+    delete prefetchedRef.current[index];
+    setPdfFile(prefetched ? { data: prefetched } : parts[index].viewUrl);
+  }
+
+  // Open a saved place ({ partNumber, page, globalPage }). Global pages survive
+  // the book being split again, so they are preferred once every part has been counted.
+  function goToPosition(position) {
+    let target = position.globalPage && totalPageCount(parts) ? locatePage(parts, position.globalPage) : null;
+    if (!target) {
+      const index = parts.findIndex((p) => p.partNumber === position.partNumber);
+      target = { partIndex: Math.max(index, 0), page: position.page };
+    }
+    openPart(target.partIndex, target.page);
+  }
+
+  function resumeReading() {
+    const saved = resumeFrom;
+    setResumeFrom(null);
+    if (saved) goToPosition(saved);
+  }
+
+  function goNext() {
+    const next = numPages ? nextPageOf(currentPage, numPages, spread) : null;
+    if (next) {
+      setCurrentPage(next);
+    } else if (partIndex < parts.length - 1) {
+      openPart(partIndex + 1, 1);
+    }
+  }
+
+  function goPrev() {
+    const prev = prevPageOf(currentPage, spread);
+    if (prev) {
+      setCurrentPage(prev);
+    } else if (partIndex > 0) {
+      openPart(partIndex - 1, 'last');
+    }
+  }
+
+  // Zoom to `value`, keeping the point at `anchor` ({ x, y } on screen; the
+  // middle of the page area by default) where it is
+  function zoomTo(value, anchor) {
+    const next = clampZoom(value);
+    const scroller = scrollerRef.current;
+    if (next === zoom || !scroller) {
+      setZoom(next);
+      return;
+    }
+    const box = scroller.getBoundingClientRect();
+    const x = anchor ? anchor.x - box.left : scroller.clientWidth / 2;
+    const y = anchor ? anchor.y - box.top : scroller.clientHeight / 2;
+    zoomAnchorRef.current = {
+      left: ((scroller.scrollLeft + x) * next) / zoom - x,
+      top: ((scroller.scrollTop + y) * next) / zoom - y
+    };
+    setZoom(next);
+  }
+
+  function changeFitMode(next) {
+    setFitMode(next);
+    setZoom(1);
+  }
+
+  // Runs after the pages have taken their new size (child effects run first)
+  useEffect(() => {
+    const anchor = zoomAnchorRef.current;
+    zoomAnchorRef.current = null;
+    if (anchor && scrollerRef.current) {
+      scrollerRef.current.scrollTo({ left: anchor.left, top: anchor.top, behavior: 'instant' });
+    }
+  }, [zoom, fitMode]);
+
+  // A turned page is shown from the top
+  useEffect(() => {
+    if (layout !== 'scroll' && scrollerRef.current) {
+      scrollerRef.current.scrollTo({ top: 0, behavior: 'instant' });
+    }
+  }, [currentPage, partIndex, layout]);
+
+  // Keys and swipes turn pages in the layout's reading direction; in scroll
+  // mode the arrow keys up and down (and swipes) scroll as usual. + and -
+  // zoom, 0 goes back to the fitted size, F toggles full screen.
+  const navigationRef = useRef({});
+  navigationRef.current = { goNext, goPrev, rtl, layout, zoom, zoomTo, fullscreen, toggleFullscreen };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+      if (target && (/^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable)) return;
+      const nav = navigationRef.current;
+      const forward = nav.rtl ? 'ArrowLeft' : 'ArrowRight';
+      const back = nav.rtl ? 'ArrowRight' : 'ArrowLeft';
+      const paging = nav.layout !== 'scroll';
+      if (e.key === forward || (paging && (e.key === 'PageDown' || e.key === ' '))) {
+        e.preventDefault();
+        nav.goNext();
+      } else if (e.key === back || (paging && e.key === 'PageUp')) {
+        e.preventDefault();
+        nav.goPrev();
+      } else if (e.key === '+' || e.key === '=') {
+        nav.zoomTo(nav.zoom * ZOOM_STEP);
+      } else if (e.key === '-') {
+        nav.zoomTo(nav.zoom / ZOOM_STEP);
+      } else if (e.key === '0') {
+        nav.zoomTo(1);
+      } else if (e.key === 'f' || (e.key === 'Escape' && nav.fullscreen && !document.fullscreenElement)) {
+        nav.toggleFullscreen();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Ctrl/Cmd + wheel (and trackpad pinches, which arrive the same way) zooms
+  // at the pointer instead of zooming the whole page. The listener is not
+  // passive so the browser's zoom can be prevented.
+  useEffect(() => {
+    const scroller = scrollerRef.current;
+    if (!scroller) return undefined;
+    const handleWheel = (e) => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      const nav = navigationRef.current;
+      nav.zoomTo(nav.zoom * Math.pow(ZOOM_STEP, -e.deltaY / 100), { x: e.clientX, y: e.clientY });
+    };
+    scroller.addEventListener('wheel', handleWheel, { passive: false });
+    return () => scroller.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  // Whether the pages are larger than the page area, so dragging pans them
+  // instead of turning the page
+  const overflowsScreen = () => {
+    const scroller = scrollerRef.current;
+    return Boolean(scroller) && scroller.scrollWidth > scroller.clientWidth + 1;
+  };
+
+  function handleTouchStart(e) {
+    if (e.touches.length === 2) {
+      const [a, b] = e.touches;
+      const x = (a.clientX + b.clientX) / 2;
+      const y = (a.clientY + b.clientY) / 2;
+      const box = pageAreaRef.current ? pageAreaRef.current.getBoundingClientRect() : { left: 0, top: 0 };
+      touchStartRef.current = {
+        pinch: true,
+        distance: touchDistance(a, b),
+        x,
+        y,
+        origin: `${x - box.left}px ${y - box.top}px`
+      };
+      pinchScaleRef.current = 1;
+      return;
+    }
+    const touch = e.touches[0];
+    touchStartRef.current = e.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+  }
+
+  function handleTouchMove(e) {
+    const start = touchStartRef.current;
+    const area = pageAreaRef.current;
+    if (!start || !start.pinch || e.touches.length !== 2 || !area) return;
+    pinchScaleRef.current = clampZoom(zoom * (touchDistance(e.touches[0], e.touches[1]) / start.distance)) / zoom;
+    area.style.transformOrigin = start.origin;
+    area.style.transform = `scale(${pinchScaleRef.current})`;
+  }
+
+  function endPinch(start) {
+    if (pageAreaRef.current) pageAreaRef.current.style.transform = '';
+    zoomTo(zoom * pinchScaleRef.current, start);
+  }
+
+  // A second quick tap in the same place zooms in there, or back out
+  function handleTap(touch) {
+    const now = Date.now();
+    const last = lastTapRef.current;
+    const x = touch.clientX;
+    const y = touch.clientY;
+    if (last && now - last.time < DOUBLE_TAP_MS && Math.hypot(x - last.x, y - last.y) < TAP_MAX_DISTANCE * 3) {
+      lastTapRef.current = null;
+      zoomTo(zoom > 1 ? 1 : DOUBLE_TAP_ZOOM, { x, y });
+    } else {
+      lastTapRef.current = { time: now, x, y };
+      revealToolbar();
+    }
+  }
+
+  function handleTouchEnd(e) {
+    const start = touchStartRef.current;
+    if (start && start.pinch) {
+      // The pinch ends when the last finger lifts
+      if (e.touches.length === 0) {
+        touchStartRef.current = null;
+        endPinch(start);
+      }
+      return;
+    }
+    touchStartRef.current = null;
+    if (!start) return;
+    const touch = e.changedTouches[0];
+    const dx = touch.clientX - start.x;
+    const dy = touch.clientY - start.y;
+    if (Math.abs(dx) < TAP_MAX_DISTANCE && Math.abs(dy) < TAP_MAX_DISTANCE) {
+      handleTap(touch);
+      return;
+    }
+    const selection = window.getSelection();
+    if (layout === 'scroll' || overflowsScreen() || (selection && !selection.isCollapsed)) return;
+    if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+    // Swiping left turns forward, like a paper book; right to left books turn the other way
+    const swipedLeft = dx < 0;
+    if (swipedLeft !== rtl) goNext();
+    else goPrev();
+  }
+
+  // Dragging with the mouse pans a page larger than the screen. Text and
+  // controls keep their own mouse handling so text can still be selected.
+  function handlePointerDown(e) {
+    const scroller = scrollerRef.current;
+    if (e.pointerType !== 'mouse' || e.button !== 0 || !scroller) return;
+    if (!overflowsScreen() && scroller.scrollHeight <= scroller.clientHeight) return;
+    if (e.target.closest('button, input, select, a, .selection-toolbar, .react-pdf__Page__textContent span')) return;
+    dragRef.current = { x: e.clientX, y: e.clientY, left: scroller.scrollLeft, top: scroller.scrollTop };
+    scroller.setPointerCapture(e.pointerId);
+    scroller.classList.add('dragging');
+  }
+
+  function handlePointerMove(e) {
+    const drag = dragRef.current;
+    if (!drag) return;
+    scrollerRef.current.scrollTo({
+      left: drag.left - (e.clientX - drag.x),
+      top: drag.top - (e.clientY - drag.y),
+      behavior: 'instant'
+    });
+  }
+
+  function handlePointerUp() {
+    if (!dragRef.current) return;
+    dragRef.current = null;
+    scrollerRef.current.classList.remove('dragging');
+  }
+
+  useEffect(() => {
+    if (isSplit && numPages && currentPage > numPages - PREFETCH_PAGES_BEFORE_END) {
+      prefetchPart(partIndex + 1);
+    }
+    // prefetchPart only reads refs and `parts`, which changes with partIndex
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isSplit, numPages, currentPage, partIndex]);
+
+  // Remember where the reader is, once they have settled on a page
+  useEffect(() => {
+    if (progressStatus !== 'ready' || resumeFrom || !numPages) return undefined;
+    let percent = null;
+    if (isSplit && totalPages && globalPage) percent = (globalPage / totalPages) * 100;
+    else if (!isSplit) percent = (currentPage / numPages) * 100;
+    const position = {
+      partNumber: parts[partIndex] ? parts[partIndex].partNumber : 1,
+      page: currentPage,
+      globalPage: isSplit ? globalPage : currentPage,
+      totalPages: isSplit ? totalPages : numPages,
+      percent: percent === null ? null : Math.min(percent, 100)
+    };
+    const save = () => {
+      pendingSaveRef.current = null;
+      saveReadingProgress(id, position, bookInfo);
+    };
+    pendingSaveRef.current = save;
+    const timer = setTimeout(save, SAVE_PROGRESS_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [id, progressStatus, resumeFrom, numPages, currentPage, partIndex, parts, isSplit, totalPages, globalPage, bookInfo]);
+
+  // Save a position still waiting for its delay when the reader leaves
+  useEffect(() => {
+    const flush = () => {
+      if (pendingSaveRef.current) pendingSaveRef.current();
+    };
+    window.addEventListener('pagehide', flush);
+    return () => {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    };
+  }, []);
+
+  const partNumber = parts[partIndex] ? parts[partIndex].partNumber : 1;
+  const annotationsOnPage = (page) => annotations.filter((a) => a.partNumber === partNumber && a.page === page);
+  const pageBookmark = annotationsOnPage(currentPage).find((a) => a.type === 'bookmark');
+
+  // Where a new annotation goes: `page` of the open part
+  const placeOf = (page) => ({
+    partNumber,
+    page,
+    globalPage: isSplit ? toGlobalPage(parts, partIndex, page) : page
+  });
+
+  const annotationPageLabel = (annotation) => {
+    if (annotation.globalPage) return `Page ${annotation.globalPage}`;
+    return isSplit ? `Part ${annotation.partNumber}, page ${annotation.page}` : `Page ${annotation.page}`;
+  };
+
+  async function addAnnotation(fields) {
+    try {
+      const created = await createAnnotation(id, { ...placeOf(currentPage), ...fields });
+      setAnnotations((prev) => [...prev.filter((a) => a.id !== created.id), created]);
+    } catch (err) {
+      console.error('Error saving annotation:', err);
+      alert('Failed to save. Please try again.');
+    }
+  }
+
+  async function removeAnnotation(annotation) {
+    try {
+      await deleteAnnotation(annotation.id);
+      setAnnotations((prev) => prev.filter((a) => a.id !== annotation.id));
+    } catch (err) {
+      console.error('Error deleting annotation:', err);
+      alert('Failed to delete. Please try again.');
+    }
+  }
+
+  function toggleBookmark() {
+    if (!user) {
+      setPanelOpen(true);
+      setOutlineOpen(false);
+      return;
+    }
+    if (pageBookmark) removeAnnotation(pageBookmark);
+    else addAnnotation({ type: 'bookmark' });
+  }
+
+  function addPageNote() {
+    const note = window.prompt(`Note for page ${isSplit && globalPage ? globalPage : currentPage}:`);
+    if (note && note.trim()) addAnnotation({ type: 'note', note });
+  }
+
+  async function editNote(annotation) {
+    const note = window.prompt('Note:', annotation.note || '');
+    if (note === null) return;
+    if (annotation.type === 'note' && !note.trim()) {
+      removeAnnotation(annotation);
+      return;
+    }
+    try {
+      const updated = await updateAnnotation(annotation.id, { note });
+      setAnnotations((prev) => prev.map((a) => (a.id === updated.id ? updated : a)));
+    } catch (err) {
+      console.error('Error updating note:', err);
+      alert('Failed to save the note. Please try again.');
+    }
+  }
+
+  async function handleExport() {
+    try {
+      await exportAnnotations(id, `${bookTitle} - notes.md`);
+    } catch (err) {
+      console.error('Error exporting notes:', err);
+      alert('Failed to export notes. Please try again.');
+    }
+  }
+
+  // Offer to highlight text selected on a page
+  function handleTextSelection(e) {
+    if (e.target.closest && e.target.closest('.selection-toolbar')) return;
+    const selection = window.getSelection();
+    if (!user || !selection || selection.isCollapsed || selection.rangeCount === 0) {
+      setPendingHighlight(null);
+      return;
+    }
+    const range = selection.getRangeAt(0);
+    const node = range.commonAncestorContainer;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    // A selection across two pages of a spread belongs to neither
+    const pageElement = element && element.closest('.react-pdf__Page');
+    const text = selection.toString().trim();
+    const rects = pageElement ? selectionRects(range, pageElement) : [];
+    setPendingHighlight(
+      text && rects.length > 0 ? { page: Number(pageElement.dataset.pageNumber), text, rects } : null
+    );
+  }
+
+  function addHighlight(color, withNote = false) {
+    const pending = pendingHighlight;
+    if (!pending) return;
+    let note = null;
+    if (withNote) {
+      note = window.prompt('Note:');
+      if (note === null) return;
+    }
+    setPendingHighlight(null);
+    window.getSelection().removeAllRanges();
+    addAnnotation({ ...placeOf(pending.page), type: 'highlight', color, text: pending.text, rects: pending.rects, note });
+  }
+
+  function goToAnnotation(annotation) {
+    goToPosition(annotation);
+    if (window.innerWidth < 768) setPanelOpen(false);
+  }
+
+  // Pages of the server's outline are global; those of the open part's own
+  // outline are pages of that part
+  const outline = bookOutline || partOutline;
+  const outlineIsGlobal = Boolean(bookOutline) && isSplit;
+  const outlinePageLabel = (entry) =>
+    `${outlineIsGlobal || !isSplit ? entry.page : toGlobalPage(parts, partIndex, entry.page) || entry.page}`;
+
+  function goToOutlineEntry(entry) {
+    const target = outlineIsGlobal ? locatePage(parts, entry.page) : { partIndex, page: entry.page };
+    if (target) openPart(target.partIndex, target.page);
+    if (window.innerWidth < 768) setOutlineOpen(false);
+  }
+
+  useEffect(() => {
+    if (layout !== 'scroll') setPendingHighlight(null);
+  }, [currentPage, partIndex, layout]);
+
+  // The part open in the reader is searched as loaded; others are fetched
+  // for the search and closed again
+  async function loadPartForSearch(index) {
+    if (index === partIndex && pdfDocRef.current && pdfDocRef.current.numPages === numPages) {
+      return { doc: pdfDocRef.current, release: null };
+    }
+    const task = pdfjs.getDocument(parts[index].viewUrl);
+    const doc = await task.promise;
+    return { doc, release: () => doc.destroy() };
+  }
+
+  function goToHit(index, hits = searchHits) {
+    if (hits.length === 0) return;
+    const wrapped = (index + hits.length) % hits.length;
+    setActiveHit(wrapped);
+    openPart(hits[wrapped].partIndex, hits[wrapped].page);
+  }
+
+  async function runSearch() {
+    const query = normalizeQuery(searchQuery);
+    // Enter again on the same query moves to the next match
+    if (query && query === searchedQuery && searchHits.length > 0) {
+      goToHit(activeHit + 1);
+      return;
+    }
+    const run = (searchRunRef.current += 1);
+    const isCurrent = () => run === searchRunRef.current;
+    setSearchHits([]);
+    setActiveHit(0);
+    setSearchedQuery(query);
+    setSearchProgress(null);
+    if (!query) return;
+
+    setSearching(true);
+    let first = true;
+    try {
+      await searchBook({
+        partCount: parts.length,
+        loadPart: loadPartForSearch,
+        cache: searchCacheRef.current,
+        query,
+        onHits: (hits) => {
+          if (!isCurrent()) return;
+          setSearchHits((prev) => [...prev, ...hits]);
+          if (first) {
+            first = false;
+            goToHit(0, hits);
+          }
+        },
+        onProgress: (progress) => isCurrent() && setSearchProgress(progress),
+        isCancelled: () => !isCurrent()
+      });
+    } catch (err) {
+      console.error('Error searching the book:', err);
+    } finally {
+      if (isCurrent()) setSearching(false);
+    }
+  }
+
+  function closeSearch() {
+    searchRunRef.current += 1;
+    setSearchOpen(false);
+    setSearchHits([]);
+    setSearchedQuery(null);
+    setSearching(false);
+  }
+
+  const hitLabel = (hit) => {
+    const page = toGlobalPage(parts, hit.partIndex, hit.page);
+    if (page) return `Page ${page}`;
+    return isSplit ? `Part ${parts[hit.partIndex].partNumber}, page ${hit.page}` : `Page ${hit.page}`;
+  };
+
+  // Search matches in the open part: page -> itemIndex -> [{ from, to, current }]
+  const searchMarks = useMemo(() => {
+    const marks = {};
+    searchHits.forEach((hit, index) => {
+      if (hit.partIndex !== partIndex) return;
+      const page = (marks[hit.page] = marks[hit.page] || {});
+      for (const range of hit.ranges) {
+        (page[range.itemIndex] = page[range.itemIndex] || []).push({ ...range, current: index === activeHit });
+      }
+    });
+    return marks;
+  }, [searchHits, activeHit, partIndex]);
+
+  const renderSearchMarks = useCallback(
+    ({ str, itemIndex, pageNumber }) => markTextItem(str, (searchMarks[pageNumber] || {})[itemIndex]),
+    [searchMarks]
+  );
+
+  // Ctrl/Cmd+F opens the in-book search instead of the browser's
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        setSearchOpen(true);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   function onDocumentLoadError(err) {
     console.error('Error loading PDF:', err);
     setError(err.message || 'Failed to load PDF');
     setLoading(false);
   }
 
+  // Page numbers are global across parts; until every part before the target
+  // has been counted, the number is taken as a page of the current part
   function handleJumpToPage() {
     if (!numPages) return;
     const raw = parseInt(pageInput, 10);
     if (isNaN(raw)) return;
-    const target = Math.min(Math.max(raw, 1), numPages);
-    setCurrentPage(target);
+    if (isSplit) {
+      const target = locatePage(parts, Math.min(Math.max(raw, 1), totalPages || raw));
+      if (target) {
+        openPart(target.partIndex, target.page);
+        return;
+      }
+    }
+    setCurrentPage(Math.min(Math.max(raw, 1), numPages));
   }
 
   // Handle window resize and container width changes
@@ -86,6 +1012,7 @@ const B2Reader = () => {
       if (scrollerRef.current) {
         setContainerWidth(scrollerRef.current.clientWidth);
       }
+      setViewportHeight(window.innerHeight);
     };
 
     // Initial width
@@ -106,30 +1033,209 @@ const B2Reader = () => {
     };
   }, []);
 
-  const canPrev = currentPage > 1;
-  const canNext = numPages ? currentPage < numPages : false;
+  const canPrev = prevPageOf(currentPage, spread) !== null || partIndex > 0;
+  const canNext = numPages ? nextPageOf(currentPage, numPages, spread) !== null || partIndex < parts.length - 1 : false;
+  const starts = partStartPages(parts);
+  // Pages on screen, for the page label
+  const shownPages = spread ? spreadPages(currentPage, numPages || currentPage) : [currentPage];
+  const lastShownPage = shownPages[shownPages.length - 1];
+  const pageRange = (first, last) => (first === last ? `${first}` : `${first}-${last}`);
   
   // Calculate page width with max constraints
   const maxContentWidth = 1200; // Max width for the content
+  const narrowScreen = window.innerWidth <= 768;
   const padding = window.innerWidth < 768 ? 24 : 48; // Less padding on mobile
-  const pageWidth = Math.min(containerWidth - padding, maxContentWidth);
+  // The scroller's padding makes room for the thumbnail column on wide screens
+  const thumbnailsWidth = thumbnailsOpen && !narrowScreen ? THUMBNAILS_WIDTH : 0;
+  const pageWidth = Math.min(containerWidth - padding - thumbnailsWidth, maxContentWidth);
+  // Height of the page area left for a page: the bars and padding around it,
+  // and the thumbnail row on phones
+  const reservedHeight =
+    (narrowScreen ? 160 : 200) +
+    (thumbnailsOpen && narrowScreen ? THUMBNAILS_HEIGHT : 0) -
+    (toolbarOverlay ? TOPBAR_HEIGHT : 0);
+  const pageNumberLabel = (page) => (isSplit ? toGlobalPage(parts, partIndex, page) || page : page);
+
+  // One page at `size` ({ width } or { height }) with its highlights
+  const renderPage = (pageNumber, size) => (
+    <Page
+      key={pageNumber}
+      pageNumber={pageNumber}
+      {...size}
+      renderTextLayer={true}
+      renderAnnotationLayer={false}
+      loading="Loading page..."
+      className="pdf-page"
+      customTextRenderer={searchMarks[pageNumber] ? renderSearchMarks : undefined}
+      onLoadSuccess={
+        pageNumber === currentPage
+          ? (page) =>
+              setPageSize((prev) =>
+                prev && prev.width === page.originalWidth && prev.height === page.originalHeight
+                  ? prev
+                  : { width: page.originalWidth, height: page.originalHeight }
+              )
+          : undefined
+      }
+    >
+      {preferences.theme === 'night' && preferences.keepImageColors && <PageImageRegions />}
+      <div className="highlight-layer">
+        {annotationsOnPage(pageNumber)
+          .filter((a) => a.type === 'highlight' && a.rects)
+          .map((a) =>
+            a.rects.map((rect, index) => (
+              <div
+                key={`${a.id}-${index}`}
+                className={`highlight highlight-${a.color}`}
+                title={a.note || undefined}
+                style={{
+                  left: `${rect.x * 100}%`,
+                  top: `${rect.y * 100}%`,
+                  width: `${rect.width * 100}%`,
+                  height: `${rect.height * 100}%`
+                }}
+              />
+            ))
+          )}
+      </div>
+      {pendingHighlight && pendingHighlight.page === pageNumber && (
+        <div
+          className="selection-toolbar"
+          style={{
+            left: `${pendingHighlight.rects[0].x * 100}%`,
+            top: `${pendingHighlight.rects[0].y * 100}%`
+          }}
+          // Keep the selection while a button is pressed
+          onMouseDown={(e) => e.preventDefault()}
+        >
+          {HIGHLIGHT_COLORS.map((color) => (
+            <button
+              key={color}
+              className={`highlight-swatch highlight-${color}`}
+              onClick={() => addHighlight(color)}
+              title={`Highlight ${color}`}
+              aria-label={`Highlight ${color}`}
+            />
+          ))}
+          <button className="selection-note-btn" onClick={() => addHighlight(HIGHLIGHT_COLORS[0], true)}>
+            Note
+          </button>
+        </div>
+      )}
+    </Page>
+  );
+
+  if (epubUrl) {
+    return (
+      <EpubReader
+        bookId={id}
+        url={epubUrl}
+        title={bookTitle}
+        preferences={preferences}
+        onChangePreferences={changePreferences}
+        fullscreen={fullscreen}
+        onToggleFullscreen={toggleFullscreen}
+        rootRef={rootRef}
+      />
+    );
+  }
 
   return (
-    <div className="b2reader-root">
+    <div
+      className={[
+        'b2reader-root',
+        `layout-${layout}`,
+        `theme-${preferences.theme}`,
+        thumbnailsOpen ? 'thumbnails-open' : '',
+        toolbarOverlay ? 'toolbar-overlay' : '',
+        autoHideToolbar && !toolbarShown ? 'toolbar-hidden' : ''
+      ].join(' ')}
+      ref={rootRef}
+      style={{ '--page-brightness': preferences.brightness / 100 }}
+      onMouseMove={handleRootMouseMove}
+    >
       {/* Top bar */}
-      <div className="b2reader-topbar">
+      <div
+        className="b2reader-topbar"
+        onMouseEnter={() => clearTimeout(toolbarTimerRef.current)}
+        onMouseLeave={revealToolbar}
+        onFocus={() => clearTimeout(toolbarTimerRef.current)}
+      >
         <button className="back-btn" onClick={() => navigate(-1)}>
           <ArrowLeft size={18} />
           <span>Back</span>
         </button>
-        <div className="topbar-title" title={bookTitle}>{bookTitle}</div>
+        <div className="topbar-title" title={bookTitle}>
+          {bookTitle}
+          {readingOffline && <span className="offline-badge">Offline copy</span>}
+        </div>
         <div className="topbar-actions">
+          {isSplit && (
+            <select
+              className="part-select"
+              value={partIndex}
+              onChange={(e) => openPart(Number(e.target.value), 1)}
+              aria-label="Part"
+            >
+              {parts.map((part, index) => (
+                <option key={part.partNumber} value={index}>
+                  Part {part.partNumber}
+                  {starts[index] !== null && part.pageCount
+                    ? ` (p. ${starts[index]}-${starts[index] + part.pageCount - 1})`
+                    : ''}
+                </option>
+              ))}
+            </select>
+          )}
+          <select
+            className="part-select"
+            value={layout}
+            onChange={(e) => changeLayout(e.target.value)}
+            aria-label="Page layout"
+          >
+            {LAYOUTS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <div className="zoom-controls">
+            <button className="jump-btn icon-btn" onClick={() => zoomTo(zoom / ZOOM_STEP)} title="Zoom out">
+              <ZoomOut size={16} />
+            </button>
+            <button className="jump-btn zoom-percent" onClick={() => zoomTo(1)} title="Reset zoom">
+              {Math.round(zoom * 100)}%
+            </button>
+            <button className="jump-btn icon-btn" onClick={() => zoomTo(zoom * ZOOM_STEP)} title="Zoom in">
+              <ZoomIn size={16} />
+            </button>
+          </div>
+          <select
+            className="part-select"
+            value={fitMode}
+            onChange={(e) => changeFitMode(e.target.value)}
+            aria-label="Page size"
+          >
+            {FIT_MODES.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+          <button
+            className={`jump-btn icon-btn ${thumbnailsOpen ? 'active' : ''}`}
+            onClick={() => setThumbnailsOpen((open) => !open)}
+            title={thumbnailsOpen ? 'Hide page thumbnails' : 'Show page thumbnails'}
+            aria-expanded={thumbnailsOpen}
+          >
+            <PanelLeft size={16} />
+          </button>
           <input
             type="number"
             className="jump-input"
-            placeholder={numPages ? `1 - ${numPages}` : 'Page #'}
+            placeholder={isSplit ? (totalPages ? `1 - ${totalPages}` : 'Page #') : numPages ? `1 - ${numPages}` : 'Page #'}
             min={1}
-            max={numPages || undefined}
+            max={(isSplit ? totalPages : numPages) || undefined}
             value={pageInput}
             onChange={(e) => setPageInput(e.target.value)}
             onKeyDown={(e) => {
@@ -140,50 +1246,187 @@ const B2Reader = () => {
           <button className="jump-btn" onClick={handleJumpToPage} title="Jump to page">
             Jump
           </button>
+          <button
+            className={`jump-btn icon-btn ${searchOpen ? 'active' : ''}`}
+            onClick={() => (searchOpen ? closeSearch() : setSearchOpen(true))}
+            title="Search in this book"
+            aria-expanded={searchOpen}
+          >
+            <Search size={16} />
+          </button>
+          <button
+            className={`jump-btn icon-btn ${pageBookmark ? 'active' : ''}`}
+            onClick={toggleBookmark}
+            title={pageBookmark ? 'Remove bookmark' : 'Bookmark this page'}
+            aria-pressed={Boolean(pageBookmark)}
+          >
+            <Bookmark size={16} fill={pageBookmark ? 'currentColor' : 'none'} />
+          </button>
+          <button
+            className={`jump-btn icon-btn ${displayOpen ? 'active' : ''}`}
+            onClick={() => setDisplayOpen((open) => !open)}
+            title="Display"
+            aria-expanded={displayOpen}
+          >
+            <SunMoon size={16} />
+          </button>
+          <button
+            className={`jump-btn icon-btn ${outlineOpen ? 'active' : ''}`}
+            onClick={() => {
+              setOutlineOpen((open) => !open);
+              setPanelOpen(false);
+            }}
+            title="Contents"
+            aria-expanded={outlineOpen}
+          >
+            <ListTree size={16} />
+          </button>
+          <button
+            className={`jump-btn icon-btn ${panelOpen ? 'active' : ''}`}
+            onClick={() => {
+              setPanelOpen((open) => !open);
+              setOutlineOpen(false);
+            }}
+            title="Bookmarks & notes"
+            aria-expanded={panelOpen}
+          >
+            <StickyNote size={16} />
+          </button>
         </div>
+        {displayOpen && (
+          <ReaderDisplaySettings
+            preferences={preferences}
+            onChange={changePreferences}
+            fullscreen={fullscreen}
+            onToggleFullscreen={toggleFullscreen}
+            onClose={() => setDisplayOpen(false)}
+          />
+        )}
       </div>
 
-      {/* Horizontal scroller */}
-      <div className="b2reader-scroller" ref={scrollerRef}>
+      {searchOpen && (
+        <ReaderSearch
+          query={searchQuery}
+          onQueryChange={setSearchQuery}
+          onSearch={runSearch}
+          hits={searchHits}
+          activeIndex={activeHit}
+          onSelect={(index) => goToHit(index)}
+          onPrev={() => goToHit(activeHit - 1)}
+          onNext={() => goToHit(activeHit + 1)}
+          onClose={closeSearch}
+          searching={searching}
+          searched={searchedQuery !== null}
+          progressLabel={
+            searchProgress
+              ? `Searching${isSplit ? ` part ${searchProgress.partIndex + 1} of ${parts.length},` : ''} page ${
+                  searchProgress.page
+                } of ${searchProgress.pageCount}…`
+              : 'Searching…'
+          }
+          hitLabel={hitLabel}
+        />
+      )}
+
+      {resumeFrom && (
+        <div className="resume-prompt" role="dialog" aria-label="Continue reading">
+          <span>
+            Continue reading from{' '}
+            {isSplit && !resumeFrom.globalPage
+              ? `part ${resumeFrom.partNumber}, page ${resumeFrom.page}`
+              : `page ${resumeFrom.globalPage || resumeFrom.page}`}
+            ?
+          </span>
+          <button className="jump-btn resume-continue" onClick={resumeReading}>
+            Continue
+          </button>
+          <button className="jump-btn" onClick={() => setResumeFrom(null)}>
+            Start over
+          </button>
+        </div>
+      )}
+
+      {/* Page area: scrolls and pans the pages, takes swipes, pinches and taps */}
+      <div
+        className={`b2reader-scroller ${zoom > 1 ? 'zoomed' : ''}`}
+        ref={scrollerRef}
+        onTouchStart={handleTouchStart}
+        onTouchMove={handleTouchMove}
+        onTouchEnd={handleTouchEnd}
+        onTouchCancel={handleTouchEnd}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
         {error ? (
           <div className="error-message" style={{ color: '#fff', textAlign: 'center' }}>
             <h3>Error loading PDF</h3>
             <p>{error}</p>
             <p>Try refreshing the page or checking your connection.</p>
           </div>
-        ) : !pdfUrl ? (
+        ) : !pdfFile ? (
           <div className="error-message" style={{ color: '#fff', textAlign: 'center' }}>
             <h3>Preparing reader…</h3>
           </div>
         ) : (
           <Document
-            file={pdfUrl}
+            file={pdfFile}
+            options={PDF_OPTIONS}
             onLoadSuccess={onDocumentLoadSuccess}
             onLoadError={onDocumentLoadError}
             loading={
               <div className="loading-container">
                 <div className="loader"></div>
-                <p style={{ color: '#fff', marginTop: '10px' }}>Loading PDF…</p>
+                <p style={{ color: '#fff', marginTop: '10px' }}>
+                  {isSplit ? `Loading part ${partIndex + 1} of ${parts.length}…` : 'Loading PDF…'}
+                </p>
               </div>
             }
             className="b2reader-document"
           >
-            <div className="b2reader-page">
-              <Page
-                pageNumber={currentPage}
-                scale={scale}
-                width={pageWidth - 40} // Account for padding
-                renderTextLayer={false}
-                renderAnnotationLayer={false}
-                loading="Loading page..."
-                className="pdf-page"
+            <div
+              className="b2reader-page"
+              ref={pageAreaRef}
+              onMouseUp={handleTextSelection}
+              onTouchEnd={handleTextSelection}
+            >
+              {layout === 'scroll' && partIndex > 0 && (
+                <button className="jump-btn part-turn" onClick={() => openPart(partIndex - 1, 'last')}>
+                  Back to part {parts[partIndex - 1].partNumber}
+                </button>
+              )}
+              <ReaderPages
+                layout={layout}
+                spread={spread}
+                numPages={numPages}
+                currentPage={currentPage}
+                pageSize={pageSize}
+                fitMode={fitMode}
+                zoom={zoom}
+                contentWidth={pageWidth - 40} // Account for padding
+                heightBudget={viewportHeight - reservedHeight}
+                renderPage={renderPage}
+                scrollContainerRef={scrollerRef}
+                onVisiblePageChange={setCurrentPage}
               />
-              <div className="page-label">{currentPage}/{numPages || '--'}</div>
+              {layout === 'scroll' && partIndex < parts.length - 1 && (
+                <button className="jump-btn part-turn" onClick={() => openPart(partIndex + 1, 1)}>
+                  Continue to part {parts[partIndex + 1].partNumber}
+                </button>
+              )}
+              <div className="page-label">
+                {isSplit
+                  ? totalPages && globalPage
+                    ? `${pageRange(toGlobalPage(parts, partIndex, shownPages[0]), toGlobalPage(parts, partIndex, lastShownPage))}/${totalPages}`
+                    : `Part ${partIndex + 1} · ${pageRange(shownPages[0], lastShownPage)}/${numPages || '--'}`
+                  : `${pageRange(shownPages[0], lastShownPage)}/${numPages || '--'}`}
+              </div>
 
-              <div style={{ display: 'flex', justifyContent: 'center', gap: '10px', marginTop: '12px' }}>
+              <div className={`page-nav ${rtl ? 'rtl' : ''}`}>
                 <button
                   className="jump-btn"
-                  onClick={() => canPrev && setCurrentPage((p) => Math.max(1, p - 1))}
+                  onClick={() => canPrev && goPrev()}
                   disabled={!canPrev}
                   title="Previous page"
                 >
@@ -191,7 +1434,7 @@ const B2Reader = () => {
                 </button>
                 <button
                   className="jump-btn"
-                  onClick={() => canNext && setCurrentPage((p) => Math.min((numPages || p + 1), p + 1))}
+                  onClick={() => canNext && goNext()}
                   disabled={!canNext}
                   title="Next page"
                 >
@@ -199,9 +1442,44 @@ const B2Reader = () => {
                 </button>
               </div>
             </div>
+            {thumbnailsOpen && numPages && (
+              <ReaderThumbnails
+                numPages={numPages}
+                currentPage={currentPage}
+                pageSize={pageSize}
+                onSelect={setCurrentPage}
+                pageLabel={pageNumberLabel}
+              />
+            )}
           </Document>
         )}
       </div>
+
+      {panelOpen && (
+        <AnnotationsPanel
+          annotations={annotations}
+          signedIn={Boolean(user)}
+          loading={annotationsLoading}
+          pageLabel={annotationPageLabel}
+          onGo={goToAnnotation}
+          onEditNote={editNote}
+          onDelete={removeAnnotation}
+          onAddNote={addPageNote}
+          onExport={handleExport}
+          onClose={() => setPanelOpen(false)}
+        />
+      )}
+
+      {outlineOpen && (
+        <ReaderOutline
+          outline={outline}
+          loading={!bookOutline && partOutline === null}
+          currentPage={outlineIsGlobal ? globalPage : currentPage}
+          pageLabel={outlinePageLabel}
+          onGo={goToOutlineEntry}
+          onClose={() => setOutlineOpen(false)}
+        />
+      )}
     </div>
   );
 };
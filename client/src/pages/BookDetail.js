@@ -19,15 +19,20 @@ import {
   Loader,
   Star,
   Info,
-  ChevronRight
+  ChevronRight,
+  DownloadCloud,
+  CheckCircle
 } from 'lucide-react';
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
 import 'react-pdf/dist/esm/Page/TextLayer.css';
 import { getCoverImageUrl } from '../utils/coverImage';
+import CoverImage from '../components/CoverImage';
 import { API_URL } from '../utils/apiConfig';
+import { PDF_WORKER_URL } from '../utils/pdfWorker';
+import { getOfflineBook, isOfflineSupported, removeOfflineBook, saveBookOffline } from '../utils/offlineLibrary';
 import './BookDetail.css';
 
-pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
+pdfjs.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
 
 const BookDetail = () => {
   const { id } = useParams();
@@ -39,6 +44,10 @@ const BookDetail = () => {
   const [downloading, setDownloading] = useState(false);
   const [downloadingPart, setDownloadingPart] = useState(null);
   const [pdfParts, setPdfParts] = useState([]);
+  // Copy saved for offline reading (see utils/offlineLibrary), and the
+  // { done, total } parts of a save in progress
+  const [offlineCopy, setOfflineCopy] = useState(null);
+  const [offlineProgress, setOfflineProgress] = useState(null);
   const [reviews, setReviews] = useState([]);
   const [reviewsLoading, setReviewsLoading] = useState(true);
   const [newReview, setNewReview] = useState('');
@@ -119,6 +128,17 @@ const BookDetail = () => {
     fetchBook();
   }, [fetchBook]);
 
+  useEffect(() => {
+    let cancelled = false;
+    setOfflineCopy(null);
+    getOfflineBook(id).then((saved) => {
+      if (!cancelled) setOfflineCopy(saved);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
   // Ensure each book detail loads scrolled to top (including when navigating from recommendations)
   useEffect(() => {
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -217,14 +237,13 @@ const BookDetail = () => {
     const shouldDownload = window.confirm('Download this book?');
     if (!shouldDownload) return;
 
-    // If book has parts, don't use the ZIP download - show individual part downloads instead
-    if (pdfParts && pdfParts.length > 0) {
-      return; // Individual part downloads will be shown in UI
-    }
+    // Books in parts come as one PDF joined by the server
+    const merged = pdfParts && pdfParts.length > 0;
     
     setDownloading(true);
     try {
       const response = await axios.get(`${API_URL}/api/books/${id}/download`, {
+        params: merged ? { format: 'pdf' } : undefined,
         responseType: 'blob'
       });
 
@@ -302,6 +321,30 @@ const BookDetail = () => {
     }
   };
 
+  const handleSaveOffline = async () => {
+    if (offlineCopy) {
+      if (!window.confirm('Remove the offline copy of this book?')) return;
+      await removeOfflineBook(id);
+      setOfflineCopy(null);
+      return;
+    }
+
+    setOfflineProgress({ done: 0, total: pdfParts.length || 1 });
+    try {
+      const { book: saved, evicted } = await saveBookOffline({ ...book, id }, setOfflineProgress);
+      setOfflineCopy(saved);
+      if (evicted.length > 0) {
+        const titles = evicted.map((b) => b.title || 'Untitled').join(', ');
+        alert(`To make room, these books were removed from your offline library: ${titles}`);
+      }
+    } catch (error) {
+      console.error('Error saving book offline:', error);
+      alert(error.code === 'quota' ? error.message : 'Failed to save the book for offline reading. Please try again.');
+    } finally {
+      setOfflineProgress(null);
+    }
+  };
+
   const handleSubmitReview = async (e) => {
     e.preventDefault();
 
@@ -448,6 +491,29 @@ const BookDetail = () => {
     );
   }
 
+  const canRead = pdfParts?.length > 0 || book?.b2FileName || book?.fileName;
+  // The offline library keeps PDFs only
+  const isEpub = book?.format === 'epub';
+
+  // Top two levels of the outline; a chapter opens the reader at its page
+  const renderChapters = (entries, depth) => (
+    <ol className="chapter-list">
+      {entries.map((entry, index) => (
+        <li key={index}>
+          {canRead && entry.page ? (
+            <button className="chapter-link" onClick={() => navigate(`/read/${id}?page=${entry.page}`)}>
+              <span>{entry.title || 'Untitled'}</span>
+              <span className="chapter-page">{entry.page}</span>
+            </button>
+          ) : (
+            <span className="chapter-link">{entry.title || 'Untitled'}</span>
+          )}
+          {depth < 1 && entry.children && entry.children.length > 0 && renderChapters(entry.children, depth + 1)}
+        </li>
+      ))}
+    </ol>
+  );
+
   return (
     <div className="book-detail">
       {/* Sticky top navigation like modern online readers */}
@@ -495,20 +561,18 @@ const BookDetail = () => {
           <aside className="book-sidebar">
           {book.coverImage && book.coverImage.trim() && getCoverImageUrl(book) && (
             <div className="book-cover-container">
-              <img
-                src={getCoverImageUrl(book)}
+              <CoverImage
+                book={book}
                 alt={book.title || 'Book cover'}
                 className="book-detail-cover-img"
-                onError={(e) => {
-                  console.error('Cover image failed to load:', book.coverImage);
-                  e.target.style.display = 'none';
-                }}
+                sizes="(max-width: 768px) 90vw, 260px"
               />
             </div>
           )}
 
             <div className="book-badge-row">
               <span className="badge badge-free">Free Download</span>
+              {isEpub && <span className="badge badge-format">EPUB</span>}
               {book.category && (
                 <span className="badge badge-category">
                   {book.category}
@@ -523,6 +587,12 @@ const BookDetail = () => {
                   <span>{book.publishedDate}</span>
                 </div>
               )}
+              {isEpub && book.chapterCount && (
+                <div>
+                  <span className="meta-label">Chapters</span>
+                  <span>{book.chapterCount}</span>
+                </div>
+              )}
               {(book.pageCount || book.pages) && (
                 <div>
                   <span className="meta-label">Pages</span>
@@ -650,6 +720,19 @@ const BookDetail = () => {
                       </button>
                     ))}
                   </div>
+                  <button className="cta cta-download" onClick={handleDownload} disabled={downloading}>
+                    {downloading ? (
+                      <>
+                        <Loader className="spinning" size={18} />
+                        Preparing PDF…
+                      </>
+                    ) : (
+                      <>
+                        <Download size={18} />
+                        Whole book as one PDF
+                      </>
+                    )}
+                  </button>
                 </div>
               ) : (
                 <button className="cta cta-download" onClick={handleDownload} disabled={downloading}>
@@ -677,6 +760,37 @@ const BookDetail = () => {
                   Read Online
                 </button>
               )}
+
+              {canRead && !isEpub && isOfflineSupported() && (
+                <button
+                  className="cta cta-outline"
+                  type="button"
+                  onClick={handleSaveOffline}
+                  disabled={Boolean(offlineProgress)}
+                  title={
+                    offlineCopy
+                      ? 'Remove the offline copy'
+                      : 'Keep this book on this device to read without a connection'
+                  }
+                >
+                  {offlineProgress ? (
+                    <>
+                      <Loader className="spinning" size={18} />
+                      Saving…{offlineProgress.total > 1 ? ` ${offlineProgress.done}/${offlineProgress.total}` : ''}
+                    </>
+                  ) : offlineCopy ? (
+                    <>
+                      <CheckCircle size={18} />
+                      Saved offline
+                    </>
+                  ) : (
+                    <>
+                      <DownloadCloud size={18} />
+                      Save for offline
+                    </>
+                  )}
+                </button>
+              )}
                           </div>
 
             <div className="availability-note">
@@ -691,6 +805,14 @@ const BookDetail = () => {
                 <p>{book.description}</p>
               </div>
             )}
+
+            {/* Chapters from the PDF's outline, read by the server at upload */}
+            {Array.isArray(book.outline) && book.outline.length > 0 && (
+              <div className="book-chapters">
+                <h3>Contents</h3>
+                {renderChapters(book.outline, 0)}
+              </div>
+            )}
           </div>
         </section>
 
@@ -722,14 +844,7 @@ const BookDetail = () => {
                     role="button"
                     tabIndex={0}
                   >
-                    <img
-                      src={getCoverImageUrl(rec)}
-                      alt={rec.title || 'Book cover'}
-                      onError={(e) => {
-                        e.target.onerror = null;
-                        e.target.style.display = 'none';
-                      }}
-                    />
+                    <CoverImage book={rec} alt={rec.title || 'Book cover'} sizes="160px" loading="lazy" />
                     <p className="rec-title">{rec.title || 'Untitled'}</p>
                     <p className="rec-author">{rec.author || 'Unknown Author'}</p>
                   </div>
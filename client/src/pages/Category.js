@@ -4,32 +4,74 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { BookOpen, ArrowLeft } from 'lucide-react';
 import { getCoverImageUrl, getDefaultCoverImage } from '../utils/coverImage';
 import { API_URL } from '../utils/apiConfig';
+import { getBooksPage, searchBooks } from '../services/bookService';
+import { normalizeMyanmar } from '../utils/myanmarText';
 import './Home.css';
 import './Category.css';
 
+const PAGE_SIZE = 48;
+const CARD_FIELDS = ['id', 'title', 'author', 'coverImage'];
+
 const Category = () => {
   const { name } = useParams();
   const navigate = useNavigate();
   const [books, setBooks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
   const [sections, setSections] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [sortBy, setSortBy] = useState('recent');
   const [view, setView] = useState('grid');
   const [query, setQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
+
+  const categoryName = decodeURIComponent(name || '');
 
+  // Category filtering, sorting and paging happen on the server
   useEffect(() => {
+    let cancelled = false;
     const fetchBooks = async () => {
+      setLoading(true);
       try {
-        const response = await axios.get(`${API_URL}/api/books`);
-        setBooks(Array.isArray(response.data) ? response.data : []);
+        const data = await getBooksPage({ category: categoryName, sort: sortBy, limit: PAGE_SIZE, fields: CARD_FIELDS });
+        if (cancelled) return;
+        setBooks(data.items || []);
+        setTotal(data.total || 0);
+        setPage(data.page || 1);
+        setHasMore(Boolean(data.hasMore));
       } catch (error) {
-        console.error('Error fetching books:', error);
+        if (!cancelled) setBooks([]);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
     fetchBooks();
-  }, []);
+    return () => {
+      cancelled = true;
+    };
+  }, [categoryName, sortBy]);
+
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await getBooksPage({
+        category: categoryName,
+        sort: sortBy,
+        page: page + 1,
+        limit: PAGE_SIZE,
+        fields: CARD_FIELDS
+      });
+      setBooks((prev) => [...prev, ...(data.items || [])]);
+      setPage(data.page || page + 1);
+      setHasMore(Boolean(data.hasMore));
+    } catch (error) {
+      console.error('Error loading more books:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
   useEffect(() => {
     const fetchSections = async () => {
@@ -44,59 +86,42 @@ const Category = () => {
     fetchSections();
   }, []);
 
+  // In-category search runs on the server (Burmese-aware); null means no search
+  useEffect(() => {
+    const term = query.trim();
+    if (!term) {
+      setSearchResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await searchBooks(term, { limit: 100, category: categoryName, fields: CARD_FIELDS });
+        if (!cancelled) setSearchResults(data.results || []);
+      } catch (error) {
+        if (!cancelled) setSearchResults([]);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, categoryName]);
+
   const normalizeCategory = (value) => {
-    return decodeURIComponent(value || '')
+    return normalizeMyanmar(decodeURIComponent(value || ''))
       .trim()
       .replace(/\s+/g, ' ')
       .replace(/(စာပေများ|စာအုပ်များ|များ)$/u, '')
       .toLowerCase();
   };
 
-  const categoryMatches = (bookCategoryRaw, routeCategoryRaw) => {
-    const bookCategory = normalizeCategory(bookCategoryRaw);
-    const routeCategory = normalizeCategory(routeCategoryRaw);
+  const filtered = searchResults || books;
 
-    if (!bookCategory || !routeCategory) return false;
-
-    // For this specific category, do not use fuzzy matching because it overlaps heavily
-    // with other comic-related categories (e.g. 'ရုပ်ပြ'). Only show explicitly assigned books.
-    if (routeCategory === normalizeCategory('ကာတွန်းနှင့်ရုပ်ပြများ')) {
-      return bookCategory === routeCategory;
-    }
-
-    return (
-      bookCategory === routeCategory ||
-      bookCategory.includes(routeCategory) ||
-      routeCategory.includes(bookCategory)
-    );
-  };
-
-  const filtered = books
-    .filter((b) => categoryMatches(b.category, name))
-    .filter((b) => {
-      if (!query.trim()) return true;
-      const q = query.toLowerCase();
-      return (
-        b.title?.toLowerCase().includes(q) ||
-        b.author?.toLowerCase().includes(q) ||
-        b.description?.toLowerCase().includes(q)
-      );
-    })
-    .sort((a, b) => {
-      switch (sortBy) {
-        case 'title':
-          return (a.title || '').localeCompare(b.title || '');
-        case 'author':
-          return (a.author || '').localeCompare(b.author || '');
-        case 'recent':
-        default:
-          return 0;
-      }
-    });
-
-  const routeKey = decodeURIComponent(name || '');
-  const matchedSection = sections.find((s) => normalizeCategory(s?.route) === normalizeCategory(routeKey));
-  const displayCategoryName = matchedSection?.title || routeKey;
+  const matchedSection = sections.find((s) => normalizeCategory(s?.route) === normalizeCategory(categoryName));
+  const displayCategoryName = matchedSection?.title || categoryName;
 
   return (
     <div className="home-page category-page">
@@ -111,6 +136,11 @@ const Category = () => {
                 <div>
                   <span className="section-eyebrow">Category</span>
                   <h2 className="section-title">{displayCategoryName}</h2>
+                  {!loading && (
+                    <p className="cat-count">
+                      {searchResults ? `${searchResults.length} of ${total} books` : `${total} books`}
+                    </p>
+                  )}
                 </div>
               </div>
               <div className="cat-actions">
@@ -125,6 +155,7 @@ const Category = () => {
                 <div className="cat-filters">
                   <select value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
                     <option value="recent">Most recent</option>
+                    <option value="rating">Top rated</option>
                     <option value="title">Title A–Z</option>
                     <option value="author">Author A–Z</option>
                   </select>
@@ -193,6 +224,14 @@ const Category = () => {
                 ))}
               </div>
             )}
+
+            {!loading && !searchResults && hasMore && (
+              <div className="cat-load-more">
+                <button className="btn btn-outline" onClick={loadMore} disabled={loadingMore}>
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
           </div>
         </section>
       </main>
@@ -12,16 +12,23 @@ import {
   Youtube
 } from 'lucide-react';
 import { motion } from 'framer-motion';
-import { getCoverImageUrl, getDefaultCoverImage } from '../utils/coverImage';
+import { getDefaultCoverImage } from '../utils/coverImage';
 import CategorySection from '../components/CategorySection';
+import CoverImage from '../components/CoverImage';
+import ContinueReading from '../components/ContinueReading';
 import BookSkeleton from '../components/BookSkeleton';
 import { API_URL } from '../utils/apiConfig';
+import { searchBooks } from '../services/bookService';
+import { normalizeForMatch } from '../utils/myanmarText';
 import './Home.css';
 import bannerLogo from '../assets/logo.png';
 
 console.log('API_URL configured as:', API_URL);
 
-const Home = () => {
+// Only the fields the shelves render (cover, title, author, category grouping)
+const HOME_BOOK_FIELDS = 'id,title,author,category,coverImage,createdAt';
+
+const Home = ({ user }) => {
   const navigate = useNavigate();
   const [books, setBooks] = useState([]);
   const [filteredBooks, setFilteredBooks] = useState([]);
@@ -91,7 +98,9 @@ const Home = () => {
       // Try API first with no timeout limit
       try {
         console.log('Fetching books from API...');
-        const response = await axios.get(`${API_URL}/api/books`);
+        const response = await axios.get(`${API_URL}/api/books`, {
+          params: { sort: 'recent', fields: HOME_BOOK_FIELDS }
+        });
         booksData = response.data;
         console.log('API fetch successful, got', booksData.length, 'books');
       } catch (apiError) {
@@ -117,15 +126,9 @@ const Home = () => {
         console.warn('No books found from any source');
       }
 
-      const enhancedBooks = booksData.map((book) => ({
-        ...book,
-        rating: book.rating || (Math.random() * 2 + 3).toFixed(1),
-        pages: book.pages || book.pageCount || Math.floor(Math.random() * 200) + 150,
-        readingTime: book.readingTime || `${Math.floor((book.pages || 200) / 2)} min read`
-      }));
-
-      // Sort books by creation date (newest first) or by ID if no date available
-      const sortedBooks = enhancedBooks.sort((a, b) => {
+      // The API already returns newest first; the Firestore fallback does not.
+      // Sort by creation date (newest first) or by ID if no date available
+      const sortedBooks = [...booksData].sort((a, b) => {
         // Try to sort by createdAt timestamp first
         if (a.createdAt && b.createdAt) {
           return new Date(b.createdAt) - new Date(a.createdAt);
@@ -142,7 +145,7 @@ const Home = () => {
       setFilteredBooks(sortedBooks);
 
       try {
-        localStorage.setItem('books_cache_v1', JSON.stringify(enhancedBooks));
+        localStorage.setItem('books_cache_v2', JSON.stringify(sortedBooks));
       } catch (e) {
         console.warn('Failed to cache books:', e.message);
       }
@@ -157,7 +160,8 @@ const Home = () => {
 
   useEffect(() => {
     try {
-      const cached = localStorage.getItem('books_cache_v1');
+      localStorage.removeItem('books_cache_v1');
+      const cached = localStorage.getItem('books_cache_v2');
       if (cached) {
         const parsed = JSON.parse(cached);
         if (Array.isArray(parsed) && parsed.length > 0) {
@@ -218,34 +222,39 @@ const Home = () => {
   }, [API_URL]);
 
   useEffect(() => {
-    if (!searchTerm) {
+    const term = searchTerm.trim();
+    if (!term) {
       setFilteredBooks(books);
       return;
     }
 
-    const term = searchTerm.toLowerCase();
-    const filtered = books.filter((book) =>
-      book.title?.toLowerCase().includes(term) ||
-      book.author?.toLowerCase().includes(term) ||
-      book.description?.toLowerCase().includes(term) ||
-      book.category?.toLowerCase().includes(term)
-    );
-    setFilteredBooks(filtered);
+    // Match on the server (Burmese-aware) once typing pauses
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const data = await searchBooks(term, { limit: 100 });
+        if (cancelled) return;
+        const matchedIds = new Set((data.results || []).map((book) => book.id));
+        setFilteredBooks(books.filter((book) => matchedIds.has(book.id)));
+      } catch (error) {
+        if (!cancelled) setFilteredBooks([]);
+      }
+    }, 250);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
   }, [searchTerm, books]);
 
   const displayBooks = filteredBooks.length > 0 ? filteredBooks : books;
 
   // Category mapping function to match books to categories
-  const normalizeCategory = (value) => {
-    return String(value || '')
-      .trim()
-      .replace(/\s+/g, ' ')
-      .toLowerCase();
-  };
+  const normalizeCategory = (value) => normalizeForMatch(value);
 
   const matchBookToCategory = (book, categoryKeywords) => {
-    const bookCategory = (book.category || '').toLowerCase();
-    return categoryKeywords.some(keyword => bookCategory.includes(keyword.toLowerCase()));
+    const bookCategory = normalizeCategory(book.category);
+    return categoryKeywords.some(keyword => bookCategory.includes(normalizeCategory(keyword)));
   };
 
   const matchBookToExactCategoryRoute = (book, categoryRoute) => {
@@ -365,6 +374,8 @@ const Home = () => {
           </div>
         </section>
 
+        {!searchTerm.trim() && <ContinueReading user={user} />}
+
         {/* News Books Section with horizontal scroll */}
         <section className="section news-books">
           <div className="container">
@@ -444,13 +455,11 @@ const Home = () => {
                       <div className="deco-corner deco-bottom deco-left"></div>
                       <div className="deco-corner deco-bottom deco-right"></div>
                       <div className="trending-cover">
-                        <img
-                          src={getCoverImageUrl(book)}
+                        <CoverImage
+                          book={book}
                           alt={book.title}
-                          onError={(e) => {
-                            e.target.onerror = null;
-                            e.target.src = getDefaultCoverImage(book);
-                          }}
+                          sizes="(max-width: 768px) 33vw, 200px"
+                          fallbackSrc={getDefaultCoverImage(book)}
                           loading="lazy"
                         />
                       </div>
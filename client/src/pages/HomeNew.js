@@ -146,11 +146,11 @@ const Home = () => {
         category: book.category || categories[Math.floor(Math.random() * categories.length)],
         rating: book.rating || (Math.random() * 3 + 2).toFixed(1),
         publishedDate: book.publishedDate || new Date(now - Math.random() * 10 * 365 * 24 * 60 * 60 * 1000).toISOString(),
-        pages: book.pages || Math.floor(Math.random() * 200) + 100,
+        pages: book.pageCount || book.pages || null,
         language: book.language || 'English',
         format: book.format || 'ePub',
         isFeatured: book.isFeatured || Math.random() > 0.7,
-        readingTime: Math.floor(Math.random() * 120) + 30 // 30-150 minutes
+        readingTime: book.readingTime || ''
       }));
       
       setBooks(enhancedBooks);
@@ -0,0 +1,201 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ArrowLeft, BookOpen, HardDrive, Trash2, WifiOff } from 'lucide-react';
+import { getCoverImageUrl, getDefaultCoverImage } from '../utils/coverImage';
+import {
+  getOfflineCoverUrl,
+  getStorageUsage,
+  isOfflineSupported,
+  listOfflineBooks,
+  removeOfflineBook
+} from '../utils/offlineLibrary';
+import './Home.css';
+import './OfflineLibrary.css';
+
+const formatMegabytes = (bytes) => `${(bytes / 1048576).toFixed(1)} MB`;
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : '');
+
+// Books saved on this device for reading without a connection (see
+// utils/offlineLibrary), with the storage they take and a way to free it.
+const OfflineLibrary = () => {
+  const navigate = useNavigate();
+  const [books, setBooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [usage, setUsage] = useState(null);
+  // bookId -> object URL of the saved cover
+  const [covers, setCovers] = useState({});
+  const [online, setOnline] = useState(navigator.onLine);
+
+  const loadLibrary = useCallback(async () => {
+    try {
+      const [saved, storage] = await Promise.all([listOfflineBooks(), getStorageUsage()]);
+      setBooks(saved);
+      setUsage(storage);
+    } catch (error) {
+      console.error('Error loading offline library:', error);
+      setBooks([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLibrary();
+  }, [loadLibrary]);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Saved covers, so the shelf looks right offline
+  useEffect(() => {
+    let cancelled = false;
+    const urls = {};
+    Promise.all(
+      books
+        .filter((book) => book.hasCover)
+        .map(async (book) => {
+          const url = await getOfflineCoverUrl(book.id).catch(() => null);
+          if (url) urls[book.id] = url;
+        })
+    ).then(() => {
+      if (cancelled) Object.values(urls).forEach((url) => URL.revokeObjectURL(url));
+      else setCovers(urls);
+    });
+    return () => {
+      cancelled = true;
+      Object.values(urls).forEach((url) => URL.revokeObjectURL(url));
+    };
+  }, [books]);
+
+  const handleRemove = async (book) => {
+    if (!window.confirm(`Remove "${book.title || 'Untitled'}" from this device?`)) return;
+    await removeOfflineBook(book.id);
+    loadLibrary();
+  };
+
+  const handleRemoveAll = async () => {
+    if (!window.confirm('Remove every offline book from this device?')) return;
+    await Promise.all(books.map((book) => removeOfflineBook(book.id)));
+    loadLibrary();
+  };
+
+  const usedShare = usage && usage.quota ? Math.min((usage.usage / usage.quota) * 100, 100) : null;
+
+  return (
+    <div className="home-page offline-library">
+      <main className="main-content">
+        <section className="section">
+          <div className="container">
+            <div className="section-header category-header">
+              <button className="btn btn-outline" onClick={() => navigate('/')}>
+                <ArrowLeft size={18} /> Back to Home
+              </button>
+              <div>
+                <span className="section-eyebrow">On this device</span>
+                <h2 className="section-title">Offline Library</h2>
+              </div>
+            </div>
+
+            {!online && (
+              <div className="offline-notice">
+                <WifiOff size={18} />
+                <span>You are offline. The books below can still be read.</span>
+              </div>
+            )}
+
+            {!isOfflineSupported() ? (
+              <div className="no-results">
+                <BookOpen size={48} />
+                <h3>Offline reading is not available</h3>
+                <p>This browser cannot keep books on the device.</p>
+              </div>
+            ) : loading ? (
+              <div className="no-results">
+                <div className="loader" />
+                <p>Loading offline books...</p>
+              </div>
+            ) : books.length === 0 ? (
+              <div className="no-results">
+                <BookOpen size={48} />
+                <h3>No books saved yet</h3>
+                <p>Use “Save for offline” on a book's page to read it without a connection.</p>
+              </div>
+            ) : (
+              <>
+                {usage && (
+                  <div className="offline-storage">
+                    <div className="offline-storage-text">
+                      <HardDrive size={18} />
+                      <span>
+                        Offline books use {formatMegabytes(usage.offline)}
+                        {usage.quota ? ` · ${formatMegabytes(usage.quota - usage.usage)} free on this device` : ''}
+                      </span>
+                      <button className="offline-remove-all" onClick={handleRemoveAll}>
+                        Remove all
+                      </button>
+                    </div>
+                    {usedShare !== null && (
+                      <div className="offline-storage-bar" aria-hidden="true">
+                        <div style={{ width: `${usedShare}%` }}></div>
+                      </div>
+                    )}
+                    <p className="offline-storage-note">
+                      When space runs out, the books you opened longest ago are removed to make room.
+                    </p>
+                  </div>
+                )}
+
+                <div className="offline-books">
+                  {books.map((book) => (
+                    <div key={book.id} className="offline-book">
+                      <img
+                        className="offline-book-cover"
+                        src={covers[book.id] || getCoverImageUrl(book) || getDefaultCoverImage(book)}
+                        alt={book.title}
+                        onError={(e) => {
+                          e.target.onerror = null;
+                          e.target.src = getDefaultCoverImage(book);
+                        }}
+                      />
+                      <div className="offline-book-info">
+                        <h3>{book.title || 'Untitled'}</h3>
+                        <p>{book.author || 'Unknown Author'}</p>
+                        <p className="offline-book-meta">
+                          {formatMegabytes(book.size || 0)}
+                          {book.parts.length > 1 ? ` · ${book.parts.length} parts` : ''}
+                          {' · '}Saved {formatDate(book.savedAt)}
+                        </p>
+                        <div className="offline-book-actions">
+                          <button className="btn btn-primary" onClick={() => navigate(`/read/${book.id}`)}>
+                            Read
+                          </button>
+                          <button
+                            className="btn btn-outline"
+                            onClick={() => handleRemove(book)}
+                            aria-label={`Remove ${book.title || 'book'}`}
+                          >
+                            <Trash2 size={16} /> Remove
+                          </button>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
+          </div>
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default OfflineLibrary;
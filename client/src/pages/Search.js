@@ -1,44 +1,79 @@
 import React, { useEffect, useState } from 'react';
-import axios from 'axios';
 import { useParams, useNavigate } from 'react-router-dom';
 import { BookOpen, ArrowLeft } from 'lucide-react';
 import { getCoverImageUrl, getDefaultCoverImage } from '../utils/coverImage';
-import { API_URL } from '../utils/apiConfig';
+import { searchBooks } from '../services/bookService';
 import './Home.css';
+import './Search.css';
+
+const PAGE_SIZE = 24;
+// Highlights and score always come back; these are the book fields the cards use
+const RESULT_FIELDS = ['id', 'title', 'author', 'coverImage'];
+
+// Render server highlight segments, falling back to the plain value
+const Highlighted = ({ segments, fallback }) => {
+  if (!Array.isArray(segments) || segments.length === 0) return fallback;
+  return segments.map((segment, index) =>
+    segment.match
+      ? <mark key={index} className="search-highlight">{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+  );
+};
 
 const Search = () => {
   const { term } = useParams();
   const navigate = useNavigate();
-  const [books, setBooks] = useState([]);
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(0);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const query = decodeURIComponent(term || '').trim();
 
   useEffect(() => {
-    const fetchBooks = async () => {
+    let cancelled = false;
+    const fetchResults = async () => {
+      setLoading(true);
+      setResults([]);
+      if (!query) {
+        setTotal(0);
+        setTotalPages(0);
+        setLoading(false);
+        return;
+      }
       try {
-        const response = await axios.get(`${API_URL}/api/books`);
-        setBooks(Array.isArray(response.data) ? response.data : []);
+        const data = await searchBooks(query, { page: 1, limit: PAGE_SIZE, fields: RESULT_FIELDS });
+        if (cancelled) return;
+        setResults(Array.isArray(data.results) ? data.results : []);
+        setTotal(data.total || 0);
+        setTotalPages(data.totalPages || 0);
+        setPage(1);
       } catch (error) {
-        console.error('Error fetching books:', error);
+        if (!cancelled) setResults([]);
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
-    fetchBooks();
-  }, []);
+    fetchResults();
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
 
-  const query = decodeURIComponent(term || '').toLowerCase();
-  const filtered = books.filter((b) => {
-    const title = b.title || '';
-    const author = b.author || '';
-    const description = b.description || '';
-    const category = b.category || '';
-    return (
-      title.toLowerCase().includes(query) ||
-      author.toLowerCase().includes(query) ||
-      description.toLowerCase().includes(query) ||
-      category.toLowerCase().includes(query)
-    );
-  });
+  const loadMore = async () => {
+    setLoadingMore(true);
+    try {
+      const data = await searchBooks(query, { page: page + 1, limit: PAGE_SIZE, fields: RESULT_FIELDS });
+      setResults((prev) => [...prev, ...(Array.isArray(data.results) ? data.results : [])]);
+      setPage(page + 1);
+    } catch (error) {
+      // keep what we already have
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
   return (
     <div className="home-page">
@@ -49,6 +84,9 @@ const Search = () => {
               <div>
                 <span className="section-eyebrow">Search</span>
                 <h2 className="section-title">“{decodeURIComponent(term || '')}”</h2>
+                {!loading && total > 0 && (
+                  <p className="search-count">{total} {total === 1 ? 'book' : 'books'} found</p>
+                )}
               </div>
               <button className="btn btn-outline" onClick={() => navigate(-1)}>
                 <ArrowLeft size={18} /> Back
@@ -60,36 +98,54 @@ const Search = () => {
                 <div className="loader" />
                 <p>Loading books...</p>
               </div>
-            ) : filtered.length === 0 ? (
+            ) : results.length === 0 ? (
               <div className="no-results">
                 <BookOpen size={48} />
                 <h3>No books found</h3>
                 <p>No books match this search.</p>
               </div>
             ) : (
-              <div className="trending-grid">
-                {filtered.map((book) => (
-                  <div
-                    key={book.id}
-                    className="trending-card"
-                    onClick={() => navigate(`/book/${book.id}`)}
-                    style={{ cursor: 'pointer' }}
-                  >
-                    <div className="trending-cover">
-                      <img
-                        src={getCoverImageUrl(book)}
-                        alt={book.title}
-                        onError={(e) => {
-                          e.target.onerror = null;
-                          e.target.src = getDefaultCoverImage(book);
-                        }}
-                      />
+              <>
+                <div className="trending-grid">
+                  {results.map((book) => (
+                    <div
+                      key={book.id}
+                      className="trending-card"
+                      onClick={() => navigate(`/book/${book.id}`)}
+                      style={{ cursor: 'pointer' }}
+                    >
+                      <div className="trending-cover">
+                        <img
+                          src={getCoverImageUrl(book)}
+                          alt={book.title}
+                          onError={(e) => {
+                            e.target.onerror = null;
+                            e.target.src = getDefaultCoverImage(book);
+                          }}
+                        />
+                      </div>
+                      <p className="trending-book-title">
+                        <Highlighted segments={book.highlights?.title} fallback={book.title || 'Untitled'} />
+                      </p>
+                      <p className="trending-book-author">
+                        <Highlighted segments={book.highlights?.author} fallback={book.author || 'Unknown Author'} />
+                      </p>
+                      {book.highlights?.description?.some((segment) => segment.match) && (
+                        <p className="search-snippet">
+                          <Highlighted segments={book.highlights.description} fallback="" />
+                        </p>
+                      )}
                     </div>
-                    <p className="trending-book-title">{book.title || 'Untitled'}</p>
-                    <p className="trending-book-author">{book.author || 'Unknown Author'}</p>
+                  ))}
+                </div>
+                {page < totalPages && (
+                  <div className="search-load-more">
+                    <button className="btn btn-outline" onClick={loadMore} disabled={loadingMore}>
+                      {loadingMore ? 'Loading...' : 'Load more'}
+                    </button>
                   </div>
-                ))}
-              </div>
+                )}
+              </>
             )}
           </div>
         </section>
@@ -0,0 +1,11 @@
+// Registers public/service-worker.js, which keeps the app shell for offline
+// use. Production builds only: in development it would serve stale bundles.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch((err) => {
+      console.error('Service worker registration failed:', err);
+    });
+  });
+}
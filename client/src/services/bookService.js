@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { API_URL } from '../utils/apiConfig';
+import { normalizeMyanmar } from '../utils/myanmarText';
 
 export const getBookById = async (id) => {
   try {
@@ -21,4 +22,45 @@ export const getAllBooks = async () => {
   }
 };
 
+// One page of the catalog. Accepts category, author, trending, sort
+// (recent | rating | title | author), page, limit, cursor and fields (array or
+// comma separated). Resolves to { items, total, page, limit, hasMore, nextCursor }.
+export const getBooksPage = async ({ category, author, fields, ...params } = {}) => {
+  try {
+    const response = await axios.get(`${API_URL}/api/books`, {
+      params: {
+        page: 1,
+        ...params,
+        ...(category ? { category: normalizeMyanmar(category) } : {}),
+        ...(author ? { author: normalizeMyanmar(author) } : {}),
+        ...(fields ? { fields: [].concat(fields).join(',') } : {})
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error fetching books:', error);
+    throw error;
+  }
+};
+
+// Server-side search with relevance ranking and highlight segments.
+// Resolves to { query, total, page, limit, totalPages, results }.
+export const searchBooks = async (query, { page = 1, limit = 20, category, fields } = {}) => {
+  try {
+    const response = await axios.get(`${API_URL}/api/search`, {
+      params: {
+        q: normalizeMyanmar(query),
+        page,
+        limit,
+        ...(category ? { category: normalizeMyanmar(category) } : {}),
+        ...(fields ? { fields: [].concat(fields).join(',') } : {})
+      }
+    });
+    return response.data;
+  } catch (error) {
+    console.error('Error searching books:', error);
+    throw error;
+  }
+};
+
 // Add more API calls as needed
@@ -0,0 +1,40 @@
+import { auth } from '../firebase/config';
+import { API_URL } from './apiConfig';
+
+// Admin requests are authorized with the signed-in account's Firebase ID token.
+// The server maps the account to a role: uploader < editor < admin.
+export const ROLES = ['uploader', 'editor', 'admin'];
+
+export const hasRole = (profile, role) =>
+  Boolean(profile) && ROLES.indexOf(profile.role) >= ROLES.indexOf(role);
+
+export const getAuthHeaders = async () => {
+  const user = auth.currentUser;
+  if (!user) return {};
+  const token = await user.getIdToken();
+  return { Authorization: `Bearer ${token}` };
+};
+
+// fetch() against the admin API. Resolves to the parsed JSON body or throws
+// an Error carrying the server's message and `status`.
+export const adminFetch = async (path, { headers, ...options } = {}) => {
+  const response = await fetch(`${API_URL || ''}${path}`, {
+    ...options,
+    headers: {
+      Accept: 'application/json',
+      ...(await getAuthHeaders()),
+      ...headers
+    }
+  });
+  const ct = (response.headers.get('content-type') || '').toLowerCase();
+  const body = ct.includes('application/json') ? await response.json().catch(() => null) : null;
+  if (!response.ok) {
+    const error = new Error((body && body.error) || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return body;
+};
+
+// { uid, email, name, role } for the signed-in account, or throws (401/403)
+export const fetchAdminProfile = () => adminFetch('/api/admin/me');
@@ -0,0 +1,51 @@
+import { API_URL } from './apiConfig';
+import { adminFetch, getAuthHeaders } from './adminAuth';
+
+// Bookmarks, highlights and notes of the signed-in reader, stored on the
+// server per account (see server/annotations). Each is placed by `partNumber`
+// and `page` within the part, plus `globalPage` when the reader knew it.
+
+export const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+const bookPath = (bookId) => `/api/me/books/${encodeURIComponent(bookId)}/annotations`;
+
+export const listAnnotations = async (bookId) => {
+  const data = await adminFetch(bookPath(bookId));
+  return (data && data.items) || [];
+};
+
+// `annotation` is { type: 'bookmark'|'highlight'|'note', partNumber, page,
+// globalPage, color, text, note, rects }
+export const createAnnotation = (bookId, annotation) =>
+  adminFetch(bookPath(bookId), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(annotation)
+  });
+
+// `changes` is { note } and/or { color }
+export const updateAnnotation = (id, changes) =>
+  adminFetch(`/api/me/annotations/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(changes)
+  });
+
+export const deleteAnnotation = (id) =>
+  adminFetch(`/api/me/annotations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+// Download the book's annotations as a Markdown file
+export const exportAnnotations = async (bookId, fileName = 'notes.md') => {
+  const response = await fetch(`${API_URL || ''}${bookPath(bookId)}/export`, {
+    headers: await getAuthHeaders()
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const url = URL.createObjectURL(await response.blob());
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
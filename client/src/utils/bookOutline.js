@@ -0,0 +1,59 @@
+import { normalizeMyanmar } from './myanmarText';
+
+// Tables of contents for the reader. The server reads a book's PDF outline
+// at upload time (`book.outline`, pages numbered across every part); books
+// uploaded before that, or as separate parts, get it from the open PDF.
+// Both have the same shape: [{ title, page, children }], with `page` null
+// for entries that lead nowhere.
+
+// Outlines come from uploaded files: cap how much of one is read
+const MAX_ENTRIES = 1000;
+const MAX_DEPTH = 8;
+
+// 1-based page a pdf.js destination (a name or an explicit array) opens
+const destinationPage = async (pdf, dest) => {
+  try {
+    const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || explicit.length === 0) return null;
+    const target = explicit[0];
+    // A page reference, or a page index from writers that use one instead
+    const index = typeof target === 'number' ? target : await pdf.getPageIndex(target);
+    return Number.isInteger(index) && index >= 0 && index < pdf.numPages ? index + 1 : null;
+  } catch {
+    return null;
+  }
+};
+
+// Outline of a loaded PDFDocumentProxy; [] when it has none
+export const readPdfOutline = async (pdf) => {
+  const outline = await pdf.getOutline();
+  let count = 0;
+  const read = async (items, depth) => {
+    const entries = [];
+    for (const item of items || []) {
+      if (count >= MAX_ENTRIES) break;
+      count += 1;
+      const title = (normalizeMyanmar(item.title || '') || '').replace(/\s+/g, ' ').trim();
+      const children = depth < MAX_DEPTH ? await read(item.items, depth + 1) : [];
+      if (title || children.length > 0) {
+        entries.push({ title, page: item.dest ? await destinationPage(pdf, item.dest) : null, children });
+      }
+    }
+    return entries;
+  };
+  return read(outline, 0);
+};
+
+// The entry being read at `page`: the last one, in reading order, that
+// starts on or before it
+export const currentOutlineEntry = (outline, page) => {
+  let current = null;
+  const visit = (entries) => {
+    for (const entry of entries) {
+      if (entry.page !== null && entry.page <= page && (!current || entry.page >= current.page)) current = entry;
+      visit(entry.children || []);
+    }
+  };
+  visit(outline || []);
+  return current;
+};
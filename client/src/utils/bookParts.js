@@ -0,0 +1,39 @@
+// Page numbering for books stored as several PDF parts. Readers see one
+// continuous document, so pages are numbered across parts ("global" pages).
+// `parts` is the list from GET /api/books/:id/view, in order, each with a
+// `pageCount` once it is known.
+
+// Global number of the first page of each part, or null from the first part
+// whose earlier parts are not all counted yet
+export const partStartPages = (parts) => {
+  let next = 1;
+  return parts.map((part) => {
+    const start = next;
+    next = next !== null && part.pageCount ? next + part.pageCount : null;
+    return start;
+  });
+};
+
+// Total pages across all parts, or null while any part is uncounted
+export const totalPageCount = (parts) =>
+  parts.length > 0 && parts.every((part) => part.pageCount)
+    ? parts.reduce((sum, part) => sum + part.pageCount, 0)
+    : null;
+
+export const toGlobalPage = (parts, partIndex, page) => {
+  const start = partStartPages(parts)[partIndex];
+  return start === null || start === undefined ? null : start + page - 1;
+};
+
+// { partIndex, page } for a global page number, or null when it falls past
+// the parts counted so far
+export const locatePage = (parts, globalPage) => {
+  const starts = partStartPages(parts);
+  for (let i = 0; i < parts.length; i += 1) {
+    if (starts[i] === null || !parts[i].pageCount) return null;
+    if (globalPage < starts[i] + parts[i].pageCount) {
+      return { partIndex: i, page: Math.max(globalPage - starts[i] + 1, 1) };
+    }
+  }
+  return null;
+};
@@ -0,0 +1,151 @@
+import { normalizeForMatch, normalizeMyanmar } from './myanmarText';
+
+// Full-text search inside a book, run in the browser on the PDF's text layer.
+// Each page's text items are joined into one string normalized the way the
+// catalog search normalizes titles (Zawgyi converted to Unicode, NFC, no
+// zero-width characters, whitespace collapsed), so a Burmese query matches
+// whichever encoding the PDF was typeset in. Burmese has no spaces between
+// words, so matching is by substring rather than by word.
+
+const SNIPPET_CONTEXT = 40;
+export const MAX_SEARCH_HITS = 500;
+
+// Lower-case one UTF-16 unit at a time, so offsets stay the same
+const foldCase = (text) =>
+  text
+    .split('')
+    .map((ch) => {
+      const lower = ch.toLowerCase();
+      return lower.length === 1 ? lower : ch;
+    })
+    .join('');
+
+// { text, folded, owners } for a page's text items (pdf.js getTextContent()
+// items, indexed like react-pdf's text layer). owners[i] is the
+// [itemIndex, offset] character i came from; offset is -1 when normalizing
+// changed the item's length (Zawgyi reordering), so it can only be
+// highlighted as a whole, and owners[i] is null for line-break spaces.
+export const preparePageText = (items) => {
+  let text = '';
+  const owners = [];
+  const append = (ch, owner) => {
+    const isSpace = /\s/.test(ch);
+    if (isSpace && (text === '' || text.endsWith(' '))) return;
+    text += isSpace ? ' ' : ch;
+    owners.push(owner);
+  };
+
+  items.forEach((item, itemIndex) => {
+    const raw = item.str || '';
+    const normalized = normalizeMyanmar(raw) || '';
+    const exact = normalized.length === raw.length;
+    for (let i = 0; i < normalized.length; i += 1) {
+      append(normalized[i], [itemIndex, exact ? i : -1]);
+    }
+    if (item.hasEOL) append(' ', null);
+  });
+
+  return { text, folded: foldCase(text), owners };
+};
+
+// Parts of text items covered by text[start, end): [{ itemIndex, from, to }],
+// with from/to null when the whole item is to be marked
+const itemRanges = (page, start, end) => {
+  const ranges = [];
+  for (let i = start; i < end; i += 1) {
+    const owner = page.owners[i];
+    if (!owner) continue;
+    const [itemIndex, offset] = owner;
+    const last = ranges[ranges.length - 1];
+    if (last && last.itemIndex === itemIndex) {
+      if (last.from !== null && offset >= 0) last.to = offset + 1;
+      else last.from = last.to = null;
+    } else {
+      ranges.push(offset >= 0 ? { itemIndex, from: offset, to: offset + 1 } : { itemIndex, from: null, to: null });
+    }
+  }
+  return ranges;
+};
+
+const snippet = (text, start, end) => ({
+  before: (start > SNIPPET_CONTEXT ? '…' : '') + text.slice(Math.max(start - SNIPPET_CONTEXT, 0), start),
+  match: text.slice(start, end),
+  after: text.slice(end, end + SNIPPET_CONTEXT) + (end + SNIPPET_CONTEXT < text.length ? '…' : '')
+});
+
+// The query as it is compared with page text, or '' when there is nothing to find
+export const normalizeQuery = (query) => normalizeForMatch(query);
+
+// Every occurrence of `query` (already normalized) on a prepared page:
+// [{ start, end, snippet: { before, match, after }, ranges }]
+export const findInPage = (page, query) => {
+  const matches = [];
+  if (!query) return matches;
+  let from = page.folded.indexOf(query);
+  while (from !== -1) {
+    const end = from + query.length;
+    matches.push({ start: from, end, snippet: snippet(page.text, from, end), ranges: itemRanges(page, from, end) });
+    from = page.folded.indexOf(query, end);
+  }
+  return matches;
+};
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+
+// HTML for one text-layer item with the matches in it wrapped in <mark>.
+// `marks` is [{ from, to, current }] for this item.
+export const markTextItem = (str, marks) => {
+  if (!marks || marks.length === 0) return escapeHtml(str);
+  const whole = marks.find((m) => m.from === null);
+  if (whole) return `<mark class="search-hit${whole.current ? ' current' : ''}">${escapeHtml(str)}</mark>`;
+
+  let html = '';
+  let position = 0;
+  for (const mark of [...marks].sort((a, b) => a.from - b.from)) {
+    if (mark.from < position) continue;
+    html += escapeHtml(str.slice(position, mark.from));
+    html += `<mark class="search-hit${mark.current ? ' current' : ''}">${escapeHtml(str.slice(mark.from, mark.to))}</mark>`;
+    position = mark.to;
+  }
+  return html + escapeHtml(str.slice(position));
+};
+
+// Search every page of every part in reading order. `loadPart(partIndex)`
+// resolves to { doc, release } for the part's PDFDocumentProxy; prepared
+// pages are kept in `cache[partIndex][pageIndex]` so a new query does not
+// extract the text again. onHits(hits) receives each page's hits
+// ({ partIndex, page, start, end, snippet, ranges }) and onProgress({
+// partIndex, page, pageCount }) each page searched. Stops when isCancelled()
+// turns true or MAX_SEARCH_HITS is reached; resolves to the number of hits.
+export const searchBook = async ({ partCount, loadPart, cache, query, onHits, onProgress, isCancelled }) => {
+  let found = 0;
+  for (let partIndex = 0; partIndex < partCount; partIndex += 1) {
+    const pages = cache[partIndex] || (cache[partIndex] = []);
+    let loaded = null;
+    try {
+      if (pages.pageCount === undefined || pages.filter(Boolean).length < pages.pageCount) {
+        loaded = await loadPart(partIndex);
+        pages.pageCount = loaded.doc.numPages;
+      }
+      for (let pageIndex = 0; pageIndex < pages.pageCount; pageIndex += 1) {
+        if (isCancelled()) return found;
+        if (!pages[pageIndex]) {
+          const page = await loaded.doc.getPage(pageIndex + 1);
+          const content = await page.getTextContent();
+          pages[pageIndex] = preparePageText(content.items);
+        }
+        const hits = findInPage(pages[pageIndex], query)
+          .slice(0, MAX_SEARCH_HITS - found)
+          .map((match) => ({ ...match, partIndex, page: pageIndex + 1 }));
+        found += hits.length;
+        if (hits.length > 0) onHits(hits);
+        if (onProgress) onProgress({ partIndex, page: pageIndex + 1, pageCount: pages.pageCount });
+        if (found >= MAX_SEARCH_HITS) return found;
+      }
+    } finally {
+      if (loaded && loaded.release) loaded.release();
+    }
+  }
+  return found;
+};
@@ -0,0 +1,32 @@
+import ePub from 'epubjs';
+
+// Reads what an EPUB chosen in the admin form says about itself, so the form
+// can be pre-filled before anything is uploaded. The server checks the file
+// and reads the same fields again when it arrives (server/books/epub.js).
+
+export const isEpubFile = (file) =>
+  Boolean(file) && (file.type === 'application/epub+zip' || /\.epub$/i.test(file.name || ''));
+
+// Descriptions are often HTML
+const cleanText = (value) =>
+  typeof value === 'string' ? value.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim() : '';
+
+// Resolves to { title, author, subject, language, chapterCount, fileSize };
+// text the EPUB does not set is ''. Rejects when the file cannot be opened.
+export const readEpubMetadata = async (file) => {
+  const book = ePub();
+  try {
+    await book.open(await file.arrayBuffer());
+    const [metadata, spine] = await Promise.all([book.loaded.metadata, book.loaded.spine]);
+    return {
+      title: cleanText(metadata.title),
+      author: cleanText(metadata.creator),
+      subject: cleanText(metadata.description),
+      language: cleanText(metadata.language),
+      chapterCount: spine.length,
+      fileSize: file.size
+    };
+  } finally {
+    book.destroy();
+  }
+};
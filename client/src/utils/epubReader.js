@@ -0,0 +1,64 @@
+// Helpers for the EPUB reader (components/EpubReader): the book's table of
+// contents in the shape the reader's outline panel takes, the reader
+// preferences as styles inside the book's pages, and where each book was left.
+
+// Text and page colors of each reader theme, like the theme swatches
+const THEME_COLORS = {
+  day: { color: '#222222', background: '#ffffff' },
+  night: { color: '#dddddd', background: '#111111' },
+  sepia: { color: '#5b4636', background: '#f1e4c8' },
+  contrast: { color: '#000000', background: '#ffffff' }
+};
+
+export const themeBackground = (theme) => (THEME_COLORS[theme] || THEME_COLORS.day).background;
+
+// Apply { theme, fontSize, lineHeight } (see utils/readerPreferences) to an
+// epub.js rendition; they win over the book's own stylesheet
+export const applyEpubPreferences = (rendition, { theme, fontSize, lineHeight }) => {
+  const colors = THEME_COLORS[theme] || THEME_COLORS.day;
+  rendition.themes.override('color', colors.color, true);
+  rendition.themes.override('background', colors.background, true);
+  rendition.themes.override('line-height', String(lineHeight), true);
+  rendition.themes.fontSize(`${fontSize}%`);
+};
+
+// epub.js navigation items ({ label, href, subitems }) as outline entries
+// ({ title, page, href, children }). `page` is the chapter's position in the
+// spine, counted from 1, so the entry being read can be found like a PDF's.
+export const tocToOutline = (toc, spine) =>
+  (toc || []).map((item) => {
+    const section = item.href ? spine.get(item.href) : null;
+    return {
+      title: (item.label || '').trim(),
+      page: section ? section.index + 1 : null,
+      href: item.href,
+      children: tocToOutline(item.subitems, spine)
+    };
+  });
+
+const STORAGE_KEY = 'epub_locations_v1';
+const MAX_ENTRIES = 50;
+
+const readLocations = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// The location (an EPUB CFI) the book was left at, or null
+export const loadEpubLocation = (bookId) => {
+  const entry = readLocations()[bookId];
+  return entry && typeof entry.cfi === 'string' ? entry.cfi : null;
+};
+
+export const saveEpubLocation = (bookId, cfi) => {
+  const entries = { ...readLocations(), [bookId]: { cfi, updatedAt: new Date().toISOString() } };
+  const kept = Object.entries(entries)
+    .sort(([, a], [, b]) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, MAX_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(kept)));
+  } catch {}
+};
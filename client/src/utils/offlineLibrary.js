@@ -0,0 +1,255 @@
+import { API_URL } from './apiConfig';
+import { getCoverImageUrl } from './coverImage';
+
+// Books saved for reading without a connection. Every PDF of a book (each
+// part of a split book) is kept in Cache Storage under a stable key of our
+// own - view URLs are signed and expire - next to a meta.json:
+//   { id, title, author, coverImage, hasCover, outline, parts: [{
+//     partNumber, pageCount, size }], size, savedAt, lastOpenedAt }
+// and the cover image when its host allows it (`hasCover`). When a new book does not fit
+// in the storage the browser grants, the books opened longest ago make room.
+
+const CACHE_NAME = 'offline-books-v1';
+// Share of the browser's quota the offline library may fill; the rest is
+// left for the app shell and everything else the site stores
+const QUOTA_SHARE = 0.8;
+
+const bookPrefix = (id) => `/offline-books/${encodeURIComponent(id)}/`;
+const metaKey = (id) => `${bookPrefix(id)}meta.json`;
+const coverKey = (id) => `${bookPrefix(id)}cover`;
+const partKey = (id, partNumber) => `${bookPrefix(id)}part-${partNumber}.pdf`;
+
+const quotaError = (message) => {
+  const error = new Error(message);
+  error.code = 'quota';
+  return error;
+};
+
+const isQuotaExceeded = (err) => err && (err.name === 'QuotaExceededError' || err.code === 22);
+
+export const isOfflineSupported = () => typeof window !== 'undefined' && 'caches' in window;
+
+const openCache = () => caches.open(CACHE_NAME);
+
+const readMeta = async (cache, id) => {
+  const response = await cache.match(metaKey(id));
+  return response ? response.json() : null;
+};
+
+const writeMeta = (cache, meta) =>
+  cache.put(metaKey(meta.id), new Response(JSON.stringify(meta), { headers: { 'Content-Type': 'application/json' } }));
+
+// Saved books, most recently opened first
+export const listOfflineBooks = async () => {
+  if (!isOfflineSupported()) return [];
+  const cache = await openCache();
+  const keys = await cache.keys();
+  const metas = await Promise.all(
+    keys
+      .filter((request) => request.url.endsWith('/meta.json'))
+      .map((request) =>
+        cache
+          .match(request)
+          .then((response) => response.json())
+          .catch(() => null)
+      )
+  );
+  return metas
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(b.lastOpenedAt || b.savedAt) - Date.parse(a.lastOpenedAt || a.savedAt));
+};
+
+export const getOfflineBook = async (id) => {
+  if (!isOfflineSupported()) return null;
+  try {
+    return await readMeta(await openCache(), id);
+  } catch {
+    return null;
+  }
+};
+
+export const removeOfflineBook = async (id) => {
+  if (!isOfflineSupported()) return;
+  const cache = await openCache();
+  const keys = await cache.keys();
+  const prefix = new URL(bookPrefix(id), window.location.origin).href;
+  await Promise.all(keys.filter((request) => request.url.startsWith(prefix)).map((request) => cache.delete(request)));
+};
+
+// { usage, quota } of the whole site in bytes, null where the browser does
+// not tell, and `offline`: bytes taken by saved books
+export const getStorageUsage = async () => {
+  const books = await listOfflineBooks();
+  const offline = books.reduce((sum, book) => sum + (book.size || 0), 0);
+  if (!navigator.storage || !navigator.storage.estimate) return { usage: null, quota: null, offline };
+  try {
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage: usage ?? null, quota: quota ?? null, offline };
+  } catch {
+    return { usage: null, quota: null, offline };
+  }
+};
+
+// Remove the books opened longest ago (never `keepId`) until `bytes` more fit
+// in the library's share of the quota. Returns the books removed.
+const makeRoom = async (bytes, keepId) => {
+  const evicted = [];
+  if (!navigator.storage || !navigator.storage.estimate) return evicted;
+  const { usage = 0, quota } = await navigator.storage.estimate();
+  if (!quota) return evicted;
+
+  const budget = quota * QUOTA_SHARE;
+  if (bytes > budget) throw quotaError('This book is larger than the storage available for offline books.');
+  let used = usage;
+  const candidates = (await listOfflineBooks()).filter((book) => book.id !== keepId).reverse();
+  while (used + bytes > budget && candidates.length > 0) {
+    const oldest = candidates.shift();
+    await removeOfflineBook(oldest.id);
+    used -= oldest.size || 0;
+    evicted.push(oldest);
+  }
+  if (used + bytes > budget) throw quotaError('Not enough storage left to save this book.');
+  return evicted;
+};
+
+// cache.put, making room for it first, and again if the browser still
+// refuses for lack of space. Returns the size stored.
+const putWithEviction = async (cache, key, response, keepId, evicted) => {
+  const body = await response.blob();
+  evicted.push(...(await makeRoom(body.size, keepId)));
+  for (;;) {
+    try {
+      await cache.put(key, new Response(body, { headers: response.headers }));
+      return body.size;
+    } catch (err) {
+      if (!isQuotaExceeded(err)) throw err;
+      const books = (await listOfflineBooks()).filter((book) => book.id !== keepId);
+      if (books.length === 0) throw quotaError('Not enough storage left to save this book.');
+      const oldest = books[books.length - 1];
+      await removeOfflineBook(oldest.id);
+      evicted.push(oldest);
+    }
+  }
+};
+
+// Every PDF of the book in reading order, as the reader loads them
+const fetchViewParts = async (id) => {
+  const response = await fetch(`${API_URL}/api/books/${id}/view`);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const view = await response.json();
+  if (view.isSplit && Array.isArray(view.parts) && view.parts.length > 0) {
+    return view.parts.map((p) => ({ partNumber: p.partNumber, viewUrl: p.viewUrl, pageCount: p.pageCount || null }));
+  }
+  return [{ partNumber: 1, viewUrl: view.viewUrl || `${API_URL}/api/books/${id}/pdf`, pageCount: null }];
+};
+
+// Download `book` (as returned by GET /api/books/:id) for offline reading.
+// onProgress({ done, total }) is called as parts arrive. Resolves to
+// { book: meta, evicted: [meta] } - the books removed to make room.
+export const saveBookOffline = async (book, onProgress) => {
+  if (!isOfflineSupported()) throw new Error('This browser cannot keep books offline.');
+  const { id } = book;
+  const cache = await openCache();
+  const parts = await fetchViewParts(id);
+  const evicted = [];
+
+  // Ask the browser not to clear saved books on its own when space runs low
+  if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(() => {});
+
+  try {
+    const savedParts = [];
+    for (let i = 0; i < parts.length; i += 1) {
+      if (onProgress) onProgress({ done: i, total: parts.length });
+      const response = await fetch(parts[i].viewUrl);
+      if (!response.ok) throw new Error(`Part ${parts[i].partNumber}: HTTP ${response.status}`);
+      const size = await putWithEviction(cache, partKey(id, parts[i].partNumber), response, id, evicted);
+      savedParts.push({ partNumber: parts[i].partNumber, pageCount: parts[i].pageCount, size });
+    }
+
+    // The cover is a nicety: hosts without CORS headers are skipped
+    const coverUrl = getCoverImageUrl(book);
+    let hasCover = false;
+    if (coverUrl) {
+      try {
+        const response = await fetch(coverUrl);
+        if (response.ok) {
+          await cache.put(coverKey(id), response);
+          hasCover = true;
+        }
+      } catch {}
+    }
+
+    const now = new Date().toISOString();
+    const meta = {
+      id,
+      title: book.title || '',
+      author: book.author || '',
+      coverImage: book.coverImage || '',
+      hasCover,
+      outline: Array.isArray(book.outline) && book.outline.length > 0 ? book.outline : null,
+      parts: savedParts,
+      size: savedParts.reduce((sum, part) => sum + part.size, 0),
+      savedAt: now,
+      lastOpenedAt: now
+    };
+    await writeMeta(cache, meta);
+    if (onProgress) onProgress({ done: parts.length, total: parts.length });
+    return { book: meta, evicted };
+  } catch (err) {
+    // Half a book is no use offline
+    await removeOfflineBook(id).catch(() => {});
+    throw err;
+  }
+};
+
+// Object URL of the saved cover, or null. Revoke it when done.
+export const getOfflineCoverUrl = async (id) => {
+  if (!isOfflineSupported()) return null;
+  const response = await (await openCache()).match(coverKey(id));
+  return response ? URL.createObjectURL(await response.blob()) : null;
+};
+
+// The saved book ready for the reader: { book: meta, parts: [{ partNumber,
+// viewUrl, pageCount }] } with object URLs (revoke them when done), or null
+// when it is not saved. Marks the book as just opened for eviction order.
+export const openOfflineBook = async (id) => {
+  if (!isOfflineSupported()) return null;
+  try {
+    const cache = await openCache();
+    const meta = await readMeta(cache, id);
+    if (!meta) return null;
+    const blobs = await Promise.all(
+      meta.parts.map((part) => cache.match(partKey(id, part.partNumber)).then((r) => (r ? r.blob() : null)))
+    );
+    // A part cleared by the browser: read online instead
+    if (blobs.some((blob) => !blob)) return null;
+
+    const opened = { ...meta, lastOpenedAt: new Date().toISOString() };
+    writeMeta(cache, opened).catch(() => {});
+    return {
+      book: opened,
+      parts: meta.parts.map((part, i) => ({
+        partNumber: part.partNumber,
+        viewUrl: URL.createObjectURL(blobs[i]),
+        pageCount: part.pageCount || null
+      }))
+    };
+  } catch (err) {
+    console.warn('Could not open offline copy:', err);
+    return null;
+  }
+};
+
+// Saved pages are counted as the reader opens parts; keep them for next time
+export const updateOfflinePageCount = async (id, partNumber, pageCount) => {
+  if (!isOfflineSupported()) return;
+  try {
+    const cache = await openCache();
+    const meta = await readMeta(cache, id);
+    if (!meta) return;
+    const part = meta.parts.find((p) => p.partNumber === partNumber);
+    if (!part || part.pageCount === pageCount) return;
+    part.pageCount = pageCount;
+    await writeMeta(cache, meta);
+  } catch {}
+};
@@ -0,0 +1,47 @@
+import { pdfjs } from 'react-pdf';
+import { PDF_WORKER_URL } from './pdfWorker';
+
+// Reads what a PDF chosen in the admin form says about itself, so the form can
+// be pre-filled before anything is uploaded. The server reads the same fields
+// again when the file arrives (server/books/metadata.js).
+
+pdfjs.GlobalWorkerOptions.workerSrc = PDF_WORKER_URL;
+
+// Same estimate as the server: a typical page of prose at an average pace
+const WORDS_PER_PAGE = 250;
+const WORDS_PER_MINUTE = 200;
+
+const cleanText = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : '');
+
+export const estimateReadingMinutes = (pageCount) =>
+  pageCount > 0 ? Math.max(1, Math.round((pageCount * WORDS_PER_PAGE) / WORDS_PER_MINUTE)) : null;
+
+// "4h 12m", "45m"
+export const formatReadingTime = (minutes) => {
+  if (!minutes) return '';
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+};
+
+// Resolves to { title, author, subject, language, pageCount, fileSize,
+// readingTime }; text the PDF does not set is ''
+export const readPdfMetadata = async (file) => {
+  const task = pdfjs.getDocument({ data: new Uint8Array(await file.arrayBuffer()) });
+  try {
+    const pdf = await task.promise;
+    const { info } = await pdf.getMetadata();
+    return {
+      title: cleanText(info.Title),
+      author: cleanText(info.Author),
+      subject: cleanText(info.Subject),
+      language: cleanText(info.Language),
+      pageCount: pdf.numPages,
+      fileSize: file.size,
+      readingTime: formatReadingTime(estimateReadingMinutes(pdf.numPages))
+    };
+  } finally {
+    task.destroy();
+  }
+};
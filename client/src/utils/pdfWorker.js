@@ -0,0 +1,5 @@
+// PDF.js worker, served from the app's own origin rather than a CDN so the
+// service worker keeps it with the app shell and saved books open offline.
+// public/pdf.worker.min.js is copied from react-pdf's pdfjs-dist before each
+// start and build (scripts/copy-pdf-worker.js), so it always matches the API.
+export const PDF_WORKER_URL = `${process.env.PUBLIC_URL}/pdf.worker.min.js`;
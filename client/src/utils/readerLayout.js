@@ -0,0 +1,77 @@
+// Page layouts of the reader and the page each one turns to. `single` shows one
+// page, `spread` two facing pages (the first page, usually the cover, on its
+// own), `scroll` every page of the part in one vertical strip, and `rtl` is a
+// spread read right to left, for manga. On narrow screens spreads fall back to
+// one page at a time.
+
+export const LAYOUTS = [
+  { id: 'single', label: 'Single page' },
+  { id: 'spread', label: 'Two pages' },
+  { id: 'scroll', label: 'Continuous scroll' },
+  { id: 'rtl', label: 'Manga (right to left)' }
+];
+
+// How a page is sized before zooming: the whole page on screen, the page as
+// wide as the screen, or the page at its own size
+export const FIT_MODES = [
+  { id: 'page', label: 'Fit page' },
+  { id: 'width', label: 'Fit width' },
+  { id: 'actual', label: 'Actual size' }
+];
+
+export const MIN_ZOOM = 0.5;
+export const MAX_ZOOM = 5;
+// Factor of one zoom in or out step
+export const ZOOM_STEP = 1.25;
+
+export const clampZoom = (zoom) => Math.round(Math.min(Math.max(zoom, MIN_ZOOM), MAX_ZOOM) * 100) / 100;
+
+const STORAGE_KEY = 'reader_layout_v1';
+const NARROW_SCREEN = 768;
+
+export const isValidLayout = (layout) => LAYOUTS.some((l) => l.id === layout);
+
+// The layout chosen for a book, or 'single'
+export const loadLayout = (bookId) => {
+  try {
+    const saved = (JSON.parse(localStorage.getItem(STORAGE_KEY)) || {})[bookId];
+    return isValidLayout(saved) ? saved : 'single';
+  } catch {
+    return 'single';
+  }
+};
+
+export const saveLayout = (bookId, layout) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    if (layout === 'single') delete saved[bookId];
+    else saved[bookId] = layout;
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch {}
+};
+
+// Whether `layout` shows facing pages at this screen width
+export const showsSpread = (layout, screenWidth) =>
+  (layout === 'spread' || layout === 'rtl') && screenWidth > NARROW_SCREEN;
+
+// First page of the spread `page` is on: 1, 2, 4, 6, ...
+export const spreadStart = (page) => (page <= 1 ? 1 : page - (page % 2));
+
+// Pages of the spread `page` is on, in reading order
+export const spreadPages = (page, numPages) => {
+  const start = spreadStart(page);
+  return start === 1 || start + 1 > numPages ? [start] : [start, start + 1];
+};
+
+// Page the next turn shows, or null past the last page
+export const nextPageOf = (page, numPages, spread) => {
+  const next = spread ? spreadStart(page) + (spreadStart(page) === 1 ? 1 : 2) : page + 1;
+  return next <= numPages ? next : null;
+};
+
+// Page the previous turn shows, or null before the first page
+export const prevPageOf = (page, spread) => {
+  if (!spread) return page > 1 ? page - 1 : null;
+  const start = spreadStart(page);
+  return start > 1 ? spreadStart(start - 1) : null;
+};
@@ -0,0 +1,101 @@
+import { auth } from '../firebase/config';
+import { API_URL } from './apiConfig';
+import { getAuthHeaders } from './adminAuth';
+
+// How the reader draws pages: { theme, keepImageColors, brightness,
+// autoHideToolbar, fontSize, lineHeight, updatedAt } - the text settings only
+// apply to EPUB books. Kept in localStorage per account (and for
+// signed-out reading), and synced through /api/me/preferences for signed-in
+// readers; the newer copy wins, as with reading progress.
+
+export const READER_THEMES = [
+  { id: 'day', label: 'Day' },
+  { id: 'night', label: 'Night' },
+  { id: 'sepia', label: 'Sepia' },
+  { id: 'contrast', label: 'High contrast' }
+];
+
+export const MIN_BRIGHTNESS = 40;
+export const MAX_BRIGHTNESS = 120;
+// Percent of the book's own text size
+export const MIN_FONT_SIZE = 70;
+export const MAX_FONT_SIZE = 200;
+export const MIN_LINE_HEIGHT = 1.2;
+export const MAX_LINE_HEIGHT = 2.4;
+
+export const DEFAULT_PREFERENCES = {
+  theme: 'day',
+  keepImageColors: true,
+  brightness: 100,
+  autoHideToolbar: true,
+  fontSize: 100,
+  lineHeight: 1.6,
+  updatedAt: null
+};
+
+const STORAGE_KEY = 'reader_preferences_v1';
+const SIGNED_OUT = 'signed-out';
+
+const accountKey = () => (auth.currentUser ? auth.currentUser.uid : SIGNED_OUT);
+
+const readLocal = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeLocal = (preferences) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readLocal(), [accountKey()]: preferences }));
+  } catch {}
+};
+
+const preferencesUrl = () => `${API_URL || ''}/api/me/preferences`;
+
+const pushRemote = async (preferences) => {
+  const response = await fetch(preferencesUrl(), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+    body: JSON.stringify(preferences)
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+};
+
+const newer = (a, b) => {
+  if (!a || !a.updatedAt) return b || a;
+  if (!b || !b.updatedAt) return a;
+  return Date.parse(a.updatedAt) >= Date.parse(b.updatedAt) ? a : b;
+};
+
+export const loadReaderPreferences = async () => {
+  const local = readLocal()[accountKey()] || null;
+  if (!auth.currentUser) return { ...DEFAULT_PREFERENCES, ...local };
+  try {
+    const response = await fetch(preferencesUrl(), { headers: await getAuthHeaders() });
+    if (response.status !== 404 && !response.ok) throw new Error(`HTTP ${response.status}`);
+    const remote = response.status === 404 ? null : await response.json();
+    const best = newer(remote, local);
+    // Changed here while offline - let the other devices know
+    if (local && best === local) pushRemote(local).catch(() => {});
+    return { ...DEFAULT_PREFERENCES, ...best };
+  } catch (err) {
+    console.warn('Could not load reader preferences:', err);
+    return { ...DEFAULT_PREFERENCES, ...local };
+  }
+};
+
+export const saveReaderPreferences = async (preferences) => {
+  const entry = { ...preferences, updatedAt: new Date().toISOString() };
+  writeLocal(entry);
+  if (auth.currentUser) {
+    try {
+      await pushRemote(entry);
+    } catch (err) {
+      console.warn('Could not sync reader preferences:', err);
+    }
+  }
+  return entry;
+};
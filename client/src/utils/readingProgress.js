@@ -0,0 +1,125 @@
+import { auth } from '../firebase/config';
+import { API_URL } from './apiConfig';
+import { getAuthHeaders } from './adminAuth';
+
+// Where the reader stopped in each book: { bookId, partNumber, page,
+// globalPage, totalPages, percent, updatedAt, book }. Signed-in readers sync
+// through /api/me/progress so they can continue on another device; a copy is
+// always kept in localStorage, which is all anonymous readers have. When the
+// two disagree the newer position wins.
+
+const STORAGE_KEY = 'reading_progress_v1';
+const MAX_LOCAL_ENTRIES = 50;
+
+const readLocal = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeLocal = (entries) => {
+  const kept = Object.values(entries)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, MAX_LOCAL_ENTRIES);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(kept.map((e) => [e.bookId, e]))));
+  } catch {}
+};
+
+const newer = (a, b) => {
+  if (!a) return b || null;
+  if (!b) return a;
+  return Date.parse(a.updatedAt) >= Date.parse(b.updatedAt) ? a : b;
+};
+
+const progressUrl = (bookId) => `${API_URL || ''}/api/me/progress${bookId ? `/${encodeURIComponent(bookId)}` : ''}`;
+
+const request = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(await getAuthHeaders()), ...options.headers }
+  });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+};
+
+const pushRemote = (position) =>
+  request(progressUrl(position.bookId), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      partNumber: position.partNumber,
+      page: position.page,
+      globalPage: position.globalPage,
+      totalPages: position.totalPages,
+      percent: position.percent,
+      updatedAt: position.updatedAt
+    })
+  });
+
+export const getReadingProgress = async (bookId) => {
+  const local = readLocal()[bookId] || null;
+  if (!auth.currentUser) return local;
+  try {
+    const remote = await request(progressUrl(bookId));
+    const best = newer(remote, local);
+    // Read here while offline or signed out - let the other devices know
+    if (local && best === local) pushRemote(local).catch(() => {});
+    return best && { ...best, book: best.book || (local && local.book) };
+  } catch (err) {
+    console.warn('Could not load reading progress:', err);
+    return local;
+  }
+};
+
+// `position` is { partNumber, page, globalPage, totalPages, percent }; `book`
+// ({ id, title, author, coverImage }) is kept locally for the shelf
+export const saveReadingProgress = async (bookId, position, book) => {
+  const entry = { ...position, bookId, book: book || null, updatedAt: new Date().toISOString() };
+  writeLocal({ ...readLocal(), [bookId]: entry });
+  if (auth.currentUser) {
+    try {
+      await pushRemote(entry);
+    } catch (err) {
+      console.warn('Could not sync reading progress:', err);
+    }
+  }
+  return entry;
+};
+
+// Recently read books, newest first
+export const listReadingProgress = async (limit = 12) => {
+  const local = readLocal();
+  let merged = { ...local };
+  if (auth.currentUser) {
+    try {
+      const data = await request(`${progressUrl()}?limit=${limit}`);
+      for (const remote of (data && data.items) || []) {
+        const best = newer(remote, local[remote.bookId]);
+        merged[remote.bookId] = { ...best, book: remote.book };
+      }
+    } catch (err) {
+      console.warn('Could not load reading progress:', err);
+    }
+  }
+  return Object.values(merged)
+    .filter((entry) => entry.book)
+    .sort((a, b) => Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+    .slice(0, limit);
+};
+
+export const removeReadingProgress = async (bookId) => {
+  const local = readLocal();
+  delete local[bookId];
+  writeLocal(local);
+  if (auth.currentUser) {
+    try {
+      await request(progressUrl(bookId), { method: 'DELETE' });
+    } catch (err) {
+      console.warn('Could not remove reading progress:', err);
+    }
+  }
+};
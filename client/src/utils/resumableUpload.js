@@ -0,0 +1,126 @@
+import { API_URL } from './apiConfig';
+import { adminFetch, getAuthHeaders } from './adminAuth';
+
+// Chunked, resumable uploads through /api/admin/uploads. The session id of
+// every file in flight is remembered in localStorage, so choosing the same
+// file again after a dropped connection or a reload continues from the last
+// chunk the server acknowledged instead of starting over.
+
+const STORAGE_KEY = 'admin_uploads_v1';
+const MAX_RETRIES = 5;
+
+const loadSessions = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const saveSessions = (sessions) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
+  } catch {}
+};
+
+const fingerprint = (file, { kind, partNumber }) =>
+  [kind, partNumber || '', file.name, file.size, file.lastModified].join(':');
+
+const remember = (fp, session) => saveSessions({ ...loadSessions(), [fp]: { id: session.id, bookId: session.bookId } });
+
+// Forget finished uploads once the book that uses them has been saved
+export const forgetUploads = (uploadIds) => {
+  const sessions = loadSessions();
+  for (const [fp, saved] of Object.entries(sessions)) {
+    if (uploadIds.includes(saved.id)) delete sessions[fp];
+  }
+  saveSessions(sessions);
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A saved session for this file that the server still has, or null
+const findResumable = async (fp, bookId) => {
+  const saved = loadSessions()[fp];
+  if (!saved || (bookId && saved.bookId !== bookId)) return null;
+  try {
+    return await adminFetch(`/api/admin/uploads/${saved.id}`);
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+};
+
+const sendChunk = async (session, offset, chunk) => {
+  const response = await fetch(`${API_URL || ''}/api/admin/uploads/${session.id}`, {
+    method: 'PATCH',
+    headers: {
+      'Content-Type': 'application/offset+octet-stream',
+      'Upload-Offset': String(offset),
+      ...(await getAuthHeaders())
+    },
+    body: chunk
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const error = new Error((body && body.error) || `HTTP ${response.status}`);
+    error.status = response.status;
+    error.receivedBytes = body ? body.receivedBytes : undefined;
+    throw error;
+  }
+  return body;
+};
+
+// Upload `file` and resolve to its completed session ({ id, bookId, key, ... }).
+// `kind` is 'pdf', 'part' or 'epub'; `bookId` groups a book's files (omit it for the
+// first file of a new book and pass the returned one for the rest).
+// onProgress(sentBytes, totalBytes) is called after every chunk.
+export const uploadFileResumable = async (file, { kind = 'pdf', partNumber, bookId, onProgress } = {}) => {
+  const fp = fingerprint(file, { kind, partNumber });
+  let session = await findResumable(fp, bookId);
+  if (!session) {
+    session = await adminFetch('/api/admin/uploads', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fileName: file.name,
+        size: file.size,
+        // Left out, the server picks the type of the kind
+        contentType: file.type || undefined,
+        kind,
+        partNumber,
+        bookId
+      })
+    });
+  }
+  remember(fp, session);
+
+  let offset = session.receivedBytes;
+  let failures = 0;
+  if (onProgress) onProgress(offset, file.size);
+
+  while (session.status === 'uploading' && offset < file.size) {
+    const chunk = file.slice(offset, offset + session.chunkSize);
+    try {
+      session = await sendChunk(session, offset, chunk);
+      offset = session.receivedBytes;
+      failures = 0;
+      if (onProgress) onProgress(offset, file.size);
+    } catch (err) {
+      if (err.status === 409 && typeof err.receivedBytes === 'number') {
+        // The server has more (or less) than we thought - continue from there
+        offset = err.receivedBytes;
+        continue;
+      }
+      failures += 1;
+      const retryable = !err.status || err.status >= 500 || err.status === 409;
+      if (!retryable || failures > MAX_RETRIES) throw err;
+      await wait(1000 * 2 ** (failures - 1));
+    }
+  }
+
+  if (session.status !== 'complete') {
+    session = await adminFetch(`/api/admin/uploads/${session.id}/complete`, { method: 'POST' });
+  }
+  return session;
+};
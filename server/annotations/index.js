@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+
+// Bookmarks, highlights and notes each signed-in reader keeps in a book. Like
+// reading positions they are located by `partNumber` and `page` (within the
+// part), with `globalPage` numbering pages across parts when the reader knew it.
+//
+// Annotation shape:
+//   { id, bookId, type, partNumber, page, globalPage, color, text, note, rects,
+//     createdAt, updatedAt }
+// type is 'bookmark' (a page), 'highlight' (selected `text`, drawn over
+// `rects`, optionally with a `note`) or 'note' (a note on a page).
+
+const TYPES = ['bookmark', 'highlight', 'note'];
+const COLORS = ['yellow', 'green', 'blue', 'pink'];
+const DEFAULT_COLOR = 'yellow';
+const MAX_TEXT_LENGTH = 5000;
+const MAX_NOTE_LENGTH = 10000;
+const MAX_RECTS = 200;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function positiveInt(value, name, { optional = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (optional) return null;
+    throw badRequest(`${name} is required`);
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw badRequest(`${name} must be a positive whole number`);
+  return number;
+}
+
+function optionalText(value, name, maxLength) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') throw badRequest(`${name} must be text`);
+  const text = value.trim();
+  if (text.length > maxLength) throw badRequest(`${name} must be at most ${maxLength} characters`);
+  return text || null;
+}
+
+function parseColor(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_COLOR;
+  if (!COLORS.includes(value)) throw badRequest(`color must be one of: ${COLORS.join(', ')}`);
+  return value;
+}
+
+// Highlight boxes as fractions of the page size, so they fit any zoom
+function parseRects(value) {
+  if (!Array.isArray(value) || value.length === 0) throw badRequest('rects must be a non-empty array');
+  if (value.length > MAX_RECTS) throw badRequest(`At most ${MAX_RECTS} rects are allowed`);
+  return value.map((rect) => {
+    const parsed = {};
+    for (const key of ['x', 'y', 'width', 'height']) {
+      const number = Number(rect && rect[key]);
+      if (!Number.isFinite(number) || number < 0 || number > 1) {
+        throw badRequest('rects must have x, y, width and height between 0 and 1');
+      }
+      parsed[key] = Math.round(number * 10000) / 10000;
+    }
+    return parsed;
+  });
+}
+
+// Validate a new annotation. Throws an error with `status` 400.
+function parseAnnotation(body = {}) {
+  if (!TYPES.includes(body.type)) throw badRequest(`type must be one of: ${TYPES.join(', ')}`);
+  const annotation = {
+    type: body.type,
+    partNumber: positiveInt(body.partNumber, 'partNumber', { optional: true }) || 1,
+    page: positiveInt(body.page, 'page'),
+    globalPage: positiveInt(body.globalPage, 'globalPage', { optional: true }),
+    color: null,
+    text: null,
+    note: optionalText(body.note, 'note', MAX_NOTE_LENGTH),
+    rects: null
+  };
+
+  if (annotation.type === 'highlight') {
+    annotation.color = parseColor(body.color);
+    annotation.text = optionalText(body.text, 'text', MAX_TEXT_LENGTH);
+    if (!annotation.text) throw badRequest('A highlight needs the selected text');
+    annotation.rects = parseRects(body.rects);
+  } else if (annotation.type === 'note') {
+    if (!annotation.note) throw badRequest('A note needs some text');
+  } else {
+    annotation.note = null;
+  }
+  return annotation;
+}
+
+// Validate changes to an existing annotation: a highlight's color and note,
+// or a note's text
+function parseAnnotationChanges(existing, body = {}) {
+  const changes = {};
+  if (body.note !== undefined) {
+    if (existing.type === 'bookmark') throw badRequest('Bookmarks have no note');
+    changes.note = optionalText(body.note, 'note', MAX_NOTE_LENGTH);
+    if (existing.type === 'note' && !changes.note) throw badRequest('A note needs some text');
+  }
+  if (body.color !== undefined) {
+    if (existing.type !== 'highlight') throw badRequest('Only highlights have a color');
+    changes.color = parseColor(body.color);
+  }
+  if (Object.keys(changes).length === 0) throw badRequest('Nothing to update: send note or color');
+  return changes;
+}
+
+function toAnnotation(row) {
+  return {
+    id: row.id,
+    bookId: row.book_id,
+    type: row.type,
+    partNumber: row.part_number,
+    page: row.page,
+    globalPage: row.global_page,
+    color: row.color,
+    text: row.text,
+    note: row.note,
+    rects: row.rects ? JSON.parse(row.rects) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function createAnnotations(db) {
+  const selectOne = db.prepare('SELECT * FROM annotations WHERE user_id = ? AND id = ?');
+  const selectBook = db.prepare(
+    'SELECT * FROM annotations WHERE user_id = ? AND book_id = ? ORDER BY part_number, page, created_at'
+  );
+  const selectBookmark = db.prepare(`
+    SELECT * FROM annotations
+    WHERE user_id = ? AND book_id = ? AND type = 'bookmark' AND part_number = ? AND page = ?
+  `);
+  const insertRow = db.prepare(`
+    INSERT INTO annotations (id, user_id, book_id, type, part_number, page, global_page, color, text, note, rects, created_at, updated_at)
+    VALUES (@id, @userId, @bookId, @type, @partNumber, @page, @globalPage, @color, @text, @note, @rects, @createdAt, @updatedAt)
+  `);
+  const updateRow = db.prepare(`
+    UPDATE annotations SET color = @color, note = @note, updated_at = @updatedAt
+    WHERE user_id = @userId AND id = @id
+  `);
+  const deleteOne = db.prepare('DELETE FROM annotations WHERE user_id = ? AND id = ?');
+  const deleteBook = db.prepare('DELETE FROM annotations WHERE book_id = ?');
+
+  function get(userId, id) {
+    const row = selectOne.get(userId, String(id));
+    return row ? toAnnotation(row) : null;
+  }
+
+  // A book's annotations in page order
+  function list(userId, bookId) {
+    return selectBook.all(userId, String(bookId)).map(toAnnotation);
+  }
+
+  // Store `annotation` (see parseAnnotation). Bookmarking a page twice returns
+  // the existing bookmark.
+  function create(userId, bookId, annotation) {
+    if (annotation.type === 'bookmark') {
+      const existing = selectBookmark.get(userId, String(bookId), annotation.partNumber, annotation.page);
+      if (existing) return toAnnotation(existing);
+    }
+    const now = new Date().toISOString();
+    const id = crypto.randomUUID();
+    insertRow.run({
+      ...annotation,
+      id,
+      userId,
+      bookId: String(bookId),
+      rects: annotation.rects ? JSON.stringify(annotation.rects) : null,
+      createdAt: now,
+      updatedAt: now
+    });
+    return get(userId, id);
+  }
+
+  // Apply `changes` (see parseAnnotationChanges); null when there is no such annotation
+  function update(userId, id, changes) {
+    const existing = get(userId, id);
+    if (!existing) return null;
+    updateRow.run({
+      userId,
+      id: existing.id,
+      color: changes.color !== undefined ? changes.color : existing.color,
+      note: changes.note !== undefined ? changes.note : existing.note,
+      updatedAt: new Date().toISOString()
+    });
+    return get(userId, id);
+  }
+
+  function remove(userId, id) {
+    return deleteOne.run(userId, String(id)).changes > 0;
+  }
+
+  // Forget a book for every reader (it was purged)
+  function removeBook(bookId) {
+    return deleteBook.run(String(bookId)).changes;
+  }
+
+  return { get, list, create, update, remove, removeBook };
+}
+
+function pageLabel(annotation) {
+  if (annotation.globalPage) return `Page ${annotation.globalPage}`;
+  return annotation.partNumber > 1
+    ? `Part ${annotation.partNumber}, page ${annotation.page}`
+    : `Page ${annotation.page}`;
+}
+
+function quote(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => `> ${line}`)
+    .join('\n');
+}
+
+// A book's annotations as a Markdown document, in page order
+function toMarkdown(book, annotations, exportedAt = new Date()) {
+  const lines = [`# ${book.title || 'Untitled'}`];
+  if (book.author) lines.push('', `by ${book.author}`);
+  lines.push('', `_Notes exported ${exportedAt.toISOString().slice(0, 10)}_`);
+
+  const bookmarks = annotations.filter((a) => a.type === 'bookmark');
+  if (bookmarks.length > 0) {
+    lines.push('', '## Bookmarks', '');
+    for (const bookmark of bookmarks) lines.push(`- ${pageLabel(bookmark)}`);
+  }
+
+  const notes = annotations.filter((a) => a.type !== 'bookmark');
+  if (notes.length > 0) {
+    lines.push('', '## Highlights and notes');
+    let heading = null;
+    for (const annotation of notes) {
+      if (pageLabel(annotation) !== heading) {
+        heading = pageLabel(annotation);
+        lines.push('', `### ${heading}`);
+      }
+      lines.push('');
+      if (annotation.text) lines.push(quote(annotation.text));
+      if (annotation.text && annotation.note) lines.push('');
+      if (annotation.note) lines.push(annotation.note);
+    }
+  }
+
+  if (annotations.length === 0) lines.push('', 'No bookmarks, highlights or notes yet.');
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = { createAnnotations, parseAnnotation, parseAnnotationChanges, toMarkdown };
@@ -0,0 +1,115 @@
+// Append-only audit trail of admin changes to the catalog and user accounts.
+// Every /api/admin/* handler that writes calls record() once per entity it
+// touched; the table itself rejects updates and deletes (see migration 3).
+//
+// Entry shape:
+//   { id, at, actor: { uid, email, role, via }, action, entityType, entityId,
+//     changes: { field: { from, to } }, ip, details }
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Bookkeeping fields that change on every write and would only add noise
+const IGNORED_FIELDS = new Set(['updatedAt']);
+
+// { field: { from, to } } for every top-level field that differs. `before` is
+// null for creations and `after` is null for deletions.
+function diffRecords(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    const from = before && before[key] !== undefined ? before[key] : null;
+    const to = after && after[key] !== undefined ? after[key] : null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+  return changes;
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    at: row.at,
+    actor: { uid: row.actor_uid, email: row.actor_email, role: row.actor_role, via: row.actor_via },
+    action: row.action,
+    entityType: row.entity_type,
+    entityId: row.entity_id,
+    changes: JSON.parse(row.changes),
+    ip: row.ip,
+    details: row.details ? JSON.parse(row.details) : null
+  };
+}
+
+function createAuditLog(db) {
+  const insertRow = db.prepare(`
+    INSERT INTO audit_log (at, actor_uid, actor_email, actor_role, actor_via, action, entity_type, entity_id, ip, changes, details)
+    VALUES (@at, @actor_uid, @actor_email, @actor_role, @actor_via, @action, @entity_type, @entity_id, @ip, @changes, @details)
+  `);
+
+  // Record one change made while handling `req` (req.user is set by auth.requireRole).
+  // Audit failures are logged rather than thrown so they never undo a change
+  // that already reached storage.
+  function record(req, { action, entityType, entityId, before = null, after = null, details = null }) {
+    const user = (req && req.user) || {};
+    try {
+      const row = {
+        at: new Date().toISOString(),
+        actor_uid: user.uid || null,
+        actor_email: user.email || null,
+        actor_role: user.role || null,
+        actor_via: user.via || null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId === undefined || entityId === null ? null : String(entityId),
+        ip: (req && req.ip) || null,
+        changes: JSON.stringify(diffRecords(before, after)),
+        details: details ? JSON.stringify(details) : null
+      };
+      const { lastInsertRowid } = insertRow.run(row);
+      return { id: Number(lastInsertRowid), ...row };
+    } catch (error) {
+      console.error(`❌ Failed to write audit entry (${action} ${entityType} ${entityId}):`, error);
+      return null;
+    }
+  }
+
+  // Newest first. Filters: actor (email), action, entityType, entityId,
+  // since / until (ISO timestamps), page, limit.
+  function list(filters = {}) {
+    const where = [];
+    const params = {};
+    const exact = { actor: 'actor_email', action: 'action', entityType: 'entity_type', entityId: 'entity_id' };
+    for (const [name, column] of Object.entries(exact)) {
+      if (filters[name]) {
+        where.push(`${column} = @${name}`);
+        params[name] = String(filters[name]).trim();
+      }
+    }
+    if (filters.actor) params.actor = params.actor.toLowerCase();
+    if (filters.since) {
+      where.push('at >= @since');
+      params.since = String(filters.since);
+    }
+    if (filters.until) {
+      where.push('at <= @until');
+      params.until = String(filters.until);
+    }
+
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const clause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM audit_log ${clause}`).get(params);
+    const rows = db
+      .prepare(`SELECT * FROM audit_log ${clause} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset: (page - 1) * limit });
+
+    return { items: rows.map(toEntry), total, page, limit, hasMore: page * limit < total };
+  }
+
+  return { record, list };
+}
+
+module.exports = { createAuditLog, diffRecords };
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { createTokenVerifier, authError } = require('./tokens');
+
+// Admin authorization. Requests carry a Firebase ID token
+// (`Authorization: Bearer <token>`); the signed-in account is looked up in the
+// users table, which maps emails to roles. Roles are ordered - each one can do
+// everything the ones before it can:
+//
+//   uploader - add books
+//   editor   - edit books, blogs and sections
+//   admin    - delete books, run maintenance jobs, manage users
+//
+// `x-admin-password` is still accepted (acting as admin) when ADMIN_PASSWORD is
+// set, for scripts that predate accounts. Leave it unset to turn that off.
+//
+// Reader features (reading progress, ...) only need a signed-in account, with
+// or without a role: see requireSignIn.
+
+const ROLES = ['uploader', 'editor', 'admin'];
+
+const DEFAULT_FIREBASE_PROJECT_ID = 'bookstore-7b100';
+
+function forbidden(message) {
+  const error = new Error(message);
+  error.status = 403;
+  return error;
+}
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function passwordMatches(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function createAuth({ users, adminPassword = process.env.ADMIN_PASSWORD, verifier } = {}) {
+  const tokens = verifier || createTokenVerifier({
+    projectId: process.env.FIREBASE_PROJECT_ID || DEFAULT_FIREBASE_PROJECT_ID,
+    keysFile: process.env.AUTH_PUBLIC_KEYS_FILE || null,
+    emulatorHost: process.env.FIREBASE_AUTH_EMULATOR_HOST || null
+  });
+
+  // Map a verified token to its users row, binding the uid on first sign-in.
+  // An unbound row only matches a verified email, so nobody can claim a role by
+  // signing up with someone else's address.
+  function resolveUser(identity) {
+    const email = normalizeEmail(identity.email);
+    const record = email ? users.get(email) : null;
+    if (!record) throw forbidden('This account has no admin access');
+    if (record.uid && record.uid !== identity.uid) throw forbidden('This account has no admin access');
+    if (!record.uid && !identity.emailVerified) {
+      throw forbidden('Verify your email address before using admin access');
+    }
+    if (record.disabled) throw forbidden('Admin access for this account has been revoked');
+    if (!isRole(record.role)) throw forbidden(`Unknown role "${record.role}"`);
+
+    if (!record.uid) {
+      users.update(record.id, { uid: identity.uid, updatedAt: new Date().toISOString() });
+    }
+    return {
+      uid: identity.uid,
+      email,
+      name: record.name || identity.name || null,
+      role: record.role,
+      via: 'token'
+    };
+  }
+
+  // Resolves to the request's user ({ uid, email, name, role, via }) or rejects
+  // with a 401/403 error
+  async function authenticate(req) {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (match) {
+      return resolveUser(await tokens.verify(match[1].trim()));
+    }
+
+    const password = req.headers['x-admin-password'] || (req.body && req.body.adminPassword);
+    if (password) {
+      if (!adminPassword) throw authError('Password sign-in is disabled; sign in with your account');
+      if (!passwordMatches(password, adminPassword)) throw authError('Invalid admin password');
+      return { uid: null, email: null, name: 'Admin password', role: 'admin', via: 'password' };
+    }
+
+    throw authError('Sign in required');
+  }
+
+  // Express middleware: sets req.user, or answers 401/403
+  function requireRole(role) {
+    if (!isRole(role)) throw new Error(`Unknown role "${role}"`);
+    return async (req, res, next) => {
+      try {
+        const user = await authenticate(req);
+        if (!hasRole(user, role)) {
+          return res.status(403).json({ error: `This action needs the ${role} role`, role: user.role });
+        }
+        req.user = user;
+        next();
+      } catch (error) {
+        if (error.status === 401 || error.status === 403) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        console.error('❌ Authentication failed:', error);
+        res.status(500).json({ error: 'Authentication failed', details: error.message });
+      }
+    };
+  }
+
+  // Express middleware for reader features: any valid ID token will do. Sets
+  // req.reader ({ uid, email, name }), or answers 401.
+  async function requireSignIn(req, res, next) {
+    try {
+      const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+      if (!match) throw authError('Sign in required');
+      const identity = await tokens.verify(match[1].trim());
+      req.reader = { uid: identity.uid, email: identity.email, name: identity.name };
+      next();
+    } catch (error) {
+      if (error.status === 401) {
+        return res.status(401).json({ error: error.message });
+      }
+      console.error('❌ Authentication failed:', error);
+      res.status(500).json({ error: 'Authentication failed', details: error.message });
+    }
+  }
+
+  // Add each email as an admin unless it already has a users row
+  function seedAdmins(emails, now = new Date().toISOString()) {
+    const added = [];
+    for (const raw of emails) {
+      const email = normalizeEmail(raw);
+      if (!email || users.get(email)) continue;
+      users.insert({ id: email, email, role: 'admin', createdAt: now, updatedAt: now });
+      added.push(email);
+    }
+    return added;
+  }
+
+  return {
+    authenticate,
+    requireRole,
+    requireSignIn,
+    seedAdmins,
+    mode: tokens.mode,
+    passwordEnabled: Boolean(adminPassword)
+  };
+}
+
+module.exports = { createAuth, ROLES, isRole, hasRole, normalizeEmail };
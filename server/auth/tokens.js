@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+// Firebase ID token verification without the Admin SDK. Tokens are RS256 JWTs
+// signed with Google's rotating securetoken keys; we fetch those keys, cache
+// them for as long as Google's Cache-Control allows, and check the claims the
+// Firebase docs list (aud, iss, sub, exp, iat, auth_time).
+//
+// For local work and tests there are two stand-ins:
+//   keysFile     - JSON of { kid: PEM } (Google's format) or a JWKS { keys: [...] }
+//   emulatorHost - Firebase Auth emulator; its tokens are unsigned, so only the
+//                  claims are checked (same as the Admin SDK does)
+
+const GOOGLE_CERTS_URL =
+  'https://www.googleapis.com/robot/v1/metadata/x509/securetoken@system.gserviceaccount.com';
+
+const CLOCK_SKEW_SECONDS = 60;
+
+function authError(message) {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+}
+
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw authError('Malformed ID token');
+  }
+}
+
+function toPublicKeys(source) {
+  const keys = new Map();
+  if (source && Array.isArray(source.keys)) {
+    for (const jwk of source.keys) {
+      if (jwk.kid) keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    }
+  } else {
+    for (const [kid, pem] of Object.entries(source || {})) {
+      keys.set(kid, crypto.createPublicKey(pem));
+    }
+  }
+  return keys;
+}
+
+function createTokenVerifier({ projectId, keysFile, emulatorHost, certsUrl = GOOGLE_CERTS_URL } = {}) {
+  if (!projectId) {
+    throw new Error('createTokenVerifier needs a Firebase projectId');
+  }
+  const issuer = `https://securetoken.google.com/${projectId}`;
+  let cache = null; // { keys, expiresAt }
+
+  async function getPublicKeys() {
+    if (cache && cache.expiresAt > Date.now()) return cache.keys;
+
+    if (keysFile) {
+      cache = { keys: toPublicKeys(JSON.parse(fs.readFileSync(keysFile, 'utf8'))), expiresAt: Infinity };
+      return cache.keys;
+    }
+
+    const response = await axios.get(certsUrl, { timeout: 10000 });
+    const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+    cache = {
+      keys: toPublicKeys(response.data),
+      expiresAt: Date.now() + (maxAge ? Number(maxAge[1]) : 3600) * 1000
+    };
+    return cache.keys;
+  }
+
+  async function checkSignature(header, signingInput, signature) {
+    if (header.alg !== 'RS256') throw authError(`Unexpected token algorithm "${header.alg}"`);
+
+    let keys = await getPublicKeys();
+    if (!keys.has(header.kid) && !keysFile) {
+      // Google rotated its keys since we cached them
+      cache = null;
+      keys = await getPublicKeys();
+    }
+    const key = keys.get(header.kid);
+    if (!key) throw authError('ID token was signed with an unknown key');
+
+    const valid = crypto.verify('RSA-SHA256', Buffer.from(signingInput), key, Buffer.from(signature, 'base64url'));
+    if (!valid) throw authError('Invalid ID token signature');
+  }
+
+  function checkClaims(claims) {
+    const now = Math.floor(Date.now() / 1000);
+    if (claims.aud !== projectId) throw authError('ID token was issued for another project');
+    if (claims.iss !== issuer) throw authError('ID token has the wrong issuer');
+    if (typeof claims.sub !== 'string' || !claims.sub || claims.sub.length > 128) {
+      throw authError('ID token has no valid subject');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+      throw authError('ID token has expired');
+    }
+    if (typeof claims.iat !== 'number' || claims.iat - CLOCK_SKEW_SECONDS > now) {
+      throw authError('ID token was issued in the future');
+    }
+    if (claims.auth_time !== undefined && claims.auth_time - CLOCK_SKEW_SECONDS > now) {
+      throw authError('ID token has an invalid auth_time');
+    }
+  }
+
+  // Resolves to { uid, email, emailVerified, name, claims } or rejects with a 401 error
+  async function verify(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) throw authError('Malformed ID token');
+
+    const header = decodeSegment(parts[0]);
+    const claims = decodeSegment(parts[1]);
+    if (!emulatorHost) {
+      await checkSignature(header, `${parts[0]}.${parts[1]}`, parts[2]);
+    }
+    checkClaims(claims);
+
+    return {
+      uid: claims.sub,
+      email: claims.email ? String(claims.email).toLowerCase() : null,
+      emailVerified: claims.email_verified === true,
+      name: claims.name || null,
+      claims
+    };
+  }
+
+  return { verify, mode: emulatorHost ? 'emulator' : keysFile ? 'local-keys' : 'firebase' };
+}
+
+module.exports = { createTokenVerifier, authError };
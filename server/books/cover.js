@@ -0,0 +1,73 @@
+const path = require('path');
+const { createCanvas } = require('@napi-rs/canvas');
+const { decodeImage } = require('../images/pipeline');
+
+// Covers for books uploaded without one: the first page of the PDF rendered
+// on the server with pdf.js (no external service) into a WebP cover, or for
+// an EPUB the cover image it carries. Their smaller sizes come from the image
+// pipeline (images/pipeline.js) like any uploaded cover's.
+
+// Height the cover is rendered at; very wide first pages are capped by width
+const COVER_HEIGHT = 1200;
+const MAX_COVER_WIDTH = 1600;
+const WEBP_QUALITY = 82;
+
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+
+// pdf.js is published as ES modules only; load it once, on first use
+let pdfjsPromise = null;
+function loadPdfjs() {
+  if (!pdfjsPromise) pdfjsPromise = import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+}
+
+async function renderFirstPage(data) {
+  const pdfjs = await loadPdfjs();
+  const task = pdfjs.getDocument({
+    // A copy: pdf.js takes over the buffer it is given
+    data: new Uint8Array(data),
+    standardFontDataUrl: path.join(PDFJS_DIR, 'standard_fonts/'),
+    cMapUrl: path.join(PDFJS_DIR, 'cmaps/'),
+    cMapPacked: true,
+    isEvalSupported: false,
+    verbosity: pdfjs.VerbosityLevel.ERRORS
+  });
+  try {
+    const pdf = await task.promise;
+    const page = await pdf.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: Math.min(COVER_HEIGHT / base.height, MAX_COVER_WIDTH / base.width) });
+    const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+    const context = canvas.getContext('2d');
+    // Pages without a background of their own are transparent
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    await page.render({ canvas, canvasContext: context, viewport }).promise;
+    return canvas;
+  } finally {
+    await task.destroy();
+  }
+}
+
+// Resolves to { cover, page }: the cover as a WebP buffer and the rendered
+// page as a canvas to make its sizes from. Throws when the PDF cannot be
+// rendered.
+async function renderCoverPage(data) {
+  const page = await renderFirstPage(data);
+  return { cover: await page.encode('webp', WEBP_QUALITY), page };
+}
+
+// Same result for a cover image the book carries itself (an EPUB's),
+// scaled down to the rendered page height. Throws when it is not an image.
+async function renderCoverImage(data) {
+  const image = await decodeImage(data);
+  const scale = Math.min(1, COVER_HEIGHT / image.height, MAX_COVER_WIDTH / image.width);
+  const page = createCanvas(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+  const context = page.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, page.width, page.height);
+  context.drawImage(image, 0, 0, page.width, page.height);
+  return { cover: await page.encode('webp', WEBP_QUALITY), page };
+}
+
+module.exports = { renderCoverPage, renderCoverImage };
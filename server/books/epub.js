@@ -0,0 +1,139 @@
+const path = require('path');
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+const { normalizeMyanmar } = require('../text/myanmar');
+
+// EPUB uploads. An EPUB is a ZIP holding a `mimetype` entry, a container file
+// naming the package document (OPF), and in the package a manifest of the
+// book's files and a spine listing them in reading order. readEpub checks that
+// structure so a broken book is refused at upload instead of failing in the
+// reader, and returns what the book record keeps about it along with the
+// book's own cover image, if it names one.
+
+const EPUB_MIMETYPE = 'application/epub+zip';
+const DC_NS = 'http://purl.org/dc/elements/1.1/';
+
+// Package metadata is untrusted input: cap what we keep
+const MAX_TEXT_LENGTH = 300;
+
+function badEpub(message) {
+  const error = new Error(`Not a valid EPUB: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+// ZIP local file header ("PK\x03\x04"); PDFs start with "%PDF"
+function looksLikeEpub(data) {
+  return Boolean(data) && data.length > 4 && data.readUInt32LE(0) === 0x04034b50;
+}
+
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const text = (normalizeMyanmar(value) || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+  return text || null;
+}
+
+async function readXml(zip, name) {
+  const entry = zip.file(name);
+  if (!entry) return null;
+  const errors = [];
+  const doc = new DOMParser({ errorHandler: { error: (msg) => errors.push(msg), fatalError: (msg) => errors.push(msg) } })
+    .parseFromString(await entry.async('string'), 'application/xml');
+  if (errors.length > 0 || !doc || !doc.documentElement) throw badEpub(`${name} is not well-formed XML`);
+  return doc;
+}
+
+// Manifest hrefs are relative to the package document and may be URL-encoded
+function resolveHref(base, href) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(href.split('#')[0]);
+  } catch (error) {
+    decoded = href.split('#')[0];
+  }
+  return path.posix.normalize(path.posix.join(base, decoded));
+}
+
+// The manifest item marked as the cover: EPUB 3 flags it with
+// properties="cover-image", EPUB 2 names its id in <meta name="cover">
+function findCoverItem(items, metas) {
+  const flagged = items.find((item) => (item.getAttribute('properties') || '').split(/\s+/).includes('cover-image'));
+  if (flagged) return flagged;
+  const meta = metas.find((el) => el.getAttribute('name') === 'cover');
+  const id = meta && meta.getAttribute('content');
+  return id ? items.find((item) => item.getAttribute('id') === id) : null;
+}
+
+async function readCoverImage(zip, base, items, metas) {
+  const item = findCoverItem(items, metas);
+  if (!item || !/^image\//.test(item.getAttribute('media-type') || '')) return null;
+  const entry = zip.file(resolveHref(base, item.getAttribute('href') || ''));
+  return entry ? entry.async('nodebuffer') : null;
+}
+
+function firstText(opf, localName) {
+  const element = opf.getElementsByTagNameNS(DC_NS, localName)[0];
+  return element ? cleanText(element.textContent) : null;
+}
+
+// Files listed as encrypted by META-INF/encryption.xml; fonts are often
+// obfuscated this way, which readers cope with, but encrypted chapters are DRM
+async function encryptedPaths(zip) {
+  const doc = await readXml(zip, 'META-INF/encryption.xml');
+  if (!doc) return new Set();
+  const refs = Array.from(doc.getElementsByTagName('*')).filter((el) => el.localName === 'CipherReference');
+  return new Set(refs.map((ref) => resolveHref('', ref.getAttribute('URI') || '')));
+}
+
+// Resolves to { title, author, subject, language, chapterCount, fileSize,
+// coverImage } (text fields null when the package does not set them,
+// coverImage the image's bytes or null). Throws an error with status 400 when
+// `data` is not a readable EPUB.
+async function readEpub(data) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(data);
+  } catch (error) {
+    throw badEpub('the file is not a ZIP archive');
+  }
+
+  const mimetype = zip.file('mimetype');
+  if (!mimetype || (await mimetype.async('string')).trim() !== EPUB_MIMETYPE) {
+    throw badEpub(`the mimetype entry must be ${EPUB_MIMETYPE}`);
+  }
+
+  const container = await readXml(zip, 'META-INF/container.xml');
+  if (!container) throw badEpub('META-INF/container.xml is missing');
+  const rootfile = Array.from(container.getElementsByTagName('*')).find((el) => el.localName === 'rootfile');
+  const opfPath = rootfile && rootfile.getAttribute('full-path');
+  const opf = opfPath ? await readXml(zip, opfPath) : null;
+  if (!opf) throw badEpub('the package document is missing');
+  const base = path.posix.dirname(opfPath) === '.' ? '' : path.posix.dirname(opfPath);
+
+  const elements = (localName) => Array.from(opf.getElementsByTagName('*')).filter((el) => el.localName === localName);
+  const items = elements('item');
+  const manifest = new Map(items.map((item) => [item.getAttribute('id'), item.getAttribute('href') || '']));
+  const spine = elements('itemref').map((ref) => ref.getAttribute('idref'));
+  if (spine.length === 0) throw badEpub('the spine lists no chapters');
+
+  const encrypted = await encryptedPaths(zip);
+  for (const idref of spine) {
+    const href = manifest.get(idref);
+    if (!href) throw badEpub(`spine item "${idref}" is not in the manifest`);
+    const file = resolveHref(base, href);
+    if (!zip.file(file)) throw badEpub(`${file} is listed in the spine but missing`);
+    if (encrypted.has(file)) throw badEpub('the book is encrypted (DRM)');
+  }
+
+  return {
+    title: firstText(opf, 'title'),
+    author: firstText(opf, 'creator'),
+    subject: firstText(opf, 'description') || firstText(opf, 'subject'),
+    language: firstText(opf, 'language'),
+    chapterCount: spine.length,
+    fileSize: data.length,
+    coverImage: await readCoverImage(zip, base, items, elements('meta'))
+  };
+}
+
+module.exports = { readEpub, looksLikeEpub, EPUB_MIMETYPE };
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const { PDFDocument, PDFName, PDFString } = require('pdf-lib');
+
+// Join the parts of a split book back into one PDF for download. Page labels
+// mark where each part starts: viewers number the pages "Part 2 - 1",
+// "Part 2 - 2", ... instead of counting across the whole book.
+
+// Identifies one set of parts; part keys are unique per upload, so the
+// signature changes whenever the parts are replaced or re-split
+function partsSignature(parts) {
+  const keys = parts
+    .slice()
+    .sort((a, b) => a.partNumber - b.partNumber)
+    .map((part) => `${part.partNumber}:${part.b2FileName || part.fileName || ''}`);
+  return crypto.createHash('sha1').update(keys.join('\n')).digest('hex');
+}
+
+function setPartPageLabels(pdf, starts) {
+  const nums = [];
+  for (const { pageIndex, partNumber } of starts) {
+    nums.push(pageIndex, pdf.context.obj({ S: 'D', P: PDFString.of(`Part ${partNumber} - `) }));
+  }
+  pdf.catalog.set(PDFName.of('PageLabels'), pdf.context.obj({ Nums: nums }));
+}
+
+// `parts` is [{ partNumber, ... }] in reading order and `loadPart(part)`
+// resolves to that part's bytes. Parts are loaded one at a time and dropped
+// once their pages are copied, so only the merged document and one part are
+// held at once. Resolves to { data: Buffer, pageCount }.
+async function mergeParts(parts, loadPart) {
+  const merged = await PDFDocument.create();
+  const starts = [];
+  for (const part of parts) {
+    const source = await PDFDocument.load(await loadPart(part), { ignoreEncryption: true });
+    const pages = await merged.copyPages(source, source.getPageIndices());
+    starts.push({ pageIndex: merged.getPageCount(), partNumber: part.partNumber });
+    pages.forEach((page) => merged.addPage(page));
+  }
+  setPartPageLabels(merged, starts);
+  const data = await merged.save();
+  return { data: Buffer.from(data), pageCount: merged.getPageCount() };
+}
+
+module.exports = { mergeParts, partsSignature };
@@ -0,0 +1,89 @@
+const { PDFDocument, PDFHexString, PDFName, PDFString } = require('pdf-lib');
+const { normalizeMyanmar } = require('../text/myanmar');
+
+// What a PDF says about itself, read at upload time: page count, file size,
+// the document info (title, author, subject, creation date) and the catalog's
+// /Lang. Kept on the book record as
+//   pageCount, fileSize, readingMinutes,
+//   pdfMetadata: { title, author, subject, language, creationDate }
+// so pages and reading time are real numbers rather than guesses.
+
+// Document info is untrusted input: cap what we keep
+const MAX_TEXT_LENGTH = 300;
+
+// Reading-time estimate: a typical page of prose at an average reading pace
+const WORDS_PER_PAGE = 250;
+const WORDS_PER_MINUTE = 200;
+
+// BCP 47-like tags only ("en", "my-MM", "zh-Hant-TW")
+const LANGUAGE_TAG = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+function cleanText(value) {
+  if (typeof value !== 'string') return null;
+  const text = (normalizeMyanmar(value) || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+  return text || null;
+}
+
+function readLanguage(pdf) {
+  const lang = pdf.catalog.lookup(PDFName.of('Lang'));
+  if (!(lang instanceof PDFString || lang instanceof PDFHexString)) return null;
+  const tag = lang.decodeText().trim();
+  return LANGUAGE_TAG.test(tag) ? tag : null;
+}
+
+function readCreationDate(pdf) {
+  try {
+    const date = pdf.getCreationDate();
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+  } catch (error) {
+    // Malformed date strings throw; the rest of the metadata is still good
+    return null;
+  }
+}
+
+// Resolves to { pageCount, fileSize, title, author, subject, language,
+// creationDate }; fields the PDF does not set are null
+async function extractMetadata(data) {
+  const pdf = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+  return {
+    pageCount: pdf.getPageCount(),
+    fileSize: data.length,
+    title: cleanText(pdf.getTitle()),
+    author: cleanText(pdf.getAuthor()),
+    subject: cleanText(pdf.getSubject()),
+    language: readLanguage(pdf),
+    creationDate: readCreationDate(pdf)
+  };
+}
+
+// One book from its parts in reading order: pages and bytes add up, the text
+// fields come from the first part that has them, the date is the earliest
+function combineMetadata(parts) {
+  const first = (field) => (parts.find((part) => part[field]) || {})[field] || null;
+  const dates = parts.map((part) => part.creationDate).filter(Boolean).sort();
+  return {
+    pageCount: parts.reduce((sum, part) => sum + part.pageCount, 0),
+    fileSize: parts.reduce((sum, part) => sum + part.fileSize, 0),
+    title: first('title'),
+    author: first('author'),
+    subject: first('subject'),
+    language: first('language'),
+    creationDate: dates[0] || null
+  };
+}
+
+function estimateReadingMinutes(pageCount) {
+  if (!pageCount || pageCount < 1) return null;
+  return Math.max(1, Math.round((pageCount * WORDS_PER_PAGE) / WORDS_PER_MINUTE));
+}
+
+// "4h 12m", "45m" - the format the admin form uses
+function formatReadingTime(minutes) {
+  if (!minutes) return null;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
+
+module.exports = { extractMetadata, combineMetadata, estimateReadingMinutes, formatReadingTime };
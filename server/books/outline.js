@@ -0,0 +1,146 @@
+const { PDFDocument, PDFArray, PDFDict, PDFHexString, PDFName, PDFNumber, PDFRef, PDFString } = require('pdf-lib');
+const { normalizeMyanmar } = require('../text/myanmar');
+
+// A PDF's bookmark outline as a table of contents, read at upload time so
+// the book page can list chapters before the PDF is opened.
+//
+// Entry shape:
+//   { title, page, children }
+// `page` is the 1-based page the entry opens, or null when its destination
+// points nowhere in the file (links to other files, broken references).
+
+// Outlines are untrusted input: cap their size and depth
+const MAX_ENTRIES = 1000;
+const MAX_DEPTH = 8;
+const MAX_TITLE_LENGTH = 300;
+const MAX_NAME_TREE_DEPTH = 32;
+
+const NAME = {
+  A: PDFName.of('A'),
+  D: PDFName.of('D'),
+  Dest: PDFName.of('Dest'),
+  Dests: PDFName.of('Dests'),
+  First: PDFName.of('First'),
+  Kids: PDFName.of('Kids'),
+  Names: PDFName.of('Names'),
+  Next: PDFName.of('Next'),
+  Outlines: PDFName.of('Outlines'),
+  S: PDFName.of('S'),
+  GoTo: PDFName.of('GoTo'),
+  Title: PDFName.of('Title')
+};
+
+const isText = (object) => object instanceof PDFString || object instanceof PDFHexString;
+
+function decodeTitle(object) {
+  if (!isText(object)) return '';
+  return (normalizeMyanmar(object.decodeText()) || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+}
+
+// Value stored under the string `key` in a name tree (PDF 1.2+ named destinations)
+function searchNameTree(node, key, depth) {
+  if (!(node instanceof PDFDict) || depth > MAX_NAME_TREE_DEPTH) return undefined;
+  const names = node.lookup(NAME.Names);
+  if (names instanceof PDFArray) {
+    for (let i = 0; i + 1 < names.size(); i += 2) {
+      const name = names.lookup(i);
+      if (isText(name) && name.decodeText() === key) return names.lookup(i + 1);
+    }
+  }
+  const kids = node.lookup(NAME.Kids);
+  if (kids instanceof PDFArray) {
+    for (let i = 0; i < kids.size(); i += 1) {
+      const found = searchNameTree(kids.lookup(i), key, depth + 1);
+      if (found !== undefined) return found;
+    }
+  }
+  return undefined;
+}
+
+// Explicit destination for a named one: names live in the catalog's /Dests
+// dictionary (PDF 1.1) or in the /Names /Dests name tree
+function namedDestination(doc, name) {
+  const dests = doc.catalog.lookup(NAME.Dests);
+  if (name instanceof PDFName) return dests instanceof PDFDict ? dests.lookup(name) : undefined;
+  const names = doc.catalog.lookup(NAME.Names);
+  const tree = names instanceof PDFDict ? names.lookup(NAME.Dests) : undefined;
+  const found = tree ? searchNameTree(tree, name.decodeText(), 0) : undefined;
+  if (found !== undefined) return found;
+  return dests instanceof PDFDict ? dests.lookup(PDFName.of(name.decodeText())) : undefined;
+}
+
+// 1-based page a destination ([page, /Fit ...], or a name for one) opens
+function destinationPage(doc, dest, pageNumbers) {
+  let target = dest;
+  if (target instanceof PDFName || isText(target)) target = namedDestination(doc, target);
+  if (target instanceof PDFDict) target = target.lookup(NAME.D);
+  if (!(target instanceof PDFArray) || target.size() === 0) return null;
+
+  const page = target.get(0);
+  if (page instanceof PDFRef) return pageNumbers.get(page.toString()) || null;
+  // Some writers put a page index where the page reference should be
+  if (page instanceof PDFNumber) {
+    const index = page.asNumber();
+    return Number.isInteger(index) && index >= 0 && index < pageNumbers.size ? index + 1 : null;
+  }
+  return null;
+}
+
+function entryPage(doc, item, pageNumbers) {
+  const dest = item.lookup(NAME.Dest);
+  if (dest !== undefined) return destinationPage(doc, dest, pageNumbers);
+  const action = item.lookup(NAME.A);
+  if (action instanceof PDFDict && action.lookup(NAME.S) === NAME.GoTo) {
+    return destinationPage(doc, action.lookup(NAME.D), pageNumbers);
+  }
+  return null;
+}
+
+function readEntries(doc, first, pageNumbers, state, depth) {
+  const entries = [];
+  let item = first;
+  // `seen` guards against /Next and /First chains that loop
+  while (item instanceof PDFDict && !state.seen.has(item) && state.count < MAX_ENTRIES) {
+    state.seen.add(item);
+    state.count += 1;
+    const title = decodeTitle(item.lookup(NAME.Title));
+    const children = depth < MAX_DEPTH ? readEntries(doc, item.lookup(NAME.First), pageNumbers, state, depth + 1) : [];
+    if (title || children.length > 0) {
+      entries.push({ title, page: entryPage(doc, item, pageNumbers), children });
+    }
+    item = item.lookup(NAME.Next);
+  }
+  return entries;
+}
+
+// Outline of a loaded PDFDocument; [] when it has none
+function readOutline(doc) {
+  const outlines = doc.catalog.lookup(NAME.Outlines);
+  if (!(outlines instanceof PDFDict)) return [];
+  const pageNumbers = new Map(doc.getPages().map((page, index) => [page.ref.toString(), index + 1]));
+  return readEntries(doc, outlines.lookup(NAME.First), pageNumbers, { seen: new Set(), count: 0 }, 0);
+}
+
+// Resolves to { outline, pageCount } for PDF bytes. A damaged outline is
+// dropped rather than failing the upload it comes with.
+async function extractOutline(data) {
+  const doc = await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+  let outline = [];
+  try {
+    outline = readOutline(doc);
+  } catch (error) {
+    console.warn('⚠️  Could not read the PDF outline:', error.message || error);
+  }
+  return { outline, pageCount: doc.getPageCount() };
+}
+
+// Outline of a part moved to where the part starts in the whole book
+function offsetOutline(outline, pages) {
+  return outline.map((entry) => ({
+    title: entry.title,
+    page: entry.page === null ? null : entry.page + pages,
+    children: offsetOutline(entry.children, pages)
+  }));
+}
+
+module.exports = { extractOutline, readOutline, offsetOutline };
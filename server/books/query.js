@@ -0,0 +1,177 @@
+const { normalizeMyanmar } = require('../text/myanmar');
+
+// Filtering, sorting, pagination and field selection for GET /api/books.
+// Works on the list-view shape produced by toBookListItem in index.js.
+
+const DEFAULT_LIMIT = 24;
+const MAX_LIMIT = 100;
+
+// Categories that overlap heavily with others (e.g. 'ရုပ်ပြ'), so only books
+// assigned to them explicitly should match
+const EXACT_CATEGORIES = new Set(['ကာတွန်းနှင့်ရုပ်ပြများ']);
+
+function normalizeName(value) {
+  return normalizeMyanmar(String(value || '')).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Category names are compared without their plural suffix ("...များ"), and
+// either side may contain the other - same rule as the category page
+function normalizeCategory(value) {
+  return normalizeName(value).replace(/(စာပေများ|စာအုပ်များ|များ)$/u, '');
+}
+
+function categoryMatches(bookCategoryRaw, categoryRaw) {
+  const bookCategory = normalizeCategory(bookCategoryRaw);
+  const category = normalizeCategory(categoryRaw);
+  if (!bookCategory || !category) return false;
+  if (EXACT_CATEGORIES.has(normalizeName(categoryRaw))) {
+    return bookCategory === category;
+  }
+  return bookCategory === category || bookCategory.includes(category) || category.includes(bookCategory);
+}
+
+const byTime = (value) => {
+  const time = Date.parse(value || '');
+  return Number.isNaN(time) ? 0 : time;
+};
+
+// Each sort compares two books; ties fall back to the id so the order is
+// total and cursors stay stable. `keys` are the fields a cursor must carry.
+const SORTS = {
+  recent: {
+    keys: ['createdAt'],
+    compare: (a, b) => byTime(b.createdAt) - byTime(a.createdAt)
+  },
+  rating: {
+    keys: ['rating', 'createdAt'],
+    compare: (a, b) => (Number(b.rating) || 0) - (Number(a.rating) || 0) || byTime(b.createdAt) - byTime(a.createdAt)
+  },
+  title: {
+    keys: ['title'],
+    compare: (a, b) => String(a.title || '').localeCompare(String(b.title || ''))
+  },
+  author: {
+    keys: ['author', 'title'],
+    compare: (a, b) =>
+      String(a.author || '').localeCompare(String(b.author || '')) ||
+      String(a.title || '').localeCompare(String(b.title || ''))
+  }
+};
+
+function compareWith(sort) {
+  return (a, b) => sort.compare(a, b) || String(a.id).localeCompare(String(b.id));
+}
+
+function encodeCursor(sortName, book) {
+  const values = {};
+  for (const key of SORTS[sortName].keys) values[key] = book[key];
+  return Buffer.from(JSON.stringify({ s: sortName, id: book.id, v: values })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!parsed || !SORTS[parsed.s] || !parsed.id) return null;
+    return parsed;
+  } catch {
+    return null;
+  }
+}
+
+function parseFields(fields) {
+  if (!fields) return null;
+  const list = String(fields)
+    .split(',')
+    .map((f) => f.trim())
+    .filter(Boolean);
+  return list.length > 0 ? new Set(['id', ...list]) : null;
+}
+
+function project(book, fields) {
+  if (!fields) return book;
+  const result = {};
+  for (const key of fields) {
+    if (Object.prototype.hasOwnProperty.call(book, key)) result[key] = book[key];
+  }
+  return result;
+}
+
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit)) return DEFAULT_LIMIT;
+  return Math.min(Math.max(limit, 1), MAX_LIMIT);
+}
+
+// Apply query-string params to `books`. Throws an error with `status` 400 for
+// invalid params. Returns { items, total, paginated, page, limit, nextCursor }.
+function queryBooks(books, params = {}) {
+  const sortName = params.sort ? String(params.sort) : 'recent';
+  if (!SORTS[sortName]) {
+    const error = new Error(`Unknown sort "${sortName}" (expected ${Object.keys(SORTS).join(', ')})`);
+    error.status = 400;
+    throw error;
+  }
+
+  let result = books;
+  if (params.category) {
+    result = result.filter((b) => categoryMatches(b.category, params.category));
+  }
+  if (params.author) {
+    const author = normalizeName(params.author);
+    result = result.filter((b) => normalizeName(b.author) === author);
+  }
+  if (params.format) {
+    result = result.filter((b) => b.format === String(params.format));
+  }
+  if (params.trending !== undefined && params.trending !== '') {
+    const trending = params.trending === 'true' || params.trending === '1';
+    result = result.filter((b) => Boolean(b.isTrending) === trending);
+  }
+
+  const paginated = params.page !== undefined || params.limit !== undefined || params.cursor !== undefined;
+  const compare = compareWith(SORTS[sortName]);
+  // Without sort or pagination params keep catalog order, as the endpoint always has
+  if (params.sort || paginated) {
+    result = [...result].sort(compare);
+  }
+  const total = result.length;
+  const fields = parseFields(params.fields);
+
+  if (!paginated) {
+    return { items: result.map((b) => project(b, fields)), total, paginated: false };
+  }
+
+  const limit = parseLimit(params.limit);
+  let start = 0;
+  let page = null;
+
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor || cursor.s !== sortName) {
+      const error = new Error('Invalid cursor for this sort');
+      error.status = 400;
+      throw error;
+    }
+    const after = { ...cursor.v, id: cursor.id };
+    start = result.findIndex((b) => compare(b, after) > 0);
+    if (start === -1) start = total;
+  } else {
+    page = Math.max(parseInt(params.page, 10) || 1, 1);
+    start = (page - 1) * limit;
+  }
+
+  const slice = result.slice(start, start + limit);
+  const hasMore = start + limit < total;
+
+  return {
+    items: slice.map((b) => project(b, fields)),
+    total,
+    paginated: true,
+    page,
+    limit,
+    hasMore,
+    nextCursor: hasMore && slice.length > 0 ? encodeCursor(sortName, slice[slice.length - 1]) : null
+  };
+}
+
+module.exports = { queryBooks, categoryMatches, parseFields, project };
@@ -0,0 +1,92 @@
+const { PDFDocument } = require('pdf-lib');
+
+// Split one PDF into parts (comics and manga are read part by part), either
+// every `pagesPerPart` pages or into parts of roughly `maxPartBytes` each.
+
+const MAX_PAGES_PER_PART = 10000;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// Split options from a request body: `pagesPerPart` or `partSizeMb`. Returns
+// null when neither is set; throws an error with `status` 400 when invalid.
+function parseSplitOptions(body = {}) {
+  const hasPages = body.pagesPerPart !== undefined && body.pagesPerPart !== '';
+  const hasSize = body.partSizeMb !== undefined && body.partSizeMb !== '';
+  if (!hasPages && !hasSize) return null;
+  if (hasPages && hasSize) throw badRequest('Split by pagesPerPart or partSizeMb, not both');
+
+  if (hasPages) {
+    const pagesPerPart = Number(body.pagesPerPart);
+    if (!Number.isInteger(pagesPerPart) || pagesPerPart < 1 || pagesPerPart > MAX_PAGES_PER_PART) {
+      throw badRequest('pagesPerPart must be a whole number of pages');
+    }
+    return { pagesPerPart };
+  }
+
+  const partSizeMb = Number(body.partSizeMb);
+  if (!Number.isFinite(partSizeMb) || partSizeMb < 1) {
+    throw badRequest('partSizeMb must be at least 1');
+  }
+  return { maxPartBytes: Math.floor(partSizeMb * 1024 * 1024) };
+}
+
+async function loadPdf(data, action) {
+  try {
+    return await PDFDocument.load(data, { ignoreEncryption: true, updateMetadata: false });
+  } catch (error) {
+    throw badRequest(`Could not read the PDF to ${action} it: ${error.message}`);
+  }
+}
+
+async function copyPages(source, start, count) {
+  const part = await PDFDocument.create();
+  const indices = Array.from({ length: count }, (_, i) => start + i);
+  for (const page of await part.copyPages(source, indices)) {
+    part.addPage(page);
+  }
+  return Buffer.from(await part.save());
+}
+
+// Resolves to [{ partNumber, startPage, endPage, pageCount, data }] with pages
+// numbered from 1. A part never drops below one page, so a single page larger
+// than maxPartBytes still becomes its own part.
+async function splitPdf(data, { pagesPerPart, maxPartBytes } = {}) {
+  if (!pagesPerPart && !maxPartBytes) throw new Error('splitPdf needs pagesPerPart or maxPartBytes');
+
+  const source = await loadPdf(data, 'split');
+  const pageCount = source.getPageCount();
+  if (pageCount === 0) throw badRequest('The PDF has no pages');
+
+  // Size mode starts from the average page size and shrinks a part until it
+  // fits; pages share fonts and images, so the guess is usually close
+  const averagePageBytes = Math.max(data.length / pageCount, 1);
+  const parts = [];
+  let start = 0;
+
+  while (start < pageCount) {
+    const remaining = pageCount - start;
+    let count = Math.min(pagesPerPart || Math.max(Math.floor(maxPartBytes / averagePageBytes), 1), remaining);
+    let bytes = await copyPages(source, start, count);
+    while (maxPartBytes && bytes.length > maxPartBytes && count > 1) {
+      count = Math.max(Math.min(count - 1, Math.floor((count * maxPartBytes) / bytes.length)), 1);
+      bytes = await copyPages(source, start, count);
+    }
+
+    parts.push({
+      partNumber: parts.length + 1,
+      startPage: start + 1,
+      endPage: start + count,
+      pageCount: count,
+      data: bytes
+    });
+    start += count;
+  }
+
+  return parts;
+}
+
+module.exports = { splitPdf, parseSplitOptions };
@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+
+// Imports the legacy JSON stores (books.json, blogs.json, sections.json and the
+// remote data/books.json snapshot) into the database. Existing rows are kept
+// unless `overwrite` is set, so running the import twice is harmless.
+
+async function readJsonArray(file) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(file, 'utf8'));
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn(`⚠️  Skipping ${file}:`, error.message);
+    }
+    return null;
+  }
+}
+
+function recordTimestamp(record) {
+  const time = Date.parse(record.updatedAt || record.createdAt || '');
+  return Number.isNaN(time) ? 0 : time;
+}
+
+// Combine several book lists by id; the most recently updated copy wins and
+// later lists win ties (pass the remote snapshot last).
+function mergeBookLists(...lists) {
+  const byId = new Map();
+  for (const list of lists) {
+    for (const book of list || []) {
+      if (!book || !book.id) continue;
+      const current = byId.get(book.id);
+      if (!current || recordTimestamp(book) >= recordTimestamp(current)) {
+        byId.set(book.id, book);
+      }
+    }
+  }
+  return [...byId.values()];
+}
+
+function importRecords(repos, repo, records, options = {}) {
+  const result = { inserted: 0, updated: 0, skipped: 0 };
+  repos.transaction(() => {
+    for (const record of records || []) {
+      if (!record || !record.id) {
+        result.skipped += 1;
+        continue;
+      }
+      const exists = Boolean(repo.get(record.id, { includeTrashed: true }));
+      if (exists && !options.overwrite) {
+        result.skipped += 1;
+        continue;
+      }
+      repo.upsert(record);
+      result[exists ? 'updated' : 'inserted'] += 1;
+    }
+  })();
+  return result;
+}
+
+// `sources` may hold file paths (booksFile, blogsFile, sectionsFile) and an
+// already-downloaded `snapshotBooks` array. Collections without a source are left alone.
+async function importLegacyData(repos, sources = {}, options = {}) {
+  const summary = {};
+
+  if (sources.booksFile || sources.snapshotBooks) {
+    const localBooks = sources.booksFile ? await readJsonArray(sources.booksFile) : null;
+    const books = mergeBookLists(localBooks, sources.snapshotBooks);
+    summary.books = importRecords(repos, repos.books, books, options);
+  }
+  if (sources.blogsFile) {
+    summary.blogs = importRecords(repos, repos.blogs, await readJsonArray(sources.blogsFile), options);
+  }
+  if (sources.sectionsFile) {
+    summary.sections = importRecords(repos, repos.sections, await readJsonArray(sources.sectionsFile), options);
+  }
+
+  for (const [name, result] of Object.entries(summary)) {
+    console.log(`📥 Imported ${name}: ${result.inserted} new, ${result.updated} updated, ${result.skipped} skipped`);
+  }
+  return summary;
+}
+
+module.exports = { importLegacyData, importRecords, mergeBookLists, readJsonArray };
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { migrate } = require('./migrations');
+
+// SQLite-backed repositories for books, blogs, sections, users and upload
+// sessions. Every write touches a single row inside a transaction, so
+// concurrent admin requests no longer overwrite each other the way whole-file
+// JSON rewrites did.
+//
+// Each repository exposes:
+//   list() -> records in insertion order
+//   get(id) -> record | null
+//   count() -> number
+//   insert(record) -> record (throws if the id already exists)
+//   upsert(record) -> record
+//   update(id, changes) -> merged record | null (keys set to undefined are removed)
+//   remove(id) -> removed record | null
+//   subscribe(listener) -> unsubscribe; listener({ type: 'upsert' | 'remove', id, record })
+//
+// Books and blogs also have a trash. Trashed records carry `deletedAt` and are
+// left out of list/get/count/update unless `{ includeTrashed: true }` is passed:
+//   trash(id, { deletedBy }) -> trashed record | null (listeners see a 'remove')
+//   restore(id) -> restored record | null (listeners see an 'upsert')
+//   trashed() -> trashed records, most recently deleted first
+// remove(id) deletes a row whether or not it is in the trash.
+
+const DEFAULT_DATABASE_FILE = path.join(__dirname, '..', 'data', 'bookstore.db');
+
+const TABLES = {
+  books: {
+    title: (r) => r.title || '',
+    author: (r) => r.author || '',
+    category: (r) => r.category || null,
+    is_trending: (r) => (r.isTrending ? 1 : 0),
+    created_at: (r) => r.createdAt || null,
+    updated_at: (r) => r.updatedAt || null,
+    deleted_at: (r) => r.deletedAt || null
+  },
+  blogs: {
+    title: (r) => r.title || '',
+    category: (r) => r.category || null,
+    date: (r) => r.date || null,
+    created_at: (r) => r.createdAt || null,
+    updated_at: (r) => r.updatedAt || null,
+    deleted_at: (r) => r.deletedAt || null
+  },
+  sections: {
+    title: (r) => r.title || '',
+    route: (r) => r.route || ''
+  },
+  users: {
+    uid: (r) => r.uid || null,
+    role: (r) => r.role
+  },
+  uploads: {
+    status: (r) => r.status,
+    updated_at: (r) => r.updatedAt || null
+  }
+};
+
+function openDatabase(filename = process.env.DATABASE_FILE || DEFAULT_DATABASE_FILE) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+  return db;
+}
+
+function createRepository(db, table) {
+  const columns = TABLES[table];
+  const columnNames = Object.keys(columns);
+  const allColumns = ['id', ...columnNames, 'data'];
+  const hasTrash = columnNames.includes('deleted_at');
+  const live = hasTrash ? 'deleted_at IS NULL' : '1';
+
+  const selectAll = db.prepare(`SELECT data FROM ${table} WHERE ${live} ORDER BY rowid`);
+  const selectAllIncludingTrashed = db.prepare(`SELECT data FROM ${table} ORDER BY rowid`);
+  const selectOne = db.prepare(`SELECT data FROM ${table} WHERE id = ? AND ${live}`);
+  const selectOneIncludingTrashed = db.prepare(`SELECT data FROM ${table} WHERE id = ?`);
+  const countAll = db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${live}`);
+  const countAllIncludingTrashed = db.prepare(`SELECT COUNT(*) AS count FROM ${table}`);
+  const selectTrashed = hasTrash
+    ? db.prepare(`SELECT data FROM ${table} WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC`)
+    : null;
+  const insertRow = db.prepare(
+    `INSERT INTO ${table} (${allColumns.join(', ')}) VALUES (${allColumns.map((c) => `@${c}`).join(', ')})`
+  );
+  const upsertRow = db.prepare(
+    `INSERT INTO ${table} (${allColumns.join(', ')}) VALUES (${allColumns.map((c) => `@${c}`).join(', ')})
+     ON CONFLICT(id) DO UPDATE SET ${[...columnNames, 'data'].map((c) => `${c} = excluded.${c}`).join(', ')}`
+  );
+  const deleteRow = db.prepare(`DELETE FROM ${table} WHERE id = ?`);
+  const listeners = new Set();
+
+  function notify(type, record) {
+    for (const listener of listeners) {
+      try {
+        listener({ type, id: record.id, record });
+      } catch (error) {
+        console.error(`❌ ${table} change listener failed:`, error);
+      }
+    }
+  }
+
+  function toRow(record) {
+    if (!record || !record.id) {
+      throw new Error(`Cannot store ${table} record without an id`);
+    }
+    const row = { id: String(record.id), data: JSON.stringify(record) };
+    for (const name of columnNames) {
+      row[name] = columns[name](record);
+    }
+    return row;
+  }
+
+  function list({ includeTrashed = false } = {}) {
+    return (includeTrashed ? selectAllIncludingTrashed : selectAll).all().map((row) => JSON.parse(row.data));
+  }
+
+  function get(id, { includeTrashed = false } = {}) {
+    const row = (includeTrashed ? selectOneIncludingTrashed : selectOne).get(String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  function count({ includeTrashed = false } = {}) {
+    return (includeTrashed ? countAllIncludingTrashed : countAll).get().count;
+  }
+
+  function insert(record) {
+    insertRow.run(toRow(record));
+    notify('upsert', record);
+    return record;
+  }
+
+  function upsert(record) {
+    upsertRow.run(toRow(record));
+    notify('upsert', record);
+    return record;
+  }
+
+  const updateRow = db.transaction((id, changes) => {
+    const current = get(id);
+    if (!current) return null;
+    const next = { ...current, ...changes, id: current.id };
+    for (const key of Object.keys(next)) {
+      if (next[key] === undefined) delete next[key];
+    }
+    upsertRow.run(toRow(next));
+    return next;
+  });
+
+  const removeRow = db.transaction((id) => {
+    const current = get(id, { includeTrashed: true });
+    if (!current) return null;
+    deleteRow.run(String(id));
+    return current;
+  });
+
+  function update(id, changes) {
+    const next = updateRow(id, changes);
+    if (next) notify('upsert', next);
+    return next;
+  }
+
+  function remove(id) {
+    const removed = removeRow(id);
+    if (removed) notify('remove', removed);
+    return removed;
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  const repository = { list, get, count, insert, upsert, update, remove, subscribe };
+  if (!hasTrash) return repository;
+
+  const trashRow = db.transaction((id, deletedBy) => {
+    const current = get(id);
+    if (!current) return null;
+    const next = { ...current, deletedAt: new Date().toISOString(), deletedBy: deletedBy || null };
+    upsertRow.run(toRow(next));
+    return next;
+  });
+
+  const restoreRow = db.transaction((id) => {
+    const current = get(id, { includeTrashed: true });
+    if (!current || !current.deletedAt) return null;
+    const { deletedAt, deletedBy, ...next } = current;
+    upsertRow.run(toRow(next));
+    return next;
+  });
+
+  function trash(id, { deletedBy } = {}) {
+    const trashed = trashRow(id, deletedBy);
+    if (trashed) notify('remove', trashed);
+    return trashed;
+  }
+
+  function restore(id) {
+    const restored = restoreRow(id);
+    if (restored) notify('upsert', restored);
+    return restored;
+  }
+
+  function trashed() {
+    return selectTrashed.all().map((row) => JSON.parse(row.data));
+  }
+
+  return { ...repository, trash, restore, trashed };
+}
+
+function createRepositories(db) {
+  return {
+    db,
+    books: createRepository(db, 'books'),
+    blogs: createRepository(db, 'blogs'),
+    sections: createRepository(db, 'sections'),
+    users: createRepository(db, 'users'),
+    uploads: createRepository(db, 'uploads'),
+    transaction: (fn) => db.transaction(fn)
+  };
+}
+
+module.exports = { openDatabase, createRepositories, DEFAULT_DATABASE_FILE };
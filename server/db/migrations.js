@@ -0,0 +1,224 @@
+// Schema migrations, applied in order and recorded in `schema_migrations`.
+// Never edit a migration that has shipped - add a new one instead.
+//
+// Records are stored whole as JSON in `data`; the other columns are copies of
+// the fields we filter or sort on and are kept in sync by the repositories.
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create_books_blogs_sections',
+    up(db) {
+      db.exec(`
+        CREATE TABLE books (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL DEFAULT '',
+          author TEXT NOT NULL DEFAULT '',
+          category TEXT,
+          is_trending INTEGER NOT NULL DEFAULT 0,
+          created_at TEXT,
+          updated_at TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX idx_books_category ON books (category);
+        CREATE INDEX idx_books_author ON books (author);
+        CREATE INDEX idx_books_created_at ON books (created_at);
+
+        CREATE TABLE blogs (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL DEFAULT '',
+          category TEXT,
+          date TEXT,
+          created_at TEXT,
+          updated_at TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX idx_blogs_date ON blogs (date);
+
+        CREATE TABLE sections (
+          id TEXT PRIMARY KEY,
+          title TEXT NOT NULL DEFAULT '',
+          route TEXT NOT NULL DEFAULT '',
+          data TEXT NOT NULL
+        );
+        CREATE INDEX idx_sections_route ON sections (route);
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'create_users',
+    up(db) {
+      // Keyed by lower-cased email so roles can be granted before first sign-in;
+      // `uid` is filled in the first time the account signs in
+      db.exec(`
+        CREATE TABLE users (
+          id TEXT PRIMARY KEY,
+          uid TEXT,
+          role TEXT NOT NULL,
+          data TEXT NOT NULL
+        );
+        CREATE UNIQUE INDEX idx_users_uid ON users (uid);
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: 'create_audit_log',
+    up(db) {
+      // Append-only: the triggers reject any UPDATE or DELETE
+      db.exec(`
+        CREATE TABLE audit_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          at TEXT NOT NULL,
+          actor_uid TEXT,
+          actor_email TEXT,
+          actor_role TEXT,
+          actor_via TEXT,
+          action TEXT NOT NULL,
+          entity_type TEXT NOT NULL,
+          entity_id TEXT,
+          ip TEXT,
+          changes TEXT NOT NULL,
+          details TEXT
+        );
+        CREATE INDEX idx_audit_log_at ON audit_log (at);
+        CREATE INDEX idx_audit_log_entity ON audit_log (entity_type, entity_id);
+        CREATE INDEX idx_audit_log_actor ON audit_log (actor_email);
+
+        CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+        CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END;
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'add_trash_to_books_and_blogs',
+    up(db) {
+      // Rows with a deleted_at are in the trash: hidden from the public API
+      // until they are restored or purged
+      db.exec(`
+        ALTER TABLE books ADD COLUMN deleted_at TEXT;
+        CREATE INDEX idx_books_deleted_at ON books (deleted_at);
+        ALTER TABLE blogs ADD COLUMN deleted_at TEXT;
+        CREATE INDEX idx_blogs_deleted_at ON blogs (deleted_at);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'create_uploads',
+    up(db) {
+      // Resumable upload sessions, kept here so an upload can continue after
+      // the server restarts
+      db.exec(`
+        CREATE TABLE uploads (
+          id TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          updated_at TEXT,
+          data TEXT NOT NULL
+        );
+        CREATE INDEX idx_uploads_updated_at ON uploads (updated_at);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'create_reading_progress',
+    up(db) {
+      // One row per reader and book: where they stopped. user_id is the
+      // Firebase uid, so it works for any signed-in account, not just admins.
+      db.exec(`
+        CREATE TABLE reading_progress (
+          user_id TEXT NOT NULL,
+          book_id TEXT NOT NULL,
+          part_number INTEGER NOT NULL DEFAULT 1,
+          page INTEGER NOT NULL,
+          global_page INTEGER,
+          total_pages INTEGER,
+          percent REAL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (user_id, book_id)
+        );
+        CREATE INDEX idx_reading_progress_recent ON reading_progress (user_id, updated_at);
+        CREATE INDEX idx_reading_progress_book ON reading_progress (book_id);
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'create_annotations',
+    up(db) {
+      // Bookmarks, highlights and notes, private to the reader who made them.
+      // rects is a JSON array of { x, y, width, height } as fractions of the page.
+      db.exec(`
+        CREATE TABLE annotations (
+          id TEXT PRIMARY KEY,
+          user_id TEXT NOT NULL,
+          book_id TEXT NOT NULL,
+          type TEXT NOT NULL CHECK (type IN ('bookmark', 'highlight', 'note')),
+          part_number INTEGER NOT NULL DEFAULT 1,
+          page INTEGER NOT NULL,
+          global_page INTEGER,
+          color TEXT,
+          text TEXT,
+          note TEXT,
+          rects TEXT,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_annotations_user_book ON annotations (user_id, book_id);
+        CREATE INDEX idx_annotations_book ON annotations (book_id);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'create_reader_preferences',
+    up(db) {
+      // Display preferences of the reader (theme, brightness...), one JSON
+      // document per signed-in account
+      db.exec(`
+        CREATE TABLE reader_preferences (
+          user_id TEXT PRIMARY KEY,
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    }
+  }
+];
+
+function migrate(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(
+    db.prepare('SELECT version FROM schema_migrations').all().map((row) => row.version)
+  );
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  const pending = migrations.filter((m) => !applied.has(m.version));
+  for (const migration of pending) {
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+  }
+
+  return pending.length;
+}
+
+module.exports = { migrations, migrate };
@@ -0,0 +1,53 @@
+// Import books.json, blogs.json, sections.json and the remote data/books.json
+// snapshot into the catalog database.
+//
+//   npm run import-data                 # add records that are not in the database yet
+//   npm run import-data -- --overwrite  # also replace records that already exist
+//   npm run import-data -- --no-snapshot
+
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { createStorage } = require('./storage');
+const { openDatabase, createRepositories } = require('./db');
+const { importLegacyData } = require('./db/importer');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const overwrite = args.includes('--overwrite');
+  const useSnapshot = !args.includes('--no-snapshot');
+
+  const repos = createRepositories(openDatabase());
+  console.log(`🗄️  Database: ${repos.db.name}`);
+
+  let snapshotBooks = null;
+  if (useSnapshot) {
+    const storage = createStorage();
+    try {
+      const data = await storage.files.get('data/books.json');
+      snapshotBooks = data ? JSON.parse(data.toString('utf8')) : null;
+      console.log(snapshotBooks
+        ? `✅ Downloaded ${snapshotBooks.length} books from ${storage.files.name} snapshot`
+        : `⚠️  No books.json snapshot in ${storage.files.name} storage`);
+    } catch (error) {
+      console.warn('⚠️  Failed to download books.json snapshot:', error.message);
+    }
+  }
+
+  await importLegacyData(repos, {
+    booksFile: path.join(__dirname, 'books.json'),
+    blogsFile: path.join(__dirname, 'blogs.json'),
+    sectionsFile: path.join(__dirname, 'sections.json'),
+    snapshotBooks
+  }, { overwrite });
+
+  console.log(`✅ Database now has ${repos.books.count()} books, ${repos.blogs.count()} blogs, ${repos.sections.count()} sections`);
+  repos.db.close();
+}
+
+main().catch((error) => {
+  console.error('❌ Import failed:', error);
+  process.exit(1);
+});
@@ -1,16 +1,35 @@
 const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
-const B2 = require('backblaze-b2');
-const cloudinary = require('cloudinary').v2;
 const multer = require('multer');
-const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 const axios = require('axios');
 const archiver = require('archiver');
 
 dotenv.config();
 
+const { createStorage } = require('./storage');
+const { sendStoredFile } = require('./storage/serveFile');
+const { openDatabase, createRepositories } = require('./db');
+const { importLegacyData, importRecords } = require('./db/importer');
+const { createSearchIndex } = require('./search');
+const { queryBooks, categoryMatches, parseFields, project } = require('./books/query');
+const { splitPdf, parseSplitOptions } = require('./books/split');
+const { extractOutline, offsetOutline } = require('./books/outline');
+const { extractMetadata, combineMetadata, estimateReadingMinutes, formatReadingTime } = require('./books/metadata');
+const { renderCoverPage, renderCoverImage } = require('./books/cover');
+const { readEpub, EPUB_MIMETYPE } = require('./books/epub');
+const { COVER_SIZES, COVER_WIDTHS, IMAGE_FORMATS, decodeImage, renderCoverVariants, negotiateFormat } = require('./images/pipeline');
+const { mergeParts, partsSignature } = require('./books/merge');
+const { normalizeTextFields } = require('./text/myanmar');
+const { createAuth, isRole, hasRole, normalizeEmail } = require('./auth');
+const { createAuditLog } = require('./audit');
+const { createUploadManager, toUploadSummary } = require('./resumable');
+const { createReadingProgress, parsePosition } = require('./reading');
+const { createAnnotations, parseAnnotation, parseAnnotationChanges, toMarkdown } = require('./annotations');
+const { createReaderPreferences, parsePreferences } = require('./preferences');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -36,262 +55,252 @@ const getProtocol = (req) => {
 app.use(cors());
 app.use(express.json());
 
-// Serve uploads folder locally for cover images
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Storage drivers: `files` holds PDFs and data snapshots, `images` holds covers
+// and blog images. See storage/index.js for how the drivers are selected.
+const storage = createStorage();
+
+// Serve the local storage root (local driver objects and legacy uploads).
+// A book's files - books/<id>/, its cover book-covers/cover-<id>.* and the
+// cover's sizes under book-covers/variants/<id>/ - are only served while the
+// book is live, so a trashed book stays unreachable until restored or purged.
+function storedBookId(segments) {
+  if (segments[0] === 'books') return segments[1] || '';
+  if (segments[0] !== 'book-covers') return null;
+  if (segments[1] === 'variants') return segments[2] || '';
+  const fileName = (segments[1] || '').replace(/\.[^.]+$/, '');
+  return fileName.startsWith('cover-') ? fileName.substring('cover-'.length) : null;
+}
+
+function refuseTrashedBookFiles(req, res, next) {
+  let segments;
+  try {
+    segments = path.posix.normalize(decodeURIComponent(req.path)).split('/').filter(Boolean);
+  } catch {
+    return res.status(400).end();
+  }
+  const bookId = storedBookId(segments);
+  if (bookId !== null && !(bookId && repos.books.get(bookId))) {
+    return res.status(404).end();
+  }
+  next();
+}
+app.use('/uploads', refuseTrashedBookFiles, express.static(storage.driver('local').rootDir));
 
-// No local file serving - all files are in Cloudinary (images) and Backblaze B2 (PDFs)
-// (Legacy local files in 'uploads' are served above)
+// Files sent with a form are held in memory, so a book form carries at most
+// this many parts; books with more send their parts as resumable uploads
+// (pdfPartUploadIds), which have no limit
+const MAX_FORM_PARTS = 10;
 
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
-    fileSize: 50 * 1024 * 1024 // 50 MB
+    fileSize: 50 * 1024 * 1024, // 50 MB
+    files: MAX_FORM_PARTS + 2 // the parts, the PDF or EPUB and the cover
   }
 });
 
-// Simple admin password authentication
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+// File fields of the book form: the PDF or EPUB, its cover, and its parts
+// (pdfPart1, pdfPart2, ...). multer's fields() needs every name up front, so
+// take any file and group the known ones by field name the way fields() does.
+const BOOK_FILE_FIELD = /^(pdf|epub|coverImage|pdfPart\d+)$/;
 
-// JSON file for storing book metadata
-const BOOKS_FILE = path.join(__dirname, 'books.json');
-const BLOGS_FILE = path.join(__dirname, 'blogs.json');
-const SECTIONS_FILE = path.join(__dirname, 'sections.json');
+const TOO_MANY_FORM_PARTS = `Send at most ${MAX_FORM_PARTS} parts with the form; upload more through /api/admin/uploads`;
 
-let booksCache = null;
-let booksCacheAtMs = 0;
-const BOOKS_CACHE_TTL_MS = parseInt(process.env.BOOKS_CACHE_TTL_MS || '60000', 10);
+function acceptBookFiles(req, res, next) {
+  upload.any()(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_COUNT') return res.status(413).json({ error: TOO_MANY_FORM_PARTS });
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
+    }
+    if (error) return next(error);
 
-// Initialize books.json if it doesn't exist
-async function initBooksFile() {
-  try {
-    await fs.access(BOOKS_FILE);
-  } catch {
-    await fs.writeFile(BOOKS_FILE, JSON.stringify([], null, 2));
-    console.log('📝 Created books.json file');
-  }
+    const grouped = {};
+    for (const file of Array.isArray(req.files) ? req.files : []) {
+      if (!BOOK_FILE_FIELD.test(file.fieldname)) continue;
+      (grouped[file.fieldname] = grouped[file.fieldname] || []).push(file);
+    }
+    const partCount = Object.keys(grouped).filter((name) => name.startsWith('pdfPart')).length;
+    if (partCount > MAX_FORM_PARTS) return res.status(413).json({ error: TOO_MANY_FORM_PARTS });
+    req.files = grouped;
+    next();
+  });
 }
 
-// Initialize blogs.json if it doesn't exist
-async function initBlogsFile() {
-  try {
-    await fs.access(BLOGS_FILE);
-  } catch {
-    await fs.writeFile(BLOGS_FILE, JSON.stringify([], null, 2));
-    console.log('📝 Created blogs.json file');
-  }
-}
+// Catalog database (books, blogs, sections, users) - see db/index.js
+const repos = createRepositories(openDatabase());
 
-async function initSectionsFile() {
-  try {
-    await fs.access(SECTIONS_FILE);
-  } catch {
-    // We'll create it below if it doesn't exist
-  }
-
-  const defaultSections = [
-    {
-      id: 'section_literature',
-      title: 'တာရာပွကြီး',
-      route: 'ရသစာပေ',
-      keywords: ['literature', 'arts', 'ရသစာပေ', 'fiction', 'novel', 'story']
-    },
-    {
-      id: 'section_success',
-      title: 'အောင်မြင်ရေးစာပေများ',
-      route: 'အောင်မြင်ရေး',
-      keywords: ['success', 'self-help', 'အောင်မြင်ရေး', 'motivation', 'business', 'achievement']
-    },
-    {
-      id: 'section_comic',
-      title: 'မြိုင်ရာဇာ တွတ်ပီ ',
-      route: 'ရုပ်ပြ',
-      keywords: ['comic', 'ရုပ်ပြ', 'graphic', 'manga', 'cartoon']
-    },
-    {
-      id: 'section_short',
-      title: 'ဘိုဘို',
-      route: 'ဝတ္ထုတို',
-      keywords: ['short story', 'ဝတ္ထုတို', 'short', 'story collection']
-    },
-    {
-      id: 'section_kotint',
-      title: 'ကိုတင့် ကိုရွှေထူး',
-      route: 'ကိုတင့် ကိုရွှေထူး',
-      keywords: ['ကိုတင့်', 'ကိုရွှေထူး', 'tint', 'shwe htoo']
-    },
-    {
-      id: 'section_cartoon_comic',
-      title: 'ကာတွန်းနှင့်ရုပ်ပြများ',
-      route: 'ကာတွန်းနှင့်ရုပ်ပြများ',
-      keywords: ['ကာတွန်း', 'ရုပ်ပြ', 'comic', 'cartoon', 'graphic', 'manga']
-    },
-    {
-      id: 'section_knowledge',
-      title: 'သုတစာပေများ',
-      route: 'သုတ',
-      keywords: ['non-fiction', 'knowledge', 'သုတ', 'education', 'reference', 'science', 'history']
-    },
-    {
-      id: 'section_poetry',
-      title: 'ကဗျာစာအုပ်များ',
-      route: 'ကဗျာ',
-      keywords: ['poetry', 'poem', 'ကဗျာ', 'verse']
-    },
-    {
-      id: 'section_translated',
-      title: 'ဘာသာပြန်စာအုပ်များ',
-      route: 'ဘာသာပြန်',
-      keywords: ['translated', 'ဘာသာပြန်', 'translation']
-    },
-    {
-      id: 'section_religion',
-      title: 'ဘာသာရေးစာအုပ်များ',
-      route: 'ဘာသာရေး',
-      keywords: ['religious', 'religion', 'ဘာသာရေး', 'spiritual', 'faith', 'buddhism', 'christian']
-    }
-  ];
+// Admin authorization: Firebase ID tokens mapped to roles - see auth/index.js
+const auth = createAuth({ users: repos.users });
 
-  try {
-    const existingRaw = await fs.readFile(SECTIONS_FILE, 'utf8');
-    const existingParsed = JSON.parse(existingRaw);
-    const existing = Array.isArray(existingParsed) ? existingParsed : [];
+// Who changed what in the admin API - see audit/index.js
+const audit = createAuditLog(repos.db);
 
-    const byRoute = new Map(existing.map((s) => [s && s.route, s]).filter(([r]) => r));
-    const next = [...existing];
+// Resumable chunked uploads for book PDFs - see resumable/index.js
+const uploads = createUploadManager({
+  repo: repos.uploads,
+  storage,
+  chunkSize: (parseFloat(process.env.UPLOAD_CHUNK_SIZE_MB) || 8) * 1024 * 1024,
+  maxSize: (parseFloat(process.env.UPLOAD_MAX_SIZE_MB) || 1024) * 1024 * 1024
+});
+const UPLOAD_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
 
-    for (const def of defaultSections) {
-      const current = byRoute.get(def.route);
-      if (!current) {
-        next.push(def);
-        continue;
-      }
-      // Keep existing IDs but update the display title/keywords to match the latest defaults
-      current.title = def.title;
-      current.keywords = Array.isArray(current.keywords) && current.keywords.length > 0 ? current.keywords : def.keywords;
-    }
+// Per-reader reading positions - see reading/index.js
+const readingProgress = createReadingProgress(repos.db);
 
-    const existingJson = JSON.stringify(existing, null, 2);
-    const nextJson = JSON.stringify(next, null, 2);
-    if (nextJson !== existingJson) {
-      await fs.writeFile(SECTIONS_FILE, nextJson);
-      console.log('📝 Updated sections.json file');
-    }
-  } catch {
-    await fs.writeFile(SECTIONS_FILE, JSON.stringify(defaultSections, null, 2));
-    console.log('📝 Created sections.json file');
-  }
-}
+// Per-reader bookmarks, highlights and notes - see annotations/index.js
+const annotations = createAnnotations(repos.db);
 
-initBooksFile();
-initBlogsFile();
-initSectionsFile();
+// Per-reader display preferences - see preferences/index.js
+const readerPreferences = createReaderPreferences(repos.db);
 
-const hasB2Credentials =
-  process.env.B2_APPLICATION_KEY_ID &&
-  process.env.B2_APPLICATION_KEY &&
-  process.env.B2_BUCKET_ID;
+// Book search index, kept in step with the catalog (see search/index.js)
+const searchIndex = createSearchIndex();
+let searchRebuildPending = false;
 
-// Cloudinary configuration
-const hasCloudinaryCredentials =
-  process.env.CLOUDINARY_CLOUD_NAME &&
-  process.env.CLOUDINARY_API_KEY &&
-  process.env.CLOUDINARY_API_SECRET;
+repos.books.subscribe(({ type, id, record }) => {
+  if (type === 'remove') {
+    searchIndex.remove(id);
+  } else {
+    searchIndex.add(record);
+  }
+});
 
-if (hasCloudinaryCredentials) {
-  cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
+// Section keywords are indexed with every book in the section, so re-index everything (once per tick)
+repos.sections.subscribe(() => {
+  if (searchRebuildPending) return;
+  searchRebuildPending = true;
+  setImmediate(() => {
+    searchRebuildPending = false;
+    searchIndex.rebuild(repos.books.list(), repos.sections.list());
   });
-  console.log('✅ Cloudinary credentials loaded');
-} else {
-  console.warn(
-    '⚠️  WARNING: Cloudinary credentials not fully configured. Set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET for CDN image/PDF hosting.'
-  );
-}
+});
 
-const b2 = hasB2Credentials
-  ? new B2({
-      applicationKeyId: process.env.B2_APPLICATION_KEY_ID,
-      applicationKey: process.env.B2_APPLICATION_KEY
-    })
-  : null;
+// Text fields that may hold Burmese; Zawgyi input is converted to Unicode on every write
+const BOOK_TEXT_FIELDS = ['title', 'author', 'description', 'category', 'readingTime'];
+const BLOG_TEXT_FIELDS = ['title', 'excerpt', 'description', 'category'];
+const SECTION_TEXT_FIELDS = ['title', 'route', 'keywords'];
 
-const CDN_URL_TTL_SECONDS = parseInt(process.env.CDN_URL_TTL_SECONDS || '3600', 10);
+// Legacy JSON stores, imported into the database when a table is empty
+const BOOKS_FILE = path.join(__dirname, 'books.json');
+const BLOGS_FILE = path.join(__dirname, 'blogs.json');
+const SECTIONS_FILE = path.join(__dirname, 'sections.json');
 
-let timeOffset = 0;
-async function syncTime() {
-  try {
-    // Fetch a reliable time source (Google) to calculate local clock drift
-    const response = await axios.head('https://www.google.com');
-    if (response.headers.date) {
-      const serverDate = new Date(response.headers.date);
-      const localDate = new Date();
-      timeOffset = serverDate.getTime() - localDate.getTime();
-      console.log(`⏱️  Time sync: Local clock is ${timeOffset > 0 ? 'behind' : 'ahead'} by ${Math.abs(timeOffset) / 1000}s`);
-    }
-  } catch (error) {
-    console.warn('⚠️  Time sync failed, using local time:', error.message);
+const DEFAULT_SECTIONS = [
+  {
+    id: 'section_literature',
+    title: 'တာရာပွကြီး',
+    route: 'ရသစာပေ',
+    keywords: ['literature', 'arts', 'ရသစာပေ', 'fiction', 'novel', 'story']
+  },
+  {
+    id: 'section_success',
+    title: 'အောင်မြင်ရေးစာပေများ',
+    route: 'အောင်မြင်ရေး',
+    keywords: ['success', 'self-help', 'အောင်မြင်ရေး', 'motivation', 'business', 'achievement']
+  },
+  {
+    id: 'section_comic',
+    title: 'မြိုင်ရာဇာ တွတ်ပီ ',
+    route: 'ရုပ်ပြ',
+    keywords: ['comic', 'ရုပ်ပြ', 'graphic', 'manga', 'cartoon']
+  },
+  {
+    id: 'section_short',
+    title: 'ဘိုဘို',
+    route: 'ဝတ္ထုတို',
+    keywords: ['short story', 'ဝတ္ထုတို', 'short', 'story collection']
+  },
+  {
+    id: 'section_kotint',
+    title: 'ကိုတင့် ကိုရွှေထူး',
+    route: 'ကိုတင့် ကိုရွှေထူး',
+    keywords: ['ကိုတင့်', 'ကိုရွှေထူး', 'tint', 'shwe htoo']
+  },
+  {
+    id: 'section_cartoon_comic',
+    title: 'ကာတွန်းနှင့်ရုပ်ပြများ',
+    route: 'ကာတွန်းနှင့်ရုပ်ပြများ',
+    keywords: ['ကာတွန်း', 'ရုပ်ပြ', 'comic', 'cartoon', 'graphic', 'manga']
+  },
+  {
+    id: 'section_knowledge',
+    title: 'သုတစာပေများ',
+    route: 'သုတ',
+    keywords: ['non-fiction', 'knowledge', 'သုတ', 'education', 'reference', 'science', 'history']
+  },
+  {
+    id: 'section_poetry',
+    title: 'ကဗျာစာအုပ်များ',
+    route: 'ကဗျာ',
+    keywords: ['poetry', 'poem', 'ကဗျာ', 'verse']
+  },
+  {
+    id: 'section_translated',
+    title: 'ဘာသာပြန်စာအုပ်များ',
+    route: 'ဘာသာပြန်',
+    keywords: ['translated', 'ဘာသာပြန်', 'translation']
+  },
+  {
+    id: 'section_religion',
+    title: 'ဘာသာရေးစာအုပ်များ',
+    route: 'ဘာသာရေး',
+    keywords: ['religious', 'religion', 'ဘာသာရေး', 'spiritual', 'faith', 'buddhism', 'christian']
   }
-}
-// Sync time on startup
-syncTime();
-
-let b2Authorized = false;
-let b2AuthData = null;
+];
 
-async function ensureB2Authorized() {
-  if (!b2) {
-    throw new Error('Backblaze B2 credentials are not configured.');
-  }
+// Add missing default sections and keep their display titles up to date
+function seedDefaultSections() {
+  const byRoute = new Map(repos.sections.list().filter((s) => s && s.route).map((s) => [s.route, s]));
+  let changed = 0;
 
-  if (!b2Authorized) {
-    try {
-      const authResponse = await b2.authorize();
-      if (!authResponse || !authResponse.data) {
-        throw new Error('Failed to authorize with Backblaze B2');
+  repos.transaction(() => {
+    for (const def of DEFAULT_SECTIONS) {
+      const current = byRoute.get(def.route);
+      if (!current) {
+        if (!repos.sections.get(def.id)) {
+          repos.sections.insert(def);
+          changed += 1;
+        }
+        continue;
+      }
+      // Keep existing IDs but update the display title/keywords to match the latest defaults
+      const keywords = Array.isArray(current.keywords) && current.keywords.length > 0 ? current.keywords : def.keywords;
+      if (current.title !== def.title || keywords !== current.keywords) {
+        repos.sections.update(current.id, { title: def.title, keywords });
+        changed += 1;
       }
-      b2Authorized = true;
-      b2AuthData = authResponse.data;
-      console.log('✅ B2 authorized successfully');
-    } catch (error) {
-      console.error('B2 Authorization Error:', error.message || error);
-      throw new Error(`B2 authorization failed: ${error.message || 'Check your credentials'}`);
     }
+  })();
+
+  if (changed > 0) {
+    console.log(`📝 Updated ${changed} default sections`);
   }
 }
 
-// Helper: upload buffer to Cloudinary (image or raw for PDFs)
-function uploadBufferToCloudinary(buffer, options) {
-  return new Promise((resolve, reject) => {
-    if (!hasCloudinaryCredentials) {
-      return resolve(null);
-    }
+const CDN_URL_TTL_SECONDS = parseInt(process.env.CDN_URL_TTL_SECONDS || '3600', 10);
 
-    const uploadOptions = {
-      folder: process.env.CLOUDINARY_FOLDER || 'bookstore',
-      resource_type: 'image',
-      ...options
-    };
+// Remote copy of the catalog, kept alongside the PDFs (works on ephemeral hosts like Render)
+const BOOKS_SNAPSHOT_KEY = 'data/books.json';
 
-    const uploadStream = cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
-      if (error) {
-        console.warn('⚠️  Cloudinary upload failed:', error.message || error);
-        return resolve(null); // Do not hard fail; just skip Cloudinary
-      }
-      resolve(result);
-    });
+function sanitizeFileName(name) {
+  return String(name || '').replace(/[^a-zA-Z0-9._-]/g, '_');
+}
 
-    uploadStream.end(buffer);
-  });
+function newBookId() {
+  return `book_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// Storage keys for a book's file (PDF or EPUB) and its parts (comics)
+function bookPdfKey(bookId, originalName) {
+  return `books/${bookId}/book-${Date.now()}-${sanitizeFileName(originalName)}.pdf`;
+}
+
+function bookEpubKey(bookId, originalName) {
+  return `books/${bookId}/book-${Date.now()}-${sanitizeFileName(originalName)}.epub`;
 }
 
-function encodeB2Path(fileName) {
-  return fileName
-    .split('/')
-    .filter(Boolean)
-    .map((segment) => encodeURIComponent(segment))
-    .join('/');
+function bookPartKey(bookId, partNumber, originalName) {
+  return `books/${bookId}/parts/part-${partNumber}-${Date.now()}-${sanitizeFileName(originalName)}.pdf`;
 }
 
 function toCloudinaryContextValue(value) {
@@ -311,396 +320,428 @@ function buildCloudinaryCustomContext({ title, author, description, category, re
   };
 }
 
-function buildCloudinaryContextString(custom) {
-  return Object.entries(custom)
-    .map(([k, v]) => `${k}=${toCloudinaryContextValue(v)}`)
-    .join('|');
+// Books are PDFs unless uploaded as an EPUB; records from before EPUB support
+// have no `format`
+function bookFormat(book) {
+  return book.format === 'epub' ? 'epub' : 'pdf';
+}
+
+// Storage key of the book's main file: its PDF (single-file books) or EPUB
+function getBookPdfKey(book) {
+  return book.b2FileName || book.fileName || null;
+}
+
+function getPartKey(part) {
+  return part?.b2FileName || part?.fileName || null;
+}
+
+// Driver that holds a book's PDFs or EPUB; legacy records without `storage.pdf` use the active files driver
+function getBookPdfDriver(book) {
+  return storage.driverFor(book.storage?.pdf?.provider, storage.files);
 }
 
-function getB2DownloadBaseUrl() {
-  if (process.env.B2_CDN_BASE_URL) return process.env.B2_CDN_BASE_URL.replace(/\/+$/, '');
-  if (b2AuthData?.downloadUrl) return b2AuthData.downloadUrl;
-  if (process.env.B2_BUCKET_ID) return `https://f${process.env.B2_BUCKET_ID}.backblazeb2.com`;
+// Storage key of a cover that is not a public URL (B2 covers are proxied through /api/books/:id/cover)
+function getBookCoverKey(book) {
+  if (book.storage?.cover?.key) return book.storage.cover.key;
+  if (book.b2CoverFileName) return book.b2CoverFileName;
+  if (book.coverImage && !book.coverImage.startsWith('/') && !book.coverImage.startsWith('http')) {
+    return book.coverImage;
+  }
   return null;
 }
 
-async function getB2CdnUrl(fileName) {
-  if (!hasB2Credentials || !fileName || !process.env.B2_BUCKET_NAME) {
-    return null;
+function getBookCoverDriver(book) {
+  if (book.storage?.cover?.provider) {
+    return storage.driverFor(book.storage.cover.provider, storage.images);
   }
+  // Legacy covers referenced by bare file name were always stored in B2
+  return storage.driverFor('b2', storage.images);
+}
 
-  await ensureB2Authorized();
+function getCoverKeyForUpload(bookId, file) {
+  const ext = path.extname(file.originalname || '').toLowerCase() || '.jpg';
+  return `book-covers/cover-${bookId}${ext}`;
+}
 
-  const auth = await b2.getDownloadAuthorization({
-    bucketId: process.env.B2_BUCKET_ID,
-    fileNamePrefix: encodeB2Path(fileName), // Ensure prefix matches encoded path
-    validDurationInSeconds: CDN_URL_TTL_SECONDS
+// Upload a cover image to the images driver and return the fields to store on
+// the book, with the cover's sizes from the image pipeline (`coverVariants`)
+async function uploadCoverImage(bookId, file, customContext) {
+  const key = getCoverKeyForUpload(bookId, file);
+  const result = await storage.images.put(key, file.buffer, {
+    contentType: file.mimetype,
+    metadata: customContext,
+    format: 'webp',
+    transformation: [
+      { width: 600, height: 900, crop: 'fill' },
+      { quality: 'auto:good' }
+    ]
   });
+  console.log(`✅ Uploaded cover image via ${storage.images.name}:`, result.url || result.key);
+  const storageCover = {
+    provider: storage.images.name,
+    key: result.key,
+    url: result.url || null,
+    uploadedAt: new Date().toISOString()
+  };
+  return {
+    coverImage: result.url || result.key,
+    storageCover,
+    coverVariants: await variantsForNewCover(bookId, storageCover, () => decodeImage(file.buffer))
+  };
+}
 
-  const token = auth?.data?.authorizationToken;
-  const baseUrl = getB2DownloadBaseUrl();
+const PLACEHOLDER_COVER_URL = 'https://via.placeholder.com/600x900.webp?text=Book+Cover';
 
-  if (!token || !baseUrl) {
-    console.warn('⚠️  Unable to build CDN URL - missing token or base URL');
+// Cover rendered from the first page of the book's PDF (or, with
+// renderCoverImage, from an EPUB's cover image). Resolves to the same fields
+// as uploadCoverImage, or null when the cover cannot be rendered or stored -
+// the book then keeps the placeholder.
+async function generateCoverImage(bookId, data, customContext, render = renderCoverPage) {
+  try {
+    const startTime = Date.now();
+    const { cover, page } = await render(data);
+    const result = await storage.images.put(`book-covers/cover-${bookId}.webp`, cover, {
+      contentType: 'image/webp',
+      format: 'webp',
+      metadata: customContext
+    });
+    console.log(`🖼️  Generated a cover for ${bookId} in ${Date.now() - startTime}ms`);
+    const storageCover = {
+      provider: storage.images.name,
+      key: result.key,
+      url: result.url || null,
+      uploadedAt: new Date().toISOString(),
+      generated: true
+    };
+    return {
+      coverImage: result.url || result.key,
+      storageCover,
+      coverVariants: await variantsForNewCover(bookId, storageCover, () => page)
+    };
+  } catch (error) {
+    console.warn(`⚠️  Failed to generate a cover for ${bookId}:`, error.message || error);
     return null;
   }
+}
 
-  const encodedPath = encodeB2Path(fileName);
-  const bucketName = process.env.B2_BUCKET_NAME;
-
-  return `${baseUrl}/file/${bucketName}/${encodedPath}?Authorization=${encodeURIComponent(token)}`;
+// False while the book shows the placeholder or a cover generated from its
+// PDF - those follow the PDF when it is replaced
+function hasChosenCover(book) {
+  if (book.storage?.cover?.generated) return false;
+  if (getBookCoverKey(book) || book.cloudinaryCoverUrl) return true;
+  return Boolean(book.coverImage) && book.coverImage !== PLACEHOLDER_COVER_URL;
 }
 
-async function uploadPdfToB2(fileBuffer, fileName, mimeType) {
-  try {
-    await ensureB2Authorized();
-    
-    // Get upload URL for the bucket
-    const uploadUrlResponse = await b2.getUploadUrl({
-      bucketId: process.env.B2_BUCKET_ID
-    });
+const hasCoverImage = (book) => Boolean(book.storage?.cover?.generated) || hasChosenCover(book);
 
-    if (!uploadUrlResponse || !uploadUrlResponse.data) {
-      throw new Error('Failed to get upload URL from Backblaze B2');
-    }
+// Remove a generated cover once `newCover` replaced it, unless the new one
+// was stored under the same key
+async function deleteGeneratedCover(cover, newCover) {
+  if (!cover?.generated || !cover.key) return;
+  if (newCover.provider === cover.provider && newCover.key === cover.key) return;
+  const driver = storage.driverFor(cover.provider, storage.images);
+  if (driver) await driver.delete(cover.key).catch(() => {});
+}
 
-    // Upload the file
-    const uploadResponse = await b2.uploadFile({
-      uploadUrl: uploadUrlResponse.data.uploadUrl,
-      uploadAuthToken: uploadUrlResponse.data.authorizationToken,
-      fileName: fileName,
-      data: fileBuffer,
-      mime: mimeType || 'application/pdf'
-    });
+// Identifies the cover a book shows; variants made from another one are stale
+function coverVersion(book) {
+  const cover = book.storage?.cover;
+  const source = cover?.key
+    ? [cover.provider, cover.key, cover.uploadedAt]
+    : [book.cloudinaryCoverUrl, book.b2CoverFileName, book.coverImage];
+  return crypto.createHash('sha1').update(source.join('|')).digest('hex').slice(0, 12);
+}
 
-    if (!uploadResponse || !uploadResponse.data) {
-      throw new Error('Failed to upload file to Backblaze B2');
+// Store every size and format of a cover (see images/pipeline.js) under
+// book-covers/variants/ - outside book-covers/cover-*, which the catalog
+// rebuild reads as one cover per book. `source` is a decoded image or canvas.
+// Resolves to the book's coverVariants record:
+//   { version, provider, images: [{ size, format, width, height, key, url }] }
+async function storeCoverVariants(bookId, version, source) {
+  const record = { version, provider: storage.images.name, images: [] };
+  try {
+    for (const variant of await renderCoverVariants(source)) {
+      const { size, format, width, height } = variant;
+      const { key, url } = await storage.images.put(
+        `book-covers/variants/${bookId}/${format}/${version}-${size}.${format}`,
+        variant.data,
+        { contentType: variant.contentType, format }
+      );
+      record.images.push({ size, format, width, height, key, url: url || null });
     }
-
-    return uploadResponse.data.fileName;
   } catch (error) {
-    b2Authorized = false;
-    console.error('B2 Upload Error:', error.message || error);
-    throw new Error(`Backblaze upload failed: ${error.message || 'Unknown error'}`);
+    await deleteCoverVariants(record);
+    throw error;
   }
+  return record;
 }
 
-// Helper function to construct Backblaze B2 public URL (S3-style endpoint)
-// Returns a proxy URL through our server for reliability (works with private buckets)
-function getB2PublicUrl(fileName) {
-  // Use proxy endpoint instead of direct B2 URL for better reliability
-  // This works even if the bucket is private
-  // The actual URL will be constructed when the image is requested
-  return fileName; // Return just the filename, we'll use proxy endpoint
+async function deleteCoverVariants(record) {
+  if (!record || !Array.isArray(record.images)) return;
+  const driver = storage.driverFor(record.provider, storage.images);
+  if (!driver) return;
+  for (const image of record.images) {
+    await driver.delete(image.key).catch(() => {});
+  }
 }
 
-// Helper function to upload books.json to Backblaze B2
-async function uploadBooksJsonToB2(booksData) {
-  if (!hasB2Credentials) {
-    console.error('❌ B2 credentials not configured - cannot upload books.json');
-    return false;
-  }
-  
+// Variants of a cover just stored; a cover they cannot be made from is still
+// kept and served whole
+async function variantsForNewCover(bookId, storageCover, loadSource) {
   try {
-    await ensureB2Authorized();
-    const jsonString = JSON.stringify(booksData, null, 2);
-    const jsonBuffer = Buffer.from(jsonString, 'utf8');
-    const fileName = 'data/books.json';
-    
-    console.log(`📤 Attempting to upload books.json (${booksData.length} books) to Backblaze...`);
-    
-    const uploadUrlResponse = await b2.getUploadUrl({
-      bucketId: process.env.B2_BUCKET_ID
-    });
-    
-    if (!uploadUrlResponse || !uploadUrlResponse.data) {
-      throw new Error('Failed to get upload URL from Backblaze B2');
-    }
-    
-    const uploadResponse = await b2.uploadFile({
-      uploadUrl: uploadUrlResponse.data.uploadUrl,
-      uploadAuthToken: uploadUrlResponse.data.authorizationToken,
-      fileName: fileName,
-      data: jsonBuffer,
-      mime: 'application/json'
-    });
-    
-    if (!uploadResponse || !uploadResponse.data) {
-      throw new Error('Upload response was empty');
-    }
-    
-    console.log(`✅ Successfully uploaded books.json to Backblaze: ${fileName} (${booksData.length} books)`);
-    return true;
+    return await storeCoverVariants(bookId, coverVersion({ storage: { cover: storageCover } }), await loadSource());
   } catch (error) {
-    console.error('❌ FAILED to upload books.json to Backblaze:', error.message);
-    console.error('   Error details:', error);
-    if (error.stack) {
-      console.error('   Stack:', error.stack);
-    }
-    return false;
+    console.warn(`⚠️  Failed to make cover sizes for ${bookId}:`, error.message || error);
+    return null;
   }
 }
 
-// Helper function to download books.json from Backblaze B2
-async function downloadBooksJsonFromB2() {
-  if (!hasB2Credentials) {
-    return null;
+// Bytes of the book's cover from storage or from its URL, or null
+async function readCoverImage(book) {
+  const key = getBookCoverKey(book);
+  if (key) {
+    const driver = getBookCoverDriver(book);
+    return driver ? driver.get(key) : null;
   }
-  
-  try {
-    await ensureB2Authorized();
-    const fileName = 'data/books.json';
-    
-    // List files to find books.json and get its fileId
-    const listResponse = await b2.listFileNames({
-      bucketId: process.env.B2_BUCKET_ID,
-      startFileName: fileName,
-      maxFileCount: 10
-    });
-    
-    // Find the exact file
-    const fileInfo = listResponse?.data?.files?.find(
-      file => file.fileName === fileName
-    );
-    
-    if (!fileInfo || !fileInfo.fileId) {
+  if (book.coverImage && book.coverImage.startsWith('/uploads/')) {
+    return storage.driver('local').get(decodeURIComponent(book.coverImage.substring('/uploads/'.length)));
+  }
+  const url = book.cloudinaryCoverUrl || book.coverImage;
+  if (!url || !/^https?:\/\//.test(url)) return null;
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: 15000,
+    maxContentLength: 20 * 1024 * 1024
+  });
+  return Buffer.from(response.data);
+}
+
+// Covers uploaded before the pipeline (or whose sizes are stale) get theirs
+// the first time one is asked for; concurrent requests share the work
+const coverVariantsInFlight = new Map();
+// Covers whose sizes could not be made are served whole until a restart
+const failedCoverVariants = new Set();
+
+// The book's current coverVariants record, made now if needed. Resolves to
+// null for the placeholder or a cover that cannot be read.
+function ensureCoverVariants(book) {
+  const version = coverVersion(book);
+  if (book.coverVariants?.version === version) return Promise.resolve(book.coverVariants);
+  const flightKey = `${book.id}:${version}`;
+  if (!hasCoverImage(book) || failedCoverVariants.has(flightKey)) return Promise.resolve(null);
+  if (coverVariantsInFlight.has(flightKey)) return coverVariantsInFlight.get(flightKey);
+
+  const promise = (async () => {
+    const data = await readCoverImage(book);
+    if (!data) throw new Error('Cover image not found');
+    const record = await storeCoverVariants(book.id, version, await decodeImage(data));
+    const current = repos.books.get(book.id);
+    if (!current || coverVersion(current) !== version) {
+      // The cover changed meanwhile
+      await deleteCoverVariants(record);
       return null;
     }
-    
-    // Download the file using downloadFileById
-    const downloadResponse = await b2.downloadFileById({
-      fileId: fileInfo.fileId
-    });
-    
-    if (!downloadResponse || !downloadResponse.data) {
+    repos.books.update(book.id, { coverVariants: record });
+    scheduleBooksSnapshot();
+    await deleteCoverVariants(current.coverVariants);
+    console.log(`🖼️  Made ${record.images.length} cover sizes for ${book.id}`);
+    return record;
+  })()
+    .catch((error) => {
+      console.warn(`⚠️  Failed to make cover sizes for ${book.id}:`, error.message || error);
+      failedCoverVariants.add(flightKey);
       return null;
-    }
-    
-    // Convert buffer to string and parse JSON
-    const jsonString = Buffer.isBuffer(downloadResponse.data) 
-      ? downloadResponse.data.toString('utf8')
-      : downloadResponse.data;
-    const books = JSON.parse(jsonString);
-    console.log(`✅ Downloaded ${books.length} books from Backblaze`);
-    return books;
-  } catch (error) {
-    // File might not exist yet, that's okay
-    if (error.message && (error.message.includes('not found') || error.message.includes('No such file'))) {
-      return null;
-    }
-    console.warn('⚠️  Failed to download books.json from Backblaze:', error.message);
-    return null;
-  }
+    })
+    .finally(() => coverVariantsInFlight.delete(flightKey));
+  coverVariantsInFlight.set(flightKey, promise);
+  return promise;
 }
 
-// Helper functions for books - use Backblaze B2 for persistence
-async function getBooks() {
-  if (booksCache && Date.now() - booksCacheAtMs < BOOKS_CACHE_TTL_MS) {
-    return booksCache;
+// srcset strings for each format, pointing at the cover endpoint's sizes, or
+// null for books showing the placeholder. The version in the URLs changes
+// with the cover, so browsers may keep each one for good.
+function coverSrcSet(book, baseUrl) {
+  if (!hasCoverImage(book)) return null;
+  const version = coverVersion(book);
+  const images = book.coverVariants?.version === version ? book.coverVariants.images : [];
+  const srcSet = {};
+  for (const format of IMAGE_FORMATS) {
+    srcSet[format] = COVER_SIZES.map((size) => {
+      const image = images.find((i) => i.size === size && i.format === format);
+      const url = `${baseUrl}/api/books/${encodeURIComponent(book.id)}/cover?size=${size}&format=${format}&v=${version}`;
+      return `${url} ${image ? image.width : COVER_WIDTHS[size]}w`;
+    }).join(', ');
   }
+  return srcSet;
+}
 
-  // Prefer Backblaze B2 persistence (works on ephemeral hosts like Render)
-  if (hasB2Credentials) {
-    const b2Books = await downloadBooksJsonFromB2();
-    if (Array.isArray(b2Books)) {
-      console.log(`✅ Loaded ${b2Books.length} books from Backblaze data/books.json`);
-      booksCache = b2Books;
-      booksCacheAtMs = Date.now();
-      return booksCache;
-    }
+// Push the book's metadata onto its cover asset when the images driver supports it
+async function syncCoverMetadata(book) {
+  let coverKey = book.storage?.cover?.key;
+  let driver = coverKey ? getBookCoverDriver(book) : null;
+  if (!coverKey && book.cloudinaryCoverUrl) {
+    // Legacy Cloudinary covers were uploaded as book-covers/cover-<bookId>
+    coverKey = `book-covers/cover-${book.id}.webp`;
+    driver = storage.driverFor('cloudinary', null);
+  }
+  if (!driver || !driver.setMetadata) return;
+  try {
+    await driver.setMetadata(coverKey, buildCloudinaryCustomContext(book));
+  } catch (e) {
+    console.warn('⚠️  Failed to update cover metadata:', e.message || e);
   }
+}
 
-  // Next try local books.json for complete metadata
+// Helper function to upload books.json to remote storage
+async function uploadBooksSnapshot(booksData) {
   try {
-    const data = await fs.readFile(BOOKS_FILE, 'utf8');
-    const books = JSON.parse(data);
-    console.log(`✅ Read ${books.length} books from local books.json`);
-    booksCache = books;
-    booksCacheAtMs = Date.now();
-    return booksCache;
+    const jsonBuffer = Buffer.from(JSON.stringify(booksData, null, 2), 'utf8');
+    console.log(`📤 Attempting to upload books.json (${booksData.length} books) via ${storage.files.name}...`);
+    await storage.files.put(BOOKS_SNAPSHOT_KEY, jsonBuffer, { contentType: 'application/json' });
+    console.log(`✅ Successfully uploaded books.json: ${BOOKS_SNAPSHOT_KEY} (${booksData.length} books)`);
+    return true;
   } catch (error) {
-    console.warn('⚠️ books.json not found or corrupted, falling back to Cloudinary:', error.message);
-
-    // Fallback: Build book list dynamically from Cloudinary (covers) and Backblaze B2 (PDFs)
-    const result = [];
+    console.error('❌ FAILED to upload books.json:', error.message);
+    return false;
+  }
+}
 
-    if (!hasCloudinaryCredentials) {
-      console.warn('⚠️ Cloudinary not configured; cannot list books without books.json. Returning empty list.');
-      booksCache = result;
-      booksCacheAtMs = Date.now();
-      return booksCache;
+// Helper function to download books.json from remote storage
+async function downloadBooksSnapshot() {
+  try {
+    const data = await storage.files.get(BOOKS_SNAPSHOT_KEY);
+    if (!data) {
+      return null;
     }
+    const books = JSON.parse(data.toString('utf8'));
+    console.log(`✅ Downloaded ${books.length} books from ${storage.files.name}`);
+    return books;
+  } catch (error) {
+    console.warn('⚠️  Failed to download books.json snapshot:', error.message);
+    return null;
+  }
+}
 
-    try {
-      // Determine covers folder used when uploading (see POST /api/admin/books)
-      const coversFolder = (process.env.CLOUDINARY_FOLDER ? `${process.env.CLOUDINARY_FOLDER}/book-covers` : 'bookstore/book-covers');
-
-      // List cover assets; each cover is uploaded with public_id like `${coversFolder}/cover-${bookId}`
-      const resourcesResp = await cloudinary.api.resources({
-        type: 'upload',
-        prefix: `${coversFolder}/cover-`,
-        max_results: 500,
-        context: true
-      });
+// Rebuild the catalog from cover assets (with metadata) and the PDFs stored under books/<id>/
+async function rebuildBooksFromStorage() {
+  const result = [];
+  const covers = await storage.images.list('book-covers/cover-');
 
-      const covers = resourcesResp?.resources || [];
-
-      // For each cover, derive bookId and then discover PDFs on B2 by prefix
-      for (const r of covers) {
-        const publicId = r.public_id; // e.g., bookstore/book-covers/cover-<bookId>
-        const lastSegment = publicId.split('/').pop();
-        const bookId = lastSegment.startsWith('cover-') ? lastSegment.substring('cover-'.length) : lastSegment;
-
-        // Read metadata from Cloudinary context if available
-        const ctx = (r.context && r.context.custom) ? r.context.custom : {};
-        const title = ctx.title || '';
-        const author = ctx.author || '';
-        const description = ctx.description || '';
-        const category = ctx.category || 'General';
-        const readingTime = ctx.readingTime || 'Flexible';
-        const rating = ctx.rating ? Number(ctx.rating) : 0;
-        const isTrending = ctx.isTrending === 'true' || ctx.isTrending === true;
-
-        // Discover PDFs on Backblaze
-        let b2FileName = null;
-        let pdfParts = null;
-        if (hasB2Credentials) {
-          try {
-            await ensureB2Authorized();
-            const prefix = `books/${bookId}/`;
-            let startFileName = prefix;
-            let done = false;
-            const files = [];
-            while (!done) {
-              const resp = await b2.listFileNames({
-                bucketId: process.env.B2_BUCKET_ID,
-                startFileName,
-                maxFileCount: 1000
-              });
-              const batch = resp?.data?.files || [];
-              for (const f of batch) {
-                if (f.fileName.startsWith(prefix)) files.push(f);
-              }
-              startFileName = resp?.data?.nextFileName || '';
-              done = !startFileName || !startFileName.startsWith(prefix);
-            }
+  for (const cover of covers) {
+    const fileName = cover.key.split('/').pop().replace(/\.[^.]+$/, '');
+    const bookId = fileName.startsWith('cover-') ? fileName.substring('cover-'.length) : fileName;
 
-            const partFiles = files.filter(f => f.fileName.includes('/parts/') && f.fileName.toLowerCase().endsWith('.pdf'))
-                                   .sort((a, b) => a.fileName.localeCompare(b.fileName));
-            if (partFiles.length > 0) {
-              let partNumber = 1;
-              pdfParts = partFiles.map(f => ({
-                partNumber: partNumber++,
-                b2FileName: f.fileName,
-                fileName: f.fileName
-              }));
-            } else {
-              const single = files.find(f => f.fileName.toLowerCase().endsWith('.pdf'));
-              if (single) b2FileName = single.fileName;
-            }
-          } catch (e) {
-            console.warn('⚠️ Failed to list PDFs on B2 for', bookId, e.message || e);
-          }
-        }
+    const ctx = cover.metadata || {};
 
-        result.push({
-          id: bookId,
-          title,
-          author,
-          description,
-          category,
-          readingTime,
-          rating,
-          isTrending,
-          createdAt: r.created_at || null,
-          updatedAt: r.created_at || null,
-          coverImage: r.secure_url,
-          cloudinaryCoverUrl: r.secure_url,
-          b2FileName,
-          pdfParts
-        });
+    let b2FileName = null;
+    let pdfParts = null;
+    let format = 'pdf';
+    try {
+      const files = await storage.files.list(`books/${bookId}/`);
+      const partFiles = files
+        .filter((f) => f.key.includes('/parts/') && f.key.toLowerCase().endsWith('.pdf'))
+        .sort((a, b) => a.key.localeCompare(b.key));
+      if (partFiles.length > 0) {
+        pdfParts = partFiles.map((f, i) => ({
+          partNumber: i + 1,
+          b2FileName: f.key,
+          fileName: f.key
+        }));
+      } else {
+        const single = files.find((f) => /\.(pdf|epub)$/i.test(f.key) && !f.key.includes('/merged/'));
+        if (single) {
+          b2FileName = single.key;
+          format = single.key.toLowerCase().endsWith('.epub') ? 'epub' : 'pdf';
+        }
       }
-
-      // Cache the result for 30 minutes
-      booksCache = result;
-      booksCacheAtMs = Date.now();
-      return booksCache;
-    } catch (error) {
-      console.warn('⚠️ Failed to list cover assets from Cloudinary:', error.message);
-      // Cache the result for 30 minutes
-      booksCache = result;
-      booksCacheAtMs = Date.now();
-      return booksCache;
-    }
+    } catch (e) {
+      console.warn('⚠️ Failed to list PDFs for', bookId, e.message || e);
+    }
+
+    result.push({
+      id: bookId,
+      title: ctx.title || '',
+      author: ctx.author || '',
+      description: ctx.description || '',
+      category: ctx.category || 'General',
+      readingTime: ctx.readingTime || 'Flexible',
+      rating: ctx.rating ? Number(ctx.rating) : 0,
+      isTrending: ctx.isTrending === 'true' || ctx.isTrending === true,
+      createdAt: cover.updatedAt || null,
+      updatedAt: cover.updatedAt || null,
+      coverImage: cover.url || cover.key,
+      format,
+      b2FileName,
+      pdfParts,
+      storage: {
+        cover: { provider: storage.images.name, key: cover.key, url: cover.url || null },
+        pdf: { provider: storage.files.name, path: pdfParts ? pdfParts.map((p) => p.b2FileName) : b2FileName }
+      }
+    });
   }
-}
 
-async function saveBooks(books) {
-  try {
-    const jsonString = JSON.stringify(books, null, 2);
-    console.log('💾 DEBUG: JSON string length:', jsonString.length);
-
-    await fs.writeFile(BOOKS_FILE, jsonString);
-    console.log(`✅ DEBUG: Successfully saved ${books.length} books to books.json`);
+  return result;
+}
 
-    booksCache = books;
-    booksCacheAtMs = Date.now();
+// Push the catalog to the remote snapshot shortly after a change; a burst of
+// edits is batched into one upload
+const BOOKS_SNAPSHOT_DELAY_MS = 2000;
+let booksSnapshotTimer = null;
+
+function scheduleBooksSnapshot() {
+  if (!storage.files.isRemote) return;
+  clearTimeout(booksSnapshotTimer);
+  booksSnapshotTimer = setTimeout(async () => {
+    booksSnapshotTimer = null;
+    // Trashed books stay in the snapshot so a restart can still restore or purge them
+    const uploaded = await uploadBooksSnapshot(repos.books.list({ includeTrashed: true }));
+    if (!uploaded) {
+      console.warn('⚠️  books.json snapshot is out of date until the next change');
+    }
+  }, BOOKS_SNAPSHOT_DELAY_MS);
+}
 
-    if (hasB2Credentials) {
-      const uploaded = await uploadBooksJsonToB2(books);
-      console.log(`📤 DEBUG: Upload books.json to Backblaze result: ${uploaded}`);
+// Import the legacy JSON files (and the remote snapshot, which is what survives
+// restarts on ephemeral hosts) into any table that is still empty
+async function initDataStore() {
+  const sources = {};
+  if (repos.books.count({ includeTrashed: true }) === 0) {
+    sources.booksFile = BOOKS_FILE;
+    if (storage.files.isRemote) {
+      sources.snapshotBooks = await downloadBooksSnapshot();
     }
-
-    // Verify the write
-    const verifyData = await fs.readFile(BOOKS_FILE, 'utf8');
-    const verifyBooks = JSON.parse(verifyData);
-    console.log('💾 DEBUG: Verification - books in file after save:', verifyBooks.length);
-
-    return true;
-  } catch (error) {
-    console.error('❌ DEBUG: Error saving books:', error);
-    throw error;
   }
-}
+  if (repos.blogs.count({ includeTrashed: true }) === 0) sources.blogsFile = BLOGS_FILE;
+  if (repos.sections.count() === 0) sources.sectionsFile = SECTIONS_FILE;
 
-// Helper functions for blogs JSON file
-async function getBlogs() {
-  try {
-    const data = await fs.readFile(BLOGS_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error('Error reading blogs:', error);
-    return [];
+  if (Object.keys(sources).length > 0) {
+    await importLegacyData(repos, sources);
   }
-}
 
-async function saveBlogs(blogs) {
-  try {
-    await fs.writeFile(BLOGS_FILE, JSON.stringify(blogs, null, 2));
-  } catch (error) {
-    console.error('Error saving blogs:', error);
-    throw error;
+  if (repos.books.count({ includeTrashed: true }) === 0) {
+    try {
+      const rebuilt = await rebuildBooksFromStorage();
+      if (rebuilt.length > 0) {
+        console.log(`♻️  Rebuilt ${rebuilt.length} books from storage`);
+        importRecords(repos, repos.books, rebuilt);
+      }
+    } catch (rebuildError) {
+      console.warn('⚠️ Failed to rebuild books from storage:', rebuildError.message);
+    }
   }
-}
 
-async function getSections() {
-  try {
-    const data = await fs.readFile(SECTIONS_FILE, 'utf8');
-    const parsed = JSON.parse(data);
-    return Array.isArray(parsed) ? parsed : [];
-  } catch (error) {
-    console.error('Error reading sections:', error);
-    return [];
-  }
-}
+  seedDefaultSections();
 
-async function saveSections(sections) {
-  try {
-    await fs.writeFile(SECTIONS_FILE, JSON.stringify(sections, null, 2));
-  } catch (error) {
-    console.error('Error saving sections:', error);
-    throw error;
+  const seededAdmins = auth.seedAdmins((process.env.ADMIN_EMAILS || '').split(','));
+  if (seededAdmins.length > 0) {
+    console.log(`👤 Granted admin role to ${seededAdmins.join(', ')}`);
   }
+  if (!repos.users.list().some((u) => u.role === 'admin' && !u.disabled) && !auth.passwordEnabled) {
+    console.warn('⚠️  No admin accounts yet - set ADMIN_EMAILS to grant the first one');
+  }
+
+  searchIndex.rebuild(repos.books.list(), repos.sections.list());
+  console.log(`✅ Catalog ready: ${repos.books.count()} books, ${repos.blogs.count()} blogs, ${repos.sections.count()} sections`);
 }
 
 function normalizeKeywords(keywords) {
@@ -719,25 +760,10 @@ function normalizeKeywords(keywords) {
   return [];
 }
 
-// Middleware to verify admin password
-function verifyAdminPassword(req, res, next) {
-  const password = req.headers['x-admin-password'] || req.body.adminPassword;
-  
-  if (!password) {
-    return res.status(401).json({ error: 'Admin password required' });
-  }
-  
-  if (password !== ADMIN_PASSWORD) {
-    return res.status(401).json({ error: 'Invalid admin password' });
-  }
-  
-  next();
-}
-
 app.get('/api/sections', async (req, res) => {
   try {
     res.setHeader('Cache-Control', 'public, max-age=30, stale-while-revalidate=60');
-    const sections = await getSections();
+    const sections = repos.sections.list();
     res.json(sections);
   } catch (error) {
     console.error('Error fetching sections:', error);
@@ -745,9 +771,9 @@ app.get('/api/sections', async (req, res) => {
   }
 });
 
-app.post('/api/admin/sections', verifyAdminPassword, async (req, res) => {
+app.post('/api/admin/sections', auth.requireRole('editor'), async (req, res) => {
   try {
-    const { title, route, keywords } = req.body || {};
+    const { title, route, keywords } = normalizeTextFields(req.body, SECTION_TEXT_FIELDS);
     if (!title || !String(title).trim()) {
       return res.status(400).json({ error: 'Title is required' });
     }
@@ -755,15 +781,14 @@ app.post('/api/admin/sections', verifyAdminPassword, async (req, res) => {
       return res.status(400).json({ error: 'Route is required' });
     }
 
-    const sections = await getSections();
     const newSection = {
       id: `section_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`,
       title: String(title).trim(),
       route: String(route).trim(),
       keywords: normalizeKeywords(keywords)
     };
-    sections.push(newSection);
-    await saveSections(sections);
+    repos.sections.insert(newSection);
+    audit.record(req, { action: 'create', entityType: 'section', entityId: newSection.id, after: newSection });
     res.status(201).json(newSection);
   } catch (error) {
     console.error('Error creating section:', error);
@@ -771,20 +796,19 @@ app.post('/api/admin/sections', verifyAdminPassword, async (req, res) => {
   }
 });
 
-app.put('/api/admin/sections/:id', verifyAdminPassword, async (req, res) => {
+app.put('/api/admin/sections/:id', auth.requireRole('editor'), async (req, res) => {
   try {
-    const { title, route, keywords } = req.body || {};
-    const sections = await getSections();
-    const index = sections.findIndex((s) => s.id === req.params.id);
-    if (index === -1) {
+    const { title, route, keywords } = normalizeTextFields(req.body, SECTION_TEXT_FIELDS);
+    const section = repos.sections.get(req.params.id);
+    if (!section) {
       return res.status(404).json({ error: 'Section not found' });
     }
 
     const updated = {
-      ...sections[index],
-      title: title !== undefined ? String(title).trim() : sections[index].title,
-      route: route !== undefined ? String(route).trim() : sections[index].route,
-      keywords: keywords !== undefined ? normalizeKeywords(keywords) : (sections[index].keywords || [])
+      ...section,
+      title: title !== undefined ? String(title).trim() : section.title,
+      route: route !== undefined ? String(route).trim() : section.route,
+      keywords: keywords !== undefined ? normalizeKeywords(keywords) : (section.keywords || [])
     };
 
     if (!updated.title) {
@@ -794,8 +818,8 @@ app.put('/api/admin/sections/:id', verifyAdminPassword, async (req, res) => {
       return res.status(400).json({ error: 'Route is required' });
     }
 
-    sections[index] = updated;
-    await saveSections(sections);
+    repos.sections.upsert(updated);
+    audit.record(req, { action: 'update', entityType: 'section', entityId: updated.id, before: section, after: updated });
     res.json(updated);
   } catch (error) {
     console.error('Error updating section:', error);
@@ -803,14 +827,13 @@ app.put('/api/admin/sections/:id', verifyAdminPassword, async (req, res) => {
   }
 });
 
-app.delete('/api/admin/sections/:id', verifyAdminPassword, async (req, res) => {
+app.delete('/api/admin/sections/:id', auth.requireRole('editor'), async (req, res) => {
   try {
-    const sections = await getSections();
-    const nextSections = sections.filter((s) => s.id !== req.params.id);
-    if (nextSections.length === sections.length) {
+    const removed = repos.sections.remove(req.params.id);
+    if (!removed) {
       return res.status(404).json({ error: 'Section not found' });
     }
-    await saveSections(nextSections);
+    audit.record(req, { action: 'delete', entityType: 'section', entityId: removed.id, before: removed });
     res.json({ success: true, deletedId: req.params.id });
   } catch (error) {
     console.error('Error deleting section:', error);
@@ -818,50 +841,228 @@ app.delete('/api/admin/sections/:id', verifyAdminPassword, async (req, res) => {
   }
 });
 
+// One-shot migration: convert Zawgyi text already stored in books, blogs and sections
+// to Unicode. Pass ?dryRun=true to only report what would change.
+app.post('/api/admin/normalize-text', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const dryRun = String(req.query.dryRun ?? req.body?.dryRun ?? 'false') === 'true';
+    const collections = [
+      ['books', 'book', repos.books, BOOK_TEXT_FIELDS],
+      ['blogs', 'blog', repos.blogs, BLOG_TEXT_FIELDS],
+      ['sections', 'section', repos.sections, SECTION_TEXT_FIELDS]
+    ];
+    const summary = { dryRun };
+
+    repos.transaction(() => {
+      for (const [name, entityType, repo, fields] of collections) {
+        const result = { scanned: 0, changed: [] };
+        for (const record of repo.list()) {
+          result.scanned += 1;
+          const normalized = normalizeTextFields(record, fields);
+          const changes = {};
+          for (const field of fields) {
+            if (JSON.stringify(normalized[field]) !== JSON.stringify(record[field])) {
+              changes[field] = normalized[field];
+            }
+          }
+          if (Object.keys(changes).length === 0) continue;
+          result.changed.push({ id: record.id, fields: Object.keys(changes) });
+          if (!dryRun) {
+            const updated = repo.update(record.id, changes);
+            audit.record(req, { action: 'normalize', entityType, entityId: record.id, before: record, after: updated });
+          }
+        }
+        summary[name] = result;
+      }
+    })();
+
+    if (!dryRun && summary.books.changed.length > 0) {
+      scheduleBooksSnapshot();
+    }
+    console.log(`🔤 Text normalization${dryRun ? ' (dry run)' : ''}: ${summary.books.changed.length} books, ${summary.blogs.changed.length} blogs, ${summary.sections.changed.length} sections`);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error normalizing catalog text:', error);
+    res.status(500).json({ error: error.message || 'Failed to normalize catalog text' });
+  }
+});
+
+// Signed-in account and its role (the admin page uses this to decide what to show)
+app.get('/api/admin/me', auth.requireRole('uploader'), (req, res) => {
+  res.json(req.user);
+});
+
+// Admin accounts. Roles are granted by email; the account's uid is bound on first sign-in.
+app.get('/api/admin/users', auth.requireRole('admin'), (req, res) => {
+  res.json(repos.users.list());
+});
+
+// Grant or change a role: PUT /api/admin/users/:email { role, disabled?, name? }
+app.put('/api/admin/users/:email', auth.requireRole('admin'), (req, res) => {
+  try {
+    const email = normalizeEmail(req.params.email);
+    const { role, disabled, name } = req.body || {};
+    if (!email || !email.includes('@')) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    if (role !== undefined && !isRole(role)) {
+      return res.status(400).json({ error: `Unknown role "${role}"` });
+    }
+
+    const existing = repos.users.get(email);
+    if (!existing && !role) {
+      return res.status(400).json({ error: 'role is required for a new user' });
+    }
+    const next = {
+      ...(existing || { id: email, email, createdAt: new Date().toISOString() }),
+      ...(role !== undefined ? { role } : {}),
+      ...(disabled !== undefined ? { disabled: disabled === true || disabled === 'true' } : {}),
+      ...(name !== undefined ? { name: String(name).trim() || null } : {}),
+      updatedAt: new Date().toISOString()
+    };
+    if (existing && isLastActiveAdmin(existing) && (next.role !== 'admin' || next.disabled)) {
+      return res.status(400).json({ error: 'Cannot demote or disable the last admin' });
+    }
+
+    repos.users.upsert(next);
+    audit.record(req, { action: existing ? 'update' : 'create', entityType: 'user', entityId: email, before: existing, after: next });
+    console.log(`👤 ${existing ? 'Updated' : 'Added'} ${email} (${next.role}${next.disabled ? ', disabled' : ''})`);
+    res.status(existing ? 200 : 201).json(next);
+  } catch (error) {
+    console.error('Error saving user:', error);
+    res.status(500).json({ error: 'Failed to save user' });
+  }
+});
+
+app.delete('/api/admin/users/:email', auth.requireRole('admin'), (req, res) => {
+  try {
+    const email = normalizeEmail(req.params.email);
+    const existing = repos.users.get(email);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (isLastActiveAdmin(existing)) {
+      return res.status(400).json({ error: 'Cannot remove the last admin' });
+    }
+    repos.users.remove(email);
+    audit.record(req, { action: 'delete', entityType: 'user', entityId: email, before: existing });
+    console.log(`🗑️ Removed admin access for ${email}`);
+    res.json({ success: true, deletedId: email });
+  } catch (error) {
+    console.error('Error removing user:', error);
+    res.status(500).json({ error: 'Failed to remove user' });
+  }
+});
+
+function isLastActiveAdmin(user) {
+  if (user.role !== 'admin' || user.disabled) return false;
+  return !repos.users.list().some((u) => u.id !== user.id && u.role === 'admin' && !u.disabled);
+}
+
+// Audit trail, newest first: GET /api/admin/audit?actor=&action=&entityType=&entityId=&since=&until=&page=&limit=
+app.get('/api/admin/audit', auth.requireRole('admin'), (req, res) => {
+  try {
+    res.json(audit.list(req.query));
+  } catch (error) {
+    console.error('Error reading audit log:', error);
+    res.status(500).json({ error: 'Failed to read audit log' });
+  }
+});
+
 // Serve cover image - Moved to later in the file (around line 1500) to use proxy logic
 // app.get('/api/books/:id/cover', ...);
 
-// Get all books
+// Consistent list-view shape for a book (used by /api/books and /api/search).
+// `baseUrl` is the server's own origin, for the cover srcset URLs.
+function toBookListItem(book, baseUrl) {
+  return {
+    id: book.id,
+    title: book.title,
+    author: book.author,
+    description: book.description,
+    category: book.category,
+    readingTime: book.readingTime,
+    format: bookFormat(book),
+    pageCount: book.pageCount || null,
+    rating: book.rating || 0,
+    isTrending: book.isTrending || false,
+    createdAt: book.createdAt,
+    updatedAt: book.updatedAt,
+    // Use Cloudinary URL if available, otherwise use the coverImage
+    coverImage: book.cloudinaryCoverUrl || book.coverImage,
+    // Include the Cloudinary URL separately for backward compatibility
+    cloudinaryCoverUrl: book.cloudinaryCoverUrl,
+    // AVIF/WebP srcsets of the cover in a few widths
+    coverSrcSet: coverSrcSet(book, baseUrl),
+    // Include B2 file name for PDFs
+    b2FileName: book.b2FileName,
+    // Include PDF parts if they exist
+    pdfParts: book.pdfParts
+  };
+}
+
+// Get books. Optional params: category, author, format (pdf|epub), trending, sort (recent|rating|title|author),
+// fields (comma separated). With page/limit/cursor the response is
+// { items, total, page, limit, hasMore, nextCursor }; without them it is the plain array.
 app.get('/api/books', async (req, res) => {
   try {
     res.setHeader('Cache-Control', 'public, max-age=30, stale-while-revalidate=60');
 
-    const books = await getBooks();
-    
-    // Transform book data to ensure consistent response format
-    const booksWithUrls = books.map(book => {
-      // Create a clean response object with only necessary fields
-      const response = {
-        id: book.id,
-        title: book.title,
-        author: book.author,
-        description: book.description,
-        category: book.category,
-        readingTime: book.readingTime,
-        rating: book.rating || 0,
-        isTrending: book.isTrending || false,
-        createdAt: book.createdAt,
-        updatedAt: book.updatedAt,
-        // Use Cloudinary URL if available, otherwise use the coverImage
-        coverImage: book.cloudinaryCoverUrl || book.coverImage,
-        // Include the Cloudinary URL separately for backward compatibility
-        cloudinaryCoverUrl: book.cloudinaryCoverUrl,
-        // Include B2 file name for PDFs
-        b2FileName: book.b2FileName,
-        // Include PDF parts if they exist
-        pdfParts: book.pdfParts
-      };
+    const baseUrl = `${getProtocol(req)}://${req.get('host')}`;
+    const books = repos.books.list().map((book) => toBookListItem(book, baseUrl));
+    const result = queryBooks(books, req.query);
 
-      return response;
+    res.setHeader('X-Total-Count', String(result.total));
+    if (!result.paginated) {
+      return res.json(result.items);
+    }
+    res.json({
+      items: result.items,
+      total: result.total,
+      page: result.page,
+      limit: result.limit,
+      hasMore: result.hasMore,
+      nextCursor: result.nextCursor
     });
-    
-    res.json(booksWithUrls);
   } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching books:', error);
     res.status(500).json({ error: 'Failed to fetch books', details: error.message });
   }
 });
 
+// Search books: GET /api/search?q=&page=&limit=&category=&fields=
+app.get('/api/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const category = req.query.category ? String(req.query.category) : null;
+    const filter = category ? (book) => categoryMatches(book.category, category) : null;
+    const fields = parseFields(req.query.fields);
+
+    const result = searchIndex.search(q, { page: req.query.page, limit: req.query.limit, filter });
+    const baseUrl = `${getProtocol(req)}://${req.get('host')}`;
+
+    res.setHeader('Cache-Control', 'public, max-age=30, stale-while-revalidate=60');
+    res.json({
+      ...result,
+      results: result.results.map(({ book, score, highlights }) => ({
+        ...project(toBookListItem(book, baseUrl), fields),
+        score,
+        highlights
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching books:', error);
+    res.status(500).json({ error: 'Failed to search books' });
+  }
+});
+
 // Get book by ID
 app.get('/api/books/:id', async (req, res) => {
   try {
@@ -871,8 +1072,7 @@ app.get('/api/books/:id', async (req, res) => {
     res.setHeader('Expires', '0');
     res.setHeader('Surrogate-Control', 'no-store');
 
-    const books = await getBooks();
-    const book = books.find(b => b.id === req.params.id);
+    const book = repos.books.get(req.params.id);
     
     if (!book) {
       return res.status(404).json({ error: 'Book not found' });
@@ -893,6 +1093,7 @@ app.get('/api/books/:id', async (req, res) => {
       bookResponse.coverImage = `${protocol}://${req.get('host')}${book.coverImage}`;
     }
     // If coverImage is already a full URL (http/https), keep it as is
+    bookResponse.coverSrcSet = coverSrcSet(book, `${protocol}://${req.get('host')}`);
     
     res.json(bookResponse);
   } catch (error) {
@@ -901,208 +1102,501 @@ app.get('/api/books/:id', async (req, res) => {
   }
 });
 
-// Get signed CDN URLs (Backblaze uses Cloudflare CDN)
+// Get signed CDN URLs (Backblaze uses Cloudflare CDN; local storage returns /uploads paths)
 app.get('/api/books/:id/cdn', async (req, res) => {
   try {
-    const books = await getBooks();
-    const book = books.find((b) => b.id === req.params.id);
+    const book = repos.books.get(req.params.id);
 
     if (!book) {
       return res.status(404).json({ error: 'Book not found' });
     }
 
-    if (!hasB2Credentials || !process.env.B2_BUCKET_NAME) {
-      return res.json({
-        cdnPdfUrl: null,
-        cdnCoverUrl: null,
-        parts: [],
-        ttlSeconds: CDN_URL_TTL_SECONDS,
-        message: 'Backblaze B2 credentials are missing; CDN URLs disabled'
+    const response = {
+      cdnPdfUrl: null,
+      cdnCoverUrl: null,
+      parts: [],
+      ttlSeconds: CDN_URL_TTL_SECONDS
+    };
+
+    const pdfDriver = getBookPdfDriver(book);
+
+    // PDF (single file)
+    if (!book.pdfParts || book.pdfParts.length === 0) {
+      const fileName = getBookPdfKey(book);
+      response.cdnPdfUrl = fileName && pdfDriver ? await pdfDriver.signedUrl(fileName) : null;
+    } else {
+      // PDF parts
+      const partsWithCdn = [];
+      for (const part of book.pdfParts.sort((a, b) => a.partNumber - b.partNumber)) {
+        const partKey = getPartKey(part);
+        const cdnUrl = partKey && pdfDriver ? await pdfDriver.signedUrl(partKey) : null;
+        partsWithCdn.push({ ...part, cdnUrl });
+      }
+      response.parts = partsWithCdn;
+      response.cdnPdfUrl = partsWithCdn[0]?.cdnUrl || null;
+    }
+
+    // Cover image
+    const coverKey = getBookCoverKey(book);
+    const coverDriver = coverKey ? getBookCoverDriver(book) : null;
+    response.cdnCoverUrl = coverDriver ? await coverDriver.signedUrl(coverKey) : null;
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error building CDN URLs:', error);
+    res.status(500).json({ error: 'Failed to generate CDN URLs', details: error.message });
+  }
+});
+
+// Resumable uploads. Large PDFs and EPUBs are sent here in chunks first, then
+// the book form references them by id (pdfUploadId / pdfPartUploadIds /
+// epubUploadId) instead of carrying the files itself. See resumable/index.js
+// for the protocol.
+const UPLOAD_KINDS = ['pdf', 'part', 'epub'];
+
+function uploadOwner(req) {
+  return { uid: req.user.uid, email: req.user.email, via: req.user.via };
+}
+
+// Sessions belong to the account that started them (admins can use any)
+function ownsUpload(req, session) {
+  if (hasRole(req.user, 'admin')) return true;
+  const owner = session.owner || {};
+  return Boolean(owner.uid) && owner.uid === req.user.uid;
+}
+
+function loadOwnUpload(req, id) {
+  const session = uploads.get(id);
+  if (!session || !ownsUpload(req, session)) {
+    const error = new Error('Upload not found');
+    error.status = 404;
+    throw error;
+  }
+  return session;
+}
+
+function parseUploadIds(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(String);
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.map(String) : [String(parsed)];
+  } catch {
+    return String(value).split(',').map((id) => id.trim()).filter(Boolean);
+  }
+}
+
+// The completed uploads named by a book form. Throws with `status` when one is
+// missing, unfinished or of the wrong kind.
+function takeUploads(req, ids, kind) {
+  return ids.map((id) => {
+    const session = loadOwnUpload(req, id);
+    if (session.status !== 'complete' || session.kind !== kind) {
+      const error = new Error(`Upload ${id} is not a completed ${kind} upload`);
+      error.status = 400;
+      throw error;
+    }
+    return session;
+  });
+}
+
+function sendUploadError(res, error, fallback) {
+  if (error.status) {
+    const body = { error: error.message };
+    if (error.receivedBytes !== undefined) body.receivedBytes = error.receivedBytes;
+    return res.status(error.status).json(body);
+  }
+  console.error(`❌ ${fallback}:`, error);
+  res.status(500).json({ error: error.message || fallback });
+}
+
+// Start an upload: { fileName, size, contentType, kind: 'pdf' | 'part' | 'epub', partNumber, bookId }.
+// bookId is reserved here when omitted; later files for the same book pass it back.
+app.post('/api/admin/uploads', auth.requireRole('uploader'), async (req, res) => {
+  try {
+    const { fileName, size, contentType } = req.body || {};
+    const kind = req.body?.kind || 'pdf';
+    if (!UPLOAD_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of ${UPLOAD_KINDS.join(', ')}` });
+    }
+    const partNumber = kind === 'part' ? parseInt(req.body.partNumber, 10) : null;
+    if (kind === 'part' && !(partNumber >= 1)) {
+      return res.status(400).json({ error: 'partNumber is required for part uploads' });
+    }
+    const bookId = req.body?.bookId ? String(req.body.bookId) : newBookId();
+    if (!/^[\w-]{1,100}$/.test(bookId)) {
+      return res.status(400).json({ error: 'Invalid bookId' });
+    }
+
+    let key = bookPdfKey(bookId, fileName);
+    if (kind === 'part') key = bookPartKey(bookId, partNumber, fileName);
+    if (kind === 'epub') key = bookEpubKey(bookId, fileName);
+    const session = await uploads.create({
+      driver: storage.files,
+      key,
+      fileName,
+      size,
+      contentType: contentType || (kind === 'epub' ? EPUB_MIMETYPE : 'application/pdf'),
+      owner: uploadOwner(req),
+      bookId,
+      kind,
+      partNumber
+    });
+    console.log(`📤 Started ${session.mode} upload ${session.id} (${session.size} bytes) for ${key}`);
+    res.status(201).json(toUploadSummary(session));
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to start upload');
+  }
+});
+
+// How far an upload has got - clients call this to resume
+app.get('/api/admin/uploads/:id', auth.requireRole('uploader'), (req, res) => {
+  try {
+    res.json(toUploadSummary(loadOwnUpload(req, req.params.id)));
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to load upload');
+  }
+});
+
+// Send one chunk as the raw request body, with `Upload-Offset` set to the byte
+// it starts at. A 409 answers with the offset the server expects instead.
+app.patch(
+  '/api/admin/uploads/:id',
+  auth.requireRole('uploader'),
+  express.raw({ type: () => true, limit: Math.max(uploads.chunkSize, storage.files.minPartSize || 0) }),
+  async (req, res) => {
+    try {
+      loadOwnUpload(req, req.params.id);
+      const offset = req.get('upload-offset');
+      if (offset === undefined || !/^\d+$/.test(offset)) {
+        return res.status(400).json({ error: 'Upload-Offset header is required' });
+      }
+      const session = await uploads.appendChunk(req.params.id, Number(offset), Buffer.isBuffer(req.body) ? req.body : null);
+      res.json(toUploadSummary(session));
+    } catch (error) {
+      sendUploadError(res, error, 'Failed to store chunk');
+    }
+  }
+);
+
+app.post('/api/admin/uploads/:id/complete', auth.requireRole('uploader'), async (req, res) => {
+  try {
+    loadOwnUpload(req, req.params.id);
+    const session = await uploads.complete(req.params.id);
+    console.log(`✅ Completed upload ${session.id}: ${session.result.key}`);
+    res.json(toUploadSummary(session));
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to complete upload');
+  }
+});
+
+app.delete('/api/admin/uploads/:id', auth.requireRole('uploader'), async (req, res) => {
+  try {
+    loadOwnUpload(req, req.params.id);
+    await uploads.abort(req.params.id);
+    res.json({ success: true, deletedId: req.params.id });
+  } catch (error) {
+    sendUploadError(res, error, 'Failed to cancel upload');
+  }
+});
+
+// Split a book's PDF and store the parts under books/<id>/parts/. Resolves to
+// the pdfParts entries, or null when the whole PDF fits in one part. Parts
+// already stored are removed again if a later one fails.
+async function storeSplitParts(bookId, data, originalName, options) {
+  if (!data) throw new Error('PDF to split was not found in storage');
+  const parts = await splitPdf(data, options);
+  if (parts.length < 2) return null;
+
+  const baseName = String(originalName || 'book').replace(/(\.pdf)+$/i, '');
+  const pdfParts = [];
+  try {
+    for (const part of parts) {
+      const { key } = await storage.files.put(bookPartKey(bookId, part.partNumber, baseName), part.data, {
+        contentType: 'application/pdf'
+      });
+      pdfParts.push({
+        partNumber: part.partNumber,
+        b2FileName: key,
+        fileName: key,
+        startPage: part.startPage,
+        endPage: part.endPage,
+        pageCount: part.pageCount,
+        size: part.data.length
       });
     }
+  } catch (error) {
+    for (const part of pdfParts) {
+      await storage.files.delete(part.b2FileName).catch(() => {});
+    }
+    throw new Error(`Failed to upload split parts: ${error.message}`);
+  }
+  console.log(`✂️  Split ${baseName} into ${pdfParts.length} parts for ${bookId}`);
+  return pdfParts;
+}
+
+// Table of contents of a book from its PDF, or from its parts in order with
+// pages numbered across the whole book. Resolves to null when there is no
+// outline or it cannot be read - that never fails the upload.
+async function readBookOutline(files) {
+  const outline = [];
+  let pages = 0;
+  try {
+    for (const data of files) {
+      const part = await extractOutline(data);
+      outline.push(...offsetOutline(part.outline, pages));
+      pages += part.pageCount;
+    }
+  } catch (error) {
+    console.warn('⚠️  Failed to read the PDF outline:', error.message || error);
+    return null;
+  }
+  if (outline.length > 0) console.log(`📑 Read ${outline.length} outline entries`);
+  return outline.length > 0 ? outline : null;
+}
 
-    const response = {
-      cdnPdfUrl: null,
-      cdnCoverUrl: null,
-      parts: [],
-      ttlSeconds: CDN_URL_TTL_SECONDS
-    };
+// The record fields for a combined metadata result (see books/metadata.js)
+function bookMetadataFields({ pageCount, fileSize, ...pdfMetadata }) {
+  return { pageCount, fileSize, readingMinutes: estimateReadingMinutes(pageCount), pdfMetadata };
+}
 
-    // PDF (single file)
-    if (!book.pdfParts || book.pdfParts.length === 0) {
-      const fileName = book.b2FileName || book.fileName;
-      response.cdnPdfUrl = fileName ? await getB2CdnUrl(fileName) : null;
-    } else {
-      // PDF parts
-      const partsWithCdn = [];
-      for (const part of book.pdfParts.sort((a, b) => a.partNumber - b.partNumber)) {
-        const cdnUrl = part.b2FileName ? await getB2CdnUrl(part.b2FileName) : null;
-        partsWithCdn.push({ ...part, cdnUrl });
-      }
-      response.parts = partsWithCdn;
-      response.cdnPdfUrl = partsWithCdn[0]?.cdnUrl || null;
-    }
+// Page count, size, reading estimate and document info of a book from its PDF
+// or its parts in order. A file pdf-lib cannot read leaves only the size -
+// that never fails the upload.
+async function readBookMetadata(files) {
+  const fileSize = files.reduce((sum, data) => sum + data.length, 0);
+  try {
+    const parts = [];
+    for (const data of files) parts.push(await extractMetadata(data));
+    const fields = bookMetadataFields(combineMetadata(parts));
+    console.log(`📄 Read metadata: ${fields.pageCount} pages, ${fileSize} bytes`);
+    return fields;
+  } catch (error) {
+    console.warn('⚠️  Failed to read the PDF metadata:', error.message || error);
+    return { pageCount: null, fileSize, readingMinutes: null, pdfMetadata: null };
+  }
+}
 
-    // Cover image
-    const coverFileName =
-      book.b2CoverFileName ||
-      (book.coverImage &&
-      !book.coverImage.startsWith('/') &&
-      !book.coverImage.startsWith('http')
-        ? book.coverImage
-        : null);
+// The record fields of an EPUB book (see books/epub.js) and its cover image.
+// EPUBs have chapters rather than pages, so nothing is estimated; a file that
+// is not a valid EPUB throws with status 400.
+async function readEpubBook(data) {
+  const { chapterCount, fileSize, coverImage, ...epubMetadata } = await readEpub(data);
+  console.log(`📚 Read EPUB: ${chapterCount} chapters, ${fileSize} bytes`);
+  return {
+    fields: { chapterCount, fileSize, pageCount: null, readingMinutes: null, pdfMetadata: null, epubMetadata },
+    coverImage
+  };
+}
 
-    response.cdnCoverUrl = coverFileName ? await getB2CdnUrl(coverFileName) : null;
+// A reading time nobody typed follows the estimate: blank, the 'Flexible'
+// placeholder or the estimate written last time
+function isEstimatedReadingTime(book) {
+  return !book.readingTime || book.readingTime === 'Flexible' || book.readingTime === formatReadingTime(book.readingMinutes);
+}
 
-    res.json(response);
-  } catch (error) {
-    console.error('Error building CDN URLs:', error);
-    res.status(500).json({ error: 'Failed to generate CDN URLs', details: error.message });
+// The unsplit PDF is not referenced once its parts are stored
+async function deleteSplitSource(driver, key) {
+  try {
+    await driver.delete(key);
+  } catch (e) {
+    console.warn('⚠️  Failed to delete the PDF that was split:', key, e.message || e);
   }
-});
+}
 
 // Admin upload endpoint
-// Files go directly to Cloudinary (images) and Backblaze B2 (PDFs)
+// PDFs and EPUBs go to the files driver (or arrive through
+// /api/admin/uploads), cover images to the images driver
 app.post(
   '/api/admin/books',
-  verifyAdminPassword,
-  upload.fields([
-    { name: 'pdf', maxCount: 1 },
-    { name: 'coverImage', maxCount: 1 },
-    { name: 'pdfPart1' }, { name: 'pdfPart2' }, { name: 'pdfPart3' },
-    { name: 'pdfPart4' }, { name: 'pdfPart5' }, { name: 'pdfPart6' },
-    { name: 'pdfPart7' }, { name: 'pdfPart8' }, { name: 'pdfPart9' },
-    { name: 'pdfPart10' }
-  ]),
+  auth.requireRole('uploader'),
+  acceptBookFiles,
   async (req, res) => {
     try {
-      console.log('🔍 DEBUG: Admin upload request received');
-      console.log('🔍 DEBUG: Request body:', req.body);
-      console.log('🔍 DEBUG: Request files:', req.files ? Object.keys(req.files) : 'No files');
-      
-      const { title, author, description, category, readingTime, rating, isTrending, hasParts, partsCount } = req.body;
-
-      console.log('🔍 DEBUG: Extracted fields:', { title, author, description, category, readingTime, rating, isTrending, hasParts, partsCount });
+      const { title, author, description, category, readingTime, rating, isTrending, hasParts, partsCount } = normalizeTextFields(req.body, BOOK_TEXT_FIELDS);
 
       if (!title || !author) {
-        console.log('❌ DEBUG: Missing title or author');
         return res.status(400).json({ error: 'Title and author are required' });
       }
 
-      console.log('📚 DEBUG: Getting current books...');
-      const books = await getBooks();
-      console.log(`📚 DEBUG: Current books count: ${books.length}`);
-      
-      const bookId = `book_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      console.log(`🆔 DEBUG: Generated bookId: ${bookId}`);
+      // Optional: split a single PDF into parts (pagesPerPart or partSizeMb)
+      const splitOptions = parseSplitOptions(req.body);
+
+      // Files sent through /api/admin/uploads were stored under the book id
+      // reserved when the first of them started
+      const pdfUpload = req.body.pdfUploadId ? takeUploads(req, [req.body.pdfUploadId], 'pdf')[0] : null;
+      const partUploads = takeUploads(req, parseUploadIds(req.body.pdfPartUploadIds), 'part');
+      const epubUpload = req.body.epubUploadId ? takeUploads(req, [req.body.epubUploadId], 'epub')[0] : null;
+      const uploadedFiles = [pdfUpload, epubUpload, ...partUploads].filter(Boolean);
+      const bookId = uploadedFiles.length > 0 ? uploadedFiles[0].bookId : newBookId();
+      if (uploadedFiles.some((session) => session.bookId !== bookId)) {
+        return res.status(400).json({ error: 'Uploaded files belong to different books' });
+      }
+      if (repos.books.get(bookId, { includeTrashed: true })) {
+        return res.status(409).json({ error: 'These uploads are already attached to a book' });
+      }
+
+      // An EPUB is the whole book: no PDF next to it and no parts
+      const epubFile = req.files?.['epub']?.[0];
+      if (epubUpload || epubFile) {
+        if (pdfUpload || partUploads.length > 0 || req.files?.['pdf'] || hasParts === 'true') {
+          return res.status(400).json({ error: 'Upload either a PDF or an EPUB, not both' });
+        }
+        if (splitOptions) {
+          return res.status(400).json({ error: 'EPUB books cannot be split into parts' });
+        }
+      }
 
+      let format = 'pdf';
       let pdfParts = [];
       let b2PdfFileName = null;
-
-      // Handle PDF parts (for comics)
-      if (hasParts === 'true' && partsCount) {
+      // Parts uploaded one by one are not downloaded again for their outline;
+      // their pages are counted when the book is first opened
+      let outline = null;
+      let metadata = null;
+      // First PDF of the book, to render a cover from when none is uploaded
+      let firstPdf = null;
+      let epubCover = null;
+
+      if (epubUpload || epubFile) {
+        const data = epubUpload ? await storage.driver(epubUpload.provider).get(epubUpload.result.key) : epubFile.buffer;
+        const epub = await readEpubBook(data);
+        format = 'epub';
+        metadata = epub.fields;
+        epubCover = epub.coverImage;
+        if (epubUpload) {
+          b2PdfFileName = epubUpload.result.key;
+        } else {
+          const { key } = await storage.files.put(bookEpubKey(bookId, epubFile.originalname), data, {
+            contentType: EPUB_MIMETYPE
+          });
+          b2PdfFileName = key;
+          console.log(`✅ Uploaded EPUB via ${storage.files.name}:`, b2PdfFileName);
+        }
+      } else if (partUploads.length > 0) {
+        pdfParts = partUploads
+          .map((session, i) => ({
+            partNumber: session.partNumber || i + 1,
+            b2FileName: session.result.key,
+            fileName: session.result.key,
+            size: session.result.size
+          }))
+          .sort((a, b) => a.partNumber - b.partNumber);
+        const firstPart = partUploads.find((session) => session.result.key === pdfParts[0].b2FileName);
+        firstPdf = await storage.driver(firstPart.provider).get(firstPart.result.key);
+        metadata = {
+          pageCount: null,
+          fileSize: pdfParts.reduce((sum, part) => sum + (part.size || 0), 0),
+          readingMinutes: null,
+          pdfMetadata: null
+        };
+      } else if (pdfUpload && splitOptions) {
+        const sourceDriver = storage.driver(pdfUpload.provider);
+        const source = await sourceDriver.get(pdfUpload.result.key);
+        const split = await storeSplitParts(bookId, source, pdfUpload.fileName, splitOptions);
+        outline = await readBookOutline([source]);
+        metadata = await readBookMetadata([source]);
+        firstPdf = source;
+        if (split) {
+          pdfParts = split;
+          await deleteSplitSource(sourceDriver, pdfUpload.result.key);
+        } else {
+          b2PdfFileName = pdfUpload.result.key;
+        }
+      } else if (pdfUpload) {
+        b2PdfFileName = pdfUpload.result.key;
+        const data = await storage.driver(pdfUpload.provider).get(b2PdfFileName);
+        outline = data ? await readBookOutline([data]) : null;
+        metadata = data ? await readBookMetadata([data]) : null;
+        firstPdf = data;
+      } else if (hasParts === 'true' && partsCount) {
+        // Handle PDF parts (for comics)
         const partsCountNum = parseInt(partsCount);
         pdfParts = [];
+        const partFiles = [];
         
         for (let i = 1; i <= partsCountNum; i++) {
           const partFile = req.files[`pdfPart${i}`]?.[0];
           if (partFile) {
-            const sanitizedPartName = `part-${i}-${Date.now()}-${partFile.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
-            
-            // Upload PDF part to Backblaze B2 (tolerate failures)
+            // Upload PDF part (tolerate failures)
             try {
-              const b2PartFileName = await uploadPdfToB2(
+              const { key: partKey } = await storage.files.put(
+                bookPartKey(bookId, i, partFile.originalname),
                 partFile.buffer,
-                `books/${bookId}/parts/${sanitizedPartName}.pdf`,
-                partFile.mimetype || 'application/pdf'
+                { contentType: partFile.mimetype || 'application/pdf' }
               );
-              console.log(`✅ Uploaded Part ${i} to Backblaze: ${b2PartFileName}`);
+              console.log(`✅ Uploaded Part ${i} via ${storage.files.name}: ${partKey}`);
               pdfParts.push({
                 partNumber: i,
-                b2FileName: b2PartFileName,
-                fileName: b2PartFileName
+                b2FileName: partKey,
+                fileName: partKey,
+                size: partFile.buffer.length
               });
+              partFiles.push(partFile.buffer);
             } catch (e) {
-              console.warn(`⚠️  Failed to upload Part ${i} to Backblaze:`, e.message || e);
+              console.warn(`⚠️  Failed to upload Part ${i}:`, e.message || e);
               // Skip this part, continue with metadata-only if needed
             }
           }
         }
-      } else if (req.files['pdf']?.[0]) {
-        // Handle single PDF file - upload to Backblaze B2
+        outline = await readBookOutline(partFiles);
+        metadata = partFiles.length > 0 ? await readBookMetadata(partFiles) : null;
+        firstPdf = partFiles[0] || null;
+      } else if (req.files?.['pdf']?.[0]) {
+        // Handle single PDF file
         const pdfFile = req.files['pdf'][0];
-        const sanitizedPdfName = `book-${Date.now()}-${pdfFile.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
-        
-        // Upload PDF to Backblaze B2 (tolerate failures)
-        try {
-          b2PdfFileName = await uploadPdfToB2(
-            pdfFile.buffer,
-            `books/${bookId}/${sanitizedPdfName}.pdf`,
-            pdfFile.mimetype || 'application/pdf'
-          );
-          console.log('✅ Uploaded PDF to Backblaze:', b2PdfFileName);
-        } catch (e) {
-          console.warn('⚠️  Failed to upload PDF to Backblaze, continuing without attaching file:', e.message || e);
-          b2PdfFileName = null;
+        const split = splitOptions ? await storeSplitParts(bookId, pdfFile.buffer, pdfFile.originalname, splitOptions) : null;
+        outline = await readBookOutline([pdfFile.buffer]);
+        metadata = await readBookMetadata([pdfFile.buffer]);
+        firstPdf = pdfFile.buffer;
+
+        if (split) {
+          pdfParts = split;
+        } else {
+          // Upload PDF (tolerate failures)
+          try {
+            const { key } = await storage.files.put(
+              bookPdfKey(bookId, pdfFile.originalname),
+              pdfFile.buffer,
+              { contentType: pdfFile.mimetype || 'application/pdf' }
+            );
+            b2PdfFileName = key;
+            console.log(`✅ Uploaded PDF via ${storage.files.name}:`, b2PdfFileName);
+          } catch (e) {
+            console.warn('⚠️  Failed to upload PDF, continuing without attaching file:', e.message || e);
+            b2PdfFileName = null;
+          }
         }
-      } else if (!req.files['pdf'] && !hasParts) {
-        // Allow metadata-only book creation regardless of B2 configuration
+      } else if (!req.files?.['pdf'] && !hasParts) {
+        // Allow metadata-only book creation
         console.warn('⚠️  Creating book without PDF (metadata-only).');
       }
 
-      // Upload Cover Image to Cloudinary if provided and configured; else use fallback
-      let cloudinaryCoverUrl = null;
-      if (req.files['coverImage']?.[0] && hasCloudinaryCredentials) {
-        const imageFile = req.files['coverImage'][0];
-        // Use upload_stream instead of direct upload for buffers to avoid signature timestamp issues
-        const customContext = buildCloudinaryCustomContext({
-          title: title.trim(),
-          author: author.trim(),
-          description: description?.trim() || '',
-          category: category?.trim() || 'General',
-          readingTime: readingTime?.trim() || 'Flexible',
-          rating,
-          isTrending: isTrending === 'true'
-        });
-        const cloudinaryResult = await new Promise((resolve, reject) => {
-          const uploadStream = cloudinary.uploader.upload_stream(
-            {
-              folder: process.env.CLOUDINARY_FOLDER ?
-                `${process.env.CLOUDINARY_FOLDER}/book-covers` : 'bookstore/book-covers',
-              public_id: `cover-${bookId}`,
-              resource_type: 'image',
-              format: 'webp',
-              quality: 'auto:good',
-              width: 600,
-              crop: 'limit',
-              timestamp: Math.floor((Date.now() + timeOffset) / 1000),
-              context: {
-                custom: customContext
-              },
-              transformation: [
-                { width: 600, height: 900, crop: 'fill' },
-                { quality: 'auto:good' }
-              ]
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          );
-          uploadStream.end(imageFile.buffer);
-        });
-        if (!cloudinaryResult?.secure_url) {
-          throw new Error('Failed to upload cover image to Cloudinary');
-        }
-        cloudinaryCoverUrl = cloudinaryResult.secure_url;
-        console.log('✅ Uploaded cover image to Cloudinary:', cloudinaryCoverUrl);
-      } else if (req.files['coverImage']?.[0] && !hasCloudinaryCredentials) {
-        // No Cloudinary: save nothing, but log
-        console.warn('⚠️  Cover image provided but Cloudinary is not configured. Using default cover.');
+      // Left blank, the reading time is estimated from the page count
+      const bookReadingTime = readingTime?.trim() || formatReadingTime(metadata?.readingMinutes) || 'Flexible';
+
+      // Upload cover image if provided; else render one from the PDF or the EPUB's own cover
+      const customContext = buildCloudinaryCustomContext({
+        title: title.trim(),
+        author: author.trim(),
+        description: description?.trim() || '',
+        category: category?.trim() || 'General',
+        readingTime: bookReadingTime,
+        rating,
+        isTrending: isTrending === 'true'
+      });
+      let uploadedCover = null;
+      if (req.files?.['coverImage']?.[0]) {
+        uploadedCover = await uploadCoverImage(bookId, req.files['coverImage'][0], customContext);
+      } else if (epubCover) {
+        uploadedCover = await generateCoverImage(bookId, epubCover, customContext, renderCoverImage);
+      } else if (firstPdf) {
+        uploadedCover = await generateCoverImage(bookId, firstPdf, customContext);
       }
 
-      // Choose cover image: Cloudinary result or default placeholder (public hosted fallback)
-      const coverImageUrl = cloudinaryCoverUrl || 'https://via.placeholder.com/600x900.webp?text=Book+Cover';
+      // Choose cover image: uploaded or generated cover, else default placeholder (public hosted fallback)
+      const coverImageUrl = uploadedCover?.coverImage || PLACEHOLDER_COVER_URL;
+      const hasPdf = pdfParts.length > 0 || Boolean(b2PdfFileName);
 
       const bookData = {
         id: bookId,
@@ -1111,40 +1605,44 @@ app.post(
         description: description?.trim() || '',
         category: category?.trim() || 'General',
         coverImage: coverImageUrl,
-        readingTime: readingTime?.trim() || 'Flexible',
+        readingTime: bookReadingTime,
         rating: rating ? Number(rating) : 0,
         isTrending: isTrending === 'true',
+        format,
         pdfParts: pdfParts.length > 0 ? pdfParts : null,
+        outline,
+        ...metadata,
         b2FileName: pdfParts.length > 0 ? null : b2PdfFileName,
         fileName: pdfParts.length > 0 ? null : b2PdfFileName,
         storage: {
-          cover: cloudinaryCoverUrl ? {
-            provider: 'cloudinary',
-            url: cloudinaryCoverUrl
-          } : {
+          cover: uploadedCover ? uploadedCover.storageCover : {
             provider: 'local',
             url: coverImageUrl
           },
           pdf: {
-            provider: hasB2Credentials ? 'backblaze' : 'none',
+            provider: hasPdf ? storage.files.name : 'none',
             path: pdfParts.length > 0 ? pdfParts.map(p => p.b2FileName) : b2PdfFileName
           }
         },
+        coverVariants: uploadedCover?.coverVariants || null,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
 
-      console.log('📖 DEBUG: Created bookData:', JSON.stringify(bookData, null, 2));
+      repos.books.insert(bookData);
+      for (const session of uploadedFiles) uploads.attach(session.id);
+      audit.record(req, { action: 'create', entityType: 'book', entityId: bookId, after: bookData });
+      scheduleBooksSnapshot();
+      console.log(
+        `✅ Created ${bookData.format} book ${bookId}` +
+          (bookData.pdfParts ? ` in ${bookData.pdfParts.length} parts` : '')
+      );
 
-      books.push(bookData);
-      console.log(`📚 DEBUG: Books after push: ${books.length} items`);
-      
-      console.log('💾 DEBUG: Attempting to save books...');
-      await saveBooks(books);
-      console.log('✅ DEBUG: Save completed');
-      
       res.status(201).json(bookData);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Error uploading book:', error);
       res.status(500).json({ 
         error: error.message || 'Failed to upload book',
@@ -1154,133 +1652,210 @@ app.post(
   }
 );
 
+// Replacing an EPUB with a PDF drops the EPUB-only fields; replacing a split
+// book's file drops its parts and the PDF merged from them
+const PDF_FORMAT_CHANGES = {
+  format: 'pdf',
+  chapterCount: undefined,
+  epubMetadata: undefined,
+  pdfParts: null,
+  mergedPdf: undefined
+};
+
+// Once a book's file is replaced, delete what `book` (the record before the
+// update) stored for the old one: its PDF or EPUB, or its parts and the PDF
+// merged from them
+async function deleteReplacedFiles(book, updated) {
+  const driver = getBookPdfDriver(book);
+  const oldKey = getBookPdfKey(book);
+  const keys = oldKey && oldKey !== getBookPdfKey(updated) ? [oldKey] : [];
+  if (Array.isArray(book.pdfParts) && !updated.pdfParts) {
+    keys.push(...book.pdfParts.map(getPartKey).filter(Boolean));
+    if (book.mergedPdf) deleteMergedPdf(book.mergedPdf);
+  }
+  for (const key of keys) {
+    try {
+      await driver.delete(key);
+    } catch (e) {
+      console.warn('⚠️  Failed to delete a replaced file:', key, e.message || e);
+    }
+  }
+}
+
 // Update book
 app.put(
   '/api/admin/books/:id',
-  verifyAdminPassword,
-  upload.fields([{ name: 'pdf' }, { name: 'coverImage' }]),
+  auth.requireRole('editor'),
+  upload.fields([{ name: 'pdf' }, { name: 'epub' }, { name: 'coverImage' }]),
   async (req, res) => {
     try {
-      const { title, author, description, category, readingTime, rating, isTrending } = req.body;
-      const books = await getBooks();
-      const index = books.findIndex((b) => b.id === req.params.id);
-      if (index === -1) {
+      const { title, author, description, category, readingTime, rating, isTrending } = normalizeTextFields(req.body, BOOK_TEXT_FIELDS);
+      const book = repos.books.get(req.params.id);
+      if (!book) {
         return res.status(404).json({ error: 'Book not found' });
       }
 
-      const book = books[index];
+      // Only the fields collected here are written, so edits racing this upload are kept
+      const changes = {};
+      let newPdf = null;
+      let newEpubCover = null;
+
+      const pdfUpload = req.body.pdfUploadId ? takeUploads(req, [req.body.pdfUploadId], 'pdf')[0] : null;
+      if (pdfUpload && pdfUpload.bookId !== book.id) {
+        return res.status(400).json({ error: 'The uploaded PDF belongs to a different book' });
+      }
+      const epubUpload = req.body.epubUploadId ? takeUploads(req, [req.body.epubUploadId], 'epub')[0] : null;
+      if (epubUpload && epubUpload.bookId !== book.id) {
+        return res.status(400).json({ error: 'The uploaded EPUB belongs to a different book' });
+      }
+      const epubFile = req.files?.['epub']?.[0];
+      if ((epubUpload || epubFile) && (pdfUpload || req.files?.['pdf']?.[0])) {
+        return res.status(400).json({ error: 'Upload either a PDF or an EPUB, not both' });
+      }
 
-      // Update PDF if provided - upload directly to Backblaze B2 only
-      if (req.files['pdf'] && req.files['pdf'][0]) {
+      // Update the book file if provided. An EPUB replaces the PDF or its
+      // parts; a PDF drops what only EPUBs have.
+      if (epubUpload || epubFile) {
+        const data = epubUpload ? await storage.driver(epubUpload.provider).get(epubUpload.result.key) : epubFile.buffer;
+        const epub = await readEpubBook(data);
+        let key = epubUpload?.result.key;
+        let provider = epubUpload?.provider;
+        if (!epubUpload) {
+          ({ key } = await storage.files.put(bookEpubKey(book.id, epubFile.originalname), data, {
+            contentType: EPUB_MIMETYPE
+          }));
+          provider = storage.files.name;
+          console.log(`✅ Uploaded updated EPUB via ${storage.files.name}:`, key);
+        }
+        Object.assign(changes, epub.fields, {
+          format: 'epub',
+          b2FileName: key,
+          fileName: key,
+          pdfParts: null,
+          mergedPdf: undefined,
+          outline: null,
+          storage: { ...(book.storage || {}), pdf: { provider, path: key } }
+        });
+        newEpubCover = epub.coverImage;
+      } else if (pdfUpload) {
+        Object.assign(changes, PDF_FORMAT_CHANGES);
+        changes.b2FileName = pdfUpload.result.key;
+        changes.fileName = pdfUpload.result.key;
+        changes.storage = {
+          ...(book.storage || {}),
+          pdf: { provider: pdfUpload.provider, path: pdfUpload.result.key }
+        };
+        const data = await storage.driver(pdfUpload.provider).get(pdfUpload.result.key);
+        changes.outline = data ? await readBookOutline([data]) : null;
+        if (data) Object.assign(changes, await readBookMetadata([data]));
+        newPdf = data;
+      } else if (req.files?.['pdf']?.[0]) {
         const pdfFile = req.files['pdf'][0];
-        const sanitizedPdfName = `${Date.now()}-${pdfFile.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+        Object.assign(changes, PDF_FORMAT_CHANGES);
 
         let b2PdfFileName = null;
-        if (hasB2Credentials) {
-          try {
-            const b2Name = `pdfs/${sanitizedPdfName}`;
-            b2PdfFileName = await uploadPdfToB2(pdfFile.buffer, b2Name, pdfFile.mimetype || 'application/pdf');
-            console.log('✅ Uploaded updated PDF to Backblaze:', b2PdfFileName);
-          } catch (b2Error) {
-            console.error('❌ Failed to upload updated PDF to Backblaze:', b2Error.message || b2Error);
-            throw new Error(`Failed to upload PDF to Backblaze: ${b2Error.message}`);
-          }
-        } else {
-          throw new Error('Backblaze B2 not configured - cannot store PDF files');
+        try {
+          const { key } = await storage.files.put(
+            bookPdfKey(book.id, pdfFile.originalname),
+            pdfFile.buffer,
+            { contentType: pdfFile.mimetype || 'application/pdf' }
+          );
+          b2PdfFileName = key;
+          console.log(`✅ Uploaded updated PDF via ${storage.files.name}:`, b2PdfFileName);
+        } catch (uploadError) {
+          console.error('❌ Failed to upload updated PDF:', uploadError.message || uploadError);
+          throw new Error(`Failed to upload PDF: ${uploadError.message}`);
         }
 
-        book.b2FileName = b2PdfFileName;
-        book.fileName = b2PdfFileName;
+        changes.b2FileName = b2PdfFileName;
+        changes.fileName = b2PdfFileName;
+        changes.storage = {
+          ...(book.storage || {}),
+          pdf: { provider: storage.files.name, path: b2PdfFileName }
+        };
+        changes.outline = await readBookOutline([pdfFile.buffer]);
+        Object.assign(changes, await readBookMetadata([pdfFile.buffer]));
+        newPdf = pdfFile.buffer;
       }
 
-      // Update cover if provided - upload directly to Cloudinary only
-      if (req.files['coverImage'] && req.files['coverImage'][0]) {
-        const imageFile = req.files['coverImage'][0];
-        const sanitizedImageName = `${Date.now()}-${imageFile.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+      const customContext = buildCloudinaryCustomContext({
+        title: title !== undefined ? title.trim() : book.title,
+        author: author !== undefined ? author.trim() : book.author,
+        description: description !== undefined ? description.trim() : book.description,
+        category: category !== undefined ? (category.trim() || 'General') : book.category,
+        readingTime: readingTime !== undefined ? readingTime.trim() : book.readingTime,
+        rating: rating !== undefined ? rating : book.rating,
+        isTrending: isTrending !== undefined ? (isTrending === 'true' || isTrending === true) : book.isTrending
+      });
 
-        let cloudinaryCoverUrl = null;
-        // Upload new cover to Cloudinary
+      // Update cover if provided
+      if (req.files?.['coverImage']?.[0]) {
+        let uploadedCover;
         try {
-          const customContext = buildCloudinaryCustomContext({
-            title: title !== undefined ? title.trim() : book.title,
-            author: author !== undefined ? author.trim() : book.author,
-            description: description !== undefined ? description.trim() : book.description,
-            category: category !== undefined ? (category.trim() || 'General') : book.category,
-            readingTime: readingTime !== undefined ? readingTime.trim() : book.readingTime,
-            rating: rating !== undefined ? rating : book.rating,
-            isTrending: isTrending !== undefined ? (isTrending === 'true' || isTrending === true) : book.isTrending
-          });
-          // Use stream upload to avoid timestamp issues
-          const result = await new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-              {
-                resource_type: 'image',
-                folder: (process.env.CLOUDINARY_FOLDER || 'bookstore') + '/covers',
-                public_id: sanitizedImageName.replace(/\.[^.]+$/, ''),
-                context: { custom: customContext },
-                timestamp: Math.floor((Date.now() + timeOffset) / 1000) // Use synced time
-              },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve(result);
-              }
-            );
-            uploadStream.end(imageFile.buffer);
-          });
-
-          if (result && result.secure_url) {
-            cloudinaryCoverUrl = result.secure_url;
-            console.log('✅ Uploaded updated cover image to Cloudinary:', cloudinaryCoverUrl);
-          } else {
-            throw new Error('Cloudinary upload returned no URL');
-          }
-        } catch (cloudErr) {
-          console.error('❌ Failed to upload updated cover to Cloudinary:', cloudErr.message || cloudErr);
-          throw new Error(`Failed to upload cover image to Cloudinary: ${cloudErr.message}`);
+          uploadedCover = await uploadCoverImage(book.id, req.files['coverImage'][0], customContext);
+        } catch (uploadError) {
+          console.error('❌ Failed to upload updated cover:', uploadError.message || uploadError);
+          throw new Error(`Failed to upload cover image: ${uploadError.message}`);
         }
 
-        book.coverImage = cloudinaryCoverUrl;
-        book.coverImageUrl = cloudinaryCoverUrl;
-        book.cloudinaryCoverUrl = cloudinaryCoverUrl;
+        changes.coverImage = uploadedCover.coverImage;
+        changes.coverImageUrl = uploadedCover.coverImage;
+        // Drop legacy cover references so the new cover takes precedence
+        changes.cloudinaryCoverUrl = undefined;
+        changes.b2CoverFileName = undefined;
+        changes.storage = { ...(changes.storage || book.storage || {}), cover: uploadedCover.storageCover };
+        changes.coverVariants = uploadedCover.coverVariants;
+      } else if ((newPdf || newEpubCover) && !hasChosenCover(book)) {
+        // A cover generated from the old file (or the placeholder) follows the new one
+        const generatedCover = newEpubCover
+          ? await generateCoverImage(book.id, newEpubCover, customContext, renderCoverImage)
+          : await generateCoverImage(book.id, newPdf, customContext);
+        if (generatedCover) {
+          changes.coverImage = generatedCover.coverImage;
+          changes.storage = { ...(changes.storage || book.storage || {}), cover: generatedCover.storageCover };
+          changes.coverVariants = generatedCover.coverVariants;
+        }
       }
 
       // Update simple fields
-      if (title !== undefined) book.title = title.trim();
-      if (author !== undefined) book.author = author.trim();
-      if (description !== undefined) book.description = description.trim();
-      if (category !== undefined) book.category = category.trim() || 'General';
-      if (readingTime !== undefined) book.readingTime = readingTime.trim();
-      if (rating !== undefined) book.rating = rating ? Number(rating) : null;
-      if (isTrending !== undefined) book.isTrending = isTrending === 'true' || isTrending === true;
-
-      // Persist updated metadata into Cloudinary context for the main cover asset
-      if (hasCloudinaryCredentials) {
-        try {
-          const coversFolder = (process.env.CLOUDINARY_FOLDER ? `${process.env.CLOUDINARY_FOLDER}/book-covers` : 'bookstore/book-covers');
-          const coverPublicId = `${coversFolder}/cover-${req.params.id}`;
-          const customContext = buildCloudinaryCustomContext({
-            title: book.title,
-            author: book.author,
-            description: book.description,
-            category: book.category,
-            readingTime: book.readingTime,
-            rating: book.rating,
-            isTrending: book.isTrending
-          });
-          await cloudinary.uploader.explicit(coverPublicId, {
-            type: 'upload',
-            resource_type: 'image',
-            context: buildCloudinaryContextString(customContext)
-          });
-        } catch (e) {
-          console.warn('⚠️  Failed to update Cloudinary context for book cover:', e.message || e);
+      if (title !== undefined) changes.title = title.trim();
+      if (author !== undefined) changes.author = author.trim();
+      if (description !== undefined) changes.description = description.trim();
+      if (category !== undefined) changes.category = category.trim() || 'General';
+      if (readingTime !== undefined) changes.readingTime = readingTime.trim();
+      if (rating !== undefined) changes.rating = rating ? Number(rating) : null;
+      if (isTrending !== undefined) changes.isTrending = isTrending === 'true' || isTrending === true;
+      // A new PDF re-estimates a reading time the admin left to the estimate
+      if (changes.readingMinutes !== undefined) {
+        const kept = changes.readingTime === undefined || changes.readingTime === book.readingTime;
+        if (changes.readingTime === '' || (kept && isEstimatedReadingTime(book))) {
+          changes.readingTime = formatReadingTime(changes.readingMinutes) || 'Flexible';
         }
       }
+      changes.updatedAt = new Date().toISOString();
 
-      books[index] = book;
-      await saveBooks(books);
-      res.json(book);
+      const updated = repos.books.update(book.id, changes);
+      if (!updated) {
+        return res.status(404).json({ error: 'Book not found' });
+      }
+      if (pdfUpload) uploads.attach(pdfUpload.id);
+      if (epubUpload) uploads.attach(epubUpload.id);
+      if (changes.b2FileName) await deleteReplacedFiles(book, updated);
+      if (changes.storage?.cover && changes.storage.cover !== book.storage?.cover) {
+        await deleteGeneratedCover(book.storage?.cover, changes.storage.cover);
+        await deleteCoverVariants(book.coverVariants);
+      }
+      audit.record(req, { action: 'update', entityType: 'book', entityId: book.id, before: book, after: updated });
+
+      // Persist updated metadata onto the cover asset
+      await syncCoverMetadata(updated);
+
+      scheduleBooksSnapshot();
+      res.json(updated);
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
       console.error('Error updating book:', error);
       res.status(500).json({ error: error.message || 'Failed to update book' });
     }
@@ -1290,54 +1865,29 @@ app.put(
 // Backfill / update metadata without reuploading files
 app.patch(
   '/api/admin/books/:id/metadata',
-  verifyAdminPassword,
+  auth.requireRole('editor'),
   async (req, res) => {
     try {
-      const { title, author, description, category, readingTime, rating, isTrending } = req.body || {};
-
-      const books = await getBooks();
-      const index = books.findIndex((b) => b.id === req.params.id);
-      if (index === -1) {
+      const { title, author, description, category, readingTime, rating, isTrending } = normalizeTextFields(req.body, BOOK_TEXT_FIELDS);
+
+      const changes = { updatedAt: new Date().toISOString() };
+      if (title !== undefined) changes.title = String(title).trim();
+      if (author !== undefined) changes.author = String(author).trim();
+      if (description !== undefined) changes.description = String(description).trim();
+      if (category !== undefined) changes.category = String(category).trim() || 'General';
+      if (readingTime !== undefined) changes.readingTime = String(readingTime).trim();
+      if (rating !== undefined) changes.rating = rating ? Number(rating) : 0;
+      if (isTrending !== undefined) changes.isTrending = isTrending === 'true' || isTrending === true;
+
+      const before = repos.books.get(req.params.id);
+      const book = before && repos.books.update(before.id, changes);
+      if (!book) {
         return res.status(404).json({ error: 'Book not found' });
       }
+      audit.record(req, { action: 'update', entityType: 'book', entityId: book.id, before, after: book, details: { via: 'metadata' } });
 
-      const book = books[index];
-
-      if (title !== undefined) book.title = String(title).trim();
-      if (author !== undefined) book.author = String(author).trim();
-      if (description !== undefined) book.description = String(description).trim();
-      if (category !== undefined) book.category = String(category).trim() || 'General';
-      if (readingTime !== undefined) book.readingTime = String(readingTime).trim();
-      if (rating !== undefined) book.rating = rating ? Number(rating) : 0;
-      if (isTrending !== undefined) book.isTrending = isTrending === 'true' || isTrending === true;
-
-      book.updatedAt = new Date().toISOString();
-
-      if (hasCloudinaryCredentials) {
-        try {
-          const coversFolder = (process.env.CLOUDINARY_FOLDER ? `${process.env.CLOUDINARY_FOLDER}/book-covers` : 'bookstore/book-covers');
-          const coverPublicId = `${coversFolder}/cover-${req.params.id}`;
-          const customContext = buildCloudinaryCustomContext({
-            title: book.title,
-            author: book.author,
-            description: book.description,
-            category: book.category,
-            readingTime: book.readingTime,
-            rating: book.rating,
-            isTrending: book.isTrending
-          });
-          await cloudinary.uploader.explicit(coverPublicId, {
-            type: 'upload',
-            resource_type: 'image',
-            context: buildCloudinaryContextString(customContext)
-          });
-        } catch (e) {
-          console.warn('⚠️  Failed to update Cloudinary context for book cover:', e.message || e);
-        }
-      }
-
-      books[index] = book;
-      await saveBooks(books);
+      await syncCoverMetadata(book);
+      scheduleBooksSnapshot();
 
       res.json(book);
     } catch (error) {
@@ -1347,103 +1897,142 @@ app.patch(
   }
 );
 
-// Delete book
-app.delete('/api/admin/books/:id', verifyAdminPassword, async (req, res) => {
+// Split an existing single-PDF book into parts: { pagesPerPart } or { partSizeMb }
+app.post('/api/admin/books/:id/split', auth.requireRole('editor'), async (req, res) => {
   try {
-    const books = await getBooks();
-    const index = books.findIndex((b) => b.id === req.params.id);
-    if (index === -1) {
+    const options = parseSplitOptions(req.body);
+    if (!options) {
+      return res.status(400).json({ error: 'Set pagesPerPart or partSizeMb' });
+    }
+    const book = repos.books.get(req.params.id);
+    if (!book) {
       return res.status(404).json({ error: 'Book not found' });
     }
+    if (Array.isArray(book.pdfParts) && book.pdfParts.length > 0) {
+      return res.status(409).json({ error: 'This book is already split into parts' });
+    }
+    if (bookFormat(book) === 'epub') {
+      return res.status(400).json({ error: 'EPUB books cannot be split into parts' });
+    }
+    const key = getBookPdfKey(book);
+    const driver = getBookPdfDriver(book);
+    if (!key || !driver) {
+      return res.status(400).json({ error: 'This book has no PDF to split' });
+    }
 
-    const book = books[index];
+    const pdfParts = await storeSplitParts(book.id, await driver.get(key), key.split('/').pop(), options);
+    if (!pdfParts) {
+      return res.status(400).json({ error: 'The PDF already fits in one part' });
+    }
 
-    // Attempt to delete B2 files associated with this book
-    const b2Result = { attempted: [], deleted: [], errors: [] };
-    if (hasB2Credentials) {
-      try {
-        await ensureB2Authorized();
+    const updated = repos.books.update(book.id, {
+      pdfParts,
+      b2FileName: null,
+      fileName: null,
+      storage: {
+        ...(book.storage || {}),
+        pdf: { provider: storage.files.name, path: pdfParts.map((p) => p.b2FileName) }
+      },
+      updatedAt: new Date().toISOString()
+    });
+    if (!updated) {
+      // Deleted while splitting - drop the parts we just stored
+      for (const part of pdfParts) await storage.files.delete(part.b2FileName).catch(() => {});
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    audit.record(req, {
+      action: 'update',
+      entityType: 'book',
+      entityId: book.id,
+      before: book,
+      after: updated,
+      details: { via: 'split', ...options, parts: pdfParts.length }
+    });
+    await deleteSplitSource(driver, key);
+    scheduleBooksSnapshot();
 
-        // Helper to delete by filename
-        const deleteByFileName = async (fileName) => {
-          if (!fileName) return;
-          try {
-            const listResp = await b2.listFileNames({
-              bucketId: process.env.B2_BUCKET_ID,
-              startFileName: fileName,
-              maxFileCount: 10
-            });
-            const file = listResp?.data?.files?.find((f) => f.fileName === fileName);
-            b2Result.attempted.push(fileName);
-            if (file) {
-              await b2.deleteFileVersion({ fileId: file.fileId, fileName: file.fileName });
-              b2Result.deleted.push(fileName);
-              console.log('🗑️  Deleted from B2:', file.fileName);
-            } else {
-              b2Result.errors.push({ fileName, error: 'Not found in B2' });
-              console.warn('⚠️  B2 file not found for delete:', fileName);
-            }
-          } catch (e) {
-            b2Result.errors.push({ fileName, error: e.message || String(e) });
-            console.error('❌ B2 delete error for', fileName, e.message || e);
-          }
-        };
+    res.json(updated);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error splitting book PDF:', error);
+    res.status(500).json({ error: error.message || 'Failed to split PDF' });
+  }
+});
 
-        // Single-file books
-        await deleteByFileName(book.b2FileName || book.fileName);
+// Delete every stored object belonging to a book (PDF, parts, cover and the books/<id>/ prefix)
+async function deleteBookAssets(book) {
+  const result = { attempted: [], deleted: [], errors: [] };
 
-        // Parts (comics)
-        if (Array.isArray(book.pdfParts)) {
-          for (const part of book.pdfParts) {
-            await deleteByFileName(part?.b2FileName || part?.fileName);
-          }
-        }
+  const deleteKey = async (driver, key) => {
+    if (!driver || !key || result.deleted.includes(key)) return;
+    result.attempted.push(key);
+    try {
+      if (await driver.delete(key)) {
+        result.deleted.push(key);
+      } else {
+        result.errors.push({ fileName: key, error: 'Not found in storage' });
+        console.warn('⚠️  File not found for delete:', key);
+      }
+    } catch (e) {
+      result.errors.push({ fileName: key, error: e.message || String(e) });
+      console.error('❌ Delete error for', key, e.message || e);
+    }
+  };
 
-        // Optional: cleanup folder prefix books/{bookId}/
-        const prefix = `books/${book.id}/`;
-        try {
-          let startFileName = prefix;
-          let finished = false;
-          while (!finished) {
-            const resp = await b2.listFileNames({
-              bucketId: process.env.B2_BUCKET_ID,
-              startFileName,
-              maxFileCount: 1000
-            });
-            const files = (resp?.data?.files || []).filter(f => f.fileName.startsWith(prefix));
-            if (files.length === 0) {
-              finished = true;
-              break;
-            }
-            for (const f of files) {
-              try {
-                await b2.deleteFileVersion({ fileId: f.fileId, fileName: f.fileName });
-                b2Result.deleted.push(f.fileName);
-                console.log('🗑️  Deleted from B2 (prefix sweep):', f.fileName);
-              } catch (e) {
-                b2Result.errors.push({ fileName: f.fileName, error: e.message || String(e) });
-                console.error('❌ B2 delete error (prefix sweep):', f.fileName, e.message || e);
-              }
-            }
-            finished = !resp?.data?.nextFileName;
-            startFileName = resp?.data?.nextFileName || '';
-            if (startFileName && !startFileName.startsWith(prefix)) finished = true;
-          }
-        } catch (e) {
-          console.warn('⚠️  Prefix sweep skipped/failed:', e.message || e);
-        }
-      } catch (authErr) {
-        console.warn('⚠️  Skipping B2 deletion (auth failed):', authErr.message || authErr);
+  const pdfDriver = getBookPdfDriver(book);
+
+  // Single-file books
+  await deleteKey(pdfDriver, getBookPdfKey(book));
+
+  // Parts (comics)
+  if (Array.isArray(book.pdfParts)) {
+    for (const part of book.pdfParts) {
+      await deleteKey(pdfDriver, getPartKey(part));
+    }
+  }
+
+  // Cover stored through a driver
+  if (book.storage?.cover?.key) {
+    await deleteKey(getBookCoverDriver(book), book.storage.cover.key);
+  }
+
+  // Its sizes from the image pipeline
+  if (Array.isArray(book.coverVariants?.images)) {
+    const variantsDriver = storage.driverFor(book.coverVariants.provider, storage.images);
+    for (const image of book.coverVariants.images) {
+      await deleteKey(variantsDriver, image.key);
+    }
+  }
+
+  // Cleanup anything else left under books/{bookId}/
+  if (pdfDriver) {
+    try {
+      const leftovers = await pdfDriver.list(`books/${book.id}/`);
+      for (const f of leftovers) {
+        await deleteKey(pdfDriver, f.key);
       }
-    } else {
-      console.warn('⚠️  B2 not configured, skipping remote delete');
+    } catch (e) {
+      console.warn('⚠️  Prefix sweep skipped/failed:', e.message || e);
     }
+  }
 
-    // Remove from local store
-    const [deleted] = books.splice(index, 1);
-    await saveBooks(books);
+  return result;
+}
+
+// Delete book - moves it to the trash; its files are kept until it is purged
+app.delete('/api/admin/books/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    const book = repos.books.get(req.params.id);
+    const trashed = book && repos.books.trash(book.id, { deletedBy: actorName(req) });
+    if (!trashed) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    audit.record(req, { action: 'trash', entityType: 'book', entityId: book.id, before: book, after: trashed });
+    scheduleBooksSnapshot();
 
-    res.json({ success: true, deletedId: deleted.id, b2: b2Result });
+    res.json({ success: true, deletedId: book.id, trashed: true, purgeAt: purgeDate(trashed) });
   } catch (error) {
     console.error('Error deleting book:', error);
     res.status(500).json({ error: error.message || 'Failed to delete book' });
@@ -1451,15 +2040,17 @@ app.delete('/api/admin/books/:id', verifyAdminPassword, async (req, res) => {
 });
 
 // Toggle trending
-app.patch('/api/admin/books/:id/trending', verifyAdminPassword, async (req, res) => {
+app.patch('/api/admin/books/:id/trending', auth.requireRole('editor'), async (req, res) => {
   try {
-    const books = await getBooks();
-    const book = books.find((b) => b.id === req.params.id);
+    const before = repos.books.get(req.params.id);
+    const book = before && repos.books.update(before.id, {
+      isTrending: req.body.isTrending === 'true' || req.body.isTrending === true
+    });
     if (!book) {
       return res.status(404).json({ error: 'Book not found' });
     }
-    book.isTrending = req.body.isTrending === 'true' || req.body.isTrending === true;
-    await saveBooks(books);
+    audit.record(req, { action: 'trending', entityType: 'book', entityId: book.id, before, after: book });
+    scheduleBooksSnapshot();
     res.json(book);
   } catch (error) {
     console.error('Error updating trending status:', error);
@@ -1467,7 +2058,94 @@ app.patch('/api/admin/books/:id/trending', verifyAdminPassword, async (req, res)
   }
 });
 
-// Download PDF endpoint - serves file directly with download headers
+// Split books can also be downloaded as one PDF. It is made from the parts on
+// first request and kept in storage under books/<id>/merged/; `mergedPdf` on
+// the record ({ key, provider, signature, size, pageCount, createdAt }) says
+// which parts it was made from, so a book whose parts change gets a new one.
+const mergedPdfsInFlight = new Map();
+
+function mergedPdfKey(bookId, signature) {
+  return `books/${bookId}/merged/merged-${signature.slice(0, 16)}.pdf`;
+}
+
+function deleteMergedPdf(mergedPdf) {
+  storage
+    .driverFor(mergedPdf.provider, storage.files)
+    .delete(mergedPdf.key)
+    .catch((err) => console.warn('⚠️  Could not delete old merged PDF:', mergedPdf.key, err.message || err));
+}
+
+// pdf-lib builds the whole merged document in memory, so books whose parts
+// add up to more than this are refused; they still download as a ZIP
+const MERGED_PDF_MAX_SIZE_MB = parseFloat(process.env.MERGED_PDF_MAX_SIZE_MB) || 200;
+const MERGED_PDF_MAX_BYTES = MERGED_PDF_MAX_SIZE_MB * 1024 * 1024;
+
+function mergedPdfTooLarge() {
+  const error = new Error(
+    `This book is larger than ${MERGED_PDF_MAX_SIZE_MB} MB and cannot be downloaded as one PDF; download it as a ZIP of its parts instead`
+  );
+  error.status = 413;
+  return error;
+}
+
+async function buildMergedPdf(book, signature) {
+  const pdfDriver = getBookPdfDriver(book);
+  const parts = book.pdfParts.slice().sort((a, b) => a.partNumber - b.partNumber);
+  // Part sizes are known for parts made since they were recorded; the rest
+  // are counted as they are read
+  if (parts.reduce((sum, part) => sum + (part.size || 0), 0) > MERGED_PDF_MAX_BYTES) throw mergedPdfTooLarge();
+
+  let bytesRead = 0;
+  const startTime = Date.now();
+  const { data, pageCount } = await mergeParts(parts, async (part) => {
+    const data = await pdfDriver.get(getPartKey(part));
+    if (!data) {
+      const error = new Error(`Part ${part.partNumber} not found in storage`);
+      error.status = 404;
+      throw error;
+    }
+    bytesRead += data.length;
+    if (bytesRead > MERGED_PDF_MAX_BYTES) throw mergedPdfTooLarge();
+    return data;
+  });
+  const { key, size } = await storage.files.put(mergedPdfKey(book.id, signature), data, {
+    contentType: 'application/pdf'
+  });
+  const mergedPdf = {
+    key,
+    provider: storage.files.name,
+    signature,
+    size,
+    pageCount,
+    createdAt: new Date().toISOString()
+  };
+  if (repos.books.update(book.id, { mergedPdf })) scheduleBooksSnapshot();
+  // The one made from the previous parts is no longer needed
+  if (book.mergedPdf && book.mergedPdf.key !== key) deleteMergedPdf(book.mergedPdf);
+  console.log(`📚 Merged ${parts.length} parts of ${book.id} (${pageCount} pages) in ${Date.now() - startTime}ms`);
+  return mergedPdf;
+}
+
+// The book's merged PDF, made now unless the stored one matches its parts.
+// Concurrent requests for the same parts share one build.
+function ensureMergedPdf(book) {
+  const signature = partsSignature(book.pdfParts);
+  if (book.mergedPdf && book.mergedPdf.signature === signature) return Promise.resolve(book.mergedPdf);
+
+  const flightKey = `${book.id}:${signature}`;
+  if (!mergedPdfsInFlight.has(flightKey)) {
+    mergedPdfsInFlight.set(
+      flightKey,
+      buildMergedPdf(book, signature).finally(() => mergedPdfsInFlight.delete(flightKey))
+    );
+  }
+  return mergedPdfsInFlight.get(flightKey);
+}
+
+const DOWNLOAD_FORMATS = ['zip', 'pdf'];
+
+// Download PDF endpoint - serves file directly with download headers. Split
+// books come as a ZIP of their parts, or with `format=pdf` as one merged PDF.
 app.get('/api/books/:id/download', async (req, res) => {
   console.log('📥 Download request for book ID:', req.params.id);
   
@@ -1477,14 +2155,44 @@ app.get('/api/books/:id/download', async (req, res) => {
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
   
   try {
-    const books = await getBooks();
-    const book = books.find(b => b.id === req.params.id);
+    const book = repos.books.get(req.params.id);
     
     if (!book) {
       console.error('Book not found:', req.params.id);
       return res.status(404).json({ error: 'Book not found' });
     }
 
+    const pdfDriver = getBookPdfDriver(book);
+    if (!pdfDriver) {
+      return res.status(500).json({ error: 'Storage for this book is not configured' });
+    }
+
+    const format = req.query.format || 'zip';
+    if (!DOWNLOAD_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${DOWNLOAD_FORMATS.join(', ')}` });
+    }
+
+    // Books with multiple parts as one PDF
+    if (book.pdfParts && book.pdfParts.length > 0 && format === 'pdf') {
+      const downloadFileName = book.title ? `${book.title}.pdf` : 'book.pdf';
+      const options = {
+        contentType: 'application/pdf',
+        contentDisposition: `attachment; filename="${encodeURIComponent(downloadFileName)}"`
+      };
+      let merged = await ensureMergedPdf(book);
+      let sent = await sendStoredFile(req, res, storage.driverFor(merged.provider, storage.files), merged.key, options);
+      if (!sent) {
+        // Removed from storage since it was made - make it again
+        console.warn('⚠️  Merged PDF missing from storage, rebuilding:', merged.key);
+        merged = await ensureMergedPdf({ ...book, mergedPdf: null });
+        sent = await sendStoredFile(req, res, storage.driverFor(merged.provider, storage.files), merged.key, options);
+      }
+      if (!sent) {
+        return res.status(404).json({ error: 'Merged PDF not found in storage' });
+      }
+      return;
+    }
+
     // Handle books with multiple parts - create ZIP file
     if (book.pdfParts && book.pdfParts.length > 0) {
       console.log(`📦 Book has ${book.pdfParts.length} parts, creating ZIP file`);
@@ -1505,47 +2213,19 @@ app.get('/api/books/:id/download', async (req, res) => {
       });
       
       try {
-        if (hasB2Credentials) {
-          await ensureB2Authorized();
-        }
-        
         // Download all parts and add to ZIP
         for (const part of book.pdfParts.sort((a, b) => a.partNumber - b.partNumber)) {
           let partData = null;
-          
-          // Fetch PDF part from Backblaze B2 only (no local storage)
-          if (!partData && part.b2FileName && hasB2Credentials) {
+          const partKey = getPartKey(part);
+
+          if (partKey) {
             try {
-              const listResponse = await b2.listFileNames({
-                bucketId: process.env.B2_BUCKET_ID,
-                startFileName: part.b2FileName,
-                maxFileCount: 10000
-              });
-              
-              if (listResponse?.data?.files) {
-                const fileInfo = listResponse.data.files.find(f => 
-                  f.fileName === part.b2FileName || 
-                  f.fileName.includes(part.b2FileName) ||
-                  part.b2FileName.includes(f.fileName)
-                );
-                
-                if (fileInfo) {
-                  const downloadResponse = await b2.downloadFileById({
-                    fileId: fileInfo.fileId,
-                    responseType: 'arraybuffer'
-                  });
-                  
-                  if (downloadResponse?.data) {
-                    partData = Buffer.from(downloadResponse.data);
-                    console.log(`✅ Downloaded part ${part.partNumber} from B2`);
-                  } else if (Buffer.isBuffer(downloadResponse)) {
-                    partData = downloadResponse;
-                    console.log(`✅ Downloaded part ${part.partNumber} from B2 (direct buffer)`);
-                  }
-                }
+              partData = await pdfDriver.get(partKey);
+              if (partData) {
+                console.log(`✅ Downloaded part ${part.partNumber} from ${pdfDriver.name}`);
               }
-            } catch (b2Error) {
-              console.error(`Error downloading part ${part.partNumber} from B2:`, b2Error.message);
+            } catch (fetchError) {
+              console.error(`Error downloading part ${part.partNumber}:`, fetchError.message);
             }
           }
           
@@ -1570,150 +2250,73 @@ app.get('/api/books/:id/download', async (req, res) => {
       }
     }
 
-    const downloadFileName = book.title ? `${book.title}.pdf` : 'book.pdf';
-    
-    // Fetch PDF from Backblaze B2 only (no local storage)
-    const fileName = book.b2FileName || book.fileName;
+    // EPUB books download as the EPUB that was uploaded
+    const extension = bookFormat(book);
+    const downloadFileName = `${book.title || 'book'}.${extension}`;
+    const fileName = getBookPdfKey(book);
     
     if (!fileName) {
       console.error('No filename for book:', req.params.id);
       return res.status(400).json({ error: 'Book file not found' });
     }
     
-    if (!hasB2Credentials) {
-      console.error('B2 credentials not configured');
-      return res.status(500).json({ error: 'Backblaze B2 is not configured' });
-    }
-    
-    console.log('Downloading PDF from Backblaze:', fileName);
+    console.log(`🔄 Streaming download from ${pdfDriver.name}:`, fileName);
     
     try {
-      // Ensure B2 is authorized
-      await ensureB2Authorized();
-      
-      // Generate signed URL for download to stream it
-      const authResponse = await b2.getDownloadAuthorization({
-        bucketId: process.env.B2_BUCKET_ID,
-        fileNamePrefix: fileName,
-        validDurationInSeconds: 3600,
-        b2ContentDisposition: `attachment; filename="${encodeURIComponent(downloadFileName)}"`
-      });
-      
-      const token = authResponse?.data?.authorizationToken;
-      const baseUrl = getB2DownloadBaseUrl();
-      
-      if (!token || !baseUrl) {
-        throw new Error('Failed to generate B2 download token');
-      }
-      
-      const encodedPath = encodeB2Path(fileName);
-      const bucketName = process.env.B2_BUCKET_NAME;
-      const signedUrl = `${baseUrl}/file/${bucketName}/${encodedPath}?Authorization=${encodeURIComponent(token)}`;
-
-      console.log('🔄 Proxying download stream from B2:', fileName);
-      
-      const b2Response = await axios({
-        method: 'GET',
-        url: signedUrl,
-        responseType: 'stream'
-      });
-
-      res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(downloadFileName)}"`);
-      
-      if (b2Response.headers['content-length']) {
-        res.setHeader('Content-Length', b2Response.headers['content-length']);
+      const file = await pdfDriver.stream(fileName, { range: req.headers.range });
+      if (!file || !file.stream) {
+        return res.status(file?.status || 404).json({ error: 'File not found in storage' });
       }
-      
-      b2Response.data.pipe(res);
-      
-      b2Response.data.on('error', (err) => {
-        console.error('Stream error:', err);
-        if (!res.headersSent) {
-          // If headers aren't sent, we can send JSON error. 
-          // If they are, the stream will just cut off (browser will see network error).
-        }
-      });
-      
-    } catch (downloadError) {
-      console.error('❌ Error downloading PDF (signed URL):', downloadError.message);
-
-      // Fallback: stream using Backblaze download by fileId (supports Range)
-      try {
-        await ensureB2Authorized();
-        const listResp = await b2.listFileNames({
-          bucketId: process.env.B2_BUCKET_ID,
-          startFileName: fileName,
-          maxFileCount: 1
-        });
-        const fileInfo = listResp?.data?.files?.find(f => f.fileName === fileName);
-        if (!fileInfo) {
-          return res.status(404).json({ error: 'File not found in Backblaze' });
-        }
-
-        if (!b2AuthData?.downloadUrl || !b2AuthData?.authorizationToken) {
-          return res.status(500).json({ error: 'Missing B2 auth data for direct download' });
-        }
 
-        const directUrl = `${b2AuthData.downloadUrl}/b2api/v2/b2_download_file_by_id?fileId=${encodeURIComponent(fileInfo.fileId)}`;
-        const headers = { Authorization: b2AuthData.authorizationToken };
-        if (req.headers.range) headers.Range = req.headers.range;
+      res.status(file.status || 200);
+      res.setHeader('Content-Type', extension === 'epub' ? EPUB_MIMETYPE : 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(downloadFileName)}"`);
+      if (file.contentLength) res.setHeader('Content-Length', file.contentLength);
+      if (file.contentRange) res.setHeader('Content-Range', file.contentRange);
+      if (file.lastModified) res.setHeader('Last-Modified', file.lastModified);
+      if (file.etag) res.setHeader('ETag', file.etag);
 
-        const b2Resp = await axios({
-          method: 'GET',
-          url: directUrl,
-          responseType: 'stream',
-          headers,
-          validateStatus: (s) => s >= 200 && s < 300
+      file.stream.on('error', (err) => {
+        console.error('Stream error:', err);
+        // Headers are already sent; the browser will see a network error
+        res.destroy(err);
+      });
+      file.stream.pipe(res);
+    } catch (downloadError) {
+      console.error('❌ Error downloading book file:', downloadError.message);
+      if (!res.headersSent) {
+        res.status(500).json({ 
+          error: `Failed to download ${extension.toUpperCase()}`, 
+          details: downloadError.message || 'Unknown error' 
         });
-
-        // Mirror headers and status; add attachment disposition
-        if (!res.headersSent) {
-          res.status(b2Resp.status);
-          if (b2Resp.headers['content-type']) res.setHeader('Content-Type', b2Resp.headers['content-type']);
-          if (b2Resp.headers['content-length']) res.setHeader('Content-Length', b2Resp.headers['content-length']);
-          if (b2Resp.headers['content-range']) res.setHeader('Content-Range', b2Resp.headers['content-range']);
-          if (b2Resp.headers['accept-ranges']) res.setHeader('Accept-Ranges', b2Resp.headers['accept-ranges']);
-          if (b2Resp.headers['last-modified']) res.setHeader('Last-Modified', b2Resp.headers['last-modified']);
-          if (b2Resp.headers['etag']) res.setHeader('ETag', b2Resp.headers['etag']);
-          res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(downloadFileName)}"`);
-        }
-        b2Resp.data.pipe(res);
-      } catch (fallbackErr) {
-        console.error('❌ Fallback (fileId) download failed:', fallbackErr.message);
-        if (!res.headersSent) {
-          res.status(500).json({ 
-            error: 'Failed to download PDF', 
-            details: fallbackErr.message || 'Unknown error' 
-          });
-        }
       }
     }
   } catch (error) {
     console.error('❌ Error in download process:', error);
     
     if (!res.headersSent) {
-      res.status(500).json({ 
-        error: 'Failed to download book', 
+      res.status(error.status || 500).json({ 
+        error: error.status ? error.message : 'Failed to download book', 
         details: error.message || 'Unknown error'
       });
     }
   }
 });
 
-// Get PDF part endpoint
+// Request headers pdf.js sends to the PDF endpoints from another origin
+const PDF_REQUEST_HEADERS = 'Content-Type, Range, If-Range, If-None-Match, If-Modified-Since';
+
+// Stream a PDF part (supports Range, ETag and conditional GETs)
 app.get('/api/books/:id/pdf/part/:partNumber', async (req, res) => {
   const bookId = req.params.id;
   const partNumber = parseInt(req.params.partNumber);
   
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Access-Control-Allow-Headers', PDF_REQUEST_HEADERS);
   
   try {
-    const books = await getBooks();
-    const book = books.find(b => b.id === bookId);
+    const book = repos.books.get(bookId);
     
     if (!book) {
       return res.status(404).json({ error: 'Book not found' });
@@ -1728,64 +2331,115 @@ app.get('/api/books/:id/pdf/part/:partNumber', async (req, res) => {
       return res.status(404).json({ error: `Part ${partNumber} not found` });
     }
     
-    // Fetch PDF part from Backblaze B2 only (no local storage)
-    if (part.b2FileName && hasB2Credentials) {
+    // Fetch PDF part from the book's storage driver
+    const partKey = getPartKey(part);
+    const pdfDriver = getBookPdfDriver(book);
+    if (partKey && pdfDriver) {
       try {
-        await ensureB2Authorized();
-        const listResponse = await b2.listFileNames({
-          bucketId: process.env.B2_BUCKET_ID,
-          startFileName: part.b2FileName,
-          maxFileCount: 1
-        });
-        
-        if (listResponse?.data?.files && listResponse.data.files.length > 0) {
-          const fileInfo = listResponse.data.files.find(f => f.fileName === part.b2FileName);
-          if (fileInfo) {
-            const downloadResponse = await b2.downloadFileById({
-              fileId: fileInfo.fileId
-            });
-            
-            if (downloadResponse && downloadResponse.data) {
-              return res.send(Buffer.from(downloadResponse.data));
-            }
-          }
-        }
-      } catch (b2Error) {
-        console.error('Error downloading from Backblaze:', b2Error);
+        const sent = await sendStoredFile(req, res, pdfDriver, partKey, { contentType: 'application/pdf' });
+        if (sent) return;
+      } catch (fetchError) {
+        console.error(`Error streaming part from ${pdfDriver.name}:`, fetchError);
+        if (res.headersSent) return;
       }
     }
     
     return res.status(404).json({ error: 'PDF part not found' });
   } catch (error) {
     console.error('Error serving PDF part:', error);
-    res.status(500).json({ error: 'Failed to serve PDF part' });
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to serve PDF part' });
   }
 });
 
+// Parts uploaded as separate files have no page count until the book is first
+// opened; read them once in the background and keep the counts on the record
+// so the reader can number pages across parts. Once every part is counted the
+// book gets its page count, reading estimate and document info too.
+const partPageCountsInFlight = new Set();
+
+function backfillPartPageCounts(book) {
+  if (partPageCountsInFlight.has(book.id)) return;
+  partPageCountsInFlight.add(book.id);
+
+  (async () => {
+    const driver = getBookPdfDriver(book);
+    const found = new Map();
+    for (const part of book.pdfParts) {
+      if (part.pageCount || !driver) continue;
+      const data = await driver.get(getPartKey(part));
+      if (data) found.set(part.partNumber, await extractMetadata(data));
+    }
+    const current = repos.books.get(book.id);
+    if (found.size === 0 || !current || !Array.isArray(current.pdfParts)) return;
+    const pdfParts = current.pdfParts.map((part) => {
+      const metadata = found.get(part.partNumber);
+      if (part.pageCount || !metadata) return part;
+      return { ...part, pageCount: metadata.pageCount, size: part.size || metadata.fileSize };
+    });
+    const changes = { pdfParts };
+    if (!current.pageCount && pdfParts.every((p) => p.pageCount)) {
+      const ordered = pdfParts.slice().sort((a, b) => a.partNumber - b.partNumber);
+      const fields = bookMetadataFields(combineMetadata(ordered.map((part) => ({
+        ...(found.get(part.partNumber) || {}),
+        pageCount: part.pageCount,
+        fileSize: part.size || 0
+      }))));
+      changes.pageCount = fields.pageCount;
+      changes.fileSize = fields.fileSize;
+      changes.readingMinutes = fields.readingMinutes;
+      if (!current.pdfMetadata) changes.pdfMetadata = fields.pdfMetadata;
+      if (isEstimatedReadingTime(current)) changes.readingTime = formatReadingTime(fields.readingMinutes);
+    }
+    repos.books.update(book.id, changes);
+    scheduleBooksSnapshot();
+    console.log(`📄 Counted pages of ${found.size} part(s) for ${book.id}`);
+  })()
+    .catch((error) => console.warn(`⚠️  Failed to count part pages for ${book.id}:`, error.message || error))
+    .finally(() => partPageCountsInFlight.delete(book.id));
+}
+
 // Get PDF view URL (returns proxy URL)
 app.get('/api/books/:id/view', async (req, res) => {
   try {
-    const books = await getBooks();
-    const book = books.find(b => b.id === req.params.id);
+    const book = repos.books.get(req.params.id);
     
     if (!book) {
       return res.status(404).json({ error: 'Book not found' });
     }
+
+    // EPUBs open in the reflowable reader from /api/books/:id/epub
+    if (bookFormat(book) === 'epub') {
+      if (!getBookPdfKey(book)) {
+        return res.status(400).json({ error: 'Book file not found in storage' });
+      }
+      return res.json({
+        viewUrl: `${getProtocol(req)}://${req.get('host')}/api/books/${req.params.id}/epub`,
+        format: 'epub',
+        isSplit: false,
+        chapterCount: book.chapterCount || null
+      });
+    }
     
-    // Handle PDF parts - return first part
+    // Handle PDF parts - viewUrl is the first part, `parts` lists them all.
+    // totalPages is set once every part's page count is known.
     if (book.pdfParts && book.pdfParts.length > 0) {
       const protocol = getProtocol(req);
       const proxyUrl = `${protocol}://${req.get('host')}/api/books/${req.params.id}/pdf/part/1`;
+      const countsKnown = book.pdfParts.every((p) => p.pageCount);
+      if (!countsKnown) backfillPartPageCounts(book);
       return res.json({
         viewUrl: proxyUrl,
+        format: 'pdf',
         isSplit: true,
         totalParts: book.pdfParts.length,
+        totalPages: countsKnown ? book.pdfParts.reduce((sum, p) => sum + p.pageCount, 0) : null,
         parts: book.pdfParts
           .slice()
           .sort((a, b) => a.partNumber - b.partNumber)
           .map(p => ({
             partNumber: p.partNumber,
             b2FileName: p.b2FileName,
+            pageCount: p.pageCount || null,
             viewUrl: `${protocol}://${req.get('host')}/api/books/${req.params.id}/pdf/part/${p.partNumber}`
           }))
       });
@@ -1796,171 +2450,212 @@ app.get('/api/books/:id/view', async (req, res) => {
     if (fileName) {
       const protocol = getProtocol(req);
       const proxyUrl = `${protocol}://${req.get('host')}/api/books/${req.params.id}/pdf`;
-      return res.json({ viewUrl: proxyUrl, isSplit: false });
+      return res.json({ viewUrl: proxyUrl, format: 'pdf', isSplit: false });
     }
 
-    return res.status(400).json({ error: 'Book file not found in Backblaze B2' });
+    return res.status(400).json({ error: 'Book file not found in storage' });
   } catch (error) {
     console.error('Error getting view URL:', error);
     res.status(500).json({ error: 'Failed to get view URL' });
   }
 });
 
-// Handle CORS preflight for PDF endpoint
-app.options('/api/books/:id/pdf', (req, res) => {
+// Reading progress of the signed-in reader (any Firebase account). Books that
+// were deleted since are left out of the list.
+app.get('/api/me/progress', auth.requireSignIn, (req, res) => {
+  try {
+    const items = readingProgress
+      .list(req.reader.uid, { limit: req.query.limit, filter: (position) => Boolean(repos.books.get(position.bookId)) })
+      .map((position) => {
+        const book = repos.books.get(position.bookId);
+        return {
+          ...position,
+          book: {
+            id: book.id,
+            title: book.title,
+            author: book.author,
+            coverImage: book.cloudinaryCoverUrl || book.coverImage
+          }
+        };
+      });
+    res.json({ items });
+  } catch (error) {
+    console.error('Error listing reading progress:', error);
+    res.status(500).json({ error: 'Failed to load reading progress' });
+  }
+});
+
+app.get('/api/me/progress/:bookId', auth.requireSignIn, (req, res) => {
+  const position = readingProgress.get(req.reader.uid, req.params.bookId);
+  if (!position) {
+    return res.status(404).json({ error: 'No reading progress for this book' });
+  }
+  res.json(position);
+});
+
+// Body: { partNumber, page, globalPage, totalPages, percent, updatedAt }. A
+// position older than the stored one is ignored; the response is what is stored.
+app.put('/api/me/progress/:bookId', auth.requireSignIn, (req, res) => {
+  try {
+    if (!repos.books.get(req.params.bookId)) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    const position = parsePosition(req.body);
+    res.json(readingProgress.save(req.reader.uid, req.params.bookId, position));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error saving reading progress:', error);
+    res.status(500).json({ error: 'Failed to save reading progress' });
+  }
+});
+
+app.delete('/api/me/progress/:bookId', auth.requireSignIn, (req, res) => {
+  const removed = readingProgress.remove(req.reader.uid, req.params.bookId);
+  if (!removed) {
+    return res.status(404).json({ error: 'No reading progress for this book' });
+  }
+  res.json({ success: true, deletedId: req.params.bookId });
+});
+
+app.get('/api/me/preferences', auth.requireSignIn, (req, res) => {
+  const preferences = readerPreferences.get(req.reader.uid);
+  if (!preferences) {
+    return res.status(404).json({ error: 'No reader preferences saved' });
+  }
+  res.json(preferences);
+});
+
+// Body: { theme, keepImageColors, brightness, autoHideToolbar, updatedAt }.
+// Preferences older than the stored ones are ignored; the response is what is stored.
+app.put('/api/me/preferences', auth.requireSignIn, (req, res) => {
+  try {
+    res.json(readerPreferences.save(req.reader.uid, parsePreferences(req.body)));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error saving reader preferences:', error);
+    res.status(500).json({ error: 'Failed to save reader preferences' });
+  }
+});
+
+// Bookmarks, highlights and notes of the signed-in reader in one book
+app.get('/api/me/books/:bookId/annotations', auth.requireSignIn, (req, res) => {
+  res.json({ items: annotations.list(req.reader.uid, req.params.bookId) });
+});
+
+// The same, as a Markdown file to download
+app.get('/api/me/books/:bookId/annotations/export', auth.requireSignIn, (req, res) => {
+  const book = repos.books.get(req.params.bookId);
+  if (!book) {
+    return res.status(404).json({ error: 'Book not found' });
+  }
+  const fileName = `${(book.title || 'notes').replace(/[\\/:*?"<>|]+/g, ' ').trim() || 'notes'} - notes.md`;
+  res.setHeader('Content-Type', 'text/markdown; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${encodeURIComponent(fileName)}"`);
+  res.send(toMarkdown(book, annotations.list(req.reader.uid, book.id)));
+});
+
+// Body: { type: 'bookmark'|'highlight'|'note', partNumber, page, globalPage,
+// color, text, note, rects }. Bookmarking a page twice returns the first bookmark.
+app.post('/api/me/books/:bookId/annotations', auth.requireSignIn, (req, res) => {
+  try {
+    if (!repos.books.get(req.params.bookId)) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    const annotation = parseAnnotation(req.body);
+    res.status(201).json(annotations.create(req.reader.uid, req.params.bookId, annotation));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error saving annotation:', error);
+    res.status(500).json({ error: 'Failed to save annotation' });
+  }
+});
+
+// Body: { note } and/or { color } (highlights only)
+app.put('/api/me/annotations/:id', auth.requireSignIn, (req, res) => {
+  try {
+    const existing = annotations.get(req.reader.uid, req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Annotation not found' });
+    }
+    const changes = parseAnnotationChanges(existing, req.body);
+    res.json(annotations.update(req.reader.uid, existing.id, changes));
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error updating annotation:', error);
+    res.status(500).json({ error: 'Failed to update annotation' });
+  }
+});
+
+app.delete('/api/me/annotations/:id', auth.requireSignIn, (req, res) => {
+  const removed = annotations.remove(req.reader.uid, req.params.id);
+  if (!removed) {
+    return res.status(404).json({ error: 'Annotation not found' });
+  }
+  res.json({ success: true, deletedId: req.params.id });
+});
+
+// Handle CORS preflight for the PDF and EPUB endpoints
+app.options(['/api/books/:id/pdf', '/api/books/:id/epub'], (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Headers', PDF_REQUEST_HEADERS);
   res.sendStatus(200);
 });
 
-// Serve PDF via signed URL from Backblaze B2
+// Stream PDF from the book's storage driver (supports Range, ETag and
+// conditional GETs)
 app.get('/api/books/:id/pdf', async (req, res) => {
-  const startTime = Date.now();
   console.log('📄 PDF request received for book ID:', req.params.id);
   
   try {
-    const books = await getBooks();
-    const book = books.find(b => b.id === req.params.id);
+    const book = repos.books.get(req.params.id);
     
     if (!book) {
       console.error('Book not found:', req.params.id);
       return res.status(404).json({ error: 'Book not found' });
     }
     
+    if (bookFormat(book) === 'epub') {
+      return res.status(400).json({ error: 'This book is an EPUB - read it from /api/books/:id/epub' });
+    }
+
     // Get the file name from book data
-    const fileName = book.b2FileName || book.fileName;
+    const fileName = getBookPdfKey(book);
     
     if (!fileName) {
       console.error('No filename for book:', req.params.id);
       return res.status(400).json({ error: 'Book file not found' });
     }
     
-    if (!hasB2Credentials) {
-      console.error('B2 credentials not configured');
-      return res.status(500).json({ error: 'Backblaze B2 is not configured' });
+    const pdfDriver = getBookPdfDriver(book);
+    if (!pdfDriver) {
+      console.error('Storage driver not configured for book:', req.params.id);
+      return res.status(500).json({ error: 'Storage for this book is not configured' });
     }
 
-    console.log('Generating signed URL for PDF:', fileName);
-    
     try {
-      // Ensure B2 is authorized
-      await ensureB2Authorized();
-      
-      // Generate a signed URL that's valid for 1 hour
-      // Use empty prefix to allow access to any file (simplifies auth logic, safe since we proxy)
-      const authResponse = await b2.getDownloadAuthorization({
-        bucketId: process.env.B2_BUCKET_ID,
-        fileNamePrefix: '',
-        validDurationInSeconds: 3600, // 1 hour
-        b2ContentDisposition: `attachment; filename="${book.title || 'book'}.pdf"`
-      });
-      
-      const token = authResponse?.data?.authorizationToken;
-      const baseUrl = getB2DownloadBaseUrl();
-      
-      if (!token || !baseUrl) {
-        throw new Error('Failed to generate signed URL');
-      }
-      
-      if (!process.env.B2_BUCKET_NAME) {
-         throw new Error('B2_BUCKET_NAME is not defined in environment variables');
-      }
-
-      const encodedPath = encodeB2Path(fileName);
-      const bucketName = process.env.B2_BUCKET_NAME;
-      const signedUrl = `${baseUrl}/file/${bucketName}/${encodedPath}?Authorization=${encodeURIComponent(token)}`;
-      
-      console.log(`✅ Generated signed URL for ${fileName}`);
-      
-      const b2Response = await axios({
-        method: 'GET',
-        url: signedUrl,
-        responseType: 'stream',
-        validateStatus: (status) => status >= 200 && status < 300
-      });
-
-      // Set headers
-      res.setHeader('Content-Type', 'application/pdf');
-      if (b2Response.headers['content-length']) {
-        res.setHeader('Content-Length', b2Response.headers['content-length']);
-      }
-      if (b2Response.headers['last-modified']) {
-        res.setHeader('Last-Modified', b2Response.headers['last-modified']);
-      }
-      if (b2Response.headers['etag']) {
-        res.setHeader('ETag', b2Response.headers['etag']);
-      }
-
-      // Pipe the stream
-      b2Response.data.pipe(res);
-
-      b2Response.data.on('error', (err) => {
-        console.error('Stream error:', err);
-        if (!res.headersSent) {
-          res.status(500).json({ error: 'Stream error' });
-        }
+      const sent = await sendStoredFile(req, res, pdfDriver, fileName, {
+        contentType: 'application/pdf',
+        label: fileName
       });
-
-      return;
-
-    } catch (error) {
-      if (error.response && error.response.status === 401) {
-        console.error('❌ B2 Auth Error (401): Token expired or invalid. Re-authorizing...');
-        // Force re-authorization for next time
-        b2Authorized = false;
-      } else {
-        console.error('❌ Error generating signed URL:', error.message);
+      if (!sent) {
+        return res.status(404).json({ error: 'File not found in storage' });
       }
-
-      // Fallback: stream using b2_download_file_by_id (supports Range)
-      try {
-        await ensureB2Authorized();
-        const listResp = await b2.listFileNames({
-          bucketId: process.env.B2_BUCKET_ID,
-          startFileName: fileName,
-          maxFileCount: 1
-        });
-        const fileInfo = listResp?.data?.files?.find(f => f.fileName === fileName);
-        if (!fileInfo) {
-          return res.status(404).json({ error: 'File not found in Backblaze' });
-        }
-
-        if (!b2AuthData?.downloadUrl || !b2AuthData?.authorizationToken) {
-          return res.status(500).json({ error: 'Missing B2 auth data for direct download' });
-        }
-
-        const directUrl = `${b2AuthData.downloadUrl}/b2api/v2/b2_download_file_by_id?fileId=${encodeURIComponent(fileInfo.fileId)}`;
-        const headers = { Authorization: b2AuthData.authorizationToken };
-        if (req.headers.range) headers.Range = req.headers.range;
-
-        const b2Resp = await axios({
-          method: 'GET',
-          url: directUrl,
-          responseType: 'stream',
-          headers,
-          validateStatus: (s) => s >= 200 && s < 300
+    } catch (streamError) {
+      console.error('❌ Streaming failed:', streamError.message);
+      if (!res.headersSent) {
+        return res.status(500).json({ 
+          error: 'Failed to stream PDF',
+          details: process.env.NODE_ENV === 'development' ? streamError.message : undefined
         });
-
-        // Mirror status and relevant headers (support partial content)
-        if (!res.headersSent) {
-          res.status(b2Resp.status);
-          if (b2Resp.headers['content-type']) res.setHeader('Content-Type', b2Resp.headers['content-type']);
-          if (b2Resp.headers['content-length']) res.setHeader('Content-Length', b2Resp.headers['content-length']);
-          if (b2Resp.headers['content-range']) res.setHeader('Content-Range', b2Resp.headers['content-range']);
-          if (b2Resp.headers['accept-ranges']) res.setHeader('Accept-Ranges', b2Resp.headers['accept-ranges']);
-          if (b2Resp.headers['last-modified']) res.setHeader('Last-Modified', b2Resp.headers['last-modified']);
-          if (b2Resp.headers['etag']) res.setHeader('ETag', b2Resp.headers['etag']);
-        }
-        b2Resp.data.pipe(res);
-      } catch (fallbackErr) {
-        console.error('❌ Fallback streaming failed:', fallbackErr.message);
-        if (!res.headersSent) {
-          return res.status(500).json({ 
-            error: 'Failed to stream PDF',
-            details: process.env.NODE_ENV === 'development' ? fallbackErr.message : undefined
-          });
-        }
       }
     }
   } catch (error) {
@@ -1972,44 +2667,67 @@ app.get('/api/books/:id/pdf', async (req, res) => {
   }
 });
 
+// Stream an EPUB book for the reader (Range, ETag and conditional GETs as for PDFs)
+app.get('/api/books/:id/epub', async (req, res) => {
+  try {
+    const book = repos.books.get(req.params.id);
+    if (!book) {
+      return res.status(404).json({ error: 'Book not found' });
+    }
+    const fileName = bookFormat(book) === 'epub' ? getBookPdfKey(book) : null;
+    if (!fileName) {
+      return res.status(400).json({ error: 'This book has no EPUB file' });
+    }
+    const driver = getBookPdfDriver(book);
+    if (!driver) {
+      return res.status(500).json({ error: 'Storage for this book is not configured' });
+    }
+
+    const sent = await sendStoredFile(req, res, driver, fileName, { contentType: EPUB_MIMETYPE, label: fileName });
+    if (!sent) {
+      return res.status(404).json({ error: 'File not found in storage' });
+    }
+  } catch (error) {
+    console.error('❌ Error streaming EPUB:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to stream EPUB' });
+    }
+  }
+});
+
 // Startup validation
-console.log('✅ Admin password:', ADMIN_PASSWORD ? 'Set' : 'Using default (admin123)');
-
-if (!hasB2Credentials) {
-  console.warn('⚠️  WARNING: Backblaze B2 credentials not fully configured in server/.env');
-  console.warn('   Required: B2_APPLICATION_KEY_ID, B2_APPLICATION_KEY, B2_BUCKET_ID');
-  console.warn('   ⚠️  Books will NOT persist after server restart without B2!');
-} else {
-  console.log('✅ Backblaze B2 credentials loaded');
-  // Test B2 connection on startup
-  ensureB2Authorized().then(() => {
-    console.log('✅ Backblaze B2 connection verified');
-  }).catch(err => {
-    console.error('❌ Backblaze B2 connection failed:', err.message);
-    console.error('   Please check your B2 credentials!');
-  });
+console.log(`✅ Admin auth: Firebase ID tokens (${auth.mode})`);
+if (auth.passwordEnabled) {
+  console.warn('⚠️  ADMIN_PASSWORD is set - x-admin-password requests are accepted as admin');
 }
 
-// Check Cloudinary configuration
-if (!hasCloudinaryCredentials) {
-  console.warn('⚠️  WARNING: Cloudinary credentials not configured');
-  console.warn('   Required: CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET');
-  console.warn('   Cover images will not use CDN (slower loading)');
-} else {
-  console.log('✅ Cloudinary credentials loaded (for cover image CDN)');
+console.log(`✅ File storage driver: ${storage.files.name}`);
+console.log(`✅ Image storage driver: ${storage.images.name}`);
+if (!storage.files.isRemote) {
+  console.warn(`⚠️  Files are stored on local disk (${storage.files.rootDir})`);
+  console.warn('   ⚠️  Books will NOT persist after restart on ephemeral hosts!');
+}
+for (const driver of new Set([storage.files, storage.images])) {
+  driver.ping().then(() => {
+    console.log(`✅ ${driver.name} storage connection verified`);
+  }).catch(err => {
+    console.error(`❌ ${driver.name} storage connection failed:`, err.message);
+    console.error('   Please check your storage configuration!');
+  });
 }
 
-// Diagnostic endpoint to check books.json status
+// Diagnostic endpoint to check the catalog database and the books.json snapshot
 app.get('/api/debug/books-status', async (req, res) => {
   try {
     const status = {
-      local: {
-        exists: false,
+      database: {
+        path: repos.db.name,
         count: 0,
-        path: BOOKS_FILE
+        error: null
       },
-      backblaze: {
-        configured: hasB2Credentials,
+      remote: {
+        driver: storage.files.name,
+        configured: storage.files.isRemote,
         exists: false,
         count: 0,
         error: null
@@ -2017,26 +2735,23 @@ app.get('/api/debug/books-status', async (req, res) => {
       timestamp: new Date().toISOString()
     };
 
-    // Check local file
+    // Check the database
     try {
-      const data = await fs.readFile(BOOKS_FILE, 'utf8');
-      const books = JSON.parse(data);
-      status.local.exists = true;
-      status.local.count = books.length;
+      status.database.count = repos.books.count();
     } catch (err) {
-      status.local.error = err.message;
+      status.database.error = err.message;
     }
 
-    // Check Backblaze
-    if (hasB2Credentials) {
+    // Check remote snapshot
+    if (storage.files.isRemote) {
       try {
-        const booksFromB2 = await downloadBooksJsonFromB2();
-        if (booksFromB2) {
-          status.backblaze.exists = true;
-          status.backblaze.count = booksFromB2.length;
+        const remoteBooks = await downloadBooksSnapshot();
+        if (remoteBooks) {
+          status.remote.exists = true;
+          status.remote.count = remoteBooks.length;
         }
       } catch (err) {
-        status.backblaze.error = err.message;
+        status.remote.error = err.message;
       }
     }
 
@@ -2052,103 +2767,71 @@ app.get('/api/health', async (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     services: {
-      backblaze: {
-        configured: hasB2Credentials,
+      files: {
+        driver: storage.files.name,
         working: false,
         error: null
       },
-      cloudinary: {
-        configured: hasCloudinaryCredentials,
+      images: {
+        driver: storage.images.name,
         working: false,
         error: null
       },
       books: {
-        localCount: 0,
-        b2Count: null,
-        b2Working: false
+        count: 0,
+        snapshotCount: null
       }
     }
   };
 
-  // Check Backblaze
-  if (hasB2Credentials) {
+  for (const role of ['files', 'images']) {
     try {
-      await ensureB2Authorized();
-      const filesResponse = await b2.listFileNames({
-        bucketId: process.env.B2_BUCKET_ID,
-        startFileName: 'data/books.json',
-        maxFileCount: 1
-      });
-      const booksJsonExists = filesResponse?.data?.files?.some(f => f.fileName === 'data/books.json');
-      health.services.backblaze.working = true;
-      health.services.books.b2Working = booksJsonExists;
-      if (booksJsonExists) {
-        const books = await downloadBooksJsonFromB2();
-        health.services.books.b2Count = books ? books.length : 0;
-      }
+      await storage[role].ping();
+      health.services[role].working = true;
     } catch (error) {
-      health.services.backblaze.working = false;
-      health.services.backblaze.error = error.message;
+      health.services[role].error = error.message;
       health.status = 'degraded';
     }
   }
 
-  // Check Cloudinary
-  if (hasCloudinaryCredentials) {
-    try {
-      const v2 = require('cloudinary').v2;
-      await v2.api.ping();
-      health.services.cloudinary.working = true;
-    } catch (error) {
-      health.services.cloudinary.working = false;
-      health.services.cloudinary.error = error.message;
-      health.status = 'degraded';
-    }
+  if (storage.files.isRemote && health.services.files.working) {
+    const remoteBooks = await downloadBooksSnapshot();
+    health.services.books.snapshotCount = remoteBooks ? remoteBooks.length : 0;
   }
 
   // Check local books
   try {
-    const books = await getBooks();
-    health.services.books.localCount = books.length;
+    health.services.books.count = repos.books.count();
   } catch (error) {
     health.status = 'error';
   }
 
   // Overall status
-  if (!hasB2Credentials) {
-    health.status = 'warning';
-    health.message = 'Backblaze not configured - books will be lost on server restart!';
-  } else if (!health.services.backblaze.working) {
+  if (!health.services.files.working) {
     health.status = 'error';
-    health.message = 'Backblaze connection failed - check your credentials!';
+    health.message = `${storage.files.name} storage connection failed - check your configuration!`;
+  } else if (!storage.files.isRemote && health.status === 'ok') {
+    health.status = 'warning';
+    health.message = 'Using local disk storage - files will be lost on ephemeral hosts!';
   }
 
   const statusCode = health.status === 'ok' ? 200 : health.status === 'warning' ? 200 : 503;
   res.status(statusCode).json(health);
 });
 
-// Test endpoint to check B2 connection and list files
-app.get('/api/test/b2', async (req, res) => {
+// Test endpoint to check the storage connection and list files
+app.get(['/api/test/storage', '/api/test/b2'], async (req, res) => {
   try {
-    if (!hasB2Credentials) {
-      return res.json({ error: 'B2 credentials not configured' });
-    }
-    
-    await ensureB2Authorized();
-    const filesResponse = await b2.listFileNames({
-      bucketId: process.env.B2_BUCKET_ID,
-      startFileName: '',
-      maxFileCount: 10
-    });
+    const files = await storage.files.list('', { limit: 10 });
     
     res.json({
       success: true,
-      filesCount: filesResponse?.data?.files?.length || 0,
-      files: filesResponse?.data?.files?.map(f => ({
-        fileName: f.fileName,
-        fileId: f.fileId,
+      driver: storage.files.name,
+      filesCount: files.length,
+      files: files.map(f => ({
+        fileName: f.key,
         size: f.size
-      })) || []
+      }))
     });
   } catch (error) {
     res.status(500).json({
@@ -2158,15 +2841,46 @@ app.get('/api/test/b2', async (req, res) => {
   }
 });
 
-// Image proxy endpoint (for cover images stored in Backblaze or Cloudinary)
+// Image proxy endpoint (for cover images kept in storage or at external URLs).
+// `size=small|medium|large` serves the cover cropped and resized by the image
+// pipeline, as `format=avif|webp` or, without it, the best the Accept header
+// allows; sizes are made on first request for covers that have none yet. The
+// placeholder, and clients taking neither format, get the whole cover.
 app.get('/api/books/:id/cover', async (req, res) => {
   try {
-    const books = await getBooks();
-    const book = books.find(b => b.id === req.params.id);
+    const { size, format } = req.query;
+    if (size !== undefined && !COVER_SIZES.includes(size)) {
+      return res.status(400).json({ error: `size must be one of: ${COVER_SIZES.join(', ')}` });
+    }
+    if (format !== undefined && !IMAGE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${IMAGE_FORMATS.join(', ')}` });
+    }
+
+    const book = repos.books.get(req.params.id);
     
     if (!book) {
       return res.status(404).json({ error: 'Book not found' });
     }
+
+    if (size) {
+      if (!format) res.setHeader('Vary', 'Accept');
+      const chosenFormat = format || negotiateFormat(req.get('accept'));
+      const variants = chosenFormat ? await ensureCoverVariants(book) : null;
+      const image = variants && variants.images.find((i) => i.size === size && i.format === chosenFormat);
+      if (image) {
+        if (image.url && /^https?:\/\//.test(image.url)) {
+          return res.redirect(image.url);
+        }
+        // URLs carrying the cover's version never change content
+        const cacheControl = req.query.v === variants.version ? 'public, max-age=31536000, immutable' : 'public, max-age=86400';
+        const sent = await sendStoredFile(req, res, storage.driverFor(variants.provider, storage.images), image.key, {
+          contentType: `image/${image.format}`,
+          cacheControl
+        });
+        if (sent) return;
+        // Missing from storage: fall back to the whole cover
+      }
+    }
     
     // 1. If it's a Cloudinary URL or generic URL, redirect
     const coverImageUrl = book.cloudinaryCoverUrl || book.coverImage;
@@ -2177,40 +2891,24 @@ app.get('/api/books/:id/cover', async (req, res) => {
       return res.redirect(coverImageUrl);
     }
 
-    // 2. If it's a B2 file name (no protocol), stream it from B2
-    if (book.b2CoverFileName || (book.coverImage && !book.coverImage.startsWith('/'))) {
-      const fileName = book.b2CoverFileName || book.coverImage;
-      console.log(`🔄 Proxying cover image from B2: ${fileName}`);
+    // 2. If it's a storage key (no protocol), stream it from its driver
+    const coverKey = getBookCoverKey(book);
+    const coverDriver = coverKey ? getBookCoverDriver(book) : null;
+    if (coverKey && coverDriver) {
+      console.log(`🔄 Proxying cover image from ${coverDriver.name}: ${coverKey}`);
 
-      await ensureB2Authorized();
-      
-      // Get download authorization (signed URL)
-      // Use empty prefix to avoid mismatch errors
-      const auth = await b2.getDownloadAuthorization({
-        bucketId: process.env.B2_BUCKET_ID,
-        fileNamePrefix: '',
-        validDurationInSeconds: CDN_URL_TTL_SECONDS
-      });
-      
-      const token = auth.data.authorizationToken;
-      const baseUrl = getB2DownloadBaseUrl();
-      const encodedPath = encodeB2Path(fileName);
-      const signedUrl = `${baseUrl}/file/${process.env.B2_BUCKET_NAME}/${encodedPath}?Authorization=${encodeURIComponent(token)}`;
-      
-      // Stream the file content
-      const b2Response = await axios({
-        method: 'GET',
-        url: signedUrl,
-        responseType: 'stream'
-      });
+      const file = await coverDriver.stream(coverKey);
+      if (!file || !file.stream) {
+        return res.status(404).json({ error: 'Cover image not found' });
+      }
       
-      res.setHeader('Content-Type', b2Response.headers['content-type'] || 'image/jpeg');
-      if (b2Response.headers['content-length']) {
-        res.setHeader('Content-Length', b2Response.headers['content-length']);
+      res.setHeader('Content-Type', file.contentType || 'image/jpeg');
+      if (file.contentLength) {
+        res.setHeader('Content-Length', file.contentLength);
       }
       res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 1 day
       
-      b2Response.data.pipe(res);
+      file.stream.pipe(res);
       return;
     }
     
@@ -2235,62 +2933,51 @@ app.get('/api/books/:id/cover', async (req, res) => {
 // Debug endpoint to test PDF download for a specific book
 app.get('/api/debug/pdf/:id', async (req, res) => {
   try {
-    const books = await getBooks();
-    const book = books.find(b => b.id === req.params.id);
+    const book = repos.books.get(req.params.id);
     
     if (!book) {
       return res.json({ error: 'Book not found' });
     }
     
-    const fileName = book.b2FileName || book.fileName;
+    const fileName = getBookPdfKey(book);
+    const pdfDriver = getBookPdfDriver(book);
     console.log('Debug: Looking for file:', fileName);
+
+    if (!fileName || !pdfDriver) {
+      return res.json({ error: 'Book has no PDF in a configured storage driver', lookingFor: fileName });
+    }
     
-    await ensureB2Authorized();
-    const filesResponse = await b2.listFileNames({
-      bucketId: process.env.B2_BUCKET_ID,
-      startFileName: '',
-      maxFileCount: 100
-    });
-    
-    const fileInfo = filesResponse?.data?.files?.find(f => 
-      f.fileName === fileName || 
-      f.fileName.includes(fileName) ||
-      fileName.includes(f.fileName)
-    );
+    const matches = await pdfDriver.list(fileName, { limit: 10 });
+    const fileInfo = matches.find(f => f.key === fileName);
     
     if (!fileInfo) {
+      const siblings = await pdfDriver.list(`books/${book.id}/`, { limit: 100 });
       return res.json({
-        error: 'File not found in B2',
+        error: `File not found in ${pdfDriver.name} storage`,
         lookingFor: fileName,
-        availableFiles: filesResponse?.data?.files?.map(f => f.fileName) || []
+        availableFiles: siblings.map(f => f.key)
       });
     }
     
     // Try to download
     try {
-      const downloadResponse = await b2.downloadFileById({
-        fileId: fileInfo.fileId
-      });
+      const data = await pdfDriver.get(fileName);
       
       res.json({
         success: true,
+        driver: pdfDriver.name,
         book: {
           id: book.id,
           title: book.title,
           fileName: fileName
         },
         fileInfo: {
-          fileName: fileInfo.fileName,
-          fileId: fileInfo.fileId,
+          fileName: fileInfo.key,
           size: fileInfo.size
         },
-        downloadResponse: {
-          type: typeof downloadResponse,
-          isBuffer: Buffer.isBuffer(downloadResponse),
-          hasData: !!downloadResponse?.data,
-          hasBody: !!downloadResponse?.body,
-          dataLength: Buffer.isBuffer(downloadResponse) ? downloadResponse.length : 
-                      (downloadResponse?.data && Buffer.isBuffer(downloadResponse.data) ? downloadResponse.data.length : 'N/A')
+        download: {
+          isBuffer: Buffer.isBuffer(data),
+          dataLength: data ? data.length : 'N/A'
         }
       });
     } catch (downloadError) {
@@ -2311,11 +2998,26 @@ app.get('/api/debug/pdf/:id', async (req, res) => {
   }
 });
 
+// Upload a blog image to the images driver and return the fields to store on the blog
+async function uploadBlogImage(file) {
+  const key = `blogs/${Date.now()}-${sanitizeFileName(file.originalname)}`;
+  const result = await storage.images.put(key, file.buffer, { contentType: file.mimetype });
+  console.log(`✅ Uploaded blog image via ${storage.images.name}:`, result.url || result.key);
+  return {
+    image: result.url || result.key,
+    storageImage: {
+      provider: storage.images.name,
+      key: result.key,
+      url: result.url || null
+    }
+  };
+}
+
 // Blog endpoints
 // Get all blogs
 app.get('/api/blogs', async (req, res) => {
   try {
-    const blogs = await getBlogs();
+    const blogs = repos.blogs.list();
     // Sort by date (newest first)
     blogs.sort((a, b) => {
       const dateA = new Date(a.date || a.createdAt || 0);
@@ -2332,8 +3034,7 @@ app.get('/api/blogs', async (req, res) => {
 // Get single blog
 app.get('/api/blogs/:id', async (req, res) => {
   try {
-    const blogs = await getBlogs();
-    const blog = blogs.find((b) => b.id === req.params.id);
+    const blog = repos.blogs.get(req.params.id);
     if (!blog) {
       return res.status(404).json({ error: 'Blog not found' });
     }
@@ -2347,40 +3048,26 @@ app.get('/api/blogs/:id', async (req, res) => {
 // Create blog
 app.post(
   '/api/admin/blogs',
-  verifyAdminPassword,
+  auth.requireRole('editor'),
   upload.single('image'),
   async (req, res) => {
     try {
-      const { title, excerpt, description, category, date } = req.body;
+      const { title, excerpt, description, category, date } = normalizeTextFields(req.body, BLOG_TEXT_FIELDS);
 
       if (!title) {
         return res.status(400).json({ error: 'Title is required' });
       }
 
-      const blogs = await getBlogs();
       const blogId = `blog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-      // Upload blog image to Cloudinary only (no local storage)
-      let imageUrl = '';
+      // Upload blog image to the images driver
+      let uploadedImage = null;
       if (req.file) {
-        const imageFile = req.file;
-        const sanitizedImageName = `${Date.now()}-${imageFile.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
-
         try {
-          const result = await uploadBufferToCloudinary(imageFile.buffer, {
-            resource_type: 'image',
-            folder: (process.env.CLOUDINARY_FOLDER || 'bookstore') + '/blogs',
-            public_id: sanitizedImageName.replace(/\.[^.]+$/, '')
-          });
-          if (result && result.secure_url) {
-            imageUrl = result.secure_url;
-            console.log('✅ Uploaded blog image to Cloudinary:', imageUrl);
-          } else {
-            throw new Error('Cloudinary upload returned no URL');
-          }
-        } catch (cloudErr) {
-          console.error('❌ Cloudinary upload failed for blog image:', cloudErr.message || cloudErr);
-          throw new Error(`Failed to upload blog image to Cloudinary: ${cloudErr.message}`);
+          uploadedImage = await uploadBlogImage(req.file);
+        } catch (uploadError) {
+          console.error('❌ Blog image upload failed:', uploadError.message || uploadError);
+          throw new Error(`Failed to upload blog image: ${uploadError.message}`);
         }
       }
 
@@ -2390,13 +3077,14 @@ app.post(
         excerpt: excerpt?.trim() || description?.trim() || '',
         description: description?.trim() || '',
         category: category?.trim() || 'GENERAL',
-        image: imageUrl,
+        image: uploadedImage?.image || '',
+        ...(uploadedImage ? { storage: { image: uploadedImage.storageImage } } : {}),
         date: date || new Date().toISOString().split('T')[0],
         createdAt: new Date().toISOString()
       };
 
-      blogs.push(blogData);
-      await saveBlogs(blogs);
+      repos.blogs.insert(blogData);
+      audit.record(req, { action: 'create', entityType: 'blog', entityId: blogId, after: blogData });
       res.status(201).json(blogData);
     } catch (error) {
       console.error('Error creating blog:', error);
@@ -2408,51 +3096,44 @@ app.post(
 // Update blog
 app.put(
   '/api/admin/blogs/:id',
-  verifyAdminPassword,
+  auth.requireRole('editor'),
   upload.single('image'),
   async (req, res) => {
     try {
-      const { title, excerpt, description, category, date } = req.body;
-      const blogs = await getBlogs();
-      const index = blogs.findIndex((b) => b.id === req.params.id);
-      if (index === -1) {
+      const { title, excerpt, description, category, date } = normalizeTextFields(req.body, BLOG_TEXT_FIELDS);
+      const blog = repos.blogs.get(req.params.id);
+      if (!blog) {
         return res.status(404).json({ error: 'Blog not found' });
       }
 
-      const blog = blogs[index];
+      const changes = {};
 
-      // Update image if provided - upload to Cloudinary only
+      // Update image if provided
       if (req.file) {
-        const imageFile = req.file;
-        const sanitizedImageName = `${Date.now()}-${imageFile.originalname.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
-
         try {
-          const result = await uploadBufferToCloudinary(imageFile.buffer, {
-            resource_type: 'image',
-            folder: (process.env.CLOUDINARY_FOLDER || 'bookstore') + '/blogs',
-            public_id: sanitizedImageName.replace(/\.[^.]+$/, '')
-          });
-          if (result && result.secure_url) {
-            blog.image = result.secure_url;
-            console.log('✅ Uploaded updated blog image to Cloudinary:', blog.image);
-          } else {
-            throw new Error('Cloudinary upload returned no URL');
-          }
-        } catch (cloudErr) {
-          console.error('❌ Failed to upload updated blog image to Cloudinary:', cloudErr.message || cloudErr);
-          throw new Error(`Failed to upload blog image to Cloudinary: ${cloudErr.message}`);
+          const uploadedImage = await uploadBlogImage(req.file);
+          changes.image = uploadedImage.image;
+          changes.storage = { ...(blog.storage || {}), image: uploadedImage.storageImage };
+          changes.b2ImageFileName = undefined;
+        } catch (uploadError) {
+          console.error('❌ Failed to upload updated blog image:', uploadError.message || uploadError);
+          throw new Error(`Failed to upload blog image: ${uploadError.message}`);
         }
       }
 
       // Update other fields
-      if (title) blog.title = title.trim();
-      if (excerpt !== undefined) blog.excerpt = excerpt.trim();
-      if (description !== undefined) blog.description = description.trim();
-      if (category) blog.category = category.trim();
-      if (date) blog.date = date;
-
-      await saveBlogs(blogs);
-      res.json(blog);
+      if (title) changes.title = title.trim();
+      if (excerpt !== undefined) changes.excerpt = excerpt.trim();
+      if (description !== undefined) changes.description = description.trim();
+      if (category) changes.category = category.trim();
+      if (date) changes.date = date;
+
+      const updated = repos.blogs.update(blog.id, changes);
+      if (!updated) {
+        return res.status(404).json({ error: 'Blog not found' });
+      }
+      audit.record(req, { action: 'update', entityType: 'blog', entityId: blog.id, before: blog, after: updated });
+      res.json(updated);
     } catch (error) {
       console.error('Error updating blog:', error);
       res.status(500).json({ error: error.message || 'Failed to update blog' });
@@ -2460,39 +3141,52 @@ app.put(
   }
 );
 
-// Delete blog
-app.delete('/api/admin/blogs/:id', verifyAdminPassword, async (req, res) => {
+// Delete blog - moves it to the trash
+app.delete('/api/admin/blogs/:id', auth.requireRole('editor'), async (req, res) => {
   try {
-    const blogs = await getBlogs();
-    const index = blogs.findIndex((b) => b.id === req.params.id);
-    if (index === -1) {
+    const blog = repos.blogs.get(req.params.id);
+    const trashed = blog && repos.blogs.trash(blog.id, { deletedBy: actorName(req) });
+    if (!trashed) {
       return res.status(404).json({ error: 'Blog not found' });
     }
-    const [deleted] = blogs.splice(index, 1);
-    await saveBlogs(blogs);
-    res.json({ success: true, deletedId: deleted.id });
+    audit.record(req, { action: 'trash', entityType: 'blog', entityId: blog.id, before: blog, after: trashed });
+    res.json({ success: true, deletedId: blog.id, trashed: true, purgeAt: purgeDate(trashed) });
   } catch (error) {
     console.error('Error deleting blog:', error);
     res.status(500).json({ error: error.message || 'Failed to delete blog' });
   }
 });
 
-// Blog image proxy endpoint (for images stored in Backblaze)
+// Blog image proxy endpoint (for images kept in storage or at external URLs)
 app.get('/api/blogs/:id/image', async (req, res) => {
   try {
-    const blogs = await getBlogs();
-    const blog = blogs.find(b => b.id === req.params.id);
+    const blog = repos.blogs.get(req.params.id);
     
     if (!blog) {
       return res.status(404).json({ error: 'Blog not found' });
     }
     
-    // Blog images are stored in Cloudinary - redirect to Cloudinary URL
-    if (blog.image && (blog.image.startsWith('http://') || blog.image.startsWith('https://'))) {
-      // Redirect to Cloudinary URL
-      console.log('✅ Redirecting to Cloudinary blog image:', blog.image);
+    // Public URLs (Cloudinary, external, local /uploads) - redirect
+    if (blog.image && (blog.image.startsWith('http://') || blog.image.startsWith('https://') || blog.image.startsWith('/uploads'))) {
+      console.log('✅ Redirecting to blog image:', blog.image);
       return res.redirect(blog.image);
     }
+
+    // Storage key - stream it from its driver (legacy blog images were stored in B2)
+    const imageKey = blog.storage?.image?.key || blog.b2ImageFileName || blog.image;
+    const imageDriver = imageKey
+      ? storage.driverFor(blog.storage?.image?.provider || (blog.b2ImageFileName ? 'b2' : null), storage.images)
+      : null;
+    if (imageKey && imageDriver) {
+      const file = await imageDriver.stream(imageKey);
+      if (file && file.stream) {
+        res.setHeader('Content-Type', file.contentType || 'image/jpeg');
+        if (file.contentLength) res.setHeader('Content-Length', file.contentLength);
+        res.setHeader('Cache-Control', 'public, max-age=86400');
+        file.stream.pipe(res);
+        return;
+      }
+    }
     
     // No image available
     console.error('❌ Blog image not found for blog:', blog.id, 'image:', blog.image);
@@ -2503,21 +3197,194 @@ app.get('/api/blogs/:id/image', async (req, res) => {
   }
 });
 
-const server = app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📚 Admin upload endpoint: POST http://localhost:${PORT}/api/admin/books`);
-  console.log(`📝 Blog endpoint: POST http://localhost:${PORT}/api/admin/blogs`);
-  console.log(`🧪 Test B2 endpoint: GET http://localhost:${PORT}/api/test/b2`);
-  console.log(`🐛 Debug PDF endpoint: GET http://localhost:${PORT}/api/debug/pdf/:id`);
+// Delete a blog's image from storage (used when a trashed blog is purged)
+async function deleteBlogAssets(blog) {
+  const result = { attempted: [], deleted: [], errors: [] };
+  const key = blog.storage?.image?.key || blog.b2ImageFileName;
+  if (!key) return result;
+
+  const driver = storage.driverFor(blog.storage?.image?.provider || 'b2', storage.images);
+  result.attempted.push(key);
+  try {
+    if (await driver.delete(key)) {
+      result.deleted.push(key);
+    } else {
+      result.errors.push({ fileName: key, error: 'Not found in storage' });
+    }
+  } catch (e) {
+    result.errors.push({ fileName: key, error: e.message || String(e) });
+    console.error('❌ Delete error for', key, e.message || e);
+  }
+  return result;
+}
+
+// Trash: deleted books and blogs are hidden from the public API and can be
+// restored until they are purged, either by hand or TRASH_RETENTION_DAYS after
+// deletion. Purging removes the record and its storage objects for good.
+const TRASH_RETENTION_DAYS = Number.isNaN(parseFloat(process.env.TRASH_RETENTION_DAYS))
+  ? 30
+  : parseFloat(process.env.TRASH_RETENTION_DAYS);
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Role needed to restore or purge each collection (the same as deleting it)
+const TRASH_COLLECTIONS = {
+  books: { repo: repos.books, entityType: 'book', role: 'admin', deleteAssets: deleteBookAssets },
+  blogs: { repo: repos.blogs, entityType: 'blog', role: 'editor', deleteAssets: deleteBlogAssets }
+};
+
+function actorName(req) {
+  return req.user?.email || req.user?.name || null;
+}
+
+function purgeDate(record) {
+  const deletedAt = Date.parse(record.deletedAt || '');
+  if (Number.isNaN(deletedAt)) return null;
+  return new Date(deletedAt + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function toTrashItem(record) {
+  return {
+    id: record.id,
+    title: record.title,
+    author: record.author || null,
+    category: record.category || null,
+    coverImage: record.coverImage || record.image || null,
+    partsCount: Array.isArray(record.pdfParts) ? record.pdfParts.length : 0,
+    deletedAt: record.deletedAt,
+    deletedBy: record.deletedBy || null,
+    purgeAt: purgeDate(record)
+  };
+}
+
+// Permanently delete a trashed record and its storage objects. `req` is null
+// for the scheduled purge.
+async function purgeTrashed(type, id, req, details = {}) {
+  const { repo, entityType, deleteAssets } = TRASH_COLLECTIONS[type];
+  const record = repo.get(id, { includeTrashed: true });
+  if (!record || !record.deletedAt) return null;
+
+  const storageResult = await deleteAssets(record);
+  repo.remove(record.id);
+  if (type === 'books') {
+    readingProgress.removeBook(record.id);
+    annotations.removeBook(record.id);
+  }
+  audit.record(req, {
+    action: 'purge',
+    entityType,
+    entityId: record.id,
+    before: record,
+    details: { ...details, deletedObjects: storageResult.deleted.length, storageErrors: storageResult.errors.length }
+  });
+  if (type === 'books') scheduleBooksSnapshot();
+  console.log(`🗑️ Purged ${entityType} ${record.id} (${storageResult.deleted.length} storage objects)`);
+  return { record, storage: storageResult };
+}
+
+async function purgeExpiredTrash() {
+  const now = Date.now();
+  let purged = 0;
+  for (const [type, { repo }] of Object.entries(TRASH_COLLECTIONS)) {
+    for (const record of repo.trashed()) {
+      const purgeAt = Date.parse(purgeDate(record) || '');
+      if (Number.isNaN(purgeAt) || purgeAt > now) continue;
+      try {
+        if (await purgeTrashed(type, record.id, null, { reason: 'retention', retentionDays: TRASH_RETENTION_DAYS })) {
+          purged += 1;
+        }
+      } catch (error) {
+        console.error(`❌ Scheduled purge failed for ${type} ${record.id}:`, error);
+      }
+    }
+  }
+  if (purged > 0) {
+    console.log(`🗑️ Scheduled purge removed ${purged} item(s) older than ${TRASH_RETENTION_DAYS} days`);
+  }
+  return purged;
+}
+
+app.get('/api/admin/trash', auth.requireRole('editor'), (req, res) => {
+  try {
+    res.json({
+      retentionDays: TRASH_RETENTION_DAYS,
+      books: repos.books.trashed().map(toTrashItem),
+      blogs: repos.blogs.trashed().map(toTrashItem)
+    });
+  } catch (error) {
+    console.error('Error listing trash:', error);
+    res.status(500).json({ error: 'Failed to list trash' });
+  }
+});
+
+app.post('/api/admin/trash/:type/:id/restore', auth.requireRole('editor'), (req, res) => {
+  try {
+    const collection = TRASH_COLLECTIONS[req.params.type];
+    if (!collection) {
+      return res.status(404).json({ error: 'Unknown trash type' });
+    }
+    if (!hasRole(req.user, collection.role)) {
+      return res.status(403).json({ error: `This action needs the ${collection.role} role`, role: req.user.role });
+    }
+
+    const before = collection.repo.get(req.params.id, { includeTrashed: true });
+    const restored = collection.repo.restore(req.params.id);
+    if (!restored) {
+      return res.status(404).json({ error: 'Item is not in the trash' });
+    }
+    audit.record(req, { action: 'restore', entityType: collection.entityType, entityId: restored.id, before, after: restored });
+    if (req.params.type === 'books') scheduleBooksSnapshot();
+    res.json(restored);
+  } catch (error) {
+    console.error('Error restoring from trash:', error);
+    res.status(500).json({ error: 'Failed to restore item' });
+  }
 });
 
-server.on('error', (error) => {
-  if (error.code === 'EADDRINUSE') {
-    console.error(`❌ Port ${PORT} is already in use.`);
-    console.error('   Please stop the other server or change PORT in server/.env');
-    process.exit(1);
-  } else {
-    console.error('❌ Server error:', error);
-    process.exit(1);
+app.delete('/api/admin/trash/:type/:id', auth.requireRole('admin'), async (req, res) => {
+  try {
+    if (!TRASH_COLLECTIONS[req.params.type]) {
+      return res.status(404).json({ error: 'Unknown trash type' });
+    }
+    const result = await purgeTrashed(req.params.type, req.params.id, req);
+    if (!result) {
+      return res.status(404).json({ error: 'Item is not in the trash' });
+    }
+    res.json({ success: true, deletedId: result.record.id, storage: result.storage });
+  } catch (error) {
+    console.error('Error purging from trash:', error);
+    res.status(500).json({ error: error.message || 'Failed to purge item' });
   }
 });
+
+initDataStore()
+  .catch((error) => {
+    console.error('❌ Failed to import catalog data:', error);
+  })
+  .then(() => {
+    purgeExpiredTrash().catch((error) => console.error('❌ Scheduled purge failed:', error));
+    setInterval(() => {
+      purgeExpiredTrash().catch((error) => console.error('❌ Scheduled purge failed:', error));
+    }, TRASH_PURGE_INTERVAL_MS).unref();
+    setInterval(() => {
+      uploads.sweep().catch((error) => console.error('❌ Upload cleanup failed:', error));
+    }, UPLOAD_SWEEP_INTERVAL_MS).unref();
+
+    const server = app.listen(PORT, () => {
+      console.log(`🚀 Server running on port ${PORT}`);
+      console.log(`📚 Admin upload endpoint: POST http://localhost:${PORT}/api/admin/books`);
+      console.log(`📝 Blog endpoint: POST http://localhost:${PORT}/api/admin/blogs`);
+      console.log(`🧪 Test storage endpoint: GET http://localhost:${PORT}/api/test/storage`);
+      console.log(`🐛 Debug PDF endpoint: GET http://localhost:${PORT}/api/debug/pdf/:id`);
+    });
+
+    server.on('error', (error) => {
+      if (error.code === 'EADDRINUSE') {
+        console.error(`❌ Port ${PORT} is already in use.`);
+        console.error('   Please stop the other server or change PORT in server/.env');
+        process.exit(1);
+      } else {
+        console.error('❌ Server error:', error);
+        process.exit(1);
+      }
+    });
+  });
@@ -0,0 +1,111 @@
+// Reader display preferences of each signed-in reader, so the reader looks
+// the same on every device they use.
+//
+// Preferences shape:
+//   { theme, keepImageColors, brightness, autoHideToolbar, fontSize, lineHeight, updatedAt }
+// `theme` is one of THEMES, `brightness` a percentage of the page's own.
+// `fontSize` (a percentage of the book's own) and `lineHeight` only apply to
+// reflowable (EPUB) books.
+
+const THEMES = ['day', 'night', 'sepia', 'contrast'];
+const MIN_BRIGHTNESS = 40;
+const MAX_BRIGHTNESS = 120;
+const MIN_FONT_SIZE = 70;
+const MAX_FONT_SIZE = 200;
+const MIN_LINE_HEIGHT = 1.2;
+const MAX_LINE_HEIGHT = 2.4;
+
+const DEFAULTS = {
+  theme: 'day',
+  keepImageColors: true,
+  brightness: 100,
+  autoHideToolbar: true,
+  fontSize: 100,
+  lineHeight: 1.6
+};
+
+// Preferences stamped this far in the future are clamped to now
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseBoolean(value, name) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  throw badRequest(`${name} must be true or false`);
+}
+
+function parseNumber(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw badRequest(`${name} must be between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// Validate preferences sent by a reader; fields left out keep their
+// defaults. Throws an error with `status` 400.
+function parsePreferences(body = {}, now = Date.now()) {
+  const preferences = { ...DEFAULTS, updatedAt: new Date(now).toISOString() };
+
+  if (body.theme !== undefined) {
+    if (!THEMES.includes(body.theme)) throw badRequest(`theme must be one of: ${THEMES.join(', ')}`);
+    preferences.theme = body.theme;
+  }
+  if (body.keepImageColors !== undefined) {
+    preferences.keepImageColors = parseBoolean(body.keepImageColors, 'keepImageColors');
+  }
+  if (body.autoHideToolbar !== undefined) {
+    preferences.autoHideToolbar = parseBoolean(body.autoHideToolbar, 'autoHideToolbar');
+  }
+  if (body.brightness !== undefined) {
+    preferences.brightness = Math.round(parseNumber(body.brightness, 'brightness', MIN_BRIGHTNESS, MAX_BRIGHTNESS));
+  }
+  if (body.fontSize !== undefined) {
+    preferences.fontSize = Math.round(parseNumber(body.fontSize, 'fontSize', MIN_FONT_SIZE, MAX_FONT_SIZE));
+  }
+  if (body.lineHeight !== undefined) {
+    const lineHeight = parseNumber(body.lineHeight, 'lineHeight', MIN_LINE_HEIGHT, MAX_LINE_HEIGHT);
+    preferences.lineHeight = Math.round(lineHeight * 10) / 10;
+  }
+
+  if (body.updatedAt) {
+    const at = Date.parse(body.updatedAt);
+    if (Number.isNaN(at)) throw badRequest('updatedAt must be an ISO timestamp');
+    preferences.updatedAt = new Date(Math.min(at, now + CLOCK_SKEW_MS)).toISOString();
+  }
+  return preferences;
+}
+
+function createReaderPreferences(db) {
+  const selectOne = db.prepare('SELECT data FROM reader_preferences WHERE user_id = ?');
+  // Preferences changed earlier than the stored ones (a device syncing late)
+  // never overwrite them
+  const upsertRow = db.prepare(`
+    INSERT INTO reader_preferences (user_id, data, updated_at)
+    VALUES (@userId, @data, @updatedAt)
+    ON CONFLICT (user_id) DO UPDATE SET
+      data = excluded.data,
+      updated_at = excluded.updated_at
+    WHERE excluded.updated_at >= reader_preferences.updated_at
+  `);
+
+  function get(userId) {
+    const row = selectOne.get(userId);
+    return row ? { ...DEFAULTS, ...JSON.parse(row.data) } : null;
+  }
+
+  // Store `preferences` (see parsePreferences) and return whichever are now stored
+  function save(userId, preferences) {
+    upsertRow.run({ userId, data: JSON.stringify(preferences), updatedAt: preferences.updatedAt });
+    return get(userId);
+  }
+
+  return { get, save };
+}
+
+module.exports = { createReaderPreferences, parsePreferences };
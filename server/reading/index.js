@@ -0,0 +1,125 @@
+// Where each signed-in reader stopped in each book, so reading can resume on
+// any device. Positions are kept per part: `page` is within `partNumber`, and
+// `globalPage` / `totalPages` number pages across all parts when the reader
+// knew them.
+//
+// Position shape:
+//   { bookId, partNumber, page, globalPage, totalPages, percent, updatedAt }
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Positions stamped this far in the future are clamped to now
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function positiveInt(value, name, { optional = false } = {}) {
+  if (value === undefined || value === null || value === '') {
+    if (optional) return null;
+    throw badRequest(`${name} is required`);
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw badRequest(`${name} must be a positive whole number`);
+  return number;
+}
+
+function toPosition(row) {
+  return {
+    bookId: row.book_id,
+    partNumber: row.part_number,
+    page: row.page,
+    globalPage: row.global_page,
+    totalPages: row.total_pages,
+    percent: row.percent,
+    updatedAt: row.updated_at
+  };
+}
+
+// Validate a position sent by a reader. Throws an error with `status` 400.
+function parsePosition(body = {}, now = Date.now()) {
+  const position = {
+    partNumber: positiveInt(body.partNumber, 'partNumber', { optional: true }) || 1,
+    page: positiveInt(body.page, 'page'),
+    globalPage: positiveInt(body.globalPage, 'globalPage', { optional: true }),
+    totalPages: positiveInt(body.totalPages, 'totalPages', { optional: true }),
+    percent: null,
+    updatedAt: new Date(now).toISOString()
+  };
+
+  if (body.percent !== undefined && body.percent !== null && body.percent !== '') {
+    const percent = Number(body.percent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) throw badRequest('percent must be between 0 and 100');
+    position.percent = Math.round(percent * 10) / 10;
+  }
+
+  if (body.updatedAt) {
+    const at = Date.parse(body.updatedAt);
+    if (Number.isNaN(at)) throw badRequest('updatedAt must be an ISO timestamp');
+    position.updatedAt = new Date(Math.min(at, now + CLOCK_SKEW_MS)).toISOString();
+  }
+  return position;
+}
+
+function createReadingProgress(db) {
+  const selectOne = db.prepare('SELECT * FROM reading_progress WHERE user_id = ? AND book_id = ?');
+  const selectRecent = db.prepare('SELECT * FROM reading_progress WHERE user_id = ? ORDER BY updated_at DESC');
+  // A position recorded earlier than the stored one (a device syncing late)
+  // never overwrites it
+  const upsertRow = db.prepare(`
+    INSERT INTO reading_progress (user_id, book_id, part_number, page, global_page, total_pages, percent, updated_at)
+    VALUES (@userId, @bookId, @partNumber, @page, @globalPage, @totalPages, @percent, @updatedAt)
+    ON CONFLICT (user_id, book_id) DO UPDATE SET
+      part_number = excluded.part_number,
+      page = excluded.page,
+      global_page = excluded.global_page,
+      total_pages = excluded.total_pages,
+      percent = excluded.percent,
+      updated_at = excluded.updated_at
+    WHERE excluded.updated_at >= reading_progress.updated_at
+  `);
+  const deleteOne = db.prepare('DELETE FROM reading_progress WHERE user_id = ? AND book_id = ?');
+  const deleteBook = db.prepare('DELETE FROM reading_progress WHERE book_id = ?');
+
+  function get(userId, bookId) {
+    const row = selectOne.get(userId, String(bookId));
+    return row ? toPosition(row) : null;
+  }
+
+  // Most recently read first. Only positions `filter` accepts are returned,
+  // and the limit counts those, so skipped books don't shorten the list.
+  function list(userId, { limit, filter = () => true } = {}) {
+    const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const positions = [];
+    for (const row of selectRecent.iterate(userId)) {
+      const position = toPosition(row);
+      if (!filter(position)) continue;
+      positions.push(position);
+      if (positions.length === count) break;
+    }
+    return positions;
+  }
+
+  // Store `position` (see parsePosition) and return whichever is now stored
+  function save(userId, bookId, position) {
+    upsertRow.run({ userId, bookId: String(bookId), ...position });
+    return get(userId, bookId);
+  }
+
+  function remove(userId, bookId) {
+    return deleteOne.run(userId, String(bookId)).changes > 0;
+  }
+
+  // Forget a book for every reader (it was purged)
+  function removeBook(bookId) {
+    return deleteBook.run(String(bookId)).changes;
+  }
+
+  return { get, list, save, remove, removeBook };
+}
+
+module.exports = { createReadingProgress, parsePosition };
@@ -0,0 +1,225 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { createLocalDriver } = require('../storage/localDriver');
+
+// Resumable uploads for files too large to send in one request. A client
+// creates a session, sends the file in fixed-size chunks (each one tagged with
+// the byte offset it starts at), then completes it:
+//
+//   create -> chunk, chunk, ... -> complete -> attach (to a book)
+//
+// Chunks go straight to the driver's multipart API when it has one (b2,
+// local); otherwise they are staged on local disk and stored with put() on
+// completion. Sessions live in the uploads table, so after a dropped
+// connection or a restart the client asks for `receivedBytes` and carries on
+// from there.
+//
+// Session shape:
+//   { id, status: 'uploading' | 'complete', key, provider, mode: 'multipart' | 'staged',
+//     fileName, contentType, size, chunkSize, receivedBytes, state, owner,
+//     bookId, kind, partNumber, result, createdAt, updatedAt }
+
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024;
+const MIN_CHUNK_SIZE = 256 * 1024;
+const DEFAULT_MAX_SIZE = 1024 * 1024 * 1024;
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function uploadError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+function createUploadManager({
+  repo,
+  storage,
+  chunkSize: chunkSizeSetting = DEFAULT_CHUNK_SIZE,
+  maxSize = DEFAULT_MAX_SIZE,
+  maxAgeMs = DEFAULT_MAX_AGE_MS,
+  stagingDir = path.join(os.tmpdir(), 'bookstore-uploads')
+}) {
+  // Settings are given in MB; offsets and the client's file.slice() need a
+  // whole number of bytes, and tiny chunks would mean a request per few bytes
+  const chunkSize = Math.max(Math.floor(chunkSizeSetting), MIN_CHUNK_SIZE);
+  const staging = createLocalDriver({ rootDir: stagingDir });
+  // Sessions with a chunk or completion in flight; a second request for the
+  // same session is turned away instead of racing it
+  const busy = new Set();
+
+  function load(id) {
+    const session = repo.get(id);
+    if (!session) throw uploadError(404, 'Upload not found');
+    return session;
+  }
+
+  function save(session, changes) {
+    return repo.update(session.id, { ...changes, updatedAt: new Date().toISOString() });
+  }
+
+  // The driver the chunks are written to for this session
+  function target(session) {
+    return session.mode === 'multipart' ? storage.driver(session.provider) : staging;
+  }
+
+  async function exclusive(id, fn) {
+    if (busy.has(id)) throw uploadError(409, 'Another request is already writing to this upload');
+    busy.add(id);
+    try {
+      return await fn();
+    } finally {
+      busy.delete(id);
+    }
+  }
+
+  // Start a session for a `size`-byte object stored at `key` on `driver`
+  async function create({ driver, key, fileName, size, contentType, owner, bookId, kind, partNumber }) {
+    const total = Number(size);
+    if (!Number.isSafeInteger(total) || total <= 0) throw uploadError(400, 'size must be a positive number of bytes');
+    if (total > maxSize) {
+      throw uploadError(413, `File is larger than the ${Math.round(maxSize / 1024 / 1024)} MB upload limit`);
+    }
+
+    const sessionChunkSize = Math.max(chunkSize, driver.minPartSize || 0);
+    // Multipart needs at least two parts on B2, so single-chunk files are staged
+    const mode = driver.startMultipart && total > sessionChunkSize ? 'multipart' : 'staged';
+    const id = `upload_${crypto.randomBytes(12).toString('hex')}`;
+    const state = mode === 'multipart'
+      ? await driver.startMultipart(key, { contentType })
+      : await staging.startMultipart(id);
+
+    const now = new Date().toISOString();
+    return repo.insert({
+      id,
+      status: 'uploading',
+      key,
+      provider: driver.name,
+      mode,
+      fileName: fileName || null,
+      contentType: contentType || 'application/octet-stream',
+      size: total,
+      chunkSize: sessionChunkSize,
+      receivedBytes: 0,
+      state,
+      owner: owner || null,
+      bookId: bookId || null,
+      kind: kind || null,
+      partNumber: partNumber || null,
+      result: null,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  function get(id) {
+    return repo.get(id);
+  }
+
+  // Store `data` starting at byte `offset`. Every chunk but the last must be
+  // exactly chunkSize bytes; a 409 carries the offset the server expects next.
+  function appendChunk(id, offset, data) {
+    return exclusive(id, async () => {
+      const session = load(id);
+      if (session.status !== 'uploading') throw uploadError(409, 'Upload is already complete');
+      if (Number(offset) !== session.receivedBytes) {
+        throw uploadError(409, `Expected offset ${session.receivedBytes}`, { receivedBytes: session.receivedBytes });
+      }
+      const length = data ? data.length : 0;
+      const end = session.receivedBytes + length;
+      if (length === 0) throw uploadError(400, 'Chunk is empty');
+      if (end > session.size) throw uploadError(400, 'Chunk runs past the declared file size');
+      if (length !== session.chunkSize && end !== session.size) {
+        throw uploadError(400, `Chunks must be ${session.chunkSize} bytes, except the last`);
+      }
+
+      const partNumber = Math.floor(session.receivedBytes / session.chunkSize) + 1;
+      const state = await target(session).uploadPart(session.state, partNumber, data);
+      return save(session, { state, receivedBytes: end });
+    });
+  }
+
+  function complete(id) {
+    return exclusive(id, async () => {
+      const session = load(id);
+      if (session.status === 'complete') return session;
+      if (session.receivedBytes !== session.size) {
+        throw uploadError(409, `Upload is incomplete (${session.receivedBytes} of ${session.size} bytes)`, {
+          receivedBytes: session.receivedBytes
+        });
+      }
+
+      let result;
+      if (session.mode === 'multipart') {
+        result = await storage.driver(session.provider).completeMultipart(session.state);
+      } else {
+        const staged = await staging.completeMultipart(session.state);
+        const data = await staging.get(staged.key);
+        result = await storage.driver(session.provider).put(session.key, data, { contentType: session.contentType });
+        await staging.delete(staged.key);
+      }
+      return save(session, { status: 'complete', state: null, result: { key: result.key || session.key, size: session.size } });
+    });
+  }
+
+  // Drop a session and whatever it has stored so far
+  function abort(id) {
+    return exclusive(id, async () => {
+      const session = load(id);
+      if (session.status === 'complete') {
+        await storage.driver(session.provider).delete(session.result.key);
+      } else if (session.state) {
+        await target(session).abortMultipart(session.state);
+      }
+      repo.remove(id);
+      return session;
+    });
+  }
+
+  // Hand a completed upload over to the record that now references its
+  // object; the session is forgotten, the object is kept
+  function attach(id) {
+    const session = load(id);
+    if (session.status !== 'complete') throw uploadError(409, 'Upload is not complete yet');
+    repo.remove(id);
+    return session;
+  }
+
+  // Abort sessions nobody has touched for maxAgeMs, including completed
+  // uploads that were never attached. Returns the number removed.
+  async function sweep(now = Date.now()) {
+    let removed = 0;
+    for (const session of repo.list()) {
+      if (now - Date.parse(session.updatedAt) < maxAgeMs) continue;
+      try {
+        await abort(session.id);
+        removed += 1;
+      } catch (error) {
+        console.warn(`⚠️  Failed to clean up upload ${session.id}:`, error.message || error);
+      }
+    }
+    return removed;
+  }
+
+  return { create, get, appendChunk, complete, abort, attach, sweep, chunkSize, maxSize };
+}
+
+// The part of a session a client needs to resume it
+function toUploadSummary(session) {
+  return {
+    id: session.id,
+    status: session.status,
+    fileName: session.fileName,
+    size: session.size,
+    chunkSize: session.chunkSize,
+    receivedBytes: session.receivedBytes,
+    bookId: session.bookId,
+    kind: session.kind,
+    partNumber: session.partNumber,
+    key: session.result ? session.result.key : null,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt
+  };
+}
+
+module.exports = { createUploadManager, toUploadSummary };
@@ -0,0 +1,254 @@
+const { normalizeMyanmar, tokenize } = require('../text/myanmar');
+
+// In-memory inverted index over the book catalog. Fields are normalized
+// (Zawgyi -> Unicode), split into Burmese syllables / Latin words, and each
+// term points at the books and fields it appears in. Books are re-indexed one
+// at a time as they change; section keyword changes trigger a full rebuild.
+
+const FIELD_WEIGHTS = {
+  title: 5,
+  author: 4,
+  category: 2,
+  keywords: 2,
+  description: 1
+};
+
+const SNIPPET_RADIUS = 80;
+
+function normalizeCategory(value) {
+  return normalizeMyanmar(String(value || '')).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Section keywords apply to a book when its category contains one of them
+// (same rule the home page uses to group books into sections)
+function sectionKeywordsFor(book, sections) {
+  const category = normalizeCategory(book.category);
+  if (!category) return [];
+  const words = [];
+  for (const section of sections) {
+    const keywords = Array.isArray(section.keywords) ? section.keywords : [];
+    const matches =
+      normalizeCategory(section.route) === category ||
+      keywords.some((k) => k && category.includes(normalizeCategory(k)));
+    if (matches) {
+      words.push(section.title, ...keywords);
+    }
+  }
+  return words.filter(Boolean);
+}
+
+// Split `text` into [{ text, match }] segments around the token offsets in `hits`
+function toSegments(text, hits) {
+  const segments = [];
+  let cursor = 0;
+  for (const hit of hits) {
+    if (hit.start < cursor) continue;
+    if (hit.start > cursor) segments.push({ text: text.slice(cursor, hit.start), match: false });
+    segments.push({ text: text.slice(hit.start, hit.end), match: true });
+    cursor = hit.end;
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor), match: false });
+  return segments;
+}
+
+function createSearchIndex() {
+  const docs = new Map(); // bookId -> { book, fields: { name: { text, tokens } } }
+  const postings = new Map(); // term -> Map(bookId -> { field: count })
+  let sortedTerms = null;
+  let sections = [];
+
+  function removeDoc(id) {
+    const doc = docs.get(id);
+    if (!doc) return;
+    for (const field of Object.values(doc.fields)) {
+      for (const { token } of field.tokens) {
+        const posting = postings.get(token);
+        if (!posting) continue;
+        posting.delete(id);
+        if (posting.size === 0) {
+          postings.delete(token);
+          sortedTerms = null;
+        }
+      }
+    }
+    docs.delete(id);
+  }
+
+  function addDoc(book) {
+    if (!book || !book.id) return;
+    removeDoc(book.id);
+
+    const fields = {
+      title: normalizeMyanmar(book.title || ''),
+      author: normalizeMyanmar(book.author || ''),
+      category: normalizeMyanmar(book.category || ''),
+      keywords: normalizeMyanmar(sectionKeywordsFor(book, sections).join(' , ')),
+      description: normalizeMyanmar(book.description || '')
+    };
+
+    const doc = { book, fields: {} };
+    for (const [name, text] of Object.entries(fields)) {
+      const tokens = tokenize(text);
+      doc.fields[name] = { text, tokens };
+      for (const { token } of tokens) {
+        let posting = postings.get(token);
+        if (!posting) {
+          posting = new Map();
+          postings.set(token, posting);
+          sortedTerms = null;
+        }
+        const counts = posting.get(book.id) || {};
+        counts[name] = (counts[name] || 0) + 1;
+        posting.set(book.id, counts);
+      }
+    }
+    docs.set(book.id, doc);
+  }
+
+  // Terms equal to `token`, plus (for the last query token) terms that start
+  // with it so results show up while the user is still typing
+  function expandToken(token, allowPrefix) {
+    const matches = postings.has(token) ? [{ term: token, exact: true }] : [];
+    if (!allowPrefix) return matches;
+
+    if (!sortedTerms) sortedTerms = [...postings.keys()].sort();
+    let lo = 0;
+    let hi = sortedTerms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sortedTerms[mid] < token) lo = mid + 1;
+      else hi = mid;
+    }
+    for (let i = lo; i < sortedTerms.length && sortedTerms[i].startsWith(token); i += 1) {
+      if (sortedTerms[i] !== token) matches.push({ term: sortedTerms[i], exact: false });
+    }
+    return matches;
+  }
+
+  function scoreQuery(queryTokens, filter) {
+    const totalDocs = docs.size || 1;
+    const scores = new Map(); // bookId -> { score, matched: Set(queryIndex), terms: Set }
+
+    queryTokens.forEach((token, index) => {
+      const expansions = expandToken(token, index === queryTokens.length - 1);
+      for (const { term, exact } of expansions) {
+        const posting = postings.get(term);
+        const idf = Math.log(1 + totalDocs / posting.size);
+        for (const [id, counts] of posting) {
+          if (filter && !filter(docs.get(id).book)) continue;
+          let entry = scores.get(id);
+          if (!entry) {
+            entry = { score: 0, matched: new Set(), terms: new Set() };
+            scores.set(id, entry);
+          }
+          for (const [field, count] of Object.entries(counts)) {
+            entry.score += idf * FIELD_WEIGHTS[field] * (1 + Math.log(count)) * (exact ? 1 : 0.5);
+          }
+          entry.matched.add(index);
+          entry.terms.add(term);
+        }
+      }
+    });
+
+    return scores;
+  }
+
+  function highlight(doc, terms) {
+    const fieldHits = (name) => doc.fields[name].tokens.filter((t) => terms.has(t.token));
+
+    const description = doc.fields.description;
+    const descriptionHits = fieldHits('description');
+    let snippet = description.text;
+    let offset = 0;
+    if (snippet.length > SNIPPET_RADIUS * 2) {
+      const center = descriptionHits.length > 0 ? descriptionHits[0].start : 0;
+      offset = Math.max(0, center - SNIPPET_RADIUS);
+      snippet = description.text.slice(offset, offset + SNIPPET_RADIUS * 2);
+    }
+    const snippetHits = descriptionHits
+      .filter((t) => t.start >= offset && t.end <= offset + snippet.length)
+      .map((t) => ({ start: t.start - offset, end: t.end - offset }));
+    const segments = toSegments(snippet, snippetHits);
+    if (offset > 0) segments.unshift({ text: '…', match: false });
+    if (offset + snippet.length < description.text.length) segments.push({ text: '…', match: false });
+
+    return {
+      title: toSegments(doc.fields.title.text, fieldHits('title')),
+      author: toSegments(doc.fields.author.text, fieldHits('author')),
+      description: segments
+    };
+  }
+
+  // Returns { query, total, page, limit, totalPages, results: [{ book, score, highlights }] }.
+  // Books must match every query token; if none do, books matching any token are returned.
+  function search(rawQuery, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+    const page = Math.max(parseInt(options.page, 10) || 1, 1);
+    const query = normalizeMyanmar(String(rawQuery || '')).trim();
+    const queryTokens = [...new Set(tokenize(query).map((t) => t.token))];
+
+    if (queryTokens.length === 0) {
+      return { query, total: 0, page, limit, totalPages: 0, results: [] };
+    }
+
+    const scores = scoreQuery(queryTokens, options.filter);
+    let matches = [...scores.entries()].filter(([, entry]) => entry.matched.size === queryTokens.length);
+    if (matches.length === 0) {
+      matches = [...scores.entries()];
+    }
+
+    // Whole-query phrase bonus, strongest when the title contains the query as typed
+    const phrase = query.toLowerCase();
+    const ranked = matches.map(([id, entry]) => {
+      const doc = docs.get(id);
+      let score = entry.score;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        const text = doc.fields[field].text.toLowerCase();
+        if (text === phrase) score += weight * 4;
+        else if (text.includes(phrase)) score += weight * 2;
+      }
+      return { id, score, terms: entry.terms };
+    });
+
+    ranked.sort((a, b) => b.score - a.score || (docs.get(a.id).book.title || '').localeCompare(docs.get(b.id).book.title || ''));
+
+    const start = (page - 1) * limit;
+    const results = ranked.slice(start, start + limit).map(({ id, score, terms }) => {
+      const doc = docs.get(id);
+      return {
+        book: doc.book,
+        score: Math.round(score * 1000) / 1000,
+        highlights: highlight(doc, terms)
+      };
+    });
+
+    return {
+      query,
+      total: ranked.length,
+      page,
+      limit,
+      totalPages: Math.ceil(ranked.length / limit),
+      results
+    };
+  }
+
+  function rebuild(books, nextSections) {
+    if (nextSections) sections = nextSections;
+    docs.clear();
+    postings.clear();
+    sortedTerms = null;
+    for (const book of books) addDoc(book);
+  }
+
+  return {
+    add: addDoc,
+    remove: removeDoc,
+    rebuild,
+    search,
+    get size() {
+      return docs.size;
+    }
+  };
+}
+
+module.exports = { createSearchIndex };
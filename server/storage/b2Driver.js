@@ -0,0 +1,286 @@
+const crypto = require('crypto');
+const B2 = require('backblaze-b2');
+
+// Backblaze B2 storage driver. Objects are addressed by their B2 file name
+// (e.g. `books/<bookId>/parts/part-1.pdf`).
+
+function encodeB2Path(fileName) {
+  return fileName
+    .split('/')
+    .filter(Boolean)
+    .map((segment) => encodeURIComponent(segment))
+    .join('/');
+}
+
+function createB2Driver(options = {}) {
+  const {
+    applicationKeyId,
+    applicationKey,
+    bucketId,
+    bucketName,
+    cdnBaseUrl,
+    urlTtlSeconds = 3600
+  } = options;
+
+  const b2 = new B2({ applicationKeyId, applicationKey });
+
+  let authorized = false;
+  let authData = null;
+
+  async function ensureAuthorized() {
+    if (authorized) return;
+    try {
+      const authResponse = await b2.authorize();
+      if (!authResponse || !authResponse.data) {
+        throw new Error('Failed to authorize with Backblaze B2');
+      }
+      authorized = true;
+      authData = authResponse.data;
+      console.log('✅ B2 authorized successfully');
+    } catch (error) {
+      console.error('B2 Authorization Error:', error.message || error);
+      throw new Error(`B2 authorization failed: ${error.message || 'Check your credentials'}`);
+    }
+  }
+
+  // Run a B2 call, re-authorizing once if the account token has expired
+  async function withAuth(fn) {
+    await ensureAuthorized();
+    try {
+      return await fn();
+    } catch (error) {
+      if (error.response && error.response.status === 401) {
+        console.warn('⚠️  B2 token expired, re-authorizing...');
+        authorized = false;
+        await ensureAuthorized();
+        return fn();
+      }
+      throw error;
+    }
+  }
+
+  function getDownloadBaseUrl() {
+    if (cdnBaseUrl) return cdnBaseUrl.replace(/\/+$/, '');
+    if (authData?.downloadUrl) return authData.downloadUrl;
+    if (bucketId) return `https://f${bucketId}.backblazeb2.com`;
+    return null;
+  }
+
+  async function findFile(key) {
+    const listResp = await withAuth(() => b2.listFileNames({
+      bucketId,
+      startFileName: key,
+      maxFileCount: 1
+    }));
+    return listResp?.data?.files?.find((f) => f.fileName === key) || null;
+  }
+
+  async function put(key, data, putOptions = {}) {
+    try {
+      const uploadUrlResponse = await withAuth(() => b2.getUploadUrl({ bucketId }));
+      if (!uploadUrlResponse || !uploadUrlResponse.data) {
+        throw new Error('Failed to get upload URL from Backblaze B2');
+      }
+
+      const uploadResponse = await b2.uploadFile({
+        uploadUrl: uploadUrlResponse.data.uploadUrl,
+        uploadAuthToken: uploadUrlResponse.data.authorizationToken,
+        fileName: key,
+        data,
+        mime: putOptions.contentType || 'b2/x-auto'
+      });
+
+      if (!uploadResponse || !uploadResponse.data) {
+        throw new Error('Failed to upload file to Backblaze B2');
+      }
+
+      return {
+        key: uploadResponse.data.fileName,
+        size: uploadResponse.data.contentLength,
+        url: null
+      };
+    } catch (error) {
+      authorized = false;
+      console.error('B2 Upload Error:', error.message || error);
+      throw new Error(`Backblaze upload failed: ${error.message || 'Unknown error'}`);
+    }
+  }
+
+  async function stream(key, streamOptions = {}) {
+    if (!bucketName) {
+      throw new Error('B2_BUCKET_NAME is not defined in environment variables');
+    }
+    const headers = {};
+    if (streamOptions.range) headers.Range = streamOptions.range;
+
+    try {
+      const response = await withAuth(() => b2.downloadFileByName({
+        bucketName,
+        fileName: key,
+        responseType: 'stream',
+        axios: { headers }
+      }));
+      const fileId = response.headers['x-bz-file-id'];
+      const uploadedAt = Number(response.headers['x-bz-upload-timestamp']);
+      return {
+        status: response.status,
+        stream: response.data,
+        contentType: response.headers['content-type'] || null,
+        contentLength: response.headers['content-length'] ? Number(response.headers['content-length']) : null,
+        contentRange: response.headers['content-range'] || null,
+        // B2's native API sends no ETag; every upload gets a new file id
+        etag: response.headers['etag'] || (fileId ? `"${fileId}"` : null),
+        lastModified: response.headers['last-modified'] || (uploadedAt ? new Date(uploadedAt).toUTCString() : null)
+      };
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      if (error.response && error.response.status === 416) {
+        const contentRange = error.response.headers['content-range'] || null;
+        return { status: 416, stream: null, contentLength: 0, contentRange };
+      }
+      throw error;
+    }
+  }
+
+  async function get(key) {
+    try {
+      const response = await withAuth(() => b2.downloadFileByName({
+        bucketName,
+        fileName: key,
+        responseType: 'arraybuffer'
+      }));
+      return response?.data ? Buffer.from(response.data) : null;
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    const file = await findFile(key);
+    if (!file) return false;
+    await withAuth(() => b2.deleteFileVersion({ fileId: file.fileId, fileName: file.fileName }));
+    console.log('🗑️  Deleted from B2:', file.fileName);
+    return true;
+  }
+
+  async function signedUrl(key, urlOptions = {}) {
+    if (!key || !bucketName) return null;
+
+    const auth = await withAuth(() => b2.getDownloadAuthorization({
+      bucketId,
+      fileNamePrefix: encodeB2Path(key),
+      validDurationInSeconds: urlOptions.ttlSeconds || urlTtlSeconds,
+      ...(urlOptions.contentDisposition ? { b2ContentDisposition: urlOptions.contentDisposition } : {})
+    }));
+
+    const token = auth?.data?.authorizationToken;
+    const baseUrl = getDownloadBaseUrl();
+    if (!token || !baseUrl) {
+      console.warn('⚠️  Unable to build CDN URL - missing token or base URL');
+      return null;
+    }
+
+    return `${baseUrl}/file/${bucketName}/${encodeB2Path(key)}?Authorization=${encodeURIComponent(token)}`;
+  }
+
+  async function list(prefix = '', listOptions = {}) {
+    const limit = listOptions.limit || Infinity;
+    const files = [];
+    let startFileName = prefix;
+    let done = false;
+    while (!done && files.length < limit) {
+      const resp = await withAuth(() => b2.listFileNames({
+        bucketId,
+        startFileName,
+        maxFileCount: 1000
+      }));
+      const batch = resp?.data?.files || [];
+      for (const f of batch) {
+        if (!f.fileName.startsWith(prefix)) {
+          done = true;
+          break;
+        }
+        files.push({
+          key: f.fileName,
+          size: f.contentLength ?? f.size ?? null,
+          contentType: f.contentType || null,
+          updatedAt: f.uploadTimestamp ? new Date(f.uploadTimestamp).toISOString() : null
+        });
+      }
+      startFileName = resp?.data?.nextFileName || '';
+      if (!startFileName || !startFileName.startsWith(prefix)) done = true;
+    }
+    return files.slice(0, limit);
+  }
+
+  // Large-file API: parts of at least 5 MB (except the last), at least two of
+  // them. The state only holds the file id and part hashes, so it can be
+  // persisted between requests.
+  async function startMultipart(key, multipartOptions = {}) {
+    const response = await withAuth(() => b2.startLargeFile({
+      bucketId,
+      fileName: key,
+      contentType: multipartOptions.contentType || 'b2/x-auto'
+    }));
+    return { key, fileId: response.data.fileId, partSha1: [] };
+  }
+
+  async function uploadPart(state, partNumber, data) {
+    const hash = crypto.createHash('sha1').update(data).digest('hex');
+    const urlResponse = await withAuth(() => b2.getUploadPartUrl({ fileId: state.fileId }));
+    await b2.uploadPart({
+      uploadUrl: urlResponse.data.uploadUrl,
+      uploadAuthToken: urlResponse.data.authorizationToken,
+      partNumber,
+      data,
+      hash
+    });
+    const partSha1 = [...state.partSha1];
+    partSha1[partNumber - 1] = hash;
+    return { ...state, partSha1 };
+  }
+
+  async function completeMultipart(state) {
+    const response = await withAuth(() => b2.finishLargeFile({
+      fileId: state.fileId,
+      partSha1Array: state.partSha1
+    }));
+    return { key: response.data.fileName, size: response.data.contentLength, url: null };
+  }
+
+  async function abortMultipart(state) {
+    try {
+      await withAuth(() => b2.cancelLargeFile({ fileId: state.fileId }));
+    } catch (error) {
+      // Already finished or cancelled
+      if (!error.response || (error.response.status !== 400 && error.response.status !== 404)) throw error;
+    }
+  }
+
+  async function ping() {
+    await ensureAuthorized();
+    await b2.listFileNames({ bucketId, startFileName: '', maxFileCount: 1 });
+    return true;
+  }
+
+  return {
+    name: 'b2',
+    isRemote: true,
+    put,
+    get,
+    stream,
+    delete: remove,
+    signedUrl,
+    list,
+    ping,
+    startMultipart,
+    uploadPart,
+    completeMultipart,
+    abortMultipart,
+    minPartSize: 5 * 1024 * 1024,
+    ensureAuthorized
+  };
+}
+
+module.exports = { createB2Driver, encodeB2Path };
@@ -0,0 +1,222 @@
+const cloudinary = require('cloudinary').v2;
+const axios = require('axios');
+const path = require('path');
+
+// Cloudinary storage driver. Keys are paths relative to the configured root
+// folder; images keep their public_id without extension, everything else is
+// stored as a `raw` resource with the extension kept.
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp', '.avif', '.svg']);
+
+function toContextValue(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\|/g, ' ');
+}
+
+function createCloudinaryDriver(options = {}) {
+  const folder = (options.folder || 'bookstore').replace(/\/+$/, '');
+
+  cloudinary.config({
+    cloud_name: options.cloudName,
+    api_key: options.apiKey,
+    api_secret: options.apiSecret
+  });
+
+  // Cloudinary rejects signed uploads when the local clock drifts, so keep an
+  // offset against a reliable time source and sign with the corrected time.
+  let timeOffset = 0;
+  async function syncTime() {
+    try {
+      const response = await axios.head('https://www.google.com');
+      if (response.headers.date) {
+        const serverDate = new Date(response.headers.date);
+        timeOffset = serverDate.getTime() - Date.now();
+        console.log(`⏱️  Time sync: Local clock is ${timeOffset > 0 ? 'behind' : 'ahead'} by ${Math.abs(timeOffset) / 1000}s`);
+      }
+    } catch (error) {
+      console.warn('⚠️  Time sync failed, using local time:', error.message);
+    }
+  }
+  syncTime();
+
+  function resourceTypeFor(key) {
+    return IMAGE_EXTENSIONS.has(path.extname(key).toLowerCase()) ? 'image' : 'raw';
+  }
+
+  function publicIdFor(key) {
+    const resourceType = resourceTypeFor(key);
+    const withoutExt = resourceType === 'image' ? key.replace(/\.[^./]+$/, '') : key;
+    return `${folder}/${withoutExt}`;
+  }
+
+  function keyFor(resource) {
+    const relative = resource.public_id.startsWith(`${folder}/`)
+      ? resource.public_id.substring(folder.length + 1)
+      : resource.public_id;
+    if (resource.resource_type === 'image' && resource.format) {
+      return `${relative}.${resource.format}`;
+    }
+    return relative;
+  }
+
+  function deliveryUrl(key) {
+    return cloudinary.url(publicIdFor(key), {
+      secure: true,
+      resource_type: resourceTypeFor(key)
+    });
+  }
+
+  function put(key, data, putOptions = {}) {
+    const resourceType = resourceTypeFor(key);
+    const uploadOptions = {
+      public_id: publicIdFor(key),
+      resource_type: resourceType,
+      overwrite: true,
+      timestamp: Math.floor((Date.now() + timeOffset) / 1000)
+    };
+    if (putOptions.metadata) {
+      uploadOptions.context = {
+        custom: Object.fromEntries(
+          Object.entries(putOptions.metadata).map(([k, v]) => [k, toContextValue(v)])
+        )
+      };
+    }
+    if (resourceType === 'image' && putOptions.format) {
+      uploadOptions.format = putOptions.format;
+    }
+    if (resourceType === 'image' && putOptions.transformation) {
+      uploadOptions.transformation = putOptions.transformation;
+    }
+
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(uploadOptions, (error, result) => {
+        if (error) {
+          console.warn('⚠️  Cloudinary upload failed:', error.message || error);
+          return reject(new Error(`Cloudinary upload failed: ${error.message || 'Unknown error'}`));
+        }
+        if (!result?.secure_url) {
+          return reject(new Error('Cloudinary upload returned no URL'));
+        }
+        resolve({
+          key: keyFor(result),
+          size: result.bytes || null,
+          url: result.secure_url
+        });
+      });
+      uploadStream.end(data);
+    });
+  }
+
+  async function stream(key, streamOptions = {}) {
+    const headers = {};
+    if (streamOptions.range) headers.Range = streamOptions.range;
+    try {
+      const response = await axios({
+        method: 'GET',
+        url: deliveryUrl(key),
+        responseType: 'stream',
+        headers,
+        validateStatus: (s) => s >= 200 && s < 300
+      });
+      return {
+        status: response.status,
+        stream: response.data,
+        contentType: response.headers['content-type'] || null,
+        contentLength: response.headers['content-length'] ? Number(response.headers['content-length']) : null,
+        contentRange: response.headers['content-range'] || null,
+        etag: response.headers['etag'] || null,
+        lastModified: response.headers['last-modified'] || null
+      };
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      if (error.response && error.response.status === 416) {
+        const contentRange = error.response.headers['content-range'] || null;
+        return { status: 416, stream: null, contentLength: 0, contentRange };
+      }
+      throw error;
+    }
+  }
+
+  async function get(key) {
+    try {
+      const response = await axios.get(deliveryUrl(key), { responseType: 'arraybuffer' });
+      return Buffer.from(response.data);
+    } catch (error) {
+      if (error.response && error.response.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async function remove(key) {
+    const result = await cloudinary.uploader.destroy(publicIdFor(key), {
+      resource_type: resourceTypeFor(key),
+      invalidate: true
+    });
+    return result?.result === 'ok';
+  }
+
+  async function signedUrl(key) {
+    if (!key) return null;
+    return deliveryUrl(key);
+  }
+
+  async function setMetadata(key, metadata) {
+    const context = Object.entries(metadata)
+      .map(([k, v]) => `${k}=${toContextValue(v)}`)
+      .join('|');
+    await cloudinary.uploader.explicit(publicIdFor(key), {
+      type: 'upload',
+      resource_type: resourceTypeFor(key),
+      context
+    });
+  }
+
+  async function list(prefix = '', listOptions = {}) {
+    const limit = listOptions.limit || 500;
+    const results = [];
+    for (const resourceType of ['image', 'raw']) {
+      let nextCursor;
+      do {
+        const resp = await cloudinary.api.resources({
+          type: 'upload',
+          resource_type: resourceType,
+          prefix: `${folder}/${prefix}`,
+          max_results: Math.min(500, limit),
+          context: true,
+          ...(nextCursor ? { next_cursor: nextCursor } : {})
+        });
+        for (const r of resp?.resources || []) {
+          results.push({
+            key: keyFor(r),
+            size: r.bytes || null,
+            url: r.secure_url,
+            metadata: r.context?.custom || {},
+            updatedAt: r.created_at || null
+          });
+        }
+        nextCursor = resp?.next_cursor;
+      } while (nextCursor && results.length < limit);
+    }
+    return results.slice(0, limit);
+  }
+
+  async function ping() {
+    await cloudinary.api.ping();
+    return true;
+  }
+
+  return {
+    name: 'cloudinary',
+    isRemote: true,
+    put,
+    get,
+    stream,
+    delete: remove,
+    signedUrl,
+    setMetadata,
+    list,
+    ping
+  };
+}
+
+module.exports = { createCloudinaryDriver };
@@ -0,0 +1,122 @@
+const path = require('path');
+const { createB2Driver } = require('./b2Driver');
+const { createCloudinaryDriver } = require('./cloudinaryDriver');
+const { createLocalDriver } = require('./localDriver');
+
+// Storage layer. Every driver exposes the same interface:
+//   put(key, data, { contentType, metadata, format, transformation }) -> { key, size, url }
+//   get(key) -> Buffer | null
+//   stream(key, { range }) -> { status, stream, contentType, contentLength, contentRange, etag, lastModified } | null
+//     (status 206 for a range, 416 with no stream when it is unsatisfiable;
+//     etag/lastModified identify the stored version - see serveFile.js)
+//   delete(key) -> boolean
+//   signedUrl(key, { ttlSeconds, contentDisposition }) -> string | null
+//   list(prefix, { limit }) -> [{ key, size, updatedAt, url?, metadata? }]
+//   ping() -> true (throws when the backend is unreachable)
+//
+// Drivers that can assemble an object from parts (b2, local) also expose
+// multipart uploads. `state` is plain JSON that callers persist between parts;
+// parts are numbered from 1 and all but the last are at least `minPartSize`:
+//   startMultipart(key, { contentType }) -> state
+//   uploadPart(state, partNumber, data) -> state
+//   completeMultipart(state) -> { key, size, url }
+//   abortMultipart(state)
+//
+// Two roles are configured independently:
+//   files  - PDFs, EPUBs and data snapshots (STORAGE_DRIVER)
+//   images - covers and blog images (IMAGE_STORAGE_DRIVER)
+// When unset, B2 is used for files and Cloudinary for images if their
+// credentials exist; otherwise everything falls back to local disk.
+
+const DRIVER_ALIASES = {
+  b2: 'b2',
+  backblaze: 'b2',
+  cloudinary: 'cloudinary',
+  local: 'local',
+  disk: 'local'
+};
+
+function hasB2Config(env) {
+  return Boolean(env.B2_APPLICATION_KEY_ID && env.B2_APPLICATION_KEY && env.B2_BUCKET_ID);
+}
+
+function hasCloudinaryConfig(env) {
+  return Boolean(env.CLOUDINARY_CLOUD_NAME && env.CLOUDINARY_API_KEY && env.CLOUDINARY_API_SECRET);
+}
+
+function normalizeDriverName(name) {
+  if (!name) return null;
+  const normalized = DRIVER_ALIASES[String(name).trim().toLowerCase()];
+  if (!normalized) {
+    throw new Error(`Unknown storage driver "${name}" (expected b2, cloudinary or local)`);
+  }
+  return normalized;
+}
+
+function createStorage(env = process.env) {
+  const instances = new Map();
+
+  function driver(name) {
+    const normalized = normalizeDriverName(name);
+    if (!normalized) return null;
+    if (instances.has(normalized)) return instances.get(normalized);
+
+    let instance = null;
+    if (normalized === 'b2') {
+      if (!hasB2Config(env)) {
+        throw new Error('Backblaze B2 credentials are not configured.');
+      }
+      instance = createB2Driver({
+        applicationKeyId: env.B2_APPLICATION_KEY_ID,
+        applicationKey: env.B2_APPLICATION_KEY,
+        bucketId: env.B2_BUCKET_ID,
+        bucketName: env.B2_BUCKET_NAME,
+        cdnBaseUrl: env.B2_CDN_BASE_URL,
+        urlTtlSeconds: parseInt(env.CDN_URL_TTL_SECONDS || '3600', 10)
+      });
+    } else if (normalized === 'cloudinary') {
+      if (!hasCloudinaryConfig(env)) {
+        throw new Error('Cloudinary credentials are not configured.');
+      }
+      instance = createCloudinaryDriver({
+        cloudName: env.CLOUDINARY_CLOUD_NAME,
+        apiKey: env.CLOUDINARY_API_KEY,
+        apiSecret: env.CLOUDINARY_API_SECRET,
+        folder: env.CLOUDINARY_FOLDER || 'bookstore'
+      });
+    } else {
+      instance = createLocalDriver({
+        rootDir: env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'),
+        publicPath: '/uploads'
+      });
+    }
+
+    instances.set(normalized, instance);
+    return instance;
+  }
+
+  // Resolve the driver for a record's `storage.*.provider` value, falling back
+  // to the active driver for legacy records that predate the field.
+  function driverFor(provider, fallback) {
+    if (!provider || provider === 'none') return fallback;
+    try {
+      return driver(provider);
+    } catch (error) {
+      console.warn(`⚠️  Storage driver "${provider}" unavailable:`, error.message);
+      return null;
+    }
+  }
+
+  const filesName = normalizeDriverName(env.STORAGE_DRIVER) || (hasB2Config(env) ? 'b2' : 'local');
+  const imagesName =
+    normalizeDriverName(env.IMAGE_STORAGE_DRIVER) || (hasCloudinaryConfig(env) ? 'cloudinary' : filesName);
+
+  return {
+    files: driver(filesName),
+    images: driver(imagesName),
+    driver,
+    driverFor
+  };
+}
+
+module.exports = { createStorage, hasB2Config, hasCloudinaryConfig };
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+
+// Local-disk storage driver. Keys map to paths under `rootDir`, which is also
+// served by Express at `publicPath`, so signed URLs are plain static paths.
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.epub': 'application/epub+zip',
+  '.json': 'application/json',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.zip': 'application/zip'
+};
+
+function guessContentType(key) {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+}
+
+// Parse a single `bytes=start-end` range against a known size
+function parseRange(rangeHeader, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(rangeHeader || '').trim());
+  if (!match) return null;
+  let start = match[1] === '' ? null : Number(match[1]);
+  let end = match[2] === '' ? null : Number(match[2]);
+  if (start === null && end === null) return null;
+  if (start === null) {
+    start = Math.max(size - end, 0);
+    end = size - 1;
+  } else if (end === null || end >= size) {
+    end = size - 1;
+  }
+  if (start > end || start >= size) return { unsatisfiable: true };
+  return { start, end };
+}
+
+function createLocalDriver(options = {}) {
+  const rootDir = path.resolve(options.rootDir || path.join(__dirname, '..', 'uploads'));
+  const publicPath = (options.publicPath || '/uploads').replace(/\/+$/, '');
+
+  function resolveKey(key) {
+    const resolved = path.resolve(rootDir, String(key || '').replace(/^\/+/, ''));
+    if (resolved !== rootDir && !resolved.startsWith(rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  }
+
+  async function statOrNull(filePath) {
+    try {
+      const stat = await fsp.stat(filePath);
+      return stat.isFile() ? stat : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async function put(key, data) {
+    const filePath = resolveKey(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    // Write to a temp file first so readers never see a half-written object
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fsp.writeFile(tmpPath, data);
+    await fsp.rename(tmpPath, filePath);
+    return {
+      key,
+      size: Buffer.isBuffer(data) ? data.length : Buffer.byteLength(data),
+      url: `${publicPath}/${key.split('/').map(encodeURIComponent).join('/')}`
+    };
+  }
+
+  async function get(key) {
+    try {
+      return await fsp.readFile(resolveKey(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function stream(key, streamOptions = {}) {
+    const filePath = resolveKey(key);
+    const stat = await statOrNull(filePath);
+    if (!stat) return null;
+
+    const base = {
+      contentType: guessContentType(key),
+      etag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+      lastModified: stat.mtime.toUTCString()
+    };
+
+    const range = streamOptions.range ? parseRange(streamOptions.range, stat.size) : null;
+    if (range && range.unsatisfiable) {
+      return { ...base, status: 416, stream: null, contentLength: 0, contentRange: `bytes */${stat.size}` };
+    }
+    if (range) {
+      return {
+        ...base,
+        status: 206,
+        stream: fs.createReadStream(filePath, { start: range.start, end: range.end }),
+        contentLength: range.end - range.start + 1,
+        contentRange: `bytes ${range.start}-${range.end}/${stat.size}`
+      };
+    }
+    return {
+      ...base,
+      status: 200,
+      stream: fs.createReadStream(filePath),
+      contentLength: stat.size,
+      contentRange: null
+    };
+  }
+
+  async function remove(key) {
+    try {
+      await fsp.unlink(resolveKey(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async function signedUrl(key) {
+    if (!key) return null;
+    const stat = await statOrNull(resolveKey(key));
+    if (!stat) return null;
+    return `${publicPath}/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  async function list(prefix = '', listOptions = {}) {
+    const limit = listOptions.limit || Infinity;
+    const results = [];
+
+    async function walk(dir, relDir) {
+      let entries;
+      try {
+        entries = await fsp.readdir(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+      for (const entry of entries) {
+        if (results.length >= limit) return;
+        const relKey = relDir ? `${relDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+          if (prefix.startsWith(`${relKey}/`) || relKey.startsWith(prefix) || `${relKey}/`.startsWith(prefix)) {
+            await walk(path.join(dir, entry.name), relKey);
+          }
+        } else if (entry.isFile() && relKey.startsWith(prefix) && !relKey.endsWith('.tmp')) {
+          const stat = await fsp.stat(path.join(dir, entry.name));
+          results.push({
+            key: relKey,
+            size: stat.size,
+            contentType: guessContentType(relKey),
+            updatedAt: stat.mtime.toISOString()
+          });
+        }
+      }
+    }
+
+    await walk(rootDir, '');
+    return results;
+  }
+
+  // Multipart uploads are appended to a temp file next to the final object
+  // and renamed into place when complete
+  async function startMultipart(key) {
+    const filePath = resolveKey(key);
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpKey = `${key}.${crypto.randomBytes(6).toString('hex')}.upload.tmp`;
+    await fsp.writeFile(resolveKey(tmpKey), Buffer.alloc(0));
+    return { key, tmpKey, size: 0 };
+  }
+
+  // Each part is written at the end of what was acknowledged so far, so a part
+  // retried after a dropped request overwrites its half-written copy
+  async function uploadPart(state, partNumber, data) {
+    const handle = await fsp.open(resolveKey(state.tmpKey), 'r+');
+    try {
+      await handle.write(data, 0, data.length, state.size);
+      await handle.truncate(state.size + data.length);
+    } finally {
+      await handle.close();
+    }
+    return { ...state, size: state.size + data.length };
+  }
+
+  async function completeMultipart(state) {
+    await fsp.rename(resolveKey(state.tmpKey), resolveKey(state.key));
+    return {
+      key: state.key,
+      size: state.size,
+      url: `${publicPath}/${state.key.split('/').map(encodeURIComponent).join('/')}`
+    };
+  }
+
+  async function abortMultipart(state) {
+    try {
+      await fsp.unlink(resolveKey(state.tmpKey));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async function ping() {
+    await fsp.mkdir(rootDir, { recursive: true });
+    await fsp.access(rootDir, fs.constants.W_OK);
+    return true;
+  }
+
+  return {
+    name: 'local',
+    isRemote: false,
+    rootDir,
+    put,
+    get,
+    stream,
+    delete: remove,
+    signedUrl,
+    list,
+    ping,
+    startMultipart,
+    uploadPart,
+    completeMultipart,
+    abortMultipart,
+    minPartSize: 1
+  };
+}
+
+module.exports = { createLocalDriver, guessContentType, parseRange };
@@ -0,0 +1,114 @@
+// Serve a stored object over HTTP with byte ranges and conditional GETs, so
+// pdf.js can load a PDF a range at a time and a revisit gets a 304 instead of
+// the whole file again.
+//
+// Every driver's stream() reports the object's ETag and Last-Modified (see
+// index.js); the conditions are checked here against those, so they behave
+// the same on every backend.
+
+// Let pdf.js on another origin read what it needs to make range requests
+const EXPOSED_HEADERS = 'Accept-Ranges, Content-Length, Content-Range, ETag, Last-Modified';
+
+// Clients may keep a copy but must check it is current before using it
+const DEFAULT_CACHE_CONTROL = 'public, no-cache';
+
+const opaqueTag = (tag) => tag.trim().replace(/^W\//, '');
+
+// If-None-Match: weak comparison against a list of tags, or `*`
+function etagMatches(header, etag) {
+  if (!etag) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').some((tag) => opaqueTag(tag) === opaqueTag(etag));
+}
+
+function unmodifiedSince(header, lastModified) {
+  const since = Date.parse(header);
+  const modified = Date.parse(lastModified);
+  return !Number.isNaN(since) && !Number.isNaN(modified) && modified <= since;
+}
+
+// If-None-Match takes precedence over If-Modified-Since
+function isNotModified(headers, file) {
+  if (headers['if-none-match']) return etagMatches(headers['if-none-match'], file.etag);
+  if (headers['if-modified-since'] && file.lastModified) {
+    return unmodifiedSince(headers['if-modified-since'], file.lastModified);
+  }
+  return false;
+}
+
+// If-Range: the range is only served while the object is unchanged - strong
+// ETag comparison, or exactly the same Last-Modified date
+function rangeStillValid(ifRange, file) {
+  if (!ifRange) return true;
+  const value = ifRange.trim();
+  if (value.startsWith('"') || value.startsWith('W/')) {
+    return !value.startsWith('W/') && Boolean(file.etag) && !file.etag.startsWith('W/') && value === file.etag;
+  }
+  return Boolean(file.lastModified) && Date.parse(value) === Date.parse(file.lastModified);
+}
+
+function discard(file) {
+  if (file && file.stream) file.stream.destroy();
+}
+
+// Stream `key` from `driver` in answer to `req`. Returns false when the
+// object does not exist (nothing is sent - the caller answers 404).
+// options: { contentType, contentDisposition, cacheControl, label }
+async function sendStoredFile(req, res, driver, key, options = {}) {
+  const { range } = req.headers;
+  let file = await driver.stream(key, { range });
+  if (!file) return false;
+
+  // The object changed since the client started reading it: whole file
+  if (range && !rangeStillValid(req.headers['if-range'], file)) {
+    discard(file);
+    file = await driver.stream(key);
+    if (!file) return false;
+  }
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+  res.setHeader('Cache-Control', options.cacheControl || DEFAULT_CACHE_CONTROL);
+  if (file.etag) res.setHeader('ETag', file.etag);
+  if (file.lastModified) res.setHeader('Last-Modified', file.lastModified);
+
+  if (isNotModified(req.headers, file)) {
+    discard(file);
+    res.removeHeader('Content-Type');
+    res.status(304).end();
+    return true;
+  }
+
+  res.status(file.status || 200);
+  res.setHeader('Content-Type', options.contentType || file.contentType || 'application/octet-stream');
+  if (options.contentDisposition) res.setHeader('Content-Disposition', options.contentDisposition);
+  if (file.contentLength !== null && file.contentLength !== undefined) {
+    res.setHeader('Content-Length', file.contentLength);
+  }
+  if (file.contentRange) res.setHeader('Content-Range', file.contentRange);
+
+  if (!file.stream || req.method === 'HEAD') {
+    discard(file);
+    res.end();
+    return true;
+  }
+
+  const startTime = Date.now();
+  file.stream.on('error', (err) => {
+    console.error('Stream error:', err);
+    // Headers are already sent; the client will see a network error
+    res.destroy(err);
+  });
+  file.stream.on('end', () => {
+    if (options.label) console.log(`✅ Streamed ${options.label} from ${driver.name} in ${Date.now() - startTime}ms`);
+  });
+  // pdf.js drops the full download once it has switched to ranges; stop
+  // reading from the backend too
+  res.on('close', () => {
+    if (!res.writableFinished) file.stream.destroy();
+  });
+  file.stream.pipe(res);
+  return true;
+}
+
+module.exports = { sendStoredFile };
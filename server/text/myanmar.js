@@ -0,0 +1,284 @@
+// Burmese text helpers: Zawgyi detection, Zawgyi -> Unicode conversion and
+// syllable segmentation. Zawgyi is a legacy font encoding that reuses Myanmar
+// code points for different glyphs and stores vowels/medials in visual order,
+// so the same word can arrive as two unrelated code point sequences.
+
+// Code points Zawgyi uses for stacked consonants, kinzi and glyph variants.
+// They are Shan/Mon letters (or unassigned) in Unicode Burmese text.
+const ZAWGYI_ONLY = /[\u105A\u1060-\u1097]/;
+
+const ZAWGYI_PATTERNS = [
+  // Vowel sign E typed before its consonant
+  /(?:^|[^\u1000-\u1021\u103B-\u103E\u1031])\u1031[\u1000-\u1021]/,
+  // Medial RA (Zawgyi 103B) typed before its consonant
+  /(?:^|[^\u1000-\u1021])\u103B[\u1000-\u1021]/,
+  // Zawgyi asat (1039) at the end of a word
+  /\u1039(?:$|[\s\u104A\u104B])/,
+  // Zawgyi U/UU variants
+  /[\u1033\u1034]/
+];
+
+function isZawgyi(text) {
+  if (!text) return false;
+  const value = String(text);
+  if (!/[\u1000-\u109F]/.test(value)) return false;
+  return ZAWGYI_ONLY.test(value) || ZAWGYI_PATTERNS.some((pattern) => pattern.test(value));
+}
+
+// Placeholder for a Zawgyi kinzi glyph until we know which consonant it sits on
+const KINZI = '\uE000';
+
+// Zawgyi code point -> Unicode sequence (before reordering)
+const ZAWGYI_MAP = {
+  '\u1039': '\u103A',
+  '\u103A': '\u103B',
+  '\u103B': '\u103C',
+  '\u103C': '\u103D',
+  '\u103D': '\u103E',
+  '\u1033': '\u102F',
+  '\u1034': '\u1030',
+  '\u103F': '\u1030',
+  '\u105A': '\u102B\u103A',
+  '\u1060': '\u1039\u1000',
+  '\u1061': '\u1039\u1001',
+  '\u1062': '\u1039\u1002',
+  '\u1063': '\u1039\u1003',
+  '\u1064': KINZI,
+  '\u1065': '\u1039\u1005',
+  '\u1066': '\u1039\u1006',
+  '\u1067': '\u1039\u1006',
+  '\u1068': '\u1039\u1007',
+  '\u1069': '\u1039\u1008',
+  '\u106A': '\u1009',
+  '\u106B': '\u100A',
+  '\u106C': '\u1039\u100B',
+  '\u106D': '\u1039\u100C',
+  '\u106E': '\u100D\u1039\u100D',
+  '\u106F': '\u100D\u1039\u100E',
+  '\u1070': '\u1039\u100F',
+  '\u1071': '\u1039\u1010',
+  '\u1072': '\u1039\u1010',
+  '\u1073': '\u1039\u1011',
+  '\u1074': '\u1039\u1011',
+  '\u1075': '\u1039\u1012',
+  '\u1076': '\u1039\u1013',
+  '\u1077': '\u1039\u1014',
+  '\u1078': '\u1039\u1015',
+  '\u1079': '\u1039\u1016',
+  '\u107A': '\u1039\u1017',
+  '\u107B': '\u1039\u1018',
+  '\u107C': '\u1039\u1019',
+  '\u107D': '\u103B',
+  '\u107E': '\u103C',
+  '\u107F': '\u103C',
+  '\u1080': '\u103C',
+  '\u1081': '\u103C',
+  '\u1082': '\u103C',
+  '\u1083': '\u103C',
+  '\u1084': '\u103C',
+  '\u1085': '\u1039\u101C',
+  '\u1086': '\u103F',
+  '\u1087': '\u103E',
+  '\u1088': '\u103E\u102F',
+  '\u1089': '\u103E\u1030',
+  '\u108A': '\u103D\u103E',
+  '\u108B': `${KINZI}\u102D`,
+  '\u108C': `${KINZI}\u102E`,
+  '\u108D': `${KINZI}\u1036`,
+  '\u108E': '\u102D\u1036',
+  '\u108F': '\u1014',
+  '\u1090': '\u101B',
+  '\u1091': '\u100F\u1039\u100D',
+  '\u1092': '\u100B\u1039\u100C',
+  '\u1093': '\u1039\u1018',
+  '\u1094': '\u1037',
+  '\u1095': '\u1037',
+  '\u1096': '\u1039\u1010\u103D',
+  '\u1097': '\u100B\u1039\u100B'
+};
+
+// Unicode storage order of the marks that follow a consonant
+const MARK_ORDER = {
+  '\u103B': 1, // medial YA
+  '\u103C': 2, // medial RA
+  '\u103D': 3, // medial WA
+  '\u103E': 4, // medial HA
+  '\u1031': 5, // vowel E
+  '\u102D': 6, // upper vowels
+  '\u102E': 6,
+  '\u1032': 6,
+  '\u102F': 7, // lower vowels
+  '\u1030': 7,
+  '\u102B': 8, // vowel AA
+  '\u102C': 8,
+  '\u1036': 9, // anusvara
+  '\u1037': 10, // dot below
+  '\u103A': 11, // asat
+  '\u1038': 12 // visarga
+};
+
+const isConsonant = (ch) => ch >= '\u1000' && ch <= '\u1021';
+const isBase = (ch) => (ch >= '\u1000' && ch <= '\u102A') || ch === '\u103F' || ch === '\u104E';
+const isMark = (ch) => Object.prototype.hasOwnProperty.call(MARK_ORDER, ch);
+
+// Put every syllable's marks into Unicode storage order. Handles marks typed
+// before the consonant (Zawgyi E and medial RA), kinzi and stacked consonants.
+function reorderSyllables(text) {
+  const chars = Array.from(text);
+  let out = '';
+  let i = 0;
+
+  while (i < chars.length) {
+    const prefix = [];
+    let j = i;
+    while (j < chars.length && (chars[j] === '\u1031' || chars[j] === '\u103C')) {
+      prefix.push(chars[j]);
+      j += 1;
+    }
+
+    let kinzi = '';
+    if (chars[j] === '\u1004' && chars[j + 1] === '\u103A' && chars[j + 2] === '\u1039' && isConsonant(chars[j + 3])) {
+      kinzi = '\u1004\u103A\u1039';
+      j += 3;
+    }
+
+    if (j >= chars.length || !isBase(chars[j])) {
+      out += prefix.join('') + kinzi + (chars[j] || '');
+      i = j + 1;
+      continue;
+    }
+
+    let base = chars[j];
+    j += 1;
+    const marks = [...prefix];
+    while (j < chars.length) {
+      if (chars[j] === '\u1039' && isConsonant(chars[j + 1])) {
+        base += chars[j] + chars[j + 1];
+        j += 2;
+      } else if (isMark(chars[j])) {
+        marks.push(chars[j]);
+        j += 1;
+      } else {
+        break;
+      }
+    }
+
+    const sorted = marks
+      .sort((a, b) => MARK_ORDER[a] - MARK_ORDER[b])
+      .filter((mark, index, list) => index === 0 || list[index - 1] !== mark);
+    out += kinzi + base + sorted.join('');
+    i = j;
+  }
+
+  return out;
+}
+
+function zawgyiToUnicode(text) {
+  if (!text) return text;
+  let output = Array.from(String(text).replace(/\u200B/g, ''))
+    .map((ch) => (Object.prototype.hasOwnProperty.call(ZAWGYI_MAP, ch) ? ZAWGYI_MAP[ch] : ch))
+    .join('');
+
+  // Zawgyi draws kinzi after the consonant it stacks on
+  output = output.replace(/([\u1000-\u1021])\uE000/g, '\u1004\u103A\u1039$1');
+  output = output.replace(/\uE000/g, '');
+  // Digit zero / four typed in place of letter WA / the LAGAUNG symbol
+  output = output.replace(/\u1040(?=[\u102B-\u103E])/g, '\u101D');
+  output = output.replace(/\u1031\u1040/g, '\u1031\u101D');
+  output = output.replace(/\u1044(?=\u1004\u103A\u1038)/g, '\u104E');
+  output = output.replace(/\u1025\u102E/g, '\u1026');
+
+  return reorderSyllables(output);
+}
+
+// Convert Zawgyi to Unicode when detected, then canonicalize: NFC, no zero-width
+// characters, and dot-below before asat as Unicode 5.1 specifies.
+function normalizeMyanmar(text) {
+  if (text === null || text === undefined) return text;
+  let value = String(text);
+  if (isZawgyi(value)) {
+    value = zawgyiToUnicode(value);
+  }
+  return value
+    .normalize('NFC')
+    .replace(/[\u200B-\u200D\uFEFF]/g, '')
+    .replace(/\u103A\u1037/g, '\u1037\u103A');
+}
+
+// Copy of `source` with the listed string (or string array) fields normalized
+function normalizeTextFields(source, keys) {
+  const result = { ...(source || {}) };
+  for (const key of keys) {
+    const value = result[key];
+    if (typeof value === 'string') {
+      result[key] = normalizeMyanmar(value);
+    } else if (Array.isArray(value)) {
+      result[key] = value.map((item) => (typeof item === 'string' ? normalizeMyanmar(item) : item));
+    }
+  }
+  return result;
+}
+
+// Split text into search tokens: Burmese syllables and Latin/number words.
+// Each token keeps its offsets into `text` so callers can highlight matches.
+function tokenize(text) {
+  const value = String(text || '');
+  const tokens = [];
+  let current = null;
+
+  const push = () => {
+    if (current) {
+      tokens.push({ token: current.token.toLowerCase(), start: current.start, end: current.end });
+      current = null;
+    }
+  };
+
+  for (let i = 0; i < value.length; i += 1) {
+    const ch = value[i];
+    const code = ch.charCodeAt(0);
+    const isMyanmar = code >= 0x1000 && code <= 0x109f && code !== 0x104a && code !== 0x104b;
+
+    if (isMyanmar) {
+      const isDigit = code >= 0x1040 && code <= 0x1049;
+      // A consonant closes the previous syllable when it carries asat or
+      // starts a stack, and belongs to it when it is the stacked half
+      const startsSyllable =
+        isBase(ch) &&
+        value[i - 1] !== '\u1039' &&
+        !/^\u1037?[\u103A\u1039]/.test(value.slice(i + 1, i + 3));
+      const kind = isDigit ? 'digit' : 'syllable';
+
+      if (!current || current.kind !== kind || (kind === 'syllable' && startsSyllable)) {
+        push();
+        current = { token: '', start: i, end: i, kind };
+      }
+      current.token += ch;
+      current.end = i + 1;
+    } else if (/[\p{L}\p{N}]/u.test(ch)) {
+      if (!current || current.kind !== 'word') {
+        push();
+        current = { token: '', start: i, end: i, kind: 'word' };
+      }
+      current.token += ch;
+      current.end = i + 1;
+    } else {
+      push();
+    }
+  }
+  push();
+
+  return tokens;
+}
+
+function segmentSyllables(text) {
+  return tokenize(text).map((t) => t.token);
+}
+
+module.exports = {
+  isZawgyi,
+  zawgyiToUnicode,
+  normalizeMyanmar,
+  normalizeTextFields,
+  tokenize,
+  segmentSyllables
+};